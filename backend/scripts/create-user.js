@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Adds a dashboard/API user straight to the SQLite store. The API keeps its
+// own copy of the database in memory, so stop it first.
+//
+// Usage: node scripts/create-user.js <username> <Admin|Operator|Viewer> [email]
+//        (the password is read from the USER_PASSWORD environment variable)
+const { initDatabase, closeDatabase } = require('../src/config/database');
+const { createUser } = require('../src/services/authService');
+
+const USAGE = 'Usage: USER_PASSWORD=... node scripts/create-user.js <username> <Admin|Operator|Viewer> [email]';
+
+const main = async () => {
+  const [username, role, email] = process.argv.slice(2);
+  if (!username || !role || !process.env.USER_PASSWORD) throw new Error(USAGE);
+
+  await initDatabase();
+  try {
+    const user = createUser({ username, email, role, password: process.env.USER_PASSWORD });
+    console.log(`Created ${user.role} user "${user.username}" (id ${user.id})`);
+  } finally {
+    closeDatabase();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Pulls ERA5 daily means for a baseline year from the Open-Meteo archive,
+// reduces them to monthly averages and stores them through PUT /baselines/:year.
+// ERA5 has no CO₂, so co2_avg stays empty unless imported from another source.
+//
+// Usage: API_TOKEN=<admin access token> node scripts/import-era5-baselines.js [year=2019] [apiBaseUrl]
+const { monthlyMeansFromDaily, BASELINE_YEAR } = require('../src/services/baselineService');
+
+// Prince Sultan University campus (bounding box from BACKEND_API.md, centre point for ERA5)
+const SITE = {
+  latitude: 24.73605,
+  longitude: 46.70095,
+  bounding_box: { north: 24.7381, south: 24.734, east: 46.7042, west: 46.6977 }
+};
+
+const [year = String(BASELINE_YEAR), apiBaseUrl = 'http://localhost:3001/api/v1'] = process.argv.slice(2);
+
+const fetchEra5 = async () => {
+  const url = new URL('https://archive-api.open-meteo.com/v1/archive');
+  url.search = new URLSearchParams({
+    latitude: String(SITE.latitude),
+    longitude: String(SITE.longitude),
+    start_date: `${year}-01-01`,
+    end_date: `${year}-12-31`,
+    daily: 'temperature_2m_mean,soil_temperature_0_to_7cm_mean',
+    timezone: 'Asia/Riyadh',
+    models: 'era5'
+  }).toString();
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Open-Meteo archive answered ${response.status}`);
+  return (await response.json()).daily;
+};
+
+const main = async () => {
+  const months = monthlyMeansFromDaily(await fetchEra5());
+  if (months.length === 0) throw new Error(`No ERA5 data for ${year}`);
+
+  const response = await fetch(`${apiBaseUrl}/baselines/${year}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.API_TOKEN ? { Authorization: `Bearer ${process.env.API_TOKEN}` } : {})
+    },
+    body: JSON.stringify({
+      data_source: 'ERA5 (Open-Meteo archive)',
+      bounding_box: SITE.bounding_box,
+      months
+    })
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error?.message || `API answered ${response.status}`);
+
+  months.forEach(m => console.log(`  ${year}-${String(m.month).padStart(2, '0')}: air ${m.air_temp_avg}°C, surface ${m.surface_temp_avg}°C`));
+  console.log(`Stored ${body.count} baseline months for ${year}`);
+};
+
+main().catch(error => {
+  console.error(`Baseline import failed: ${error.message}`);
+  process.exit(1);
+});
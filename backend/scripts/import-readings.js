@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Imports logger exports (CSV / XLSX) straight into the SQLite store.
+// Prints the per-row validation report; nothing is written without --commit.
+// The API keeps its own copy of the database in memory, so stop it first (or
+// use the dashboard importer / POST /imports while it is running).
+//
+// Usage: node scripts/import-readings.js <file> [--commit] [--sensor PSU-N001]
+//          [--utc-offset +03:00] [--map "Header=field" ...] [--report report.csv]
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, closeDatabase } = require('../src/config/database');
+const { previewImport, commitImport } = require('../src/services/importService');
+
+const USAGE = 'Usage: node scripts/import-readings.js <file> [--commit] [--sensor ID] [--utc-offset +03:00] [--map "Header=field"] [--report report.csv]';
+
+const parseArgs = (argv) => {
+  const args = { mapping: {}, commit: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--commit') args.commit = true;
+    else if (arg === '--sensor') args.sensorId = argv[++i];
+    else if (arg === '--utc-offset') args.utcOffset = argv[++i];
+    else if (arg === '--report') args.reportPath = argv[++i];
+    else if (arg === '--map') {
+      const [column, field] = (argv[++i] || '').split('=');
+      args.mapping[column] = field;
+    } else if (!args.file) args.file = arg;
+    else throw new Error(`Unexpected argument ${arg}`);
+  }
+  return args;
+};
+
+const csvCell = (value) => (/[",\n]/.test(String(value ?? '')) ? `"${String(value).replace(/"/g, '""')}"` : String(value ?? ''));
+
+const writeReport = (reportPath, report) => {
+  const lines = [['row', 'status', 'sensor_id', 'timestamp', 'errors'].join(',')];
+  report.rows.forEach(row => {
+    lines.push([row.row, row.status, row.sensor_id, row.timestamp, row.errors.map(e => e.reason).join('; ')].map(csvCell).join(','));
+  });
+  fs.writeFileSync(reportPath, `${lines.join('\n')}\n`);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await initDatabase();
+  const options = {
+    filename: path.basename(args.file),
+    sensorId: args.sensorId,
+    utcOffset: args.utcOffset,
+    mapping: args.mapping
+  };
+  const buffer = fs.readFileSync(args.file);
+  const report = args.commit ? commitImport(buffer, options) : previewImport(buffer, options);
+
+  console.log(`Columns: ${Object.entries(report.columns.mapped).map(([column, field]) => `${column} -> ${field}`).join(', ')}`);
+  if (report.columns.ignored.length) console.log(`Ignored: ${report.columns.ignored.join(', ')}`);
+  report.rows
+    .filter(row => row.status === 'rejected')
+    .forEach(row => console.log(`  row ${row.row}: ${row.errors.map(e => e.reason).join('; ')}`));
+  console.log(`${report.total_rows} rows: ${report.accepted} accepted, ${report.rejected} rejected`);
+
+  if (args.reportPath) {
+    writeReport(args.reportPath, report);
+    console.log(`Report written to ${args.reportPath}`);
+  }
+
+  if (args.commit) {
+    console.log(`Imported ${report.inserted} readings`);
+  } else if (report.accepted) {
+    console.log('Dry run - re-run with --commit to store the accepted rows');
+  }
+  closeDatabase();
+};
+
+main().catch(error => {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+});
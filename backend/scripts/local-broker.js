@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+// Embedded MQTT broker for local development (start the API with MQTT_URL=mqtt://localhost:1883)
+const net = require('net');
+const aedes = require('aedes');
+
+const MQTT_PORT = Number(process.env.MQTT_PORT) || 1883;
+
+const broker = aedes();
+const server = net.createServer(broker.handle);
+
+server.listen(MQTT_PORT, () => {
+  console.log(`Local MQTT broker listening on port ${MQTT_PORT}`);
+});
+
+const shutdown = () => {
+  server.close(() => broker.close(() => process.exit(0)));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
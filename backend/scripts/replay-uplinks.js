@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Replays captured TTN / ChirpStack webhook bodies against the uplink endpoint.
+// Usage: INGEST_API_KEY=... node scripts/replay-uplinks.js <captures.json|captures.jsonl> [apiBaseUrl]
+const fs = require('fs');
+
+const [file, apiBaseUrl = 'http://localhost:3001/api/v1'] = process.argv.slice(2);
+const apiKey = process.env.INGEST_API_KEY;
+
+if (!file || !apiKey) {
+  console.error('Usage: INGEST_API_KEY=... node scripts/replay-uplinks.js <captures.json|captures.jsonl> [apiBaseUrl]');
+  process.exit(1);
+}
+
+// Accepts a JSON array or one JSON document per line
+const readCaptures = (path) => {
+  const text = fs.readFileSync(path, 'utf8').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+};
+
+const replay = async () => {
+  const captures = readCaptures(file);
+  let failed = 0;
+
+  for (const [index, capture] of captures.entries()) {
+    const response = await fetch(`${apiBaseUrl}/lorawan/uplink`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+      body: JSON.stringify(capture)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      failed++;
+      console.error(`#${index}: ${response.status} ${body.error?.message || response.statusText}`);
+    }
+  }
+
+  console.log(`Replayed ${captures.length} uplinks, ${failed} rejected`);
+  process.exitCode = failed ? 1 : 0;
+};
+
+replay().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
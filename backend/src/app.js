@@ -0,0 +1,95 @@
+// ============================
+// RawdahScope API (Express)
+// ============================
+const express = require('express');
+const cors = require('cors');
+const { rateLimit } = require('express-rate-limit');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/auth');
+const { closeStreams } = require('./services/eventBus');
+
+// How long shutdown waits for open requests before it closes them
+const FORCE_EXIT_MS = 10 * 1000;
+
+// `mqttBridge` is optional; when given, its stats are served on /ingest/mqtt
+const createApp = ({ mqttBridge } = {}) => {
+  const app = express();
+  app.locals.mqttBridge = mqttBridge;
+
+  const allowedOrigins = process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
+    : '*';
+  app.use(cors({ origin: allowedOrigins }));
+  app.use(express.json({ limit: '1mb' }));
+  app.use('/api/v1', authenticate);
+
+  // Public endpoints: 100 requests per minute, signed-in users 500
+  // (BACKEND_API.md "Rate Limiting")
+  app.use('/api/v1', rateLimit({
+    windowMs: 60 * 1000,
+    limit: (req) => (req.user
+      ? Number(process.env.RATE_LIMIT_AUTHENTICATED_PER_MINUTE) || 500
+      : Number(process.env.RATE_LIMIT_PER_MINUTE) || 100),
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res) => res.status(429).json({
+      success: false,
+      error: { code: 'RATE_LIMITED', message: 'Too many requests' }
+    })
+  }));
+
+  app.get('/api/v1/health', (req, res) => res.json({ success: true, data: { status: 'ok' } }));
+  app.use('/api/v1/auth', require('./routes/auth'));
+  app.use('/api/v1/sensors', require('./routes/sensors'));
+  app.use('/api/v1/readings', require('./routes/readings'));
+  app.use('/api/v1/aggregates', require('./routes/aggregates'));
+  app.use('/api/v1/baselines', require('./routes/baselines'));
+  app.use('/api/v1/alerts', require('./routes/alerts'));
+  app.use('/api/v1/lorawan', require('./routes/lorawan'));
+  app.use('/api/v1/ingest', require('./routes/ingest'));
+  app.use('/api/v1/stream', require('./routes/stream'));
+  app.use('/api/v1/imports', require('./routes/imports'));
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+// Returns a SIGTERM/SIGINT handler for `server`: stops taking connections, ends
+// the SSE streams, then runs `cleanup` (which must save the database) and
+// exits. Requests still open after `forceExitMs` are cut off so a stuck client
+// cannot keep the process, and its unsaved data, alive. Later calls are ignored.
+const createShutdown = (server, { cleanup = async () => {}, exit = code => process.exit(code), forceExitMs = FORCE_EXIT_MS } = {}) => {
+  let started = false;
+  let finished = false;
+  let forceTimer;
+
+  const finish = async (code) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(forceTimer);
+    try {
+      await cleanup();
+      exit(code);
+    } catch (error) {
+      console.error('Cleanup failed during shutdown:', error);
+      exit(1);
+    }
+  };
+
+  return () => {
+    if (started) return;
+    started = true;
+    server.close(() => finish(0));
+    closeStreams();
+    server.closeIdleConnections();
+    forceTimer = setTimeout(() => {
+      console.warn(`Closing connections still open after ${forceExitMs} ms`);
+      server.closeAllConnections();
+      finish(1);
+    }, forceExitMs);
+  };
+};
+
+module.exports = { createApp, createShutdown };
@@ -0,0 +1,287 @@
+// ============================
+// Embedded SQLite Store (sql.js)
+// ============================
+// Follows DATABASE_SCHEMA.md. MySQL ENUMs become CHECK constraints and
+// DECIMAL columns become REAL; everything else maps one to one.
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', '..', 'data', 'rawdahscope.sqlite');
+
+// Riyadh does not observe DST, so a fixed offset gives local calendar days
+const LOCAL_DAY_OFFSET = '+3 hours';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sensors (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    location TEXT,
+    district TEXT,
+    afforestation_status TEXT CHECK (afforestation_status IN ('Afforested', 'Non-afforested', 'Pre-afforestation')),
+    station_type TEXT CHECK (station_type IN ('Node', 'Gateway', 'Node/Gateway')),
+    sensor_types TEXT,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    installation_date TEXT,
+    status TEXT DEFAULT 'Active' CHECK (status IN ('Active', 'Warning', 'Offline', 'Maintenance')),
+    battery_level INTEGER DEFAULT 100,
+    last_maintenance TEXT,
+    firmware_version TEXT,
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+  CREATE INDEX IF NOT EXISTS idx_status ON sensors(status);
+  CREATE INDEX IF NOT EXISTS idx_location ON sensors(latitude, longitude);
+  CREATE INDEX IF NOT EXISTS idx_afforestation ON sensors(afforestation_status);
+
+  CREATE TABLE IF NOT EXISTS sensor_readings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sensor_id TEXT NOT NULL REFERENCES sensors(id) ON DELETE CASCADE,
+    timestamp TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    co2_ppm REAL,
+    air_temperature REAL,
+    surface_temperature REAL,
+    humidity REAL,
+    pm25 REAL,
+    pm10 REAL,
+    rssi INTEGER,
+    battery_voltage REAL,
+    data_quality TEXT DEFAULT 'Good' CHECK (data_quality IN ('Good', 'Fair', 'Poor')),
+    is_validated INTEGER DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_sensor_time ON sensor_readings(sensor_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_timestamp ON sensor_readings(timestamp);
+  CREATE INDEX IF NOT EXISTS idx_sensor_quality ON sensor_readings(sensor_id, data_quality);
+
+  CREATE TABLE IF NOT EXISTS daily_aggregates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sensor_id TEXT NOT NULL REFERENCES sensors(id) ON DELETE CASCADE,
+    date TEXT NOT NULL,
+    afforestation_status TEXT,
+    co2_avg REAL,
+    co2_min REAL,
+    co2_max REAL,
+    air_temp_avg REAL,
+    air_temp_min REAL,
+    air_temp_max REAL,
+    surface_temp_avg REAL,
+    surface_temp_min REAL,
+    surface_temp_max REAL,
+    humidity_avg REAL,
+    co2_count INTEGER DEFAULT 0,
+    air_temp_count INTEGER DEFAULT 0,
+    surface_temp_count INTEGER DEFAULT 0,
+    humidity_count INTEGER DEFAULT 0,
+    total_readings INTEGER DEFAULT 0,
+    good_readings INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (sensor_id, date)
+  );
+  CREATE INDEX IF NOT EXISTS idx_date ON daily_aggregates(date);
+
+  CREATE TABLE IF NOT EXISTS historical_baselines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    location_name TEXT,
+    year INTEGER NOT NULL,
+    month INTEGER NOT NULL,
+    co2_avg REAL,
+    air_temp_avg REAL,
+    surface_temp_avg REAL,
+    humidity_avg REAL,
+    bbox_north REAL,
+    bbox_south REAL,
+    bbox_east REAL,
+    bbox_west REAL,
+    data_source TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (location_name, year, month)
+  );
+  CREATE INDEX IF NOT EXISTS idx_year_month ON historical_baselines(year, month);
+
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sensor_id TEXT NOT NULL REFERENCES sensors(id) ON DELETE CASCADE,
+    alert_type TEXT NOT NULL CHECK (alert_type IN ('High_CO2', 'High_Temperature', 'Low_Battery', 'Sensor_Offline', 'Data_Quality')),
+    severity TEXT NOT NULL CHECK (severity IN ('Info', 'Warning', 'Critical')),
+    message TEXT,
+    threshold_value REAL,
+    actual_value REAL,
+    triggered_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    resolved_at TEXT,
+    is_resolved INTEGER DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_sensor_unresolved ON alerts(sensor_id, is_resolved);
+  CREATE INDEX IF NOT EXISTS idx_triggered_at ON alerts(triggered_at);
+
+  CREATE TABLE IF NOT EXISTS alert_thresholds (
+    metric TEXT PRIMARY KEY CHECK (metric IN ('co2', 'temperature', 'battery')),
+    warning REAL NOT NULL,
+    critical REAL NOT NULL,
+    updated_by TEXT,
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT DEFAULT 'Viewer' CHECK (role IN ('Admin', 'Operator', 'Viewer')),
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_login TEXT,
+    is_active INTEGER DEFAULT 1
+  );
+`;
+
+// The three PSU deployment nodes (DATABASE_SCHEMA.md sample data)
+const SEED_SENSORS = [
+  ['PSU-N001', 'PSU Campus - North Zone', 'North Zone', 'Prince Sultan University', 'Afforested', 'Node/Gateway', 'MH-Z19B, MLX90614, DS18B20, SHT30 + LoRaWAN Gateway', 24.737, 46.701, '2025-01-01'],
+  ['PSU-N002', 'PSU Campus - Central Zone', 'Central Zone', 'Prince Sultan University', 'Non-afforested', 'Node', 'MH-Z19B, MLX90614, DS18B20, SHT30', 24.736, 46.700, '2025-01-01'],
+  ['PSU-N003', 'PSU Campus - South Zone', 'South Zone', 'Prince Sultan University', 'Pre-afforestation', 'Node', 'MH-Z19B, MLX90614, DS18B20, SHT30', 24.735, 46.702, '2025-01-01']
+];
+
+let db = null;
+let dbPath = null;
+let persistTimer = null;
+
+// Columns added after the first release. Older files get them as NULL, which
+// the aggregation service treats as "rebuild this row from raw readings";
+// existing sensors stay active, and existing daily rows take their sensor's
+// current zone.
+const ADDED_COLUMNS = {
+  sensors: ['is_active INTEGER DEFAULT 1'],
+  daily_aggregates: ['afforestation_status TEXT', 'co2_count INTEGER', 'air_temp_count INTEGER', 'surface_temp_count INTEGER', 'humidity_count INTEGER']
+};
+
+const addMissingColumns = () => {
+  Object.entries(ADDED_COLUMNS).forEach(([table, columns]) => {
+    const existing = new Set(query(`PRAGMA table_info(${table})`).map(column => column.name));
+    columns
+      .filter(definition => !existing.has(definition.split(' ')[0]))
+      .forEach(definition => db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`));
+  });
+  db.run(`UPDATE daily_aggregates
+    SET afforestation_status = (SELECT afforestation_status FROM sensors WHERE sensors.id = daily_aggregates.sensor_id)
+    WHERE afforestation_status IS NULL`);
+};
+
+const initDatabase = async ({ filename = process.env.DB_PATH || DEFAULT_DB_PATH } = {}) => {
+  const SQL = await initSqlJs();
+  dbPath = filename === ':memory:' ? null : filename;
+
+  if (dbPath && fs.existsSync(dbPath)) {
+    db = new SQL.Database(fs.readFileSync(dbPath));
+  } else {
+    db = new SQL.Database();
+  }
+
+  db.run('PRAGMA foreign_keys = ON');
+  db.exec(SCHEMA);
+  addMissingColumns();
+
+  const { count } = queryOne('SELECT COUNT(*) AS count FROM sensors');
+  if (count === 0) {
+    SEED_SENSORS.forEach(row => run(
+      `INSERT INTO sensors (id, name, location, district, afforestation_status, station_type, sensor_types, latitude, longitude, installation_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      row
+    ));
+  }
+
+  persistNow();
+  return db;
+};
+
+const getDb = () => {
+  if (!db) throw new Error('Database not initialised - call initDatabase() first');
+  return db;
+};
+
+// Returns every row as a plain object
+const query = (sql, params = []) => {
+  const stmt = getDb().prepare(sql);
+  try {
+    stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    return rows;
+  } finally {
+    stmt.free();
+  }
+};
+
+const queryOne = (sql, params = []) => query(sql, params)[0] || null;
+
+const run = (sql, params = []) => {
+  const database = getDb();
+  database.run(sql, params);
+  const changes = database.getRowsModified();
+  const lastInsertRowid = database.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  schedulePersist();
+  return { changes, lastInsertRowid };
+};
+
+// Runs fn inside a single transaction, rolling back if it throws
+const transaction = (fn) => {
+  const database = getDb();
+  database.run('BEGIN');
+  try {
+    const result = fn();
+    database.run('COMMIT');
+    return result;
+  } catch (error) {
+    database.run('ROLLBACK');
+    throw error;
+  }
+};
+
+// sql.js keeps the database in memory and can only save it whole: every
+// persist exports and rewrites the entire file, blocking the event loop for as
+// long as that takes. Changes are therefore batched, at most one write per
+// DB_PERSIST_INTERVAL_MS (default 5 s), so a steady MQTT feed costs one full
+// export every interval rather than one per reading. A crash loses at most
+// that interval; shutdown saves at once.
+const PERSIST_INTERVAL_MS = Number(process.env.DB_PERSIST_INTERVAL_MS) || 5000;
+
+const schedulePersist = () => {
+  if (!dbPath || persistTimer) return;
+  persistTimer = setTimeout(persistNow, PERSIST_INTERVAL_MS);
+  persistTimer.unref?.();
+};
+
+const persistNow = () => {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  if (!dbPath || !db) return;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  // Written beside the live file and renamed over it, so a crash mid-write
+  // leaves the previous save intact instead of a truncated database
+  const tempPath = `${dbPath}.tmp`;
+  fs.writeFileSync(tempPath, Buffer.from(db.export()));
+  fs.renameSync(tempPath, dbPath);
+  // export() reopens the connection, which resets pragmas
+  db.run('PRAGMA foreign_keys = ON');
+};
+
+const closeDatabase = () => {
+  if (!db) return;
+  persistNow();
+  db.close();
+  db = null;
+};
+
+module.exports = {
+  LOCAL_DAY_OFFSET,
+  initDatabase,
+  getDb,
+  query,
+  queryOne,
+  run,
+  transaction,
+  persistNow,
+  closeDatabase
+};
@@ -0,0 +1,101 @@
+const DailyAggregate = require('../models/DailyAggregate');
+const { ApiError } = require('../middleware/errorHandler');
+const { AFFORESTATION_STATUSES, requireDate } = require('../middleware/validation');
+const { currentWeekStart, getWeeklySummary, PERIOD_KEYS, getZoneSummary } = require('../services/aggregationService');
+const { FORECAST_METRICS, getZoneForecasts } = require('../services/forecastService');
+const { getZoneSignificance } = require('../services/significanceService');
+
+const parseAfforestationStatus = (value) => {
+  if (value == null) return undefined;
+  if (!AFFORESTATION_STATUSES.includes(value)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `afforestation_status must be one of ${AFFORESTATION_STATUSES.join(', ')}`, { field: 'afforestation_status', value });
+  }
+  return value;
+};
+
+exports.getDaily = (req, res, next) => {
+  try {
+    const { sensor_id, from, to } = req.query;
+    const rows = DailyAggregate.findAll({
+      sensor_id,
+      afforestation_status: parseAfforestationStatus(req.query.afforestation_status),
+      from: from == null ? undefined : requireDate(from, 'from'),
+      to: to == null ? undefined : requireDate(to, 'to')
+    });
+    const data = rows.map(DailyAggregate.toApi);
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getWeekly = (req, res, next) => {
+  try {
+    const { sensor_id, week_start } = req.query;
+    const data = getWeeklySummary({
+      week_start: week_start == null ? currentWeekStart() : requireDate(week_start, 'week_start'),
+      sensor_id,
+      afforestation_status: parseAfforestationStatus(req.query.afforestation_status)
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getZones = (req, res, next) => {
+  try {
+    const { from, to, period = 'all' } = req.query;
+    if (!Object.keys(PERIOD_KEYS).includes(period)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `period must be one of ${Object.keys(PERIOD_KEYS).join(', ')}`, { field: 'period', value: period });
+    }
+    const data = getZoneSummary({
+      from: from == null ? undefined : requireDate(from, 'from'),
+      to: to == null ? undefined : requireDate(to, 'to'),
+      period
+    });
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSignificance = (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const data = getZoneSignificance({
+      from: from == null ? undefined : requireDate(from, 'from'),
+      to: to == null ? undefined : requireDate(to, 'to')
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Integer query parameter within [min, max], or the default when absent
+const parseRange = (value, field, min, max, fallback) => {
+  if (value == null) return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be an integer from ${min} to ${max}`, { field, value });
+  }
+  return parsed;
+};
+
+exports.getForecast = (req, res, next) => {
+  try {
+    const { metric = 'co2' } = req.query;
+    if (!FORECAST_METRICS[metric]) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `metric must be one of ${Object.keys(FORECAST_METRICS).join(', ')}`, { field: 'metric', value: metric });
+    }
+    const data = getZoneForecasts({
+      metric,
+      horizon: parseRange(req.query.days, 'days', 1, 14, 7),
+      history_days: parseRange(req.query.history_days, 'history_days', 14, 365, 90)
+    });
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,60 @@
+const Alert = require('../models/Alert');
+const { ApiError } = require('../middleware/errorHandler');
+const { publish } = require('../services/eventBus');
+const { SEVERITIES, currentThresholds, updateThresholds } = require('../services/alertEngine');
+
+exports.getAlerts = (req, res, next) => {
+  try {
+    const { sensor_id, is_resolved, severity } = req.query;
+    if (is_resolved != null && !['true', 'false'].includes(is_resolved)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'is_resolved must be true or false', { field: 'is_resolved', value: is_resolved });
+    }
+    if (severity != null && !SEVERITIES.includes(severity)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `severity must be one of ${SEVERITIES.join(', ')}`, { field: 'severity', value: severity });
+    }
+
+    const data = Alert.findAll({
+      sensor_id,
+      is_resolved: is_resolved == null ? undefined : is_resolved === 'true',
+      severity
+    }).map(Alert.toApi);
+
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resolveAlert = (req, res, next) => {
+  try {
+    const changed = Alert.resolve(req.params.id);
+    const row = Alert.findById(req.params.id);
+    if (!row) throw new ApiError(404, 'ALERT_NOT_FOUND', 'Alert not found');
+    if (changed) publish('alert', Alert.toApi(row));
+
+    res.json({
+      success: true,
+      message: changed ? 'Alert resolved' : 'Alert was already resolved',
+      data: Alert.toApi(row)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getThresholds = (req, res, next) => {
+  try {
+    res.json({ success: true, data: currentThresholds() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateThresholds = (req, res, next) => {
+  try {
+    const data = updateThresholds(req.body, { updatedBy: req.user.username });
+    res.json({ success: true, message: 'Alert thresholds updated', data });
+  } catch (error) {
+    next(error);
+  }
+};
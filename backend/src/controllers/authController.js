@@ -0,0 +1,29 @@
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandler');
+const { login, refresh } = require('../services/authService');
+
+exports.login = (req, res, next) => {
+  try {
+    res.json({ success: true, data: login(req.body) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.refresh = (req, res, next) => {
+  try {
+    res.json({ success: true, data: refresh(req.body) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.me = (req, res, next) => {
+  try {
+    const row = User.findById(req.user.id);
+    if (!row || !row.is_active) throw new ApiError(401, 'INVALID_TOKEN', 'Invalid or expired token');
+    res.json({ success: true, data: User.toApi(row) });
+  } catch (error) {
+    next(error);
+  }
+};
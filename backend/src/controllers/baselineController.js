@@ -0,0 +1,61 @@
+const Baseline = require('../models/Baseline');
+const { ApiError } = require('../middleware/errorHandler');
+const { DEFAULT_LOCATION, getBaselineComparison, importBaselines } = require('../services/baselineService');
+
+const parseYear = (value, field) => {
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be a four-digit year`, { field, value });
+  }
+  return year;
+};
+
+exports.getBaselines = (req, res, next) => {
+  try {
+    const year = Number(req.params.year);
+    const { location = DEFAULT_LOCATION, month } = req.query;
+    let parsedMonth;
+
+    if (month != null) {
+      parsedMonth = Number(month);
+      if (!Number.isInteger(parsedMonth) || parsedMonth < 1 || parsedMonth > 12) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'month must be between 1 and 12', { field: 'month', value: month });
+      }
+    }
+
+    const data = Baseline.findAll({ location, year, month: parsedMonth }).map(Baseline.toApi);
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getComparison = (req, res, next) => {
+  try {
+    const { location = DEFAULT_LOCATION, current_year } = req.query;
+    const data = getBaselineComparison({
+      baselineYear: Number(req.params.year),
+      year: current_year == null ? new Date().getUTCFullYear() : parseYear(current_year, 'current_year'),
+      location
+    });
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.importBaselines = (req, res, next) => {
+  try {
+    const { location_name, data_source, bounding_box, months } = req.body || {};
+    const data = importBaselines({
+      year: Number(req.params.year),
+      location: location_name || DEFAULT_LOCATION,
+      data_source,
+      bounding_box,
+      months
+    });
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    next(error);
+  }
+};
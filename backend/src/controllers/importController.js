@@ -0,0 +1,57 @@
+const { ApiError } = require('../middleware/errorHandler');
+const { previewImport, commitImport } = require('../services/importService');
+
+// The file is the raw request body; options travel in the query string:
+// filename (extension picks CSV vs XLSX), sensor_id (single-node exports),
+// utc_offset (for naive timestamps, default +03:00) and mapping (JSON
+// object of column header -> sensor_readings field)
+const parseImportRequest = (req) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Request body must be a CSV or XLSX file', { field: 'file' });
+  }
+
+  let mapping;
+  if (req.query.mapping) {
+    const invalid = new ApiError(400, 'VALIDATION_ERROR', 'mapping must be a JSON object', { field: 'mapping', value: req.query.mapping });
+    try {
+      mapping = JSON.parse(req.query.mapping);
+    } catch (e) {
+      throw invalid;
+    }
+    // null, numbers, strings and arrays all parse, but are not column maps
+    if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) throw invalid;
+  }
+
+  return {
+    buffer: req.body,
+    options: {
+      filename: req.query.filename,
+      sensorId: req.query.sensor_id,
+      utcOffset: req.query.utc_offset,
+      mapping
+    }
+  };
+};
+
+exports.previewImport = (req, res, next) => {
+  try {
+    const { buffer, options } = parseImportRequest(req);
+    res.json({ success: true, data: previewImport(buffer, options) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.commitImport = (req, res, next) => {
+  try {
+    const { buffer, options } = parseImportRequest(req);
+    const report = commitImport(buffer, options);
+    res.status(201).json({
+      success: true,
+      message: `Imported ${report.inserted} readings`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,8 @@
+// Transport-level ingest status (the bridge is attached by server.js when MQTT_URL is set)
+exports.getMqttStats = (req, res) => {
+  const bridge = req.app.locals.mqttBridge;
+  res.json({
+    success: true,
+    data: bridge ? bridge.getStats() : { enabled: false, connected: false, topics: [] }
+  });
+};
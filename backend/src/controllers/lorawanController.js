@@ -0,0 +1,20 @@
+const { decodeUplink } = require('../services/lorawanDecoder');
+const { ingestReading } = require('../services/ingestService');
+
+// Webhook target for TTN / ChirpStack HTTP integrations
+exports.receiveUplink = (req, res, next) => {
+  try {
+    const reading = ingestReading(decodeUplink(req.body));
+    res.status(201).json({
+      success: true,
+      message: 'Uplink decoded and recorded',
+      data: {
+        id: reading.id,
+        sensor_id: reading.sensor_id,
+        timestamp: reading.timestamp
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
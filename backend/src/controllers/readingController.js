@@ -0,0 +1,68 @@
+const SensorReading = require('../models/SensorReading');
+const { ApiError } = require('../middleware/errorHandler');
+const { parseListQuery } = require('../middleware/validation');
+const { ingestReading, ingestReadings } = require('../services/ingestService');
+
+const MAX_BULK_READINGS = 1000;
+
+exports.getReadings = (req, res, next) => {
+  try {
+    const filters = { ...parseListQuery(req.query), sensor_id: req.query.sensor_id };
+    const readings = SensorReading.findAll(filters).map(SensorReading.toApi);
+
+    res.json({
+      success: true,
+      data: readings,
+      count: readings.length,
+      pagination: {
+        page: filters.page,
+        limit: filters.limit,
+        total: SensorReading.count(filters)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createReading = (req, res, next) => {
+  try {
+    const reading = ingestReading(req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Reading recorded successfully',
+      data: {
+        id: reading.id,
+        sensor_id: reading.sensor_id,
+        timestamp: reading.timestamp
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createReadingsBulk = (req, res, next) => {
+  try {
+    const { readings } = req.body || {};
+    if (!Array.isArray(readings) || readings.length === 0) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'readings must be a non-empty array', { field: 'readings' });
+    }
+    if (readings.length > MAX_BULK_READINGS) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `At most ${MAX_BULK_READINGS} readings per request`, { field: 'readings', value: readings.length });
+    }
+
+    const { stored, failures } = ingestReadings(readings);
+    res.status(201).json({
+      success: true,
+      message: 'Bulk readings recorded',
+      data: {
+        inserted: stored.length,
+        failed: failures.length,
+        ...(failures.length ? { errors: failures } : {})
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
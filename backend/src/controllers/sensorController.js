@@ -0,0 +1,98 @@
+const Sensor = require('../models/Sensor');
+const { ApiError } = require('../middleware/errorHandler');
+const { QUALITY_WINDOWS, DEFAULT_MIN_SCORE, getQualityReport } = require('../services/qualityReport');
+const { registerSensor, updateSensor, deactivateSensor } = require('../services/sensorRegistry');
+const { MAX_PAST_DAYS, getReferenceTemperatures } = require('../services/weatherReference');
+const { DEFAULT_DAYS, DEFAULT_DRIFT_THRESHOLD, getCalibrationReport } = require('../services/calibrationReport');
+
+exports.getSensors = (req, res, next) => {
+  try {
+    const { include_inactive } = req.query;
+    if (include_inactive != null && !['true', 'false'].includes(include_inactive)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'include_inactive must be true or false', { field: 'include_inactive', value: include_inactive });
+    }
+    const sensors = Sensor.findAll({ includeInactive: include_inactive === 'true' }).map(row => Sensor.toApi(row));
+    res.json({ success: true, data: sensors, count: sensors.length });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSensor = (req, res, next) => {
+  try {
+    const row = Sensor.findById(req.params.id);
+    if (!row) throw new ApiError(404, 'SENSOR_NOT_FOUND', 'Sensor not found');
+    res.json({ success: true, data: Sensor.toApi(row, { detailed: true }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getQuality = async (req, res, next) => {
+  try {
+    const { window = '24h', min_score } = req.query;
+    if (!QUALITY_WINDOWS[window]) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `window must be one of ${Object.keys(QUALITY_WINDOWS).join(', ')}`, { field: 'window', value: window });
+    }
+    const minScore = min_score == null ? DEFAULT_MIN_SCORE : Number(min_score);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'min_score must be between 0 and 100', { field: 'min_score', value: min_score });
+    }
+
+    // Open-Meteo at the middle of the network
+    const sensors = Sensor.findAll();
+    const reference = sensors.length === 0 ? null : await getReferenceTemperatures({
+      latitude: sensors.reduce((sum, s) => sum + s.latitude, 0) / sensors.length,
+      longitude: sensors.reduce((sum, s) => sum + s.longitude, 0) / sensors.length
+    });
+    res.json({ success: true, data: getQualityReport({ window, minScore, reference }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getCalibration = async (req, res, next) => {
+  try {
+    const { days: daysParam, threshold: thresholdParam } = req.query;
+    const days = daysParam == null ? DEFAULT_DAYS : Number(daysParam);
+    if (!Number.isInteger(days) || days < 7 || days > MAX_PAST_DAYS) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `days must be an integer between 7 and ${MAX_PAST_DAYS}`, { field: 'days', value: daysParam });
+    }
+    const threshold = thresholdParam == null ? DEFAULT_DRIFT_THRESHOLD : Number(thresholdParam);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'threshold must be a positive number of °C', { field: 'threshold', value: thresholdParam });
+    }
+    res.json({ success: true, data: await getCalibrationReport({ days, threshold }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createSensor = (req, res, next) => {
+  try {
+    res.status(201).json({ success: true, message: 'Sensor registered successfully', data: registerSensor(req.body) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateSensor = (req, res, next) => {
+  try {
+    res.json({ success: true, message: 'Sensor updated successfully', data: updateSensor(req.params.id, req.body) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteSensor = (req, res, next) => {
+  try {
+    const { sensor, resolved, changed } = deactivateSensor(req.params.id);
+    res.json({
+      success: true,
+      message: changed ? 'Sensor deactivated' : 'Sensor was already inactive',
+      data: { ...sensor, resolved_alerts: resolved.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
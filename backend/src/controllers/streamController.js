@@ -0,0 +1,39 @@
+const { subscribe, eventsSince, onCloseStreams } = require('../services/eventBus');
+
+const RETRY_MS = 3000;
+const HEARTBEAT_MS = 25 * 1000;
+
+const formatEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Server-Sent Events feed of readings, sensor status changes and alerts.
+// Resumes from the Last-Event-ID header (sent by EventSource on reconnect)
+// or ?last_event_id=; sends `reset` when the gap cannot be replayed.
+exports.openStream = (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId);
+    if (missed) missed.forEach(event => res.write(formatEvent(event)));
+    else res.write('event: reset\ndata: {}\n\n');
+  }
+
+  const unsubscribe = subscribe(event => res.write(formatEvent(event)));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  // EventSource reconnects on its own, so a restart only costs the retry delay
+  const stopOnShutdown = onCloseStreams(() => res.end());
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    stopOnShutdown();
+  });
+};
@@ -0,0 +1,53 @@
+// ============================
+// Authentication & Roles
+// ============================
+// `authenticate` runs on every request: no Authorization header means an
+// anonymous (public, read-only) caller; a bad or expired token is a 401.
+// `requireRole` guards the write endpoints and `requireIngestKey` the device
+// ingestion ones.
+const crypto = require('crypto');
+const { ApiError } = require('./errorHandler');
+const { hasRole, verifyToken } = require('../services/authService');
+
+const authenticate = (req, res, next) => {
+  const header = req.get('Authorization');
+  if (!header) return next();
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(new ApiError(401, 'INVALID_TOKEN', 'Authorization must be "Bearer <token>"'));
+  }
+  try {
+    const claims = verifyToken(token, 'access');
+    req.user = { id: claims.sub, username: claims.username, role: claims.role };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Allows `role` and every role above it
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) return next(new ApiError(401, 'AUTH_REQUIRED', 'Authentication required'));
+  if (!hasRole(req.user.role, role)) return next(new ApiError(403, 'FORBIDDEN', `${role} role required`));
+  next();
+};
+
+// Hashing first gives timingSafeEqual two buffers of the same length
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Nodes, TTN / ChirpStack webhooks and scripts send the shared INGEST_API_KEY
+// in X-API-Key; signed-in Operators may post readings too. Without
+// INGEST_API_KEY only Operators can.
+const requireIngestKey = (req, res, next) => {
+  const key = req.get('X-API-Key');
+  if (key == null) return requireRole('Operator')(req, res, next);
+
+  const expected = process.env.INGEST_API_KEY;
+  if (!expected || !crypto.timingSafeEqual(digest(key), digest(expected))) {
+    return next(new ApiError(401, 'INVALID_API_KEY', 'Invalid API key'));
+  }
+  next();
+};
+
+module.exports = { authenticate, requireRole, requireIngestKey };
@@ -0,0 +1,36 @@
+// ============================
+// API Error Handling
+// ============================
+
+// Errors thrown with a status and code are reported to the client as-is;
+// anything else becomes a 500 (BACKEND_API.md "Error Responses")
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const notFound = (req, res, next) => {
+  next(new ApiError(404, 'NOT_FOUND', `Route ${req.method} ${req.originalUrl} not found`));
+};
+
+// eslint-disable-next-line no-unused-vars
+const errorHandler = (err, req, res, next) => {
+  const status = err.status || 500;
+  if (status >= 500) console.error(err.stack);
+
+  res.status(status).json({
+    success: false,
+    error: {
+      code: err.code || 'INTERNAL_ERROR',
+      message: status >= 500 && !err.code ? 'Internal server error' : err.message,
+      ...(err.details ? { details: err.details } : {})
+    }
+  });
+};
+
+module.exports = { ApiError, notFound, errorHandler };
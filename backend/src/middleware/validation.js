@@ -0,0 +1,185 @@
+// ============================
+// Request Validation
+// ============================
+const { ApiError } = require('./errorHandler');
+
+const READING_NUMERIC_FIELDS = [
+  'co2_ppm',
+  'air_temperature',
+  'surface_temperature',
+  'humidity',
+  'pm25',
+  'pm10',
+  'rssi',
+  'battery_voltage'
+];
+
+const DATA_QUALITY_VALUES = ['Good', 'Fair', 'Poor'];
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// Normalises a reading payload into the sensor_readings column shape.
+// Throws ApiError(400) describing the first invalid field.
+const parseReading = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Reading payload must be an object');
+  }
+
+  const { sensor_id, timestamp } = body;
+  if (typeof sensor_id !== 'string' || sensor_id.trim() === '') {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'sensor_id is required', { field: 'sensor_id', value: sensor_id });
+  }
+
+  let isoTimestamp = new Date().toISOString();
+  if (timestamp != null) {
+    const parsed = new Date(timestamp);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'timestamp must be ISO 8601', { field: 'timestamp', value: timestamp });
+    }
+    isoTimestamp = parsed.toISOString();
+  }
+
+  const reading = { sensor_id: sensor_id.trim(), timestamp: isoTimestamp };
+  READING_NUMERIC_FIELDS.forEach(field => {
+    const value = body[field];
+    if (value == null || value === '') {
+      reading[field] = null;
+      return;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be a number`, { field, value });
+    }
+    reading[field] = number;
+  });
+
+  return reading;
+};
+
+// Parses the shared from/to/limit/page query parameters
+const parseListQuery = (queryParams, { defaultLimit = 100, maxLimit = 1000 } = {}) => {
+  const { from, to, limit, page, quality } = queryParams;
+  const result = {};
+
+  [['from', from], ['to', to]].forEach(([field, value]) => {
+    if (value == null) return;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be ISO 8601`, { field, value });
+    }
+    result[field] = parsed.toISOString();
+  });
+
+  const parsedLimit = limit == null ? defaultLimit : parseInt(limit, 10);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'limit must be a positive integer', { field: 'limit', value: limit });
+  }
+  result.limit = Math.min(parsedLimit, maxLimit);
+
+  const parsedPage = page == null ? 1 : parseInt(page, 10);
+  if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'page must be a positive integer', { field: 'page', value: page });
+  }
+  result.page = parsedPage;
+
+  if (quality != null) {
+    if (!DATA_QUALITY_VALUES.includes(quality)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `quality must be one of ${DATA_QUALITY_VALUES.join(', ')}`, { field: 'quality', value: quality });
+    }
+    result.quality = quality;
+  }
+
+  return result;
+};
+
+const requireDate = (value, field) => {
+  if (!isIsoDate(value)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be a date (YYYY-MM-DD)`, { field, value });
+  }
+  return value;
+};
+
+// PSU campus as drawn by the dashboard's SensorMap; registered nodes must fall inside it
+const CAMPUS_BOUNDS = {
+  minLat: 24.732, maxLat: 24.740,
+  minLng: 46.696, maxLng: 46.706
+};
+
+const AFFORESTATION_STATUSES = ['Afforested', 'Non-afforested', 'Pre-afforestation'];
+const STATION_TYPES = ['Node', 'Gateway', 'Node/Gateway'];
+
+const SENSOR_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+const FIRMWARE_PATTERN = /^\d+\.\d+(\.\d+)?$/;
+
+const SENSOR_TEXT_FIELDS = ['name', 'location', 'district', 'sensor_types'];
+
+// Normalises a POST/PUT /sensors payload into sensors columns. With `partial`
+// (PUT) only the fields present are returned and none is required.
+const parseSensor = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== 'object') {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Sensor payload must be an object');
+  }
+  const invalid = (field, message) => {
+    throw new ApiError(400, 'VALIDATION_ERROR', message, { field, value: body[field] });
+  };
+  const present = (field) => body[field] !== undefined && !(partial && body[field] === null);
+  const sensor = {};
+
+  if (!partial) {
+    if (typeof body.id !== 'string' || !SENSOR_ID_PATTERN.test(body.id.trim())) {
+      invalid('id', 'id must be 1-32 letters, digits, "-" or "_"');
+    }
+    sensor.id = body.id.trim();
+  }
+
+  SENSOR_TEXT_FIELDS.forEach(field => {
+    if (!present(field)) return;
+    const value = body[field];
+    if (value !== null && typeof value !== 'string') invalid(field, `${field} must be a string`);
+    sensor[field] = value?.trim() || null;
+  });
+  if (!partial && !sensor.name) invalid('name', 'name is required');
+  if (partial && 'name' in sensor && !sensor.name) invalid('name', 'name cannot be empty');
+
+  [['afforestation_status', AFFORESTATION_STATUSES], ['station_type', STATION_TYPES]].forEach(([field, values]) => {
+    if (!present(field) && partial) return;
+    if (!values.includes(body[field])) invalid(field, `${field} must be one of ${values.join(', ')}`);
+    sensor[field] = body[field];
+  });
+
+  [['latitude', CAMPUS_BOUNDS.minLat, CAMPUS_BOUNDS.maxLat], ['longitude', CAMPUS_BOUNDS.minLng, CAMPUS_BOUNDS.maxLng]].forEach(([field, min, max]) => {
+    if (!present(field) && partial) return;
+    const value = body[field] === '' || body[field] == null ? NaN : Number(body[field]);
+    if (!Number.isFinite(value)) invalid(field, `${field} must be a number`);
+    if (value < min || value > max) invalid(field, `${field} must be inside the campus bounds (${min} to ${max})`);
+    sensor[field] = value;
+  });
+
+  if (present('installation_date')) {
+    if (body.installation_date !== null && !isIsoDate(body.installation_date)) {
+      invalid('installation_date', 'installation_date must be a date (YYYY-MM-DD)');
+    }
+    sensor.installation_date = body.installation_date;
+  }
+
+  if (present('firmware_version')) {
+    if (body.firmware_version !== null && !FIRMWARE_PATTERN.test(String(body.firmware_version))) {
+      invalid('firmware_version', 'firmware_version must look like 1.2 or 1.2.0');
+    }
+    sensor.firmware_version = body.firmware_version === null ? null : String(body.firmware_version);
+  }
+
+  return sensor;
+};
+
+module.exports = {
+  READING_NUMERIC_FIELDS,
+  CAMPUS_BOUNDS,
+  AFFORESTATION_STATUSES,
+  STATION_TYPES,
+  isIsoDate,
+  parseReading,
+  parseSensor,
+  parseListQuery,
+  requireDate
+};
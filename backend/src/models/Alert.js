@@ -0,0 +1,64 @@
+// ============================
+// Alert Model
+// ============================
+const { query, queryOne, run } = require('../config/database');
+
+const toApi = (row) => ({
+  id: row.id,
+  sensor_id: row.sensor_id,
+  alert_type: row.alert_type,
+  severity: row.severity,
+  message: row.message,
+  threshold_value: row.threshold_value,
+  actual_value: row.actual_value,
+  triggered_at: row.triggered_at,
+  resolved_at: row.resolved_at,
+  is_resolved: Boolean(row.is_resolved)
+});
+
+const findAll = ({ sensor_id, is_resolved, severity } = {}) => {
+  const clauses = [];
+  const params = [];
+  if (sensor_id) { clauses.push('sensor_id = ?'); params.push(sensor_id); }
+  if (is_resolved != null) { clauses.push('is_resolved = ?'); params.push(is_resolved ? 1 : 0); }
+  if (severity) { clauses.push('severity = ?'); params.push(severity); }
+
+  return query(
+    `SELECT * FROM alerts ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''} ORDER BY triggered_at DESC, id DESC`,
+    params
+  );
+};
+
+const findById = (id) => queryOne('SELECT * FROM alerts WHERE id = ?', [id]);
+
+// The unresolved alert of one type for a sensor; the engine keeps at most one
+const findOpen = (sensorId, alertType) => queryOne(
+  'SELECT * FROM alerts WHERE sensor_id = ? AND alert_type = ? AND is_resolved = 0 ORDER BY id DESC LIMIT 1',
+  [sensorId, alertType]
+);
+
+const create = ({ sensor_id, alert_type, severity, message, threshold_value, actual_value, triggered_at }) => {
+  const { lastInsertRowid } = run(
+    `INSERT INTO alerts (sensor_id, alert_type, severity, message, threshold_value, actual_value, triggered_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [sensor_id, alert_type, severity, message, threshold_value ?? null, actual_value ?? null, triggered_at ?? new Date().toISOString()]
+  );
+  return findById(lastInsertRowid);
+};
+
+// Latest value of an open alert; severity follows the most recent reading
+const update = (id, { severity, message, threshold_value, actual_value }) => {
+  run(
+    'UPDATE alerts SET severity = ?, message = ?, threshold_value = ?, actual_value = ? WHERE id = ?',
+    [severity, message, threshold_value ?? null, actual_value ?? null, id]
+  );
+  return findById(id);
+};
+
+// Returns true when the alert was open
+const resolve = (id, resolvedAt = new Date().toISOString()) => run(
+  'UPDATE alerts SET is_resolved = 1, resolved_at = ? WHERE id = ? AND is_resolved = 0',
+  [resolvedAt, id]
+).changes > 0;
+
+module.exports = { toApi, findAll, findById, findOpen, create, update, resolve };
@@ -0,0 +1,16 @@
+// ============================
+// Alert Threshold Model
+// ============================
+// Admin overrides of the §8.1 defaults; metrics without a row use the default.
+const { query, run } = require('../config/database');
+
+const findAll = () => query('SELECT * FROM alert_thresholds ORDER BY metric');
+
+const upsert = ({ metric, warning, critical, updated_by }) => run(
+  `INSERT INTO alert_thresholds (metric, warning, critical, updated_by) VALUES (?, ?, ?, ?)
+   ON CONFLICT (metric) DO UPDATE SET warning = excluded.warning, critical = excluded.critical,
+     updated_by = excluded.updated_by, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`,
+  [metric, warning, critical, updated_by ?? null]
+);
+
+module.exports = { findAll, upsert };
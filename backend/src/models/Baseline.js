@@ -0,0 +1,47 @@
+// ============================
+// Historical Baseline Model
+// ============================
+const { query, run } = require('../config/database');
+
+const VALUE_COLUMNS = ['co2_avg', 'air_temp_avg', 'surface_temp_avg', 'humidity_avg'];
+
+const toApi = (row) => ({
+  location_name: row.location_name,
+  year: row.year,
+  month: row.month,
+  co2_avg: row.co2_avg,
+  air_temp_avg: row.air_temp_avg,
+  surface_temp_avg: row.surface_temp_avg,
+  humidity_avg: row.humidity_avg,
+  bounding_box: {
+    north: row.bbox_north,
+    south: row.bbox_south,
+    east: row.bbox_east,
+    west: row.bbox_west
+  },
+  data_source: row.data_source
+});
+
+const findAll = ({ location, year, month }) => query(
+  `SELECT * FROM historical_baselines WHERE location_name = ? AND year = ? ${month != null ? 'AND month = ?' : ''} ORDER BY month`,
+  month != null ? [location, year, month] : [location, year]
+);
+
+// One month of a baseline year; re-importing a month replaces it
+const upsert = ({ location_name, year, month, bounding_box = {}, data_source, ...values }) => run(
+  `INSERT INTO historical_baselines (
+     location_name, year, month, ${VALUE_COLUMNS.join(', ')},
+     bbox_north, bbox_south, bbox_east, bbox_west, data_source
+   )
+   VALUES (?, ?, ?, ${VALUE_COLUMNS.map(() => '?').join(', ')}, ?, ?, ?, ?, ?)
+   ON CONFLICT (location_name, year, month) DO UPDATE SET
+     ${[...VALUE_COLUMNS, 'bbox_north', 'bbox_south', 'bbox_east', 'bbox_west', 'data_source'].map(c => `${c} = excluded.${c}`).join(', ')}`,
+  [
+    location_name, year, month,
+    ...VALUE_COLUMNS.map(column => values[column] ?? null),
+    bounding_box.north ?? null, bounding_box.south ?? null, bounding_box.east ?? null, bounding_box.west ?? null,
+    data_source ?? null
+  ]
+);
+
+module.exports = { VALUE_COLUMNS, toApi, findAll, upsert };
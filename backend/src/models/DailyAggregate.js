@@ -0,0 +1,65 @@
+// ============================
+// Daily Aggregate Model
+// ============================
+const { query, queryOne, run } = require('../config/database');
+const { round } = require('../services/aggregationEngine');
+
+const COLUMNS = [
+  'sensor_id', 'date',
+  'co2_avg', 'co2_min', 'co2_max', 'co2_count',
+  'air_temp_avg', 'air_temp_min', 'air_temp_max', 'air_temp_count',
+  'surface_temp_avg', 'surface_temp_min', 'surface_temp_max', 'surface_temp_count',
+  'humidity_avg', 'humidity_count',
+  'total_readings', 'good_readings'
+];
+
+const findOne = (sensorId, date) =>
+  queryOne('SELECT * FROM daily_aggregates WHERE sensor_id = ? AND date = ?', [sensorId, date]);
+
+// Writes a row computed by the aggregation engine (one sensor-day, Riyadh
+// calendar date). A new row takes the sensor's current zone and keeps it, so
+// re-tagging a sensor only affects the days aggregated after the change.
+const upsert = (aggregate) => {
+  const updates = COLUMNS.filter(c => c !== 'sensor_id' && c !== 'date').map(c => `${c} = excluded.${c}`);
+  run(
+    `INSERT INTO daily_aggregates (${COLUMNS.join(', ')}, afforestation_status)
+     VALUES (${COLUMNS.map(() => '?').join(', ')}, (SELECT afforestation_status FROM sensors WHERE id = ?))
+     ON CONFLICT (sensor_id, date) DO UPDATE SET ${updates.join(', ')}`,
+    [...COLUMNS.map(column => aggregate[column] ?? null), aggregate.sensor_id]
+  );
+};
+
+// `activeOnly` leaves out deactivated sensors, for zone comparisons and
+// statistics; per-sensor history keeps them
+const findAll = ({ sensor_id, afforestation_status, district, from, to, activeOnly = false } = {}) => {
+  const clauses = [];
+  const params = [];
+  if (activeOnly) clauses.push('s.is_active = 1');
+  if (sensor_id) { clauses.push('a.sensor_id = ?'); params.push(sensor_id); }
+  if (afforestation_status) { clauses.push('a.afforestation_status = ?'); params.push(afforestation_status); }
+  if (district) { clauses.push('s.district = ?'); params.push(district); }
+  if (from) { clauses.push('a.date >= ?'); params.push(from); }
+  if (to) { clauses.push('a.date <= ?'); params.push(to); }
+
+  return query(
+    `SELECT a.*
+     FROM daily_aggregates a
+     JOIN sensors s ON s.id = a.sensor_id
+     ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY a.date ASC, a.sensor_id ASC`,
+    params
+  );
+};
+
+const toApi = (row) => ({
+  sensor_id: row.sensor_id,
+  date: row.date,
+  co2: { avg: round(row.co2_avg), min: round(row.co2_min), max: round(row.co2_max) },
+  air_temperature: { avg: round(row.air_temp_avg), min: round(row.air_temp_min), max: round(row.air_temp_max) },
+  surface_temperature: { avg: round(row.surface_temp_avg), min: round(row.surface_temp_min), max: round(row.surface_temp_max) },
+  humidity: { avg: round(row.humidity_avg) },
+  total_readings: row.total_readings,
+  good_readings: row.good_readings
+});
+
+module.exports = { findOne, upsert, findAll, toApi, round };
@@ -0,0 +1,101 @@
+// ============================
+// Sensor Model
+// ============================
+const { query, queryOne, run } = require('../config/database');
+
+const SELECT_SENSORS = `
+  SELECT s.*,
+    (SELECT MAX(timestamp) FROM sensor_readings r WHERE r.sensor_id = s.id) AS last_reading,
+    (SELECT COUNT(*) FROM sensor_readings r WHERE r.sensor_id = s.id) AS total_readings
+  FROM sensors s
+`;
+
+// Maps a sensors row onto the BACKEND_API.md response shape
+const toApi = (row, { detailed = false } = {}) => {
+  const sensor = {
+    id: row.id,
+    name: row.name,
+    location: row.location,
+    district: row.district,
+    afforestation_status: row.afforestation_status,
+    station_type: row.station_type,
+    sensor_types: row.sensor_types,
+    coordinates: {
+      latitude: row.latitude,
+      longitude: row.longitude
+    },
+    status: row.status,
+    battery_level: row.battery_level,
+    is_active: row.is_active !== 0,
+    last_reading: row.last_reading || null
+  };
+
+  if (!detailed) return sensor;
+
+  return {
+    ...sensor,
+    installation_date: row.installation_date,
+    firmware_version: row.firmware_version,
+    last_maintenance: row.last_maintenance,
+    total_readings: row.total_readings
+  };
+};
+
+// Deactivated sensors are left out unless `includeInactive`
+const findAll = ({ includeInactive = false } = {}) => query(
+  `${SELECT_SENSORS} ${includeInactive ? '' : 'WHERE s.is_active = 1'} ORDER BY s.id`
+);
+
+const findById = (id) => queryOne(`${SELECT_SENSORS} WHERE s.id = ?`, [id]);
+
+// With `activeOnly`, a deactivated sensor counts as missing
+const exists = (id, { activeOnly = false } = {}) => queryOne(
+  `SELECT 1 AS found FROM sensors WHERE id = ? ${activeOnly ? 'AND is_active = 1' : ''}`,
+  [id]
+) != null;
+
+// Returns true when the status actually changed. With `fromStatus`, only a
+// sensor currently in that status is updated.
+const setStatus = (id, status, fromStatus) => run(
+  `UPDATE sensors SET status = ?, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+   WHERE id = ? AND status != ? ${fromStatus ? 'AND status = ?' : ''}`,
+  fromStatus ? [status, id, status, fromStatus] : [status, id, status]
+).changes > 0;
+
+// Registry columns set through POST/PUT /sensors
+const EDITABLE_COLUMNS = [
+  'name',
+  'location',
+  'district',
+  'afforestation_status',
+  'station_type',
+  'sensor_types',
+  'latitude',
+  'longitude',
+  'installation_date',
+  'firmware_version'
+];
+
+const create = (sensor) => {
+  const columns = ['id', ...EDITABLE_COLUMNS.filter(column => sensor[column] !== undefined)];
+  run(
+    `INSERT INTO sensors (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => sensor[column])
+  );
+  return findById(sensor.id);
+};
+
+// Updates the fields present in `fields`; `is_active` reactivates or deactivates
+const update = (id, fields) => {
+  const columns = [...EDITABLE_COLUMNS, 'is_active'].filter(column => fields[column] !== undefined);
+  if (columns.length) {
+    run(
+      `UPDATE sensors SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+       WHERE id = ?`,
+      [...columns.map(column => (column === 'is_active' ? Number(fields[column]) : fields[column])), id]
+    );
+  }
+  return findById(id);
+};
+
+module.exports = { EDITABLE_COLUMNS, toApi, findAll, findById, exists, setStatus, create, update };
@@ -0,0 +1,80 @@
+// ============================
+// Sensor Reading Model
+// ============================
+const { query, queryOne, run, LOCAL_DAY_OFFSET } = require('../config/database');
+const { READING_NUMERIC_FIELDS } = require('../middleware/validation');
+const { classifyDataQuality } = require('../services/dataQuality');
+
+const INSERT_COLUMNS = ['sensor_id', 'timestamp', ...READING_NUMERIC_FIELDS, 'data_quality'];
+
+const toApi = (row) => ({
+  id: row.id,
+  sensor_id: row.sensor_id,
+  timestamp: row.timestamp,
+  co2_ppm: row.co2_ppm,
+  air_temperature: row.air_temperature,
+  surface_temperature: row.surface_temperature,
+  humidity: row.humidity,
+  pm25: row.pm25,
+  pm10: row.pm10,
+  rssi: row.rssi,
+  battery_voltage: row.battery_voltage,
+  data_quality: row.data_quality
+});
+
+// Stores a parsed reading; data_quality is derived from the §6 validity rules
+const create = (reading) => {
+  const record = { ...reading, data_quality: classifyDataQuality(reading) };
+  const { lastInsertRowid } = run(
+    `INSERT INTO sensor_readings (${INSERT_COLUMNS.join(', ')})
+     VALUES (${INSERT_COLUMNS.map(() => '?').join(', ')})`,
+    INSERT_COLUMNS.map(column => record[column] ?? null)
+  );
+  return { ...record, id: lastInsertRowid };
+};
+
+const buildWhere = ({ sensor_id, from, to, quality }) => {
+  const clauses = [];
+  const params = [];
+  if (sensor_id) { clauses.push('sensor_id = ?'); params.push(sensor_id); }
+  if (from) { clauses.push('timestamp >= ?'); params.push(from); }
+  if (to) { clauses.push('timestamp <= ?'); params.push(to); }
+  if (quality) { clauses.push('data_quality = ?'); params.push(quality); }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+};
+
+// Newest first, matching GET /readings
+const findAll = ({ limit = 100, page = 1, ...filters } = {}) => {
+  const { where, params } = buildWhere(filters);
+  return query(
+    `SELECT * FROM sensor_readings ${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+};
+
+const count = (filters = {}) => {
+  const { where, params } = buildWhere(filters);
+  return queryOne(`SELECT COUNT(*) AS total FROM sensor_readings ${where}`, params).total;
+};
+
+const existsAt = (sensorId, timestamp) =>
+  queryOne('SELECT 1 AS found FROM sensor_readings WHERE sensor_id = ? AND timestamp = ?', [sensorId, timestamp]) != null;
+
+// Every reading in [from, to), oldest first
+const findBetween = (from, to) => query(
+  'SELECT * FROM sensor_readings WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp ASC, id ASC',
+  [from, to]
+);
+
+const latestTimestamp = (sensorId) =>
+  queryOne('SELECT MAX(timestamp) AS latest FROM sensor_readings WHERE sensor_id = ?', [sensorId]).latest;
+
+// Every reading of one sensor on a Riyadh calendar day, oldest first
+const findForLocalDay = (sensorId, date) => query(
+  `SELECT * FROM sensor_readings
+   WHERE sensor_id = ? AND date(timestamp, '${LOCAL_DAY_OFFSET}') = ?
+   ORDER BY timestamp ASC, id ASC`,
+  [sensorId, date]
+);
+
+module.exports = { toApi, create, findAll, count, existsAt, findBetween, latestTimestamp, findForLocalDay };
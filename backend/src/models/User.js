@@ -0,0 +1,31 @@
+// ============================
+// User Model
+// ============================
+const { queryOne, run } = require('../config/database');
+
+// Never exposes the password hash
+const toApi = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  role: row.role,
+  last_login: row.last_login
+});
+
+const findById = (id) => queryOne('SELECT * FROM users WHERE id = ?', [id]);
+
+const findByUsername = (username) => queryOne('SELECT * FROM users WHERE username = ?', [username]);
+
+const count = () => queryOne('SELECT COUNT(*) AS count FROM users').count;
+
+const create = ({ username, email, password_hash, role }) => {
+  const { lastInsertRowid } = run(
+    'INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)',
+    [username, email ?? null, password_hash, role]
+  );
+  return findById(lastInsertRowid);
+};
+
+const touchLogin = (id, at = new Date().toISOString()) => run('UPDATE users SET last_login = ? WHERE id = ?', [at, id]);
+
+module.exports = { toApi, findById, findByUsername, count, create, touchLogin };
@@ -0,0 +1,12 @@
+const express = require('express');
+const aggregateController = require('../controllers/aggregateController');
+
+const router = express.Router();
+
+router.get('/daily', aggregateController.getDaily);
+router.get('/weekly', aggregateController.getWeekly);
+router.get('/zones', aggregateController.getZones);
+router.get('/forecast', aggregateController.getForecast);
+router.get('/significance', aggregateController.getSignificance);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const alertController = require('../controllers/alertController');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', alertController.getAlerts);
+router.get('/thresholds', alertController.getThresholds);
+router.put('/thresholds', requireRole('Admin'), alertController.updateThresholds);
+router.put('/:id/resolve', requireRole('Operator'), alertController.resolveAlert);
+
+module.exports = router;
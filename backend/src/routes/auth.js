@@ -0,0 +1,11 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
+router.get('/me', requireRole('Viewer'), authController.me);
+
+module.exports = router;
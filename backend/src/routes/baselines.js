@@ -0,0 +1,11 @@
+const express = require('express');
+const baselineController = require('../controllers/baselineController');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/:year(\\d{4})', baselineController.getBaselines);
+router.put('/:year(\\d{4})', requireRole('Admin'), baselineController.importBaselines);
+router.get('/:year(\\d{4})/comparison', baselineController.getComparison);
+
+module.exports = router;
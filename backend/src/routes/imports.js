@@ -0,0 +1,16 @@
+const express = require('express');
+const importController = require('../controllers/importController');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Files are posted as the raw body (text/csv, .xlsx or application/octet-stream)
+const fileBody = express.raw({
+  type: ['text/csv', 'text/plain', 'application/octet-stream', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.ms-excel'],
+  limit: '20mb'
+});
+
+router.post('/preview', requireRole('Operator'), fileBody, importController.previewImport);
+router.post('/', requireRole('Operator'), fileBody, importController.commitImport);
+
+module.exports = router;
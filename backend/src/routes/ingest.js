@@ -0,0 +1,8 @@
+const express = require('express');
+const ingestController = require('../controllers/ingestController');
+
+const router = express.Router();
+
+router.get('/mqtt', ingestController.getMqttStats);
+
+module.exports = router;
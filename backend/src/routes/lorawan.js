@@ -0,0 +1,9 @@
+const express = require('express');
+const lorawanController = require('../controllers/lorawanController');
+const { requireIngestKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/uplink', requireIngestKey, lorawanController.receiveUplink);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const readingController = require('../controllers/readingController');
+const { requireIngestKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', readingController.getReadings);
+router.post('/', requireIngestKey, readingController.createReading);
+router.post('/bulk', requireIngestKey, readingController.createReadingsBulk);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const sensorController = require('../controllers/sensorController');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', sensorController.getSensors);
+router.get('/quality', sensorController.getQuality);
+router.get('/calibration', sensorController.getCalibration);
+router.get('/:id', sensorController.getSensor);
+router.post('/', requireRole('Admin'), sensorController.createSensor);
+router.put('/:id', requireRole('Admin'), sensorController.updateSensor);
+router.delete('/:id', requireRole('Admin'), sensorController.deleteSensor);
+
+module.exports = router;
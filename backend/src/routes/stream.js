@@ -0,0 +1,8 @@
+const express = require('express');
+const streamController = require('../controllers/streamController');
+
+const router = express.Router();
+
+router.get('/', streamController.openStream);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const { createApp, createShutdown } = require('./app');
+const { initDatabase, closeDatabase } = require('./config/database');
+const { createMqttBridge } = require('./services/mqttBridge');
+const { startOfflineMonitor } = require('./services/alertEngine');
+const { ensureAdminUser } = require('./services/authService');
+
+const PORT = process.env.PORT || 3001;
+
+const start = async () => {
+  await initDatabase();
+
+  const admin = ensureAdminUser();
+  if (admin) console.log(`Created admin user "${admin.username}" from ADMIN_PASSWORD`);
+  if (!process.env.JWT_SECRET) {
+    console.warn('JWT_SECRET is not set: sign-ins will not survive a restart');
+  }
+  if (!process.env.INGEST_API_KEY) {
+    console.warn('INGEST_API_KEY is not set: only signed-in Operators can post readings');
+  }
+
+  // The MQTT bridge is optional; the REST endpoints work without a broker
+  let mqttBridge;
+  if (process.env.MQTT_URL) {
+    mqttBridge = createMqttBridge();
+    mqttBridge.start()
+      .then(() => console.log(`MQTT bridge subscribed on ${process.env.MQTT_URL}`))
+      .catch(error => console.error('MQTT bridge failed to start:', error.message));
+  }
+
+  const stopOfflineMonitor = startOfflineMonitor();
+
+  const server = createApp({ mqttBridge }).listen(PORT, () => {
+    console.log(`RawdahScope API running on port ${PORT}`);
+  });
+
+  const shutdown = createShutdown(server, {
+    cleanup: async () => {
+      stopOfflineMonitor();
+      if (mqttBridge) await mqttBridge.stop();
+      closeDatabase();
+    }
+  });
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+start().catch(error => {
+  console.error('Failed to start RawdahScope API:', error);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+// ============================
+// Aggregation Engine (SENSOR_DATA_FORMULAS.md §1-2)
+// ============================
+// Pure functions over daily_aggregates-shaped rows, so the formulas can be
+// tested without a database. Daily rows are folded one reading at a time;
+// per-metric counts keep the running averages exact when a node skips a field.
+const { VALIDITY_RULES } = require('./dataQuality');
+
+// key -> daily_aggregates column prefix; humidity has no min/max columns
+const METRICS = [
+  { key: 'co2', field: 'co2_ppm', extremes: true },
+  { key: 'air_temp', field: 'air_temperature', extremes: true },
+  { key: 'surface_temp', field: 'surface_temperature', extremes: true },
+  { key: 'humidity', field: 'humidity', extremes: false }
+];
+
+// Metrics compared between zones (§2.2), keyed the way the API reports them
+const IMPACT_METRICS = [
+  { key: 'co2', name: 'co2' },
+  { key: 'air_temp', name: 'air_temperature' },
+  { key: 'surface_temp', name: 'surface_temperature' }
+];
+
+const round = (value, digits = 1) => (value == null ? null : Number(value.toFixed(digits)));
+
+const emptyDailyAggregate = (sensorId, date) => {
+  const aggregate = { sensor_id: sensorId, date, total_readings: 0, good_readings: 0 };
+  METRICS.forEach(({ key, extremes }) => {
+    aggregate[`${key}_avg`] = null;
+    aggregate[`${key}_count`] = 0;
+    if (extremes) {
+      aggregate[`${key}_min`] = null;
+      aggregate[`${key}_max`] = null;
+    }
+  });
+  return aggregate;
+};
+
+// A field that breaks its §6 rule is stored with the reading (marked 'Poor')
+// but must not move the daily statistics
+const isUsable = (field, value) => {
+  const rule = VALIDITY_RULES.find(r => r.field === field);
+  return !rule || rule.isValid(Number(value));
+};
+
+// §1.1 Daily_Average = SUM / COUNT, kept as a running mean. Returns a new row.
+// The reading still counts towards total_readings when every field is skipped.
+const addReading = (aggregate, reading) => {
+  const next = {
+    ...aggregate,
+    total_readings: aggregate.total_readings + 1,
+    good_readings: aggregate.good_readings + (reading.data_quality === 'Good' ? 1 : 0)
+  };
+
+  METRICS.forEach(({ key, field, extremes }) => {
+    const value = reading[field];
+    if (value == null || !isUsable(field, value)) return;
+
+    const count = aggregate[`${key}_count`] + 1;
+    const previous = aggregate[`${key}_avg`] ?? 0;
+    next[`${key}_count`] = count;
+    next[`${key}_avg`] = previous + (value - previous) / count;
+    if (extremes) {
+      next[`${key}_min`] = aggregate[`${key}_min`] == null ? value : Math.min(aggregate[`${key}_min`], value);
+      next[`${key}_max`] = aggregate[`${key}_max`] == null ? value : Math.max(aggregate[`${key}_max`], value);
+    }
+  });
+
+  return next;
+};
+
+const aggregateReadings = (sensorId, date, readings, base = emptyDailyAggregate(sensorId, date)) =>
+  readings.reduce(addReading, base);
+
+// §1.2 Weekly_Average over daily averages. The formula divides by 7; days
+// without readings are left out rather than counted as zero.
+const weeklyAverages = (dailyRows) => {
+  const result = {};
+  METRICS.forEach(({ key }) => {
+    const values = dailyRows.map(row => row[`${key}_avg`]).filter(v => v != null);
+    result[`${key}_avg`] = values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+  });
+  result.days = new Set(dailyRows.map(row => row.date)).size;
+  return result;
+};
+
+// Mean of many daily rows per metric, weighted by the readings behind each row
+// (the same result as averaging the raw readings). Rows without counts are skipped.
+const weightedAverages = (dailyRows) => {
+  const averages = {};
+  METRICS.forEach(({ key }) => {
+    let sum = 0;
+    let count = 0;
+    dailyRows.forEach(row => {
+      const avg = row[`${key}_avg`];
+      const n = row[`${key}_count`];
+      if (avg == null || !n) return;
+      sum += avg * n;
+      count += n;
+    });
+    averages[`${key}_avg`] = count ? round(sum / count) : null;
+  });
+  averages.total_readings = dailyRows.reduce((total, row) => total + (row.total_readings || 0), 0);
+  return averages;
+};
+
+// §2.1 Zone_Average = AVG(readings from all sensors in zone)
+const zoneAverages = (dailyRows) => {
+  const byZone = new Map();
+  dailyRows.forEach(row => {
+    const zone = row.afforestation_status;
+    if (!zone) return;
+    if (!byZone.has(zone)) byZone.set(zone, []);
+    byZone.get(zone).push(row);
+  });
+
+  return Object.fromEntries(Array.from(byZone.entries()).map(([zone, rows]) => {
+    const { total_readings, ...averages } = weightedAverages(rows);
+    return [zone, { ...averages, sensors: new Set(rows.map(row => row.sensor_id)).size, total_readings }];
+  }));
+};
+
+// §2.2 Reduction = Avg_Non_Afforested - Avg_Afforested,
+// Reduction_Percentage = Reduction / Avg_Non_Afforested * 100.
+// Metrics missing from either zone are null.
+const calculateImpact = (zones) => {
+  const afforested = zones.Afforested;
+  const nonAfforested = zones['Non-afforested'];
+
+  return Object.fromEntries(IMPACT_METRICS.map(({ key, name }) => {
+    const treated = afforested?.[`${key}_avg`];
+    const control = nonAfforested?.[`${key}_avg`];
+    if (treated == null || control == null) return [name, null];
+
+    const reduction = control - treated;
+    return [name, {
+      reduction: round(reduction),
+      percent: control === 0 ? null : round((reduction / control) * 100)
+    }];
+  }));
+};
+
+module.exports = {
+  METRICS,
+  round,
+  emptyDailyAggregate,
+  addReading,
+  aggregateReadings,
+  weeklyAverages,
+  weightedAverages,
+  zoneAverages,
+  calculateImpact
+};
@@ -0,0 +1,122 @@
+// ============================
+// Aggregation Service
+// ============================
+const DailyAggregate = require('../models/DailyAggregate');
+const SensorReading = require('../models/SensorReading');
+const { aggregateReadings, weeklyAverages, zoneAverages, calculateImpact } = require('./aggregationEngine');
+
+const RIYADH_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Riyadh calendar date (YYYY-MM-DD) for an ISO timestamp
+const toLocalDate = (timestamp) => new Date(Date.parse(timestamp) + RIYADH_OFFSET_MS).toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Sunday of the Riyadh week containing the given instant (the dashboard's weeks start on Sunday)
+const currentWeekStart = (now = new Date()) => {
+  const today = toLocalDate(now.toISOString());
+  return addDays(today, -new Date(`${today}T00:00:00Z`).getUTCDay());
+};
+
+// Folds new readings into the daily aggregate of every sensor-day they touch.
+// Rows written before the per-metric counts existed are rebuilt from raw readings.
+const refreshDailyAggregates = (readings) => {
+  const touched = new Map();
+  readings.forEach(reading => {
+    const key = `${reading.sensor_id}|${toLocalDate(reading.timestamp)}`;
+    if (!touched.has(key)) touched.set(key, []);
+    touched.get(key).push(reading);
+  });
+
+  touched.forEach((dayReadings, key) => {
+    const [sensorId, date] = key.split('|');
+    const existing = DailyAggregate.findOne(sensorId, date);
+    const aggregate = existing && existing.co2_count == null
+      ? aggregateReadings(sensorId, date, SensorReading.findForLocalDay(sensorId, date))
+      : aggregateReadings(sensorId, date, dayReadings, existing ?? undefined);
+    DailyAggregate.upsert(aggregate);
+  });
+};
+
+// One daily_data entry of the weekly view
+const toDailyPoint = (row) => ({
+  day: DAY_NAMES[new Date(`${row.date}T00:00:00Z`).getUTCDay()],
+  date: row.date,
+  co2_avg: DailyAggregate.round(row.co2_avg),
+  air_temp_avg: DailyAggregate.round(row.air_temp_avg),
+  surface_temp_avg: DailyAggregate.round(row.surface_temp_avg)
+});
+
+// Current daily_data entry for one sensor-day, or null before its first reading
+const getDailyPoint = (sensorId, date) => {
+  const [row] = DailyAggregate.findAll({ sensor_id: sensorId, from: date, to: date });
+  return row ? toDailyPoint(row) : null;
+};
+
+// 7-day view starting at weekStart, grouped per sensor (GET /aggregates/weekly)
+const getWeeklySummary = ({ week_start, sensor_id, afforestation_status }) => {
+  const weekEnd = addDays(week_start, 6);
+  const rows = DailyAggregate.findAll({ sensor_id, afforestation_status, from: week_start, to: weekEnd });
+
+  const bySensor = new Map();
+  rows.forEach(row => {
+    if (!bySensor.has(row.sensor_id)) {
+      bySensor.set(row.sensor_id, {
+        sensor_id: row.sensor_id,
+        afforestation_status: row.afforestation_status,
+        daily_data: []
+      });
+    }
+    bySensor.get(row.sensor_id).daily_data.push(toDailyPoint(row));
+  });
+
+  return {
+    week_start,
+    week_end: weekEnd,
+    sensors: Array.from(bySensor.values()).map(sensor => ({
+      ...sensor,
+      weekly_avg: weeklyAverages(rows.filter(row => row.sensor_id === sensor.sensor_id))
+    }))
+  };
+};
+
+// Period key of a date: the date itself, its Sunday week start, its month, or one bucket
+const PERIOD_KEYS = {
+  day: (date) => date,
+  week: (date) => addDays(date, -new Date(`${date}T00:00:00Z`).getUTCDay()),
+  month: (date) => date.slice(0, 7),
+  all: () => 'all'
+};
+
+// Zone averages and afforestation impact per period (GET /aggregates/zones)
+const getZoneSummary = ({ from, to, period = 'all' }) => {
+  const rows = DailyAggregate.findAll({ from, to, activeOnly: true });
+  const byPeriod = new Map();
+  rows.forEach(row => {
+    const key = PERIOD_KEYS[period](row.date);
+    if (!byPeriod.has(key)) byPeriod.set(key, []);
+    byPeriod.get(key).push(row);
+  });
+
+  return Array.from(byPeriod.entries()).map(([key, periodRows]) => {
+    const zones = zoneAverages(periodRows);
+    return { period: key, zones, impact: calculateImpact(zones) };
+  });
+};
+
+module.exports = {
+  DAY_NAMES,
+  toLocalDate,
+  addDays,
+  currentWeekStart,
+  refreshDailyAggregates,
+  getDailyPoint,
+  getWeeklySummary,
+  PERIOD_KEYS,
+  getZoneSummary
+};
@@ -0,0 +1,219 @@
+// ============================
+// Alert Engine (SENSOR_DATA_FORMULAS.md §8)
+// ============================
+// Evaluates each sensor's newest reading against the §8.1 thresholds and keeps
+// at most one open alert per sensor and type: a repeat updates the open alert,
+// a reading back inside the thresholds resolves it. Silent nodes are flagged
+// by a periodic sweep and cleared by their next reading. Admins can override
+// the CO₂, temperature and battery thresholds (PUT /alerts/thresholds).
+const Alert = require('../models/Alert');
+const AlertThreshold = require('../models/AlertThreshold');
+const Sensor = require('../models/Sensor');
+const { transaction } = require('../config/database');
+const { checkReading } = require('./dataQuality');
+const { publish } = require('./eventBus');
+const { ApiError } = require('../middleware/errorHandler');
+
+const SEVERITIES = ['Info', 'Warning', 'Critical'];
+
+// §8.1 defaults. Humidity limits are listed there too, but the alerts table
+// has no humidity alert type, so they are not evaluated.
+const THRESHOLDS = {
+  co2: { warning: 700, critical: 1000 },
+  temperature: { warning: 35, critical: 40 },
+  humidity: { warning_low: 20, warning_high: 80, critical_low: 10, critical_high: 90 },
+  battery: { warning: 20, critical: 10 }
+};
+
+// Single Li-ion cell: 3.0 V empty, 4.2 V full (§8.2)
+const batteryPercent = (voltage) => Math.min(100, Math.max(0, ((voltage - 3.0) / (4.2 - 3.0)) * 100));
+
+const OFFLINE_AFTER_MINUTES = Number(process.env.ALERT_OFFLINE_MINUTES) || 60;
+
+const above = (value, { warning, critical }) => {
+  if (value >= critical) return { severity: 'Critical', threshold: critical };
+  if (value >= warning) return { severity: 'Warning', threshold: warning };
+  return null;
+};
+
+const below = (value, { warning, critical }) => {
+  if (value <= critical) return { severity: 'Critical', threshold: critical };
+  if (value <= warning) return { severity: 'Warning', threshold: warning };
+  return null;
+};
+
+const RULES = [
+  {
+    type: 'High_CO2',
+    field: 'co2_ppm',
+    evaluate: (value, thresholds) => above(value, thresholds.co2),
+    message: (value, threshold) => `CO2 level is ${value} ppm (threshold: ${threshold})`
+  },
+  {
+    type: 'High_Temperature',
+    field: 'air_temperature',
+    evaluate: (value, thresholds) => above(value, thresholds.temperature),
+    message: (value, threshold) => `Temperature is ${value}°C (threshold: ${threshold}°C)`
+  },
+  {
+    type: 'Low_Battery',
+    field: 'battery_voltage',
+    toValue: voltage => Number(batteryPercent(voltage).toFixed(1)),
+    evaluate: (percent, thresholds) => below(percent, thresholds.battery),
+    message: percent => `Battery at ${percent.toFixed(0)}%`
+  }
+];
+
+// Metrics an admin can change, and which way they trigger
+const EDITABLE_THRESHOLDS = { co2: 'above', temperature: 'above', battery: 'below' };
+
+// Defaults with the stored overrides applied
+const currentThresholds = () => {
+  const thresholds = { ...THRESHOLDS };
+  AlertThreshold.findAll().forEach(row => {
+    thresholds[row.metric] = { warning: row.warning, critical: row.critical };
+  });
+  return thresholds;
+};
+
+// Stores { metric: { warning, critical } } overrides. Critical must be past
+// warning in the direction the metric triggers; battery is a percentage.
+const updateThresholds = (changes, { updatedBy } = {}) => {
+  if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Send at least one of co2, temperature, battery');
+  }
+  const rows = Object.entries(changes).map(([metric, value]) => {
+    const direction = EDITABLE_THRESHOLDS[metric];
+    if (!direction) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `${metric} thresholds cannot be changed`, { field: metric });
+    }
+    const warning = Number(value?.warning);
+    const critical = Number(value?.critical);
+    if (value?.warning == null || value?.critical == null || !Number.isFinite(warning) || !Number.isFinite(critical)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `${metric} needs numeric warning and critical values`, { field: metric, value });
+    }
+    if (direction === 'above' ? critical <= warning : critical >= warning) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `${metric} critical must be ${direction} warning`, { field: metric, value });
+    }
+    if (metric === 'battery' && (warning > 100 || critical < 0)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'battery thresholds are percentages (0-100)', { field: metric, value });
+    }
+    return { metric, warning, critical, updated_by: updatedBy };
+  });
+
+  transaction(() => rows.forEach(row => AlertThreshold.upsert(row)));
+  return currentThresholds();
+};
+
+// Fields that break a §6 rule raise a Data_Quality alert instead of a threshold alert
+const validFields = (reading, failures) => {
+  const invalid = new Set(failures.map(failure => failure.field));
+  return RULES.filter(rule => reading[rule.field] != null && !invalid.has(rule.field));
+};
+
+// §8.2 checkThresholds: the alerts one reading triggers
+const checkThresholds = (reading, thresholds = currentThresholds()) => {
+  const failures = checkReading(reading);
+  const alerts = validFields(reading, failures).flatMap(rule => {
+    const value = rule.toValue ? rule.toValue(reading[rule.field]) : reading[rule.field];
+    const hit = rule.evaluate(value, thresholds);
+    return hit ? [{ type: rule.type, severity: hit.severity, message: rule.message(value, hit.threshold), threshold: hit.threshold, value }] : [];
+  });
+
+  if (failures.length) {
+    alerts.push({
+      type: 'Data_Quality',
+      severity: 'Info',
+      message: failures.map(failure => failure.reason).join('; '),
+      threshold: null,
+      value: null
+    });
+  }
+  return alerts;
+};
+
+// Alert types a reading can confirm or clear. Any reading clears Sensor_Offline.
+const checkedTypes = (reading) =>
+  [...validFields(reading, checkReading(reading)).map(rule => rule.type), 'Data_Quality', 'Sensor_Offline'];
+
+// Opens, updates or resolves the alerts of one stored reading. Returns the
+// alerts whose state changed (for the live stream); repeats at the same
+// severity are updated quietly.
+const applyReadingAlerts = (reading) => {
+  const triggered = checkThresholds(reading);
+  const changed = [];
+
+  checkedTypes(reading).forEach(type => {
+    const open = Alert.findOpen(reading.sensor_id, type);
+    const hit = triggered.find(alert => alert.type === type);
+    const fields = hit && { severity: hit.severity, message: hit.message, threshold_value: hit.threshold, actual_value: hit.value };
+
+    if (hit && !open) {
+      changed.push(Alert.create({ ...fields, sensor_id: reading.sensor_id, alert_type: type, triggered_at: reading.timestamp }));
+    } else if (hit) {
+      const updated = Alert.update(open.id, fields);
+      if (open.severity !== hit.severity) changed.push(updated);
+    } else if (open && Alert.resolve(open.id, reading.timestamp)) {
+      changed.push(Alert.findById(open.id));
+    }
+  });
+
+  return changed.map(Alert.toApi);
+};
+
+// Marks sensors without a reading for `offlineMinutes` Offline and opens a
+// Critical Sensor_Offline alert. Sensors in Maintenance or that never
+// reported are left alone.
+const sweepOfflineSensors = ({ now = new Date(), offlineMinutes = OFFLINE_AFTER_MINUTES } = {}) => transaction(() => {
+  const cutoff = now.getTime() - offlineMinutes * 60 * 1000;
+  const alerts = [];
+  const sensors = [];
+
+  Sensor.findAll()
+    .filter(sensor => sensor.last_reading && sensor.status !== 'Maintenance' && Date.parse(sensor.last_reading) <= cutoff)
+    .forEach(sensor => {
+      if (Sensor.setStatus(sensor.id, 'Offline')) sensors.push(Sensor.toApi(Sensor.findById(sensor.id)));
+      if (Alert.findOpen(sensor.id, 'Sensor_Offline')) return;
+
+      const minutes = Math.round((now.getTime() - Date.parse(sensor.last_reading)) / 60000);
+      alerts.push(Alert.toApi(Alert.create({
+        sensor_id: sensor.id,
+        alert_type: 'Sensor_Offline',
+        severity: 'Critical',
+        message: `No readings for ${minutes} minutes`,
+        threshold_value: offlineMinutes,
+        actual_value: minutes,
+        triggered_at: now.toISOString()
+      })));
+    });
+
+  return { alerts, sensors };
+});
+
+// Runs the offline sweep on a timer and announces what it changed. Returns a stop function.
+const startOfflineMonitor = ({ intervalMs = 60 * 1000, offlineMinutes } = {}) => {
+  const timer = setInterval(() => {
+    try {
+      const { alerts, sensors } = sweepOfflineSensors({ offlineMinutes });
+      sensors.forEach(sensor => publish('sensor_status', sensor));
+      alerts.forEach(alert => publish('alert', alert));
+    } catch (error) {
+      console.error('Offline sweep failed:', error.message);
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  SEVERITIES,
+  THRESHOLDS,
+  OFFLINE_AFTER_MINUTES,
+  currentThresholds,
+  updateThresholds,
+  batteryPercent,
+  checkThresholds,
+  applyReadingAlerts,
+  sweepOfflineSensors,
+  startOfflineMonitor
+};
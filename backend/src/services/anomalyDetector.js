@@ -0,0 +1,254 @@
+// ============================
+// Sensor Anomaly Detector
+// ============================
+// Looks at the values a node reports rather than whether it reports: readings
+// that pass the §6 validity rules can still come from a faulty sensor. Pure
+// functions over readings (oldest first), so the checks can be tested without
+// a database.
+//
+//   stuck      the same value reading after reading for hours
+//   jump       a step between consecutive readings too big for the interval
+//   rate       a change faster than the quantity can physically move outdoors
+//   neighbor   hourly values far from every other node
+//   drift      the offset from the other nodes growing day after day
+//              (a self-calibrating MH-Z19B walking away from the truth)
+//   reference  air temperature far from Open-Meteo's model for the campus
+//
+// Zones legitimately differ (that is what the afforestation study measures),
+// so neighbor tolerances sit well above the expected zone effect, and surface
+// temperature, which differs most between zones, is not compared at all.
+const { VALIDITY_RULES } = require('./dataQuality');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Readings more than this far apart are a gap, not a step
+const MAX_STEP_GAP_MS = 30 * 60 * 1000;
+
+// Rates are taken over at least this long, so sensor noise between readings
+// seconds apart does not read as an impossible rate of change
+const MIN_RATE_INTERVAL_MS = 60 * 1000;
+
+// A value repeated this many times over at least this long is stuck
+const STUCK_READINGS = 8;
+const STUCK_MIN_MS = 2 * HOUR_MS;
+
+// Hours and days of overlap needed before comparing with other nodes
+const MIN_COMPARED_HOURS = 6;
+const MIN_DRIFT_DAYS = 3;
+
+const REFERENCE_TOLERANCE = 6; // °C
+
+const FIELDS = {
+  co2_ppm: { label: 'CO₂', unit: 'ppm', jump: 150, maxRatePerMinute: 50, neighborTolerance: 150, driftPerDay: 10 },
+  air_temperature: { label: 'Air temperature', unit: '°C', jump: 5, maxRatePerMinute: 1, neighborTolerance: 5, driftPerDay: 0.5, reference: true },
+  surface_temperature: { label: 'Surface temperature', unit: '°C', jump: 10, maxRatePerMinute: 2 },
+  humidity: { label: 'Humidity', unit: '%', jump: 20, maxRatePerMinute: 5, neighborTolerance: 20, driftPerDay: 2 }
+};
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Least-squares slope of y over x
+const slope = (points) => {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  return sxx === 0 ? 0 : sxy / sxx;
+};
+
+// { time, value } for each reading of `field` that passes its §6 validity rule
+const seriesOf = (readings, field) => {
+  const rule = VALIDITY_RULES.find(r => r.field === field);
+  return readings
+    .filter(reading => reading[field] != null && (!rule || rule.isValid(Number(reading[field]))))
+    .map(reading => ({ time: Date.parse(reading.timestamp), value: Number(reading[field]) }));
+};
+
+// Hour start (ms) -> mean value
+const hourlyMeans = (series) => {
+  const buckets = new Map();
+  series.forEach(({ time, value }) => {
+    const hour = Math.floor(time / HOUR_MS) * HOUR_MS;
+    const bucket = buckets.get(hour) ?? { sum: 0, n: 0 };
+    bucket.sum += value;
+    bucket.n += 1;
+    buckets.set(hour, bucket);
+  });
+  return new Map(Array.from(buckets, ([hour, { sum, n }]) => [hour, sum / n]));
+};
+
+const detectStuck = (series, field) => {
+  let longest = null;
+  let start = 0;
+  for (let i = 1; i <= series.length; i++) {
+    if (i < series.length && series[i].value === series[start].value) continue;
+    const count = i - start;
+    const duration = series[i - 1].time - series[start].time;
+    if (count >= STUCK_READINGS && duration >= STUCK_MIN_MS && (!longest || count > longest.count)) {
+      longest = { count, duration, value: series[start].value, since: series[start].time };
+    }
+    start = i;
+  }
+  if (!longest) return [];
+  const { label, unit } = FIELDS[field];
+  return [{
+    type: 'stuck',
+    field,
+    count: longest.count,
+    value: longest.value,
+    since: new Date(longest.since).toISOString(),
+    message: `${label} stuck at ${longest.value} ${unit} for ${longest.count} readings (${round(longest.duration / HOUR_MS)} h)`
+  }];
+};
+
+// Steps and rates between consecutive readings. A change that is physically
+// impossible is reported as a rate, not also as a jump.
+const detectSteps = (series, field) => {
+  const { label, unit, jump, maxRatePerMinute } = FIELDS[field];
+  const jumps = [];
+  const rates = [];
+  for (let i = 1; i < series.length; i++) {
+    const elapsed = series[i].time - series[i - 1].time;
+    if (elapsed <= 0) continue;
+    const change = series[i].value - series[i - 1].value;
+    const perMinute = Math.abs(change) / (Math.max(elapsed, MIN_RATE_INTERVAL_MS) / 60000);
+    if (perMinute > maxRatePerMinute) {
+      rates.push({ change, perMinute, time: series[i].time });
+    } else if (elapsed <= MAX_STEP_GAP_MS && Math.abs(change) >= jump) {
+      jumps.push({ change, time: series[i].time });
+    }
+  }
+
+  const anomalies = [];
+  if (rates.length > 0) {
+    const worst = rates.reduce((a, b) => (b.perMinute > a.perMinute ? b : a));
+    anomalies.push({
+      type: 'rate',
+      field,
+      count: rates.length,
+      value: round(worst.perMinute, 2),
+      since: new Date(rates[0].time).toISOString(),
+      message: `${label} changed ${round(worst.perMinute, 2)} ${unit}/min (limit ${maxRatePerMinute}), ${rates.length}×`
+    });
+  }
+  if (jumps.length > 0) {
+    const worst = jumps.reduce((a, b) => (Math.abs(b.change) > Math.abs(a.change) ? b : a));
+    anomalies.push({
+      type: 'jump',
+      field,
+      count: jumps.length,
+      value: round(worst.change),
+      since: new Date(jumps[0].time).toISOString(),
+      message: `${label} jumped ${worst.change > 0 ? '+' : ''}${round(worst.change)} ${unit} between readings (limit ${jump}), ${jumps.length}×`
+    });
+  }
+  return anomalies;
+};
+
+// Hourly offsets from `others` (hour -> value)
+const offsetsFrom = (own, others) => Array.from(own)
+  .filter(([hour]) => others.has(hour))
+  .map(([hour, value]) => ({ hour, offset: value - others.get(hour) }));
+
+// Slope (per day) of the daily median offset, or null with too few days
+const dailyDrift = (offsets) => {
+  const byDay = new Map();
+  offsets.forEach(({ hour, offset }) => {
+    const day = Math.floor(hour / DAY_MS);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(offset);
+  });
+  if (byDay.size < MIN_DRIFT_DAYS) return null;
+  return { perDay: slope(Array.from(byDay, ([day, values]) => ({ x: day, y: median(values) }))), days: byDay.size };
+};
+
+// The smallest of `values` when all of them are past `limit` on the same side,
+// otherwise null
+const consistentlyBeyond = (values, limit) => {
+  if (values.length === 0) return null;
+  const sameSide = values.every(v => v > 0) || values.every(v => v < 0);
+  const smallest = values.reduce((a, b) => (Math.abs(b) < Math.abs(a) ? b : a));
+  return sameSide && Math.abs(smallest) >= limit ? smallest : null;
+};
+
+// A node is only blamed when it disagrees with every neighbor it overlaps:
+// with three nodes, one faulty node disagrees with both others, while each
+// healthy node still agrees with one
+const detectNeighborDisagreement = (own, neighbors, field) => {
+  const { label, unit, neighborTolerance, driftPerDay } = FIELDS[field];
+  if (neighborTolerance == null) return [];
+
+  const compared = neighbors
+    .map(neighbor => offsetsFrom(own, neighbor))
+    .filter(offsets => offsets.length >= MIN_COMPARED_HOURS);
+
+  const anomalies = [];
+  const offset = consistentlyBeyond(compared.map(offsets => median(offsets.map(o => o.offset))), neighborTolerance);
+  if (offset != null) {
+    anomalies.push({
+      type: 'neighbor',
+      field,
+      value: round(offset),
+      message: `${label} ${round(Math.abs(offset))} ${unit} ${offset > 0 ? 'above' : 'below'} neighboring nodes (tolerance ${neighborTolerance})`
+    });
+  }
+
+  const drifts = compared.map(dailyDrift).filter(Boolean);
+  const perDay = consistentlyBeyond(drifts.map(d => d.perDay), driftPerDay);
+  if (perDay != null) {
+    anomalies.push({
+      type: 'drift',
+      field,
+      value: round(perDay, 2),
+      message: `${label} drifting ${perDay > 0 ? '+' : ''}${round(perDay, 2)} ${unit}/day against neighboring nodes over ${Math.max(...drifts.map(d => d.days))} days`
+    });
+  }
+  return anomalies;
+};
+
+const detectReferenceDisagreement = (own, reference, field) => {
+  const { label, unit } = FIELDS[field];
+  const offsets = offsetsFrom(own, reference);
+  if (offsets.length < MIN_COMPARED_HOURS) return [];
+  const typical = median(offsets.map(o => o.offset));
+  if (Math.abs(typical) <= REFERENCE_TOLERANCE) return [];
+  return [{
+    type: 'reference',
+    field,
+    value: round(typical),
+    message: `${label} ${round(Math.abs(typical))} ${unit} ${typical > 0 ? 'above' : 'below'} Open-Meteo (tolerance ${REFERENCE_TOLERANCE})`
+  }];
+};
+
+// Anomalies for one sensor. `neighbors` are the other sensors' readings
+// (arrays, oldest first); `reference` maps hour start (ms) to Open-Meteo air
+// temperature, or is null when it could not be fetched.
+const detectAnomalies = (readings, { neighbors = [], reference = null } = {}) =>
+  Object.keys(FIELDS).flatMap(field => {
+    const series = seriesOf(readings, field);
+    if (series.length === 0) return [];
+    const own = hourlyMeans(series);
+    return [
+      ...detectStuck(series, field),
+      ...detectSteps(series, field),
+      ...detectNeighborDisagreement(own, neighbors.map(n => hourlyMeans(seriesOf(n, field))).filter(n => n.size > 0), field),
+      ...(FIELDS[field].reference && reference ? detectReferenceDisagreement(own, reference, field) : [])
+    ];
+  });
+
+module.exports = {
+  FIELDS,
+  STUCK_READINGS,
+  REFERENCE_TOLERANCE,
+  seriesOf,
+  hourlyMeans,
+  detectAnomalies
+};
@@ -0,0 +1,133 @@
+// ============================
+// Authentication (BACKEND_API.md "Authentication")
+// ============================
+// HS256 JSON Web Tokens and scrypt password hashes, both on node:crypto.
+// Login returns a short-lived access token and a longer refresh token; the
+// role travels in the access token, so a role change applies on the next refresh.
+const crypto = require('crypto');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Ascending privilege: each role can do everything the ones before it can
+const ROLES = ['Viewer', 'Operator', 'Admin'];
+
+const ACCESS_TOKEN_TTL = Number(process.env.JWT_EXPIRES_IN) || 60 * 60;
+const REFRESH_TOKEN_TTL = Number(process.env.JWT_REFRESH_EXPIRES_IN) || 7 * 24 * 60 * 60;
+
+// Without JWT_SECRET tokens are signed with a per-process key and stop working on restart
+const SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+// Stored as "scrypt$<salt>$<hash>" (hex)
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+const signToken = (claims, ttlSeconds, now = Date.now()) => {
+  const iat = Math.floor(now / 1000);
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, iat, exp: iat + ttlSeconds })}`;
+  return `${data}.${sign(data)}`;
+};
+
+// Returns the claims of a valid, unexpired token of `type` ('access' or 'refresh')
+const verifyToken = (token, type, now = Date.now()) => {
+  const invalid = () => new ApiError(401, 'INVALID_TOKEN', 'Invalid or expired token');
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) throw invalid();
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) throw invalid();
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw invalid();
+  }
+  if (claims.type !== type) throw invalid();
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= now) {
+    throw new ApiError(401, 'TOKEN_EXPIRED', 'Token has expired');
+  }
+  return claims;
+};
+
+const issueTokens = (user) => ({
+  token: signToken({ sub: user.id, username: user.username, role: user.role, type: 'access' }, ACCESS_TOKEN_TTL),
+  refresh_token: signToken({ sub: user.id, type: 'refresh' }, REFRESH_TOKEN_TTL),
+  user: User.toApi(user),
+  expires_in: ACCESS_TOKEN_TTL
+});
+
+const login = ({ username, password } = {}) => {
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'username and password are required');
+  }
+  const user = User.findByUsername(username.trim());
+  if (!user || !user.is_active || !verifyPassword(password, user.password_hash)) {
+    throw new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid username or password');
+  }
+  User.touchLogin(user.id);
+  return issueTokens(User.findById(user.id));
+};
+
+// A refresh re-reads the user, so deactivated accounts and role changes take effect here
+const refresh = ({ refresh_token } = {}) => {
+  if (typeof refresh_token !== 'string' || !refresh_token) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'refresh_token is required', { field: 'refresh_token' });
+  }
+  const user = User.findById(verifyToken(refresh_token, 'refresh').sub);
+  if (!user || !user.is_active) throw new ApiError(401, 'INVALID_TOKEN', 'Invalid or expired token');
+  return issueTokens(user);
+};
+
+const createUser = ({ username, email, password, role = 'Viewer' }) => {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9._-]{3,50}$/.test(username)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'username must be 3-50 letters, digits, ".", "_" or "-"', { field: 'username', value: username });
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'password must be at least 8 characters', { field: 'password' });
+  }
+  if (!ROLES.includes(role)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `role must be one of ${ROLES.join(', ')}`, { field: 'role', value: role });
+  }
+  if (User.findByUsername(username)) {
+    throw new ApiError(409, 'USER_EXISTS', 'A user with this username already exists', { field: 'username', value: username });
+  }
+  return User.create({ username, email, password_hash: hashPassword(password), role });
+};
+
+// First start: creates the admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+// when the users table is empty. Returns the created user, if any.
+const ensureAdminUser = ({ username = process.env.ADMIN_USERNAME || 'admin', password = process.env.ADMIN_PASSWORD } = {}) => {
+  if (!password || User.count() > 0) return null;
+  return createUser({ username, password, role: 'Admin' });
+};
+
+module.exports = {
+  ROLES,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  login,
+  refresh,
+  createUser,
+  ensureAdminUser
+};
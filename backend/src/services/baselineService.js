@@ -0,0 +1,129 @@
+// ============================
+// Baseline Comparison (SENSOR_DATA_FORMULAS.md §3)
+// ============================
+// Compares this year's monthly sensor averages with a pre-afforestation
+// baseline year (2019) stored in historical_baselines.
+const Baseline = require('../models/Baseline');
+const DailyAggregate = require('../models/DailyAggregate');
+const { transaction } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { round, weightedAverages } = require('./aggregationEngine');
+
+const DEFAULT_LOCATION = 'Prince Sultan University';
+const BASELINE_YEAR = 2019;
+
+// API metric name -> historical_baselines / daily_aggregates column
+const COMPARED_METRICS = [
+  { name: 'co2', column: 'co2_avg' },
+  { name: 'air_temperature', column: 'air_temp_avg' },
+  { name: 'surface_temperature', column: 'surface_temp_avg' }
+];
+
+// §3.3 Change = Current - Baseline, Percent_Change = Change / Baseline * 100
+const calculateChange = (current, baseline) => {
+  if (current == null || baseline == null) return null;
+  const change = current - baseline;
+  return { change: round(change), percent: baseline === 0 ? null : round((change / baseline) * 100) };
+};
+
+// ERA5 daily series (Open-Meteo archive) -> monthly means in baseline row shape.
+// Air temperature is the 2 m mean; surface heat uses the 0-7 cm soil layer.
+const monthlyMeansFromDaily = (daily) => {
+  const months = new Map();
+  (daily?.time ?? []).forEach((date, i) => {
+    const month = Number(date.slice(5, 7));
+    if (!months.has(month)) months.set(month, { air: [], surface: [] });
+    const bucket = months.get(month);
+    const air = daily.temperature_2m_mean?.[i];
+    const surface = daily.soil_temperature_0_to_7cm_mean?.[i];
+    if (air != null) bucket.air.push(air);
+    if (surface != null) bucket.surface.push(surface);
+  });
+
+  const mean = (values) => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+  return Array.from(months.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([month, { air, surface }]) => ({ month, air_temp_avg: mean(air), surface_temp_avg: mean(surface) }));
+};
+
+// §3.2 monthly averages of every sensor in the district, for one calendar year
+const currentMonthlyAverages = (year, district) => {
+  const rows = DailyAggregate.findAll({ district, from: `${year}-01-01`, to: `${year}-12-31`, activeOnly: true });
+  const byMonth = new Map();
+  rows.forEach(row => {
+    const month = Number(row.date.slice(5, 7));
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(row);
+  });
+  return new Map(Array.from(byMonth.entries()).map(([month, monthRows]) => [month, weightedAverages(monthRows)]));
+};
+
+// Month-by-month baseline vs current (GET /baselines/:year/comparison). Months
+// with neither a baseline nor readings are left out.
+const getBaselineComparison = ({ baselineYear = BASELINE_YEAR, year, location = DEFAULT_LOCATION }) => {
+  const baselines = new Map(Baseline.findAll({ location, year: baselineYear }).map(row => [row.month, row]));
+  const current = currentMonthlyAverages(year, location);
+
+  return Array.from({ length: 12 }, (_, i) => i + 1)
+    .filter(month => baselines.has(month) || current.has(month))
+    .map(month => {
+      const baseline = baselines.get(month);
+      const now = current.get(month);
+      return {
+        month,
+        baseline: baseline ? {
+          co2_avg: baseline.co2_avg,
+          air_temp_avg: baseline.air_temp_avg,
+          surface_temp_avg: baseline.surface_temp_avg,
+          data_source: baseline.data_source
+        } : null,
+        current: now ? {
+          co2_avg: now.co2_avg,
+          air_temp_avg: now.air_temp_avg,
+          surface_temp_avg: now.surface_temp_avg,
+          total_readings: now.total_readings
+        } : null,
+        change: Object.fromEntries(COMPARED_METRICS.map(({ name, column }) => (
+          [name, calculateChange(now?.[column], baseline?.[column])]
+        )))
+      };
+    });
+};
+
+const parseValue = (value, field) => {
+  if (value == null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be a number`, { field, value });
+  }
+  return number;
+};
+
+// Stores imported baseline months ({ months: [{ month, air_temp_avg, ... }] })
+const importBaselines = ({ year, location = DEFAULT_LOCATION, data_source, bounding_box, months }) => {
+  if (!Array.isArray(months) || months.length === 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'months must be a non-empty array', { field: 'months' });
+  }
+  const rows = months.map((entry, index) => {
+    const month = Number(entry?.month);
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'month must be between 1 and 12', { field: `months[${index}].month`, value: entry?.month });
+    }
+    const values = Object.fromEntries(Baseline.VALUE_COLUMNS.map(column => (
+      [column, parseValue(entry[column], `months[${index}].${column}`)]
+    )));
+    return { ...values, location_name: location, year, month, bounding_box, data_source: entry.data_source ?? data_source };
+  });
+
+  transaction(() => rows.forEach(row => Baseline.upsert(row)));
+  return Baseline.findAll({ location, year }).map(Baseline.toApi);
+};
+
+module.exports = {
+  DEFAULT_LOCATION,
+  BASELINE_YEAR,
+  calculateChange,
+  monthlyMeansFromDaily,
+  getBaselineComparison,
+  importBaselines
+};
@@ -0,0 +1,102 @@
+// ============================
+// Calibration Drift Engine
+// ============================
+// Compares a node's hourly air temperature with the co-located Open-Meteo
+// temperature. A constant offset is expected (the zones' microclimates are
+// what the study measures, and the model grid is coarse), so the
+// recalibration call rests on how the residual changes over time, not on its
+// size. Pure functions over paired hours, so they can be tested without a
+// database or network.
+//
+//   fit       node = gain * reference + offset (least squares over all hours)
+//   residual  daily mean of node - reference
+//   drift     least-squares trend of the daily residuals; the change it
+//             implies across the window is compared with the threshold
+
+const MIN_PAIRED_HOURS = 24;
+const MIN_TREND_DAYS = 5;
+
+// Hours a day needs before its mean residual is trusted
+const MIN_HOURS_PER_DAY = 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Least squares y = slope * x + intercept, with r²
+const linearFit = (points) => {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: meanY - slope * meanX, r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy) };
+};
+
+// `node` and `reference` map hour start (ms) to °C; `dateOf` gives the
+// calendar date of an hour. Returns [{ hour, date, node, reference }].
+const pairHours = (node, reference, dateOf) => Array.from(node)
+  .filter(([hour]) => reference.has(hour))
+  .map(([hour, value]) => ({ hour, date: dateOf(hour), node: value, reference: reference.get(hour) }));
+
+// { paired_hours, fit, residuals: [{ date, hours, residual, trend }], drift, recalibrate }.
+// `fit` and `drift` are null without enough data; `recalibrate` is true when
+// the residual trend moved at least `threshold` °C across the days compared.
+const analyzeCalibration = (pairs, { threshold }) => {
+  const result = { paired_hours: pairs.length, fit: null, residuals: [], drift: null, recalibrate: false };
+  if (pairs.length < MIN_PAIRED_HOURS) return result;
+
+  const fit = linearFit(pairs.map(p => ({ x: p.reference, y: p.node })));
+  if (fit) result.fit = { gain: round(fit.slope, 3), offset: round(fit.intercept), r2: round(fit.r2, 3) };
+
+  const byDate = new Map();
+  pairs.forEach(({ date, node, reference }) => {
+    const day = byDate.get(date) ?? { sum: 0, hours: 0 };
+    day.sum += node - reference;
+    day.hours += 1;
+    byDate.set(date, day);
+  });
+  const days = Array.from(byDate)
+    .filter(([, { hours }]) => hours >= MIN_HOURS_PER_DAY)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, { sum, hours }]) => ({ date, hours, residual: sum / hours }));
+  if (days.length === 0) return result;
+
+  // Days since the first compared day, so gaps in the data keep their width
+  const first = Date.parse(days[0].date);
+  const x = (date) => (Date.parse(date) - first) / DAY_MS;
+  const trend = days.length >= MIN_TREND_DAYS
+    ? linearFit(days.map(d => ({ x: x(d.date), y: d.residual })))
+    : null;
+
+  result.residuals = days.map(d => ({
+    date: d.date,
+    hours: d.hours,
+    residual: round(d.residual),
+    trend: trend ? round(trend.intercept + trend.slope * x(d.date)) : null
+  }));
+
+  if (trend) {
+    const span = x(days[days.length - 1].date);
+    const change = trend.slope * span;
+    result.drift = {
+      per_day: round(trend.slope, 3),
+      change: round(change),
+      current: round(trend.intercept + trend.slope * span),
+      days: days.length
+    };
+    result.recalibrate = Math.abs(change) >= threshold;
+  }
+  return result;
+};
+
+module.exports = {
+  MIN_PAIRED_HOURS,
+  MIN_TREND_DAYS,
+  linearFit,
+  pairHours,
+  analyzeCalibration
+};
@@ -0,0 +1,57 @@
+// ============================
+// Calibration Drift Report
+// ============================
+// Each node's air temperature (SHT30 / DS18B20) against Open-Meteo at the
+// node's own coordinates over the past days, with the fit, the daily residual
+// trend and a recalibration recommendation (calibrationEngine). Days are
+// Riyadh calendar days.
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { seriesOf, hourlyMeans } = require('./anomalyDetector');
+const { pairHours, analyzeCalibration } = require('./calibrationEngine');
+const { toLocalDate } = require('./aggregationService');
+const { getReferenceTemperatures } = require('./weatherReference');
+
+const DEFAULT_DAYS = 30;
+
+// °C the residual may move across the window before recalibration is recommended
+const DEFAULT_DRIFT_THRESHOLD = Number(process.env.CALIBRATION_DRIFT_THRESHOLD) || 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dateOfHour = (hour) => toLocalDate(new Date(hour).toISOString());
+
+// status: 'ok', 'recalibrate', 'insufficient_data' (too few paired hours or
+// days for a trend) or 'no_reference' (Open-Meteo unavailable)
+const statusOf = (analysis, hasReference) => {
+  if (!hasReference) return 'no_reference';
+  if (!analysis.drift) return 'insufficient_data';
+  return analysis.recalibrate ? 'recalibrate' : 'ok';
+};
+
+const getCalibrationReport = async ({ days = DEFAULT_DAYS, threshold = DEFAULT_DRIFT_THRESHOLD, now = new Date() } = {}) => {
+  const to = now.toISOString();
+  const from = new Date(now.getTime() - days * DAY_MS).toISOString();
+
+  const bySensor = new Map();
+  SensorReading.findBetween(from, to).forEach(reading => {
+    if (!bySensor.has(reading.sensor_id)) bySensor.set(reading.sensor_id, []);
+    bySensor.get(reading.sensor_id).push(reading);
+  });
+
+  // Nodes sharing a model grid cell share the cached reference
+  const sensors = await Promise.all(Sensor.findAll().map(async sensor => {
+    const reference = await getReferenceTemperatures({
+      latitude: sensor.latitude,
+      longitude: sensor.longitude,
+      pastDays: days
+    });
+    const node = hourlyMeans(seriesOf(bySensor.get(sensor.id) ?? [], 'air_temperature'));
+    const analysis = analyzeCalibration(reference ? pairHours(node, reference, dateOfHour) : [], { threshold });
+    return { sensor_id: sensor.id, status: statusOf(analysis, reference != null), ...analysis };
+  }));
+
+  return { days, from, to, threshold, sensors };
+};
+
+module.exports = { DEFAULT_DAYS, DEFAULT_DRIFT_THRESHOLD, getCalibrationReport };
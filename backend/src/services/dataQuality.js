@@ -0,0 +1,60 @@
+// ============================
+// Reading Validity Rules (SENSOR_DATA_FORMULAS.md §6)
+// ============================
+
+const VALIDITY_RULES = [
+  { field: 'co2_ppm', label: 'CO₂ outside 350-5000 ppm', isValid: v => v >= 350 && v <= 5000 },
+  { field: 'air_temperature', label: 'Temperature outside -10 to 60°C', isValid: v => v >= -10 && v <= 60 },
+  { field: 'humidity', label: 'Humidity outside 0-100%', isValid: v => v >= 0 && v <= 100 },
+  { field: 'rssi', label: 'RSSI at or below -120 dBm', isValid: v => v > -120 }
+];
+
+// Returns the rules a reading breaks. Fields the node did not report are not
+// held against it, but a reading must carry at least one measured value.
+const checkReading = (reading) => {
+  const failures = VALIDITY_RULES
+    .filter(rule => reading[rule.field] != null && !rule.isValid(Number(reading[rule.field])))
+    .map(rule => ({ field: rule.field, value: reading[rule.field], reason: rule.label }));
+
+  const hasMeasurement = ['co2_ppm', 'air_temperature', 'surface_temperature', 'humidity']
+    .some(field => reading[field] != null);
+  if (!hasMeasurement) {
+    failures.push({ field: null, value: null, reason: 'No measured values' });
+  }
+
+  return failures;
+};
+
+const classifyDataQuality = (reading) => (checkReading(reading).length === 0 ? 'Good' : 'Poor');
+
+// §6 Data_Quality_Score = Valid_Readings / Total_Readings * 100, with a count
+// of every rule the invalid readings broke (one reading can break several).
+// Readings are expected oldest first.
+const scoreReadings = (readings) => {
+  const failures = new Map();
+  let valid = 0;
+  let lastValid = null;
+
+  readings.forEach(reading => {
+    const broken = checkReading(reading);
+    if (broken.length === 0) {
+      valid += 1;
+      lastValid = reading.timestamp;
+      return;
+    }
+    broken.forEach(({ field, reason }) => {
+      if (!failures.has(reason)) failures.set(reason, { field, reason, count: 0 });
+      failures.get(reason).count += 1;
+    });
+  });
+
+  return {
+    total_readings: readings.length,
+    valid_readings: valid,
+    score: readings.length ? Number(((valid / readings.length) * 100).toFixed(1)) : null,
+    last_valid_reading: lastValid,
+    failures: Array.from(failures.values()).sort((a, b) => b.count - a.count)
+  };
+};
+
+module.exports = { VALIDITY_RULES, checkReading, classifyDataQuality, scoreReadings };
@@ -0,0 +1,55 @@
+// ============================
+// Live Event Bus
+// ============================
+// In-process publish/subscribe for the SSE stream. Keeps the most recent
+// events so a reconnecting client can resume from its Last-Event-ID.
+const { EventEmitter } = require('events');
+
+const HISTORY_SIZE = 500;
+
+// Event IDs are "<boot>-<seq>" so IDs from before a restart are recognised as stale
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let sequence = 0;
+let history = [];
+
+const publish = (type, data) => {
+  const event = { id: `${BOOT_ID}-${++sequence}`, seq: sequence, type, data };
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+  emitter.emit('event', event);
+  return event;
+};
+
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+// Streams hold their connections open for good, so on shutdown the server
+// asks every one of them to end
+const onCloseStreams = (listener) => {
+  emitter.on('close', listener);
+  return () => emitter.off('close', listener);
+};
+
+const closeStreams = () => emitter.emit('close');
+
+// Events published after lastEventId, or null when they can no longer be
+// replayed (unknown ID, previous server run, or pushed out of the history)
+const eventsSince = (lastEventId) => {
+  const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId || '');
+  if (!match || match[1] !== BOOT_ID) return null;
+
+  const lastSeq = Number(match[2]);
+  if (lastSeq > sequence) return null;
+  const oldestRetained = history.length ? history[0].seq : sequence + 1;
+  if (lastSeq < oldestRetained - 1) return null;
+
+  return history.filter(event => event.seq > lastSeq);
+};
+
+module.exports = { HISTORY_SIZE, publish, subscribe, eventsSince, onCloseStreams, closeStreams };
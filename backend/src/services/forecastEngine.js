@@ -0,0 +1,130 @@
+// ============================
+// Forecast Engine
+// ============================
+// Additive Holt-Winters with a weekly season over daily zone averages, so the
+// formulas can be tested without a database. Smoothing parameters are picked
+// by grid search on the one-step-ahead squared error. Histories shorter than
+// two seasons fall back to Holt's linear trend (no season).
+//
+// Prediction intervals use the ETS(A,A,A) forecast variance
+//   var_h = sigma^2 * (1 + sum_{j=1}^{h-1} c_j^2),  c_j = alpha(1 + j beta) + gamma(1 - alpha)[j mod m = 0]
+// with sigma^2 estimated from the one-step errors.
+
+const SEASON_LENGTH = 7;
+const MIN_HISTORY = 5;
+
+// 95 % two-sided
+const INTERVAL_Z = 1.96;
+
+const ALPHAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0, 0.01, 0.05, 0.1, 0.2, 0.3];
+const GAMMAS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Interpolates interior nulls linearly and drops leading and trailing ones.
+// Returns { values, offset } where offset is the index of the first kept value.
+const fillGaps = (series) => {
+  const first = series.findIndex(v => v != null);
+  if (first === -1) return { values: [], offset: 0 };
+  let last = series.length - 1;
+  while (series[last] == null) last--;
+
+  const values = series.slice(first, last + 1);
+  let previous = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] == null) continue;
+    for (let j = previous + 1; j < i; j++) {
+      values[j] = values[previous] + (values[i] - values[previous]) * (j - previous) / (i - previous);
+    }
+    previous = i;
+  }
+  return { values, offset: first };
+};
+
+// Runs the smoothing over `values`; `gamma` null means Holt's linear method.
+// Returns the final level, trend and seasonal components and the one-step errors.
+const smooth = (values, { alpha, beta, gamma }, m = SEASON_LENGTH) => {
+  const seasonal = gamma != null;
+  let level;
+  let trend;
+  let season = [];
+  let start;
+
+  if (seasonal) {
+    const first = values.slice(0, m);
+    level = mean(first);
+    trend = (mean(values.slice(m, 2 * m)) - level) / m;
+    season = first.map(v => v - level);
+    start = m;
+  } else {
+    level = values[0];
+    trend = values[1] - values[0];
+    start = 1;
+  }
+
+  const errors = [];
+  for (let t = start; t < values.length; t++) {
+    const s = seasonal ? season[t % m] : 0;
+    const error = values[t] - (level + trend + s);
+    errors.push(error);
+
+    const previousLevel = level;
+    level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    if (seasonal) season[t % m] = gamma * (values[t] - level) + (1 - gamma) * s;
+  }
+
+  return { level, trend, season, errors };
+};
+
+const sumOfSquares = (errors) => errors.reduce((sum, e) => sum + e * e, 0);
+
+// Best parameters on the grid for the chosen method
+const fitParameters = (values, seasonal, m) => {
+  let best = null;
+  ALPHAS.forEach(alpha => BETAS.forEach(beta => (seasonal ? GAMMAS : [null]).forEach(gamma => {
+    const sse = sumOfSquares(smooth(values, { alpha, beta, gamma }, m).errors);
+    if (!best || sse < best.sse) best = { sse, params: { alpha, beta, gamma } };
+  })));
+  return best.params;
+};
+
+// Forecast `horizon` steps past the end of `series` (nulls allowed inside it).
+// Returns { method, params, sigma, history, points: [{ step, value, lower, upper }] },
+// or null with fewer than MIN_HISTORY values.
+const forecastSeries = (series, { horizon = 7, seasonLength = SEASON_LENGTH } = {}) => {
+  const { values } = fillGaps(series);
+  if (values.length < MIN_HISTORY) return null;
+
+  const seasonal = values.length >= 2 * seasonLength;
+  const params = fitParameters(values, seasonal, seasonLength);
+  const { level, trend, season, errors } = smooth(values, params, seasonLength);
+
+  // Degrees of freedom: one per smoothing parameter
+  const parameterCount = seasonal ? 3 : 2;
+  const sigma = Math.sqrt(sumOfSquares(errors) / Math.max(1, errors.length - parameterCount));
+
+  const { alpha, beta, gamma } = params;
+  const c = (j) => alpha * (1 + j * beta) + (seasonal && j % seasonLength === 0 ? gamma * (1 - alpha) : 0);
+
+  let variance = 0;
+  const points = Array.from({ length: horizon }, (_, i) => {
+    const step = i + 1;
+    if (step > 1) variance += c(step - 1) ** 2;
+    const value = level + step * trend + (seasonal ? season[(values.length - 1 + step) % seasonLength] : 0);
+    const margin = INTERVAL_Z * sigma * Math.sqrt(1 + variance);
+    return { step, value, lower: value - margin, upper: value + margin };
+  });
+
+  return { method: seasonal ? 'holt-winters' : 'holt', params, sigma, history: values.length, points };
+};
+
+module.exports = {
+  SEASON_LENGTH,
+  MIN_HISTORY,
+  INTERVAL_Z,
+  fillGaps,
+  smooth,
+  forecastSeries
+};
@@ -0,0 +1,101 @@
+// ============================
+// Forecast Service
+// ============================
+// 7-day CO₂ and air temperature forecasts per afforestation zone from the
+// stored daily aggregates (GET /aggregates/forecast). Each zone is trained on
+// its completed days up to yesterday (Riyadh time); forecasts start today.
+// Forecast days are checked against the alert thresholds in effect: a point
+// forecast past a threshold is an expected breach, an upper bound past it a
+// possible one.
+const DailyAggregate = require('../models/DailyAggregate');
+const { zoneAverages, round } = require('./aggregationEngine');
+const { toLocalDate, addDays } = require('./aggregationService');
+const { currentThresholds } = require('./alertEngine');
+const { forecastSeries } = require('./forecastEngine');
+
+const ZONES = ['Afforested', 'Non-afforested', 'Pre-afforestation'];
+
+// metric -> daily_aggregates prefix and alert threshold
+const FORECAST_METRICS = {
+  co2: { key: 'co2', threshold: 'co2', unit: 'ppm' },
+  air_temperature: { key: 'air_temp', threshold: 'temperature', unit: '°C' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Highest threshold `value` reaches, or null
+const thresholdReached = (value, { warning, critical }) => {
+  if (value >= critical) return { severity: 'Critical', threshold: critical };
+  if (value >= warning) return { severity: 'Warning', threshold: warning };
+  return null;
+};
+
+const findBreaches = (points, thresholds) => points.flatMap(point => {
+  const expected = thresholdReached(point.value, thresholds);
+  const possible = thresholdReached(point.upper, thresholds);
+  if (expected) return [{ date: point.date, likelihood: 'expected', ...expected }];
+  if (possible) return [{ date: point.date, likelihood: 'possible', ...possible }];
+  return [];
+});
+
+// One entry per zone: { zone, method, trained_on, points, breaches }. Zones
+// without enough recent history have method null and no points.
+const getZoneForecasts = ({ metric = 'co2', horizon = 7, history_days = 90, now = new Date() } = {}) => {
+  const { key, threshold, unit } = FORECAST_METRICS[metric];
+  const today = toLocalDate(now.toISOString());
+  const from = addDays(today, -history_days);
+  const to = addDays(today, -1);
+  const thresholds = currentThresholds()[threshold];
+
+  // zone -> date -> daily zone average
+  const byZone = new Map(ZONES.map(zone => [zone, new Map()]));
+  const byDate = new Map();
+  DailyAggregate.findAll({ from, to, activeOnly: true }).forEach(row => {
+    if (!byDate.has(row.date)) byDate.set(row.date, []);
+    byDate.get(row.date).push(row);
+  });
+  byDate.forEach((rows, date) => {
+    Object.entries(zoneAverages(rows)).forEach(([zone, averages]) => {
+      if (averages[`${key}_avg`] != null) byZone.get(zone)?.set(date, averages[`${key}_avg`]);
+    });
+  });
+
+  return ZONES.map(zone => {
+    const days = byZone.get(zone);
+    const dates = Array.from(days.keys()).sort();
+    const empty = { zone, metric, unit, method: null, trained_on: null, points: [], breaches: [] };
+    if (dates.length === 0) return empty;
+
+    // Daily series from the zone's first day to its last, gaps as null
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    const series = Array.from({ length: daysBetween(first, last) + 1 }, (_, i) => days.get(addDays(first, i)) ?? null);
+
+    // Days between the last reading and today are forecast too, then dropped;
+    // a zone silent for longer than the horizon is not forecast
+    const lag = daysBetween(last, today) - 1;
+    if (lag >= horizon) return empty;
+    const result = forecastSeries(series, { horizon: lag + horizon });
+    if (!result) return empty;
+
+    const points = result.points.slice(lag).map(point => ({
+      date: addDays(last, point.step),
+      value: round(point.value),
+      lower: round(point.lower),
+      upper: round(point.upper)
+    }));
+
+    return {
+      zone,
+      metric,
+      unit,
+      method: result.method,
+      trained_on: { from: first, to: last, days: dates.length },
+      points,
+      breaches: findBreaches(points, thresholds)
+    };
+  });
+};
+
+module.exports = { FORECAST_METRICS, getZoneForecasts };
@@ -0,0 +1,221 @@
+// ============================
+// Historical Reading Import (CSV / XLSX)
+// ============================
+// Maps logger export columns onto sensor_readings fields, checks every row
+// against the §6 validity rules and returns a per-row accept/reject report.
+// Nothing is written until commitImport is called.
+const XLSX = require('xlsx');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { parseReading, READING_NUMERIC_FIELDS } = require('../middleware/validation');
+const { ApiError } = require('../middleware/errorHandler');
+const { checkReading } = require('./dataQuality');
+const { ingestReadings } = require('./ingestService');
+const { publish } = require('./eventBus');
+
+const MAX_IMPORT_ROWS = 100000;
+
+// Loggers record Riyadh local time without a zone designator
+const DEFAULT_UTC_OFFSET = '+03:00';
+
+const IMPORT_FIELDS = ['sensor_id', 'timestamp', ...READING_NUMERIC_FIELDS];
+
+// Normalised header -> field. Headers are lower-cased, units in brackets are
+// dropped and anything that is not a letter or digit becomes "_".
+const COLUMN_ALIASES = {
+  sensor_id: ['sensor_id', 'sensor', 'device', 'device_id', 'node', 'node_id', 'station', 'station_id'],
+  timestamp: ['timestamp', 'time', 'datetime', 'date_time', 'recorded_at'],
+  co2_ppm: ['co2_ppm', 'co2', 'co₂', 'mh_z19b'],
+  air_temperature: ['air_temperature', 'air_temp', 'temperature', 'temp', 'ds18b20'],
+  surface_temperature: ['surface_temperature', 'surface_temp', 'ir_temp', 'mlx90614'],
+  humidity: ['humidity', 'rh', 'relative_humidity', 'sht30'],
+  pm25: ['pm25', 'pm2_5'],
+  pm10: ['pm10'],
+  rssi: ['rssi', 'signal'],
+  battery_voltage: ['battery_voltage', 'battery', 'vbat', 'voltage']
+};
+
+const normaliseHeader = (header) => String(header)
+  .toLowerCase()
+  .replace(/[([].*?[)\]]/g, '')
+  .trim()
+  .replace(/[^a-z0-9₂]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const ALIAS_LOOKUP = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([field, aliases]) => aliases.map(alias => [alias, field]))
+);
+
+// Reads the first sheet of a CSV or XLSX file into row objects keyed by header.
+// CSV cells stay strings; XLSX date cells arrive as Excel serial numbers.
+const readTable = (buffer, filename = '') => {
+  const isCsv = /\.(csv|txt)$/i.test(filename);
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: isCsv, cellDates: false });
+  } catch (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `Could not read ${filename || 'file'}: ${error.message}`, { field: 'file' });
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new ApiError(400, 'VALIDATION_ERROR', 'File has no sheets', { field: 'file' });
+
+  const [header = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true });
+  const rows = XLSX.utils.sheet_to_json(sheet, { raw: true, defval: null, blankrows: false });
+  if (rows.length === 0) throw new ApiError(400, 'VALIDATION_ERROR', 'File has no data rows', { field: 'file' });
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `At most ${MAX_IMPORT_ROWS} rows per import`, { field: 'file', value: rows.length });
+  }
+  return { columns: header.filter(column => column != null && column !== '').map(String), rows };
+};
+
+// Column -> field map. Explicit `mapping` entries ({ "Header": "field" }) win over aliases.
+const resolveColumns = (columns, mapping = {}) => {
+  const mapped = {};
+  const ignored = [];
+  columns.forEach(column => {
+    const field = mapping[column] ?? ALIAS_LOOKUP.get(normaliseHeader(column));
+    if (field && IMPORT_FIELDS.includes(field) && !Object.values(mapped).includes(field)) {
+      mapped[column] = field;
+    } else {
+      ignored.push(column);
+    }
+  });
+  return { mapped, ignored };
+};
+
+// Excel serial date or naive "YYYY-MM-DD HH:mm[:ss]" -> ISO string in the logger's zone
+const normaliseTimestamp = (value, utcOffset) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  if (typeof value === 'number') {
+    const d = XLSX.SSF.parse_date_code(value);
+    if (!d) return value;
+    return `${d.y}-${pad(d.m)}-${pad(d.d)}T${pad(d.H)}:${pad(d.M)}:${pad(Math.floor(d.S))}${utcOffset}`;
+  }
+  const text = String(value).trim();
+  const naive = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(:\d{2}(\.\d+)?)?)$/.exec(text);
+  return naive ? `${naive[1]}T${naive[2]}${utcOffset}` : text;
+};
+
+// Per-row accept/reject decisions. Row numbers match the spreadsheet (header is row 1).
+const buildImportReport = (table, { mapping, sensorId, utcOffset = DEFAULT_UTC_OFFSET } = {}) => {
+  if (!/^[+-]\d{2}:\d{2}$/.test(utcOffset)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'utc_offset must look like +03:00', { field: 'utc_offset', value: utcOffset });
+  }
+  const { mapped, ignored } = resolveColumns(table.columns, mapping);
+  const fields = Object.values(mapped);
+  if (!fields.includes('timestamp')) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'No timestamp column found', { field: 'mapping', columns: table.columns });
+  }
+  if (!fields.includes('sensor_id') && !sensorId) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'No sensor_id column found; pass sensor_id for single-node exports', { field: 'sensor_id' });
+  }
+
+  // Why rows for `id` are refused ('Unknown sensor', 'Sensor is deactivated'), or null
+  const knownSensors = new Map();
+  const sensorProblem = (id) => {
+    if (!knownSensors.has(id)) {
+      let problem = null;
+      if (!Sensor.exists(id)) problem = 'Unknown sensor';
+      else if (!Sensor.exists(id, { activeOnly: true })) problem = 'Sensor is deactivated';
+      knownSensors.set(id, problem);
+    }
+    return knownSensors.get(id);
+  };
+  const seen = new Set();
+
+  const rows = table.rows.map((raw, index) => {
+    const payload = { sensor_id: sensorId };
+    Object.entries(mapped).forEach(([column, field]) => {
+      if (raw[column] != null && raw[column] !== '') payload[field] = raw[column];
+    });
+    if (payload.timestamp != null) payload.timestamp = normaliseTimestamp(payload.timestamp, utcOffset);
+
+    const row = { row: (raw.__rowNum__ ?? index + 1) + 1, status: 'rejected', sensor_id: payload.sensor_id ?? null, timestamp: null, errors: [] };
+
+    let reading;
+    try {
+      if (payload.timestamp == null) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'timestamp is required', { field: 'timestamp' });
+      }
+      reading = parseReading(payload);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      row.errors.push({ field: error.details?.field ?? null, value: error.details?.value ?? null, reason: error.message });
+      return row;
+    }
+
+    row.sensor_id = reading.sensor_id;
+    row.timestamp = reading.timestamp;
+
+    const sensorError = sensorProblem(reading.sensor_id);
+    if (sensorError) {
+      row.errors.push({ field: 'sensor_id', value: reading.sensor_id, reason: sensorError });
+    }
+    row.errors.push(...checkReading(reading));
+
+    const key = `${reading.sensor_id}|${reading.timestamp}`;
+    if (seen.has(key)) {
+      row.errors.push({ field: 'timestamp', value: reading.timestamp, reason: 'Duplicate row in file' });
+    } else if (row.errors.length === 0 && SensorReading.existsAt(reading.sensor_id, reading.timestamp)) {
+      row.errors.push({ field: 'timestamp', value: reading.timestamp, reason: 'Reading already stored' });
+    }
+    seen.add(key);
+
+    if (row.errors.length === 0) {
+      row.status = 'accepted';
+      row.reading = reading;
+    }
+    return row;
+  });
+
+  const accepted = rows.filter(r => r.status === 'accepted');
+  return {
+    columns: { mapped, ignored },
+    total_rows: rows.length,
+    accepted: accepted.length,
+    rejected: rows.length - accepted.length,
+    range: accepted.length ? {
+      from: accepted.reduce((min, r) => (r.timestamp < min ? r.timestamp : min), accepted[0].timestamp),
+      to: accepted.reduce((max, r) => (r.timestamp > max ? r.timestamp : max), accepted[0].timestamp)
+    } : null,
+    rows
+  };
+};
+
+// Strips the parsed readings before the report leaves the service
+const toReportApi = ({ rows, ...summary }) => ({
+  ...summary,
+  rows: rows.map(({ reading, ...row }) => row)
+});
+
+const previewImport = (buffer, options = {}) =>
+  toReportApi(buildImportReport(readTable(buffer, options.filename), options));
+
+// Stores the accepted rows of a fresh report and announces the import once
+const commitImport = (buffer, options = {}) => {
+  const report = buildImportReport(readTable(buffer, options.filename), options);
+  const readings = report.rows.filter(r => r.status === 'accepted').map(r => r.reading);
+  const { stored } = ingestReadings(readings, { silent: true });
+
+  if (stored.length) {
+    publish('import', {
+      inserted: stored.length,
+      sensors: [...new Set(stored.map(r => r.sensor_id))],
+      range: report.range
+    });
+  }
+
+  return { ...toReportApi(report), inserted: stored.length };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  COLUMN_ALIASES,
+  normaliseHeader,
+  readTable,
+  resolveColumns,
+  buildImportReport,
+  previewImport,
+  commitImport
+};
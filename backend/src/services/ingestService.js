@@ -0,0 +1,100 @@
+// ============================
+// Reading Ingestion
+// ============================
+// Single entry point for storing readings, whatever transport they arrive on.
+// Announces each stored reading (and any sensor it brought back online or
+// alert it changed) on the live event bus once the transaction has committed.
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { transaction } = require('../config/database');
+const { parseReading } = require('../middleware/validation');
+const { ApiError } = require('../middleware/errorHandler');
+const { refreshDailyAggregates, getDailyPoint, toLocalDate } = require('./aggregationService');
+const { applyReadingAlerts } = require('./alertEngine');
+const { publish } = require('./eventBus');
+
+// `batch` collects the sensors brought back online and each sensor's newest
+// stored timestamp before the batch, for the alert evaluation below.
+// `backfill` batches load history and never change a sensor's status.
+const newBatch = ({ backfill = false } = {}) => ({ revived: new Set(), latest: new Map(), backfill });
+
+const storeParsed = (reading, batch) => {
+  if (!Sensor.exists(reading.sensor_id)) {
+    throw new ApiError(404, 'SENSOR_NOT_FOUND', 'Sensor not found', { field: 'sensor_id', value: reading.sensor_id });
+  }
+  // A deactivated node keeps its history but takes no new readings
+  if (!Sensor.exists(reading.sensor_id, { activeOnly: true })) {
+    throw new ApiError(409, 'SENSOR_INACTIVE', 'Sensor is deactivated', { field: 'sensor_id', value: reading.sensor_id });
+  }
+  if (!batch.latest.has(reading.sensor_id)) {
+    batch.latest.set(reading.sensor_id, SensorReading.latestTimestamp(reading.sensor_id));
+  }
+  // A node that reports something new is no longer offline; a late or
+  // backfilled reading says nothing about its state now
+  const latest = batch.latest.get(reading.sensor_id);
+  const isNewest = latest == null || reading.timestamp > latest;
+  if (!batch.backfill && isNewest && Sensor.setStatus(reading.sensor_id, 'Active', 'Offline')) {
+    batch.revived.add(reading.sensor_id);
+  }
+  return SensorReading.create(reading);
+};
+
+// Alerts follow each sensor's current state, so late readings older than what
+// was already stored are not evaluated. The rest are applied oldest first.
+const evaluateAlerts = (readings, batch) => readings
+  .filter(reading => {
+    const latest = batch.latest.get(reading.sensor_id);
+    return latest == null || reading.timestamp >= latest;
+  })
+  .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+  .flatMap(applyReadingAlerts);
+
+// Each reading event carries the refreshed daily point so charts can update in place
+const announce = (readings, revived, alerts = []) => {
+  revived.forEach(sensorId => publish('sensor_status', Sensor.toApi(Sensor.findById(sensorId))));
+  alerts.forEach(alert => publish('alert', alert));
+
+  const dailyPoints = new Map();
+  readings.forEach(reading => {
+    const key = `${reading.sensor_id}|${toLocalDate(reading.timestamp)}`;
+    if (!dailyPoints.has(key)) dailyPoints.set(key, getDailyPoint(reading.sensor_id, toLocalDate(reading.timestamp)));
+    publish('reading', { reading: SensorReading.toApi(reading), daily: dailyPoints.get(key) });
+  });
+};
+
+const ingestReading = (payload) => {
+  const batch = newBatch();
+  const { created, alerts } = transaction(() => {
+    const reading = storeParsed(parseReading(payload), batch);
+    refreshDailyAggregates([reading]);
+    return { created: reading, alerts: evaluateAlerts([reading], batch) };
+  });
+  announce([created], batch.revived, alerts);
+  return created;
+};
+
+// Stores every valid reading and reports the rest instead of failing the batch.
+// `silent` skips the per-reading live events and alert evaluation (bulk
+// history imports announce themselves and should not page anyone).
+const ingestReadings = (payloads, { silent = false } = {}) => {
+  const failures = [];
+  const batch = newBatch({ backfill: silent });
+  const { stored, alerts } = transaction(() => {
+    const created = [];
+    payloads.forEach((payload, index) => {
+      try {
+        created.push(storeParsed(parseReading(payload), batch));
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        failures.push({ index, code: error.code, message: error.message });
+      }
+    });
+    refreshDailyAggregates(created);
+    return { stored: created, alerts: silent ? [] : evaluateAlerts(created, batch) };
+  });
+  if (!silent) announce(stored, batch.revived, alerts);
+
+  return { stored, failures };
+};
+
+module.exports = { ingestReading, ingestReadings };
@@ -0,0 +1,166 @@
+// ============================
+// LoRaWAN Uplink Decoder
+// ============================
+// PSU nodes send one 10-byte measurement frame on fPort 1, big-endian:
+//
+//   bytes 0-1  CO₂ (MH-Z19B)               uint16  ppm
+//   bytes 2-3  Surface temp (MLX90614)     int16   °C × 100
+//   bytes 4-5  Air temp (DS18B20)          int16   °C × 100
+//   bytes 6-7  Humidity (SHT30)            uint16  %RH × 100
+//   bytes 8-9  Battery                     uint16  mV
+//
+// A sensor that failed to read sends 0xFFFF (unsigned) or 0x8000 (signed).
+// RSSI is not in the frame; it comes from the gateway metadata.
+const { ApiError } = require('../middleware/errorHandler');
+
+const MEASUREMENT_PORT = 1;
+const FRAME_LENGTH = 10;
+
+const UINT16_MISSING = 0xFFFF;
+const INT16_MISSING = -0x8000;
+
+const FRAME_FIELDS = [
+  { field: 'co2_ppm', offset: 0, signed: false, scale: 1 },
+  { field: 'surface_temperature', offset: 2, signed: true, scale: 100 },
+  { field: 'air_temperature', offset: 4, signed: true, scale: 100 },
+  { field: 'humidity', offset: 6, signed: false, scale: 100 },
+  { field: 'battery_voltage', offset: 8, signed: false, scale: 1000 }
+];
+
+const decodeError = (message, details) => new ApiError(400, 'DECODE_ERROR', message, details);
+
+// Accepts a Buffer, a hex string or a base64 string. Hex and base64 are told
+// apart by length, which is unambiguous for a fixed-size frame.
+const toBuffer = (frame) => {
+  if (Buffer.isBuffer(frame)) return frame;
+  if (typeof frame !== 'string' || frame.trim() === '') {
+    throw decodeError('Frame must be a non-empty hex or base64 string');
+  }
+  const value = frame.replace(/\s+/g, '');
+  if (value.length === FRAME_LENGTH * 2 && /^[0-9a-f]+$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    throw decodeError('Frame is neither hex nor base64', { value: frame });
+  }
+  return Buffer.from(value, 'base64');
+};
+
+// Returns the measured values keyed by sensor_readings column (null when a
+// sensor reported the missing-value marker)
+const decodeFrame = (frame) => {
+  const bytes = toBuffer(frame);
+  if (bytes.length !== FRAME_LENGTH) {
+    throw decodeError(`Frame must be ${FRAME_LENGTH} bytes, got ${bytes.length}`, { length: bytes.length });
+  }
+
+  const values = {};
+  FRAME_FIELDS.forEach(({ field, offset, signed, scale }) => {
+    const raw = signed ? bytes.readInt16BE(offset) : bytes.readUInt16BE(offset);
+    const missing = signed ? raw === INT16_MISSING : raw === UINT16_MISSING;
+    values[field] = missing ? null : raw / scale;
+  });
+  return values;
+};
+
+// Inverse of decodeFrame, for simulators and replay fixtures
+const encodeFrame = (values) => {
+  const bytes = Buffer.alloc(FRAME_LENGTH);
+  FRAME_FIELDS.forEach(({ field, offset, signed, scale }) => {
+    const value = values[field];
+    if (signed) {
+      bytes.writeInt16BE(value == null ? INT16_MISSING : Math.round(value * scale), offset);
+    } else {
+      bytes.writeUInt16BE(value == null ? UINT16_MISSING : Math.round(value * scale), offset);
+    }
+  });
+  return bytes;
+};
+
+// TTN device IDs must be lowercase ("psu-n001"); sensor IDs are uppercase
+const toSensorId = (deviceId) => (typeof deviceId === 'string' ? deviceId.trim().toUpperCase() : null);
+
+const bestRssi = (rxInfo) => {
+  const values = (Array.isArray(rxInfo) ? rxInfo : [])
+    .map(gateway => gateway?.rssi)
+    .filter(Number.isFinite);
+  return values.length ? Math.max(...values) : null;
+};
+
+// Normalises the webhook bodies we accept into { deviceId, port, frame, rssi, timestamp }:
+//   - The Things Stack v3      (end_device_ids + uplink_message)
+//   - ChirpStack v4            (deviceInfo + data)
+//   - ChirpStack v3            (deviceName/devEUI + data)
+//   - Plain replay records     ({ device_id, payload, rssi?, timestamp? })
+const readUplink = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw decodeError('Uplink body must be a JSON object');
+  }
+
+  if (body.uplink_message) {
+    const { uplink_message: uplink, end_device_ids: ids = {} } = body;
+    return {
+      deviceId: ids.device_id,
+      port: uplink.f_port,
+      frame: uplink.frm_payload,
+      rssi: bestRssi(uplink.rx_metadata),
+      timestamp: uplink.received_at || body.received_at
+    };
+  }
+
+  if (body.deviceInfo) {
+    return {
+      deviceId: body.deviceInfo.deviceName,
+      port: body.fPort,
+      frame: body.data,
+      rssi: bestRssi(body.rxInfo),
+      timestamp: body.time
+    };
+  }
+
+  if (body.devEUI || body.deviceName) {
+    return {
+      deviceId: body.deviceName,
+      port: body.fPort,
+      frame: body.data,
+      rssi: bestRssi(body.rxInfo),
+      timestamp: body.rxInfo?.[0]?.time
+    };
+  }
+
+  return {
+    deviceId: body.device_id,
+    port: body.f_port ?? MEASUREMENT_PORT,
+    frame: body.payload,
+    rssi: Number.isFinite(body.rssi) ? body.rssi : null,
+    timestamp: body.timestamp
+  };
+};
+
+// Turns a webhook body into the POST /readings shape
+const decodeUplink = (body) => {
+  const { deviceId, port, frame, rssi, timestamp } = readUplink(body);
+
+  const sensorId = toSensorId(deviceId);
+  if (!sensorId) {
+    throw decodeError('Uplink does not identify a device', { field: 'device_id' });
+  }
+  if (port !== MEASUREMENT_PORT) {
+    throw decodeError(`Unsupported fPort ${port}`, { field: 'f_port', value: port });
+  }
+
+  return {
+    sensor_id: sensorId,
+    timestamp: timestamp || new Date().toISOString(),
+    ...decodeFrame(frame),
+    rssi
+  };
+};
+
+module.exports = {
+  MEASUREMENT_PORT,
+  FRAME_LENGTH,
+  decodeFrame,
+  encodeFrame,
+  decodeUplink
+};
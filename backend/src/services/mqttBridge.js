@@ -0,0 +1,153 @@
+// ============================
+// MQTT Ingestion Bridge
+// ============================
+// Subscribes to rawdah/<sensor_id>/readings, validates each JSON message and
+// stores it through the ingest service. Keeps per-topic counters so message
+// rates can be compared with the Sensor Health table. Only registered sensors
+// get counters of their own; messages for any other sensor ID share one, so a
+// publisher inventing IDs cannot grow the stats without bound.
+const mqtt = require('mqtt');
+const Sensor = require('../models/Sensor');
+const { ingestReading } = require('./ingestService');
+const { ApiError } = require('../middleware/errorHandler');
+
+const DEFAULT_TOPIC_PREFIX = 'rawdah';
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Sensor ID from rawdah/<sensor_id>/readings, or null for any other topic
+const sensorIdFromTopic = (topic, prefix = DEFAULT_TOPIC_PREFIX) => {
+  const parts = topic.split('/');
+  if (parts.length !== 3 || parts[0] !== prefix || parts[2] !== 'readings' || !parts[1]) return null;
+  return parts[1];
+};
+
+// Parses one message into a POST /readings payload. The topic names the
+// sensor; a sensor_id in the body must agree with it.
+const parseMessage = (topic, message, prefix = DEFAULT_TOPIC_PREFIX) => {
+  const sensorId = sensorIdFromTopic(topic, prefix);
+  if (!sensorId) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `Unexpected topic ${topic}`, { field: 'topic', value: topic });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(message.toString());
+  } catch (e) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Message is not valid JSON', { field: 'payload' });
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Message must be a JSON object', { field: 'payload' });
+  }
+  if (body.sensor_id != null && body.sensor_id !== sensorId) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'sensor_id does not match topic', { field: 'sensor_id', value: body.sensor_id });
+  }
+
+  return { ...body, sensor_id: sensorId };
+};
+
+const createTopicStats = (topic, sensorId) => ({
+  topic,
+  sensor_id: sensorId,
+  received: 0,
+  stored: 0,
+  rejected: 0,
+  last_message_at: null,
+  last_error: null,
+  recent: []
+});
+
+// Returns { start, stop, handleMessage, getStats }. `connect` is injectable
+// so tests can point the bridge at an embedded broker.
+const createMqttBridge = ({
+  url = process.env.MQTT_URL,
+  topicPrefix = process.env.MQTT_TOPIC_PREFIX || DEFAULT_TOPIC_PREFIX,
+  connect = mqtt.connect,
+  now = Date.now
+} = {}) => {
+  const topics = new Map();
+  // Messages for sensor IDs not in the registry; `topic` is the latest one
+  const unregistered = createTopicStats(null, null);
+  let client = null;
+  let connected = false;
+
+  // Drops arrival times that have left the one-minute rate window
+  const pruneRecent = (recent, at) => {
+    const cutoff = at - RATE_WINDOW_MS;
+    while (recent.length && recent[0] <= cutoff) recent.shift();
+  };
+
+  const statsFor = (topic) => {
+    const sensorId = sensorIdFromTopic(topic, topicPrefix);
+    if (!sensorId || !Sensor.exists(sensorId)) {
+      unregistered.topic = topic;
+      unregistered.sensor_id = sensorId;
+      return unregistered;
+    }
+    if (!topics.has(topic)) topics.set(topic, createTopicStats(topic, sensorId));
+    return topics.get(topic);
+  };
+
+  const handleMessage = (topic, message) => {
+    const stats = statsFor(topic);
+    const receivedAt = now();
+    stats.received++;
+    stats.last_message_at = new Date(receivedAt).toISOString();
+    stats.recent.push(receivedAt);
+    pruneRecent(stats.recent, receivedAt);
+
+    try {
+      ingestReading(parseMessage(topic, message, topicPrefix));
+      stats.stored++;
+    } catch (error) {
+      stats.rejected++;
+      stats.last_error = error instanceof ApiError ? error.message : 'Internal error';
+      if (!(error instanceof ApiError)) console.error('MQTT ingest error:', error);
+    }
+  };
+
+  const start = () => new Promise((resolve, reject) => {
+    if (!url) {
+      reject(new Error('MQTT_URL is not configured'));
+      return;
+    }
+    client = connect(url, { clientId: `rawdahscope-api-${process.pid}`, reconnectPeriod: 5000 });
+    client.on('connect', () => { connected = true; });
+    client.on('close', () => { connected = false; });
+    client.on('error', error => console.error('MQTT error:', error.message));
+    client.on('message', handleMessage);
+
+    client.once('connect', () => {
+      client.subscribe(`${topicPrefix}/+/readings`, { qos: 1 }, (error) => (error ? reject(error) : resolve()));
+    });
+    client.once('error', reject);
+  });
+
+  const stop = () => new Promise(resolve => {
+    if (!client) {
+      resolve();
+      return;
+    }
+    client.end(false, {}, () => resolve());
+    client = null;
+  });
+
+  // Message rate is the count over the last minute
+  const getStats = () => {
+    const at = now();
+    const withRate = ({ recent, ...stats }) => {
+      pruneRecent(recent, at);
+      return { ...stats, messages_per_minute: recent.length };
+    };
+    return {
+      enabled: true,
+      connected,
+      topic_filter: `${topicPrefix}/+/readings`,
+      topics: [...topics.values()].map(withRate),
+      unregistered: withRate(unregistered)
+    };
+  };
+
+  return { start, stop, handleMessage, getStats };
+};
+
+module.exports = { createMqttBridge, parseMessage, sensorIdFromTopic };
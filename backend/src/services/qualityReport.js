@@ -0,0 +1,58 @@
+// ============================
+// Per-Sensor Data Quality Report (SENSOR_DATA_FORMULAS.md §6)
+// ============================
+// Scores every sensor over a rolling window ending now. Sensors scoring below
+// the minimum, or with no readings at all in the window, are flagged for a visit.
+// Independently, the anomaly detector looks at the past week of each sensor's
+// values against its own history, the other nodes and Open-Meteo; any anomaly
+// marks the sensor suspect.
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { scoreReadings } = require('./dataQuality');
+const { detectAnomalies } = require('./anomalyDetector');
+
+const QUALITY_WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_MIN_SCORE = Number(process.env.QUALITY_MIN_SCORE) || 80;
+
+// Drift and stuck values need more history than a day
+const ANOMALY_WINDOW = QUALITY_WINDOWS['7d'];
+
+// `reference` is the Open-Meteo hourly air temperature (see weatherReference),
+// or null to skip that check
+const getQualityReport = ({ window = '24h', minScore = DEFAULT_MIN_SCORE, reference = null, now = new Date() } = {}) => {
+  const to = now.toISOString();
+  const from = new Date(now.getTime() - QUALITY_WINDOWS[window]).toISOString();
+  const anomalyFrom = new Date(now.getTime() - ANOMALY_WINDOW).toISOString();
+
+  const bySensor = new Map();
+  SensorReading.findBetween(anomalyFrom, to).forEach(reading => {
+    if (!bySensor.has(reading.sensor_id)) bySensor.set(reading.sensor_id, []);
+    bySensor.get(reading.sensor_id).push(reading);
+  });
+
+  return {
+    window,
+    from,
+    to,
+    min_score: minScore,
+    sensors: Sensor.findAll().map(sensor => {
+      const readings = bySensor.get(sensor.id) ?? [];
+      const score = scoreReadings(readings.filter(reading => reading.timestamp >= from));
+      const neighbors = Array.from(bySensor).filter(([id]) => id !== sensor.id).map(([, rows]) => rows);
+      const anomalies = detectAnomalies(readings, { neighbors, reference });
+      return {
+        sensor_id: sensor.id,
+        ...score,
+        flagged: score.score == null || score.score < minScore,
+        anomalies,
+        suspect: anomalies.length > 0
+      };
+    })
+  };
+};
+
+module.exports = { QUALITY_WINDOWS, DEFAULT_MIN_SCORE, getQualityReport };
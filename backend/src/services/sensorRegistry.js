@@ -0,0 +1,68 @@
+// ============================
+// Sensor Registry
+// ============================
+// Registers, edits and deactivates nodes (POST/PUT/DELETE /sensors).
+// Deactivation is a soft delete: readings and aggregates are kept, the node
+// drops out of the sensor list, the offline sweep and the quality report, and
+// its open alerts are resolved. Changes are announced as `sensor_status` events.
+const Alert = require('../models/Alert');
+const Sensor = require('../models/Sensor');
+const { transaction } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+const { parseSensor } = require('../middleware/validation');
+const { publish } = require('./eventBus');
+
+const findOrThrow = (id) => {
+  const row = Sensor.findById(id);
+  if (!row) throw new ApiError(404, 'SENSOR_NOT_FOUND', 'Sensor not found');
+  return row;
+};
+
+const announce = (row, alerts = []) => {
+  const sensor = Sensor.toApi(row, { detailed: true });
+  publish('sensor_status', sensor);
+  alerts.forEach(alert => publish('alert', alert));
+  return sensor;
+};
+
+const registerSensor = (body) => {
+  const fields = parseSensor(body);
+  if (Sensor.exists(fields.id)) {
+    throw new ApiError(409, 'SENSOR_EXISTS', 'A sensor with this id is already registered', { field: 'id', value: fields.id });
+  }
+  return announce(Sensor.create(fields));
+};
+
+// `is_active: true` in the body reactivates a deactivated sensor
+const updateSensor = (id, body) => {
+  findOrThrow(id);
+  if (body?.id !== undefined && body.id !== id) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'id cannot be changed', { field: 'id', value: body.id });
+  }
+  if (body?.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'is_active must be true or false', { field: 'is_active', value: body.is_active });
+  }
+  if (body?.is_active === false) return deactivateSensor(id).sensor;
+
+  const fields = parseSensor(body, { partial: true });
+  return announce(Sensor.update(id, { ...fields, is_active: body?.is_active }));
+};
+
+// Returns the sensor and the alerts resolved with it; `changed` is false when
+// it was already inactive
+const deactivateSensor = (id, { now = new Date() } = {}) => {
+  const row = findOrThrow(id);
+  if (row.is_active === 0) return { sensor: Sensor.toApi(row, { detailed: true }), resolved: [], changed: false };
+
+  const { updated, resolved } = transaction(() => {
+    const open = Alert.findAll({ sensor_id: id, is_resolved: false });
+    open.forEach(alert => Alert.resolve(alert.id, now.toISOString()));
+    return {
+      updated: Sensor.update(id, { is_active: false }),
+      resolved: open.map(alert => Alert.toApi(Alert.findById(alert.id)))
+    };
+  });
+  return { sensor: announce(updated, resolved), resolved, changed: true };
+};
+
+module.exports = { registerSensor, updateSensor, deactivateSensor };
@@ -0,0 +1,104 @@
+// ============================
+// Zone Significance Service
+// ============================
+// Tests whether the Afforested and Non-afforested zones really differ
+// (GET /aggregates/significance). Each Riyadh day with data gives one value
+// per zone: the zone's daily average from the stored aggregates. Both zones
+// share the day's weather, so the days both zones report are compared as
+// pairs: a paired t-test and a Wilcoxon signed-rank test on the daily
+// differences, and a difference counts as significant when both reject at
+// alpha = 1 - confidence. Welch's t-test and Mann-Whitney U over every day
+// are reported alongside as the unpaired view. Consecutive days are still
+// treated as independent, which weather persistence makes optimistic, so the
+// intervals are best read together with the length of the period.
+const DailyAggregate = require('../models/DailyAggregate');
+const { zoneAverages } = require('./aggregationEngine');
+const {
+  welchTTest,
+  mannWhitneyU,
+  pairedTTest,
+  wilcoxonSignedRank,
+  bootstrapMean,
+  mean
+} = require('./statisticsEngine');
+
+const TREATED = 'Afforested';
+const CONTROL = 'Non-afforested';
+
+// Days both zones must report before a metric is tested
+const MIN_DAYS = 3;
+
+const CONFIDENCE = 0.95;
+const BOOTSTRAP_ITERATIONS = 2000;
+
+// metric -> daily_aggregates prefix, as named by /aggregates/zones impact
+const SIGNIFICANCE_METRICS = {
+  co2: { key: 'co2', unit: 'ppm' },
+  air_temperature: { key: 'air_temp', unit: '°C' },
+  surface_temperature: { key: 'surface_temp', unit: '°C' }
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const roundP = (p) => Number(p.toPrecision(3));
+
+// `treated` / `control`: every day each zone reported; `pairs`: the days both did
+const compare = ({ treated, control, pairs }) => {
+  if (pairs.length < MIN_DAYS) return null;
+  const pairedControl = pairs.map(pair => pair.control);
+  const pairedTreated = pairs.map(pair => pair.treated);
+  // Same sign as the /aggregates/zones reduction: positive when afforested is lower
+  const differences = pairs.map(pair => pair.control - pair.treated);
+
+  const paired = pairedTTest(pairedControl, pairedTreated);
+  const wilcoxon = wilcoxonSignedRank(pairedControl, pairedTreated);
+  const welch = welchTTest(control, treated);
+  const mannWhitney = mannWhitneyU(control, treated);
+  const ci = bootstrapMean(differences, { iterations: BOOTSTRAP_ITERATIONS, confidence: CONFIDENCE });
+  const alpha = 1 - CONFIDENCE;
+  return {
+    n: { afforested: treated.length, non_afforested: control.length, paired: pairs.length },
+    mean: { afforested: round(mean(treated)), non_afforested: round(mean(control)) },
+    difference: round(mean(differences)),
+    ci: { lower: round(ci.lower), upper: round(ci.upper), method: 'paired bootstrap', iterations: BOOTSTRAP_ITERATIONS },
+    paired_t: paired && { t: round(paired.t), df: paired.df, p: roundP(paired.p) },
+    wilcoxon: wilcoxon && { w: wilcoxon.w, z: round(wilcoxon.z), p: roundP(wilcoxon.p) },
+    welch: welch && { t: round(welch.t), df: round(welch.df, 1), p: roundP(welch.p) },
+    mann_whitney: mannWhitney && { u: mannWhitney.u, z: round(mannWhitney.z), p: roundP(mannWhitney.p) },
+    significant: paired != null && wilcoxon != null && paired.p < alpha && wilcoxon.p < alpha
+  };
+};
+
+const getZoneSignificance = ({ from, to } = {}) => {
+  const byDate = new Map();
+  DailyAggregate.findAll({ from, to, activeOnly: true }).forEach(row => {
+    if (!byDate.has(row.date)) byDate.set(row.date, []);
+    byDate.get(row.date).push(row);
+  });
+
+  const samples = Object.fromEntries(Object.keys(SIGNIFICANCE_METRICS).map(metric => [metric, { treated: [], control: [], pairs: [] }]));
+  const dates = Array.from(byDate.keys()).sort();
+  dates.forEach(date => {
+    const zones = zoneAverages(byDate.get(date));
+    Object.entries(SIGNIFICANCE_METRICS).forEach(([metric, { key }]) => {
+      const treated = zones[TREATED]?.[`${key}_avg`];
+      const control = zones[CONTROL]?.[`${key}_avg`];
+      if (treated != null) samples[metric].treated.push(treated);
+      if (control != null) samples[metric].control.push(control);
+      if (treated != null && control != null) samples[metric].pairs.push({ treated, control });
+    });
+  });
+
+  return {
+    from: dates[0] ?? from ?? null,
+    to: dates[dates.length - 1] ?? to ?? null,
+    treated: TREATED,
+    control: CONTROL,
+    confidence: CONFIDENCE,
+    metrics: Object.fromEntries(Object.entries(SIGNIFICANCE_METRICS).map(([metric, { unit }]) => {
+      const result = compare(samples[metric]);
+      return [metric, result && { unit, ...result }];
+    }))
+  };
+};
+
+module.exports = { SIGNIFICANCE_METRICS, MIN_DAYS, getZoneSignificance };
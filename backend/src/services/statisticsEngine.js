@@ -0,0 +1,221 @@
+// ============================
+// Statistics Engine
+// ============================
+// Two-sample and paired tests and bootstrap confidence intervals for
+// comparing zones. Pure functions over arrays of numbers, so they can be
+// tested without a database.
+//
+//   welchTTest             difference of means without assuming equal variances
+//   mannWhitneyU           rank-based, for skewed samples (normal approximation
+//                          with tie and continuity corrections)
+//   pairedTTest            mean of the differences a[i] - b[i]
+//   wilcoxonSignedRank     rank-based paired test (normal approximation with
+//                          tie and continuity corrections)
+//   bootstrapMeanDifference percentile interval for mean(b) - mean(a) from
+//                          resampling both samples; seeded, so the same data
+//                          always gives the same interval
+//   bootstrapMean          the same for the mean of one sample (e.g. paired
+//                          differences)
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Sample variance (n - 1)
+const variance = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+};
+
+// ln Γ(x), Lanczos approximation
+const LANCZOS = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61503916999185,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  LANCZOS.forEach((c, i) => { sum += c / (z + i + 1); });
+  const t = z + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Continued fraction for the incomplete beta function (Lentz's method)
+const betaContinuedFraction = (x, a, b) => {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const step = d * c;
+    h *= step;
+    if (Math.abs(step - 1) < 1e-12) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta I_x(a, b)
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+// Two-sided p-value of Student's t with `df` degrees of freedom
+const tTwoSidedP = (t, df) => incompleteBeta(df / (df + t * t), df / 2, 0.5);
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const k = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - k * (0.254829592 + k * (-0.284496736 + k * (1.421413741 + k * (-1.453152027 + k * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+// Welch's t-test of mean(a) = mean(b). Returns { t, df, p } (two-sided), or
+// null with fewer than two values in either sample or no variance at all.
+const welchTTest = (a, b) => {
+  if (a.length < 2 || b.length < 2) return null;
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  if (va + vb === 0) return null;
+  const t = (mean(a) - mean(b)) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { t, df, p: tTwoSidedP(t, df) };
+};
+
+// Average ranks (1-based) of `values`, with the tie correction term sum(t³ - t)
+const rankWithTies = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((x, y) => x.value - y.value);
+  const ranks = new Array(values.length);
+  let tieTerm = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const ties = j - i + 1;
+    tieTerm += ties ** 3 - ties;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return { ranks, tieTerm };
+};
+
+// Mann-Whitney U test. `u` is the statistic for sample a (how often a value of
+// a exceeds one of b, ties counting half). Returns { u, z, p } (two-sided), or
+// null with an empty sample or every value tied.
+const mannWhitneyU = (a, b) => {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) return null;
+
+  const n = n1 + n2;
+  const { ranks, tieTerm } = rankWithTies([...a, ...b]);
+  const rankSumA = ranks.slice(0, n1).reduce((sum, rank) => sum + rank, 0);
+
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const mu = (n1 * n2) / 2;
+  const sigma = Math.sqrt(((n1 * n2) / 12) * ((n + 1) - tieTerm / (n * (n - 1))));
+  if (sigma === 0) return null;
+  const z = (Math.sign(u - mu) * Math.max(0, Math.abs(u - mu) - 0.5)) / sigma;
+  return { u, z, p: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+};
+
+// Paired t-test of mean(a[i] - b[i]) = 0 over equally long samples. Returns
+// { t, df, p, n } (two-sided), or null with fewer than two pairs or identical
+// differences.
+const pairedTTest = (a, b) => {
+  const differences = a.map((value, i) => value - b[i]);
+  const n = differences.length;
+  if (n < 2) return null;
+  const se = Math.sqrt(variance(differences) / n);
+  if (se === 0) return null;
+  const t = mean(differences) / se;
+  return { t, df: n - 1, p: tTwoSidedP(t, n - 1), n };
+};
+
+// Wilcoxon signed-rank test over the pairs (a[i], b[i]). Zero differences are
+// dropped (Wilcoxon's method). `w` is the rank sum of the positive
+// differences. Returns { w, n, z, p } (two-sided), or null when no pair differs.
+const wilcoxonSignedRank = (a, b) => {
+  const differences = a.map((value, i) => value - b[i]).filter(d => d !== 0);
+  const n = differences.length;
+  if (n === 0) return null;
+
+  const { ranks, tieTerm } = rankWithTies(differences.map(Math.abs));
+  const w = ranks.reduce((sum, rank, i) => sum + (differences[i] > 0 ? rank : 0), 0);
+  const mu = (n * (n + 1)) / 4;
+  const sigma = Math.sqrt((n * (n + 1) * (2 * n + 1)) / 24 - tieTerm / 48);
+  if (sigma === 0) return null;
+  const z = (Math.sign(w - mu) * Math.max(0, Math.abs(w - mu) - 0.5)) / sigma;
+  return { w, n, z, p: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+};
+
+// Deterministic uniform [0, 1) generator (mulberry32)
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(state ^ (state >>> 15), 1 | state);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const resampledMean = (values, random) => {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[Math.floor(random() * values.length)];
+  return sum / values.length;
+};
+
+// Central `confidence` interval of bootstrap replicates
+const percentileInterval = (replicates, confidence) => {
+  const sorted = [...replicates].sort((x, y) => x - y);
+  const tail = (1 - confidence) / 2;
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * sorted.length)))];
+  return { lower: at(tail), upper: at(1 - tail) };
+};
+
+// Percentile bootstrap interval for mean(b) - mean(a). Returns { lower, upper }
+// or null with an empty sample.
+const bootstrapMeanDifference = (a, b, { iterations = 2000, confidence = 0.95, seed = 1 } = {}) => {
+  if (a.length === 0 || b.length === 0) return null;
+  const random = seededRandom(seed);
+  const replicates = Array.from({ length: iterations }, () => resampledMean(b, random) - resampledMean(a, random));
+  return percentileInterval(replicates, confidence);
+};
+
+// Percentile bootstrap interval for mean(values), or null when empty
+const bootstrapMean = (values, { iterations = 2000, confidence = 0.95, seed = 1 } = {}) => {
+  if (values.length === 0) return null;
+  const random = seededRandom(seed);
+  return percentileInterval(Array.from({ length: iterations }, () => resampledMean(values, random)), confidence);
+};
+
+module.exports = {
+  mean,
+  variance,
+  normalCdf,
+  tTwoSidedP,
+  welchTTest,
+  mannWhitneyU,
+  pairedTTest,
+  wilcoxonSignedRank,
+  bootstrapMeanDifference,
+  bootstrapMean
+};
@@ -0,0 +1,60 @@
+// ============================
+// Open-Meteo Reference Temperature
+// ============================
+// Hourly modelled air temperature (temperature_2m) at a point over the past
+// days, used by the anomaly detector and the calibration report as an
+// independent check on the nodes. Cached for an hour per point and span.
+// Returns null when Open-Meteo cannot be reached, so callers decide whether to
+// do without it. Set WEATHER_REFERENCE_URL=off to disable it (tests, offline
+// deployments).
+const { hourlyMeans } = require('./anomalyDetector');
+
+const DEFAULT_URL = 'https://api.open-meteo.com/v1/forecast';
+const CACHE_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = 5000;
+
+// Open-Meteo serves at most this many past days
+const MAX_PAST_DAYS = 92;
+
+const cache = new Map();
+
+// Returns Map(hour start ms -> °C) or null
+const getReferenceTemperatures = async ({
+  latitude,
+  longitude,
+  pastDays = 7,
+  url = process.env.WEATHER_REFERENCE_URL || DEFAULT_URL,
+  now = Date.now()
+} = {}) => {
+  if (url === 'off' || latitude == null || longitude == null) return null;
+  const key = `${url}|${latitude.toFixed(3)}|${longitude.toFixed(3)}|${pastDays}`;
+  const cached = cache.get(key);
+  if (cached && now - cached.fetchedAt < CACHE_MS) return cached.value;
+
+  let value = null;
+  try {
+    const params = new URLSearchParams({
+      latitude: String(latitude),
+      longitude: String(longitude),
+      hourly: 'temperature_2m',
+      timezone: 'GMT',
+      past_days: String(Math.min(pastDays, MAX_PAST_DAYS)),
+      forecast_days: '1'
+    });
+    const response = await fetch(`${url}?${params}`, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { hourly } = await response.json();
+    const series = (hourly?.time ?? [])
+      .map((time, i) => ({ time: Date.parse(`${time}Z`), value: hourly.temperature_2m[i] }))
+      .filter(point => point.value != null && point.time <= now);
+    value = series.length > 0 ? hourlyMeans(series) : null;
+  } catch (error) {
+    console.warn('Open-Meteo reference unavailable:', error.message);
+  }
+
+  // Failures are cached too, so an outage costs one timeout an hour
+  cache.set(key, { fetchedAt: now, value });
+  return value;
+};
+
+module.exports = { MAX_PAST_DAYS, getReferenceTemperatures };
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { run } = require('../src/config/database');
+const { startApp, stopApp, api, ingest } = require('./helpers');
+const {
+  aggregateReadings,
+  addReading,
+  weeklyAverages,
+  zoneAverages,
+  calculateImpact
+} = require('../src/services/aggregationEngine');
+
+
+before(async () => {
+  await startApp();
+});
+
+after(stopApp);
+
+test('folds readings into a running daily average (§1.1)', () => {
+  const readings = [
+    { co2_ppm: 410, air_temperature: 30, data_quality: 'Good' },
+    { co2_ppm: 420, surface_temperature: 41, data_quality: 'Good' },
+    { co2_ppm: 440, air_temperature: 34, data_quality: 'Poor' }
+  ];
+  const all = aggregateReadings('PSU-N001', '2025-01-15', readings);
+  assert.equal(all.co2_avg, 423.3333333333333);
+  assert.equal(all.co2_count, 3);
+  assert.equal(all.co2_min, 410);
+  assert.equal(all.co2_max, 440);
+  assert.equal(all.air_temp_avg, 32);
+  assert.equal(all.air_temp_count, 2);
+  assert.equal(all.surface_temp_avg, 41);
+  assert.equal(all.humidity_avg, null);
+  assert.equal(all.total_readings, 3);
+  assert.equal(all.good_readings, 2);
+
+  // Incremental folding gives the same row as aggregating in one go
+  const partial = aggregateReadings('PSU-N001', '2025-01-15', readings.slice(0, 2));
+  assert.deepEqual(addReading(partial, readings[2]), all);
+});
+
+test('leaves fields outside their §6 range out of the daily statistics', () => {
+  const valid = aggregateReadings('PSU-N001', '2025-01-15', [
+    { co2_ppm: 420, air_temperature: 31, humidity: 20, data_quality: 'Good' }
+  ]);
+  const withOutlier = addReading(valid, { co2_ppm: 30000, air_temperature: 32, humidity: 140, data_quality: 'Poor' });
+  assert.equal(withOutlier.co2_avg, 420);
+  assert.equal(withOutlier.co2_min, 420);
+  assert.equal(withOutlier.co2_max, 420);
+  assert.equal(withOutlier.co2_count, 1);
+  assert.equal(withOutlier.humidity_avg, 20);
+  // The valid field of the same reading still counts, as does the reading itself
+  assert.equal(withOutlier.air_temp_avg, 31.5);
+  assert.equal(withOutlier.total_readings, 2);
+  assert.equal(withOutlier.good_readings, 1);
+});
+
+test('averages the days that have data over a week (§1.2)', () => {
+  const weekly = weeklyAverages([
+    { date: '2025-01-12', co2_avg: 410, air_temp_avg: 30 },
+    { date: '2025-01-13', co2_avg: 420, air_temp_avg: null },
+    { date: '2025-01-14', co2_avg: 433, air_temp_avg: 32 }
+  ]);
+  assert.equal(weekly.co2_avg, 421);
+  assert.equal(weekly.air_temp_avg, 31);
+  assert.equal(weekly.surface_temp_avg, null);
+  assert.equal(weekly.days, 3);
+});
+
+test('weights zone averages by readings and computes the reduction (§2)', () => {
+  const zones = zoneAverages([
+    { sensor_id: 'A1', afforestation_status: 'Afforested', surface_temp_avg: 30, surface_temp_count: 1, total_readings: 1 },
+    { sensor_id: 'A2', afforestation_status: 'Afforested', surface_temp_avg: 33, surface_temp_count: 2, total_readings: 2 },
+    { sensor_id: 'N1', afforestation_status: 'Non-afforested', surface_temp_avg: 38, surface_temp_count: 4, total_readings: 4 }
+  ]);
+  assert.equal(zones.Afforested.surface_temp_avg, 32);
+  assert.equal(zones.Afforested.sensors, 2);
+  assert.equal(zones['Non-afforested'].total_readings, 4);
+
+  // Worked example from §2.2: 38 °C vs 32 °C
+  const impact = calculateImpact(zones);
+  assert.deepEqual(impact.surface_temperature, { reduction: 6, percent: 15.8 });
+  assert.equal(impact.co2, null);
+});
+
+test('serves zone comparisons per period', async () => {
+  await ingest('/readings/bulk', {
+    readings: [
+      { sensor_id: 'PSU-N001', timestamp: '2025-02-02T09:00:00Z', co2_ppm: 400, surface_temperature: 31 },
+      { sensor_id: 'PSU-N001', timestamp: '2025-02-02T10:00:00Z', co2_ppm: 410, surface_temperature: 33 },
+      { sensor_id: 'PSU-N002', timestamp: '2025-02-02T09:00:00Z', co2_ppm: 450, surface_temperature: 38 },
+      { sensor_id: 'PSU-N002', timestamp: '2025-02-10T09:00:00Z', co2_ppm: 470, surface_temperature: 40 }
+    ]
+  });
+
+  const { status, body } = await api('/aggregates/zones?from=2025-02-01&to=2025-02-28&period=week');
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map(p => p.period), ['2025-02-02', '2025-02-09']);
+  assert.equal(body.data[0].zones.Afforested.co2_avg, 405);
+  assert.deepEqual(body.data[0].impact.co2, { reduction: 45, percent: 10 });
+  assert.equal(body.data[1].impact.co2, null);
+
+  const bad = await api('/aggregates/zones?period=year');
+  assert.equal(bad.status, 400);
+});
+
+test('rebuilds daily rows written before per-metric counts existed', async () => {
+  await ingest('/readings', { sensor_id: 'PSU-N003', timestamp: '2025-03-01T09:00:00Z', co2_ppm: 400 });
+  run("UPDATE daily_aggregates SET co2_count = NULL, co2_avg = 999 WHERE sensor_id = 'PSU-N003'");
+  await ingest('/readings', { sensor_id: 'PSU-N003', timestamp: '2025-03-01T10:00:00Z', co2_ppm: 420 });
+
+  const { body } = await api('/aggregates/daily?sensor_id=PSU-N003&from=2025-03-01&to=2025-03-01');
+  assert.equal(body.data[0].co2.avg, 410);
+  assert.equal(body.data[0].total_readings, 2);
+
+  const weekly = await api('/aggregates/weekly?sensor_id=PSU-N003&week_start=2025-02-23');
+  assert.equal(weekly.body.data.sensors[0].weekly_avg.co2_avg, 410);
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, api, adminToken } = require('./helpers');
+const { checkThresholds, sweepOfflineSensors } = require('../src/services/alertEngine');
+const { ingestReadings } = require('../src/services/ingestService');
+
+let token;
+
+const authed = (path, options = {}) => api(path, { token, ...options });
+
+const post = (reading) => authed('/readings', { method: 'POST', body: { sensor_id: 'PSU-N002', ...reading } });
+
+before(async () => {
+  await startApp();
+  token = adminToken('Operator');
+});
+
+after(stopApp);
+
+test('checks a reading against the §8 thresholds', () => {
+  assert.deepEqual(checkThresholds({ co2_ppm: 755.2 }), [{
+    type: 'High_CO2',
+    severity: 'Warning',
+    message: 'CO2 level is 755.2 ppm (threshold: 700)',
+    threshold: 700,
+    value: 755.2
+  }]);
+  assert.equal(checkThresholds({ co2_ppm: 1200, air_temperature: 41 }).map(a => a.severity).join(), 'Critical,Critical');
+
+  const battery = checkThresholds({ co2_ppm: 420, battery_voltage: 3.1 });
+  assert.equal(battery[0].type, 'Low_Battery');
+  assert.equal(battery[0].message, 'Battery at 8%');
+
+  // An out-of-range CO₂ value is a sensor fault, not a CO₂ spike
+  const fault = checkThresholds({ co2_ppm: 9000, air_temperature: 25 });
+  assert.deepEqual(fault.map(a => [a.type, a.severity]), [['Data_Quality', 'Info']]);
+});
+
+test('keeps one open alert per type, follows its severity and resolves on recovery', async () => {
+  await post({ timestamp: '2025-01-15T10:00:00Z', co2_ppm: 755.2 });
+  await post({ timestamp: '2025-01-15T10:05:00Z', co2_ppm: 1100 });
+  await post({ timestamp: '2025-01-15T10:10:00Z', co2_ppm: 1050 });
+
+  let { body } = await authed('/alerts?sensor_id=PSU-N002&is_resolved=false');
+  assert.equal(body.count, 1);
+  assert.equal(body.data[0].severity, 'Critical');
+  assert.equal(body.data[0].actual_value, 1050);
+  assert.equal(body.data[0].triggered_at, '2025-01-15T10:00:00.000Z');
+
+  // A late reading from before the spike does not clear it
+  await post({ timestamp: '2025-01-15T09:00:00Z', co2_ppm: 420 });
+  ({ body } = await authed('/alerts?sensor_id=PSU-N002&is_resolved=false'));
+  assert.equal(body.count, 1);
+
+  await post({ timestamp: '2025-01-15T10:15:00Z', co2_ppm: 430 });
+  ({ body } = await authed('/alerts?sensor_id=PSU-N002'));
+  assert.equal(body.count, 1);
+  assert.equal(body.data[0].is_resolved, true);
+  assert.equal(body.data[0].resolved_at, '2025-01-15T10:15:00.000Z');
+
+  const critical = await authed('/alerts?severity=Critical&is_resolved=false');
+  assert.equal(critical.body.count, 0);
+});
+
+test('flags silent nodes offline until they report again', async () => {
+  const { alerts, sensors } = sweepOfflineSensors({ now: new Date('2025-01-15T12:00:00Z'), offlineMinutes: 60 });
+  assert.deepEqual(sensors.map(s => [s.id, s.status]), [['PSU-N002', 'Offline']]);
+  assert.equal(alerts[0].alert_type, 'Sensor_Offline');
+  assert.equal(alerts[0].actual_value, 105);
+
+  // A second sweep does not duplicate the alert
+  assert.equal(sweepOfflineSensors({ now: new Date('2025-01-15T12:30:00Z'), offlineMinutes: 60 }).alerts.length, 0);
+
+  // Neither imported history nor a late reading brings it back
+  ingestReadings([{ sensor_id: 'PSU-N002', timestamp: '2025-01-15T11:30:00Z', co2_ppm: 425 }], { silent: true });
+  await post({ timestamp: '2025-01-15T08:00:00Z', co2_ppm: 425 });
+  assert.equal((await authed('/sensors/PSU-N002')).body.data.status, 'Offline');
+
+  await post({ timestamp: '2025-01-15T12:31:00Z', co2_ppm: 430 });
+  const { body } = await authed(`/alerts?sensor_id=PSU-N002&is_resolved=false`);
+  assert.equal(body.count, 0);
+  const sensor = await authed('/sensors/PSU-N002');
+  assert.equal(sensor.body.data.status, 'Active');
+});
+
+test('resolves alerts by hand', async () => {
+  await post({ timestamp: '2025-01-15T13:00:00Z', air_temperature: 36.5 });
+  const { body } = await authed('/alerts?is_resolved=false');
+  assert.equal(body.data[0].alert_type, 'High_Temperature');
+
+  const resolved = await authed(`/alerts/${body.data[0].id}/resolve`, { method: 'PUT' });
+  assert.equal(resolved.body.data.is_resolved, true);
+  const again = await authed(`/alerts/${body.data[0].id}/resolve`, { method: 'PUT' });
+  assert.equal(again.body.message, 'Alert was already resolved');
+
+  const missing = await authed('/alerts/9999/resolve', { method: 'PUT' });
+  assert.equal(missing.status, 404);
+});
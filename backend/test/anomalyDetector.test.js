@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectAnomalies, hourlyMeans } = require('../src/services/anomalyDetector');
+
+const START = Date.parse('2025-01-10T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+// One reading every `step` minutes with fields from `values(i)`
+const stream = (count, values, step = 15) => Array.from({ length: count }, (_, i) => ({
+  timestamp: new Date(START + i * step * MINUTE).toISOString(),
+  ...values(i)
+}));
+
+// Gentle daily cycle, nothing a healthy node would be flagged for
+const healthy = (i, offset = 0) => ({
+  co2_ppm: 420 + offset + 15 * Math.sin(i / 12),
+  air_temperature: 28 + offset / 20 + 4 * Math.sin(i / 16),
+  humidity: 30 + 5 * Math.cos(i / 16)
+});
+
+const types = (anomalies) => anomalies.map(a => `${a.type}:${a.field}`);
+
+test('leaves a healthy node alone', () => {
+  const readings = stream(96, i => healthy(i));
+  const neighbors = [stream(96, i => healthy(i, 10)), stream(96, i => healthy(i, -10))];
+  assert.deepEqual(detectAnomalies(readings, { neighbors }), []);
+});
+
+test('catches stuck values, jumps and impossible rates', () => {
+  const readings = stream(24, i => ({
+    co2_ppm: i < 12 ? 400 + i : 612,
+    air_temperature: i === 20 ? 45 : 28 + (i % 2) / 5,
+    humidity: 30 + (i % 2)
+  }), 15);
+  const anomalies = detectAnomalies(readings);
+
+  const stuck = anomalies.filter(a => a.type === 'stuck');
+  assert.deepEqual(types(stuck), ['stuck:co2_ppm']);
+  assert.equal(stuck[0].count, 12);
+  assert.equal(stuck[0].value, 612);
+
+  // 411 -> 612 ppm in 15 minutes is a jump; 28 -> 45 °C and back is not weather
+  const co2Jump = anomalies.find(a => a.type === 'jump' && a.field === 'co2_ppm');
+  assert.equal(co2Jump.value, 201);
+  const rate = anomalies.find(a => a.type === 'rate' && a.field === 'air_temperature');
+  assert.equal(rate.count, 2);
+  assert.ok(!anomalies.some(a => a.type === 'jump' && a.field === 'air_temperature'));
+});
+
+test('takes rates over at least a minute so noise between close readings passes', () => {
+  // Every 3 s: ±5 ppm noise is 100 ppm/min over 3 s, 5 ppm over a minute
+  const noisy = stream(40, i => ({ co2_ppm: 420 + (i % 2) * 5 }), 0.05);
+  assert.deepEqual(detectAnomalies(noisy), []);
+
+  const spike = stream(40, i => ({ co2_ppm: i === 20 ? 500 : 420 + (i % 2) * 5 }), 0.05);
+  assert.deepEqual(types(detectAnomalies(spike)), ['rate:co2_ppm']);
+});
+
+test('ignores readings that already fail the validity rules', () => {
+  const readings = stream(12, i => ({ co2_ppm: 410 + (i % 3), humidity: i === 6 ? 140 : 30 + (i % 2) }));
+  assert.deepEqual(detectAnomalies(readings), []);
+});
+
+test('flags disagreement and drift against neighboring nodes', () => {
+  // Hourly over 6 days: the first node reads 8 °C hot, the second drifts
+  // 30 ppm a day away from the others
+  const hours = 6 * 24;
+  const hot = stream(hours, i => ({ ...healthy(i), air_temperature: healthy(i).air_temperature + 8 }), 60);
+  const drifting = stream(hours, i => ({ ...healthy(i), co2_ppm: healthy(i).co2_ppm + 30 * (i / 24) }), 60);
+  const steady = stream(hours, i => healthy(i), 60);
+
+  const hotAnomalies = detectAnomalies(hot, { neighbors: [drifting, steady] });
+  assert.deepEqual(types(hotAnomalies), ['neighbor:air_temperature']);
+  assert.equal(hotAnomalies[0].value, 8);
+
+  const driftAnomalies = detectAnomalies(drifting, { neighbors: [hot, steady] });
+  assert.deepEqual(types(driftAnomalies), ['drift:co2_ppm']);
+  assert.ok(Math.abs(driftAnomalies[0].value - 30) < 3);
+});
+
+test('compares air temperature with the Open-Meteo reference', () => {
+  const readings = stream(24, i => ({ air_temperature: 40 + (i % 4) / 2 }), 30);
+  const reference = hourlyMeans(readings.map(r => ({ time: Date.parse(r.timestamp), value: 31 })));
+
+  const anomalies = detectAnomalies(readings, { reference });
+  assert.deepEqual(types(anomalies), ['reference:air_temperature']);
+  assert.equal(anomalies[0].value, 9.8);
+  assert.deepEqual(detectAnomalies(readings), []);
+});
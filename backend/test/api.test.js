@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, api, ingest } = require('./helpers');
+
+before(async () => {
+  await startApp();
+});
+
+after(stopApp);
+
+test('lists the seeded PSU sensors', async () => {
+  const { status, body } = await api('/sensors');
+  assert.equal(status, 200);
+  assert.equal(body.count, 3);
+  assert.deepEqual(body.data[0].coordinates, { latitude: 24.737, longitude: 46.701 });
+});
+
+test('records readings and serves them back with quality flags', async () => {
+  const created = await ingest('/readings', { sensor_id: 'PSU-N001', timestamp: '2025-01-15T07:30:00Z', co2_ppm: 415.5, air_temperature: 28.3, humidity: 45.2, rssi: -75 });
+  assert.equal(created.status, 201);
+
+  await ingest('/readings', { sensor_id: 'PSU-N001', timestamp: '2025-01-15T08:30:00Z', co2_ppm: 120, air_temperature: 29.1 });
+
+  const { body } = await api('/readings?sensor_id=PSU-N001&from=2025-01-15T00:00:00Z&to=2025-01-15T23:59:59Z');
+  assert.equal(body.count, 2);
+  assert.equal(body.pagination.total, 2);
+  assert.deepEqual(body.data.map(r => r.data_quality), ['Poor', 'Good']);
+});
+
+test('rejects readings for unknown sensors and malformed values', async () => {
+  const unknown = await ingest('/readings', { sensor_id: 'PSU-N999', co2_ppm: 410 });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error.code, 'SENSOR_NOT_FOUND');
+
+  const malformed = await ingest('/readings', { sensor_id: 'PSU-N001', co2_ppm: 'high' });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error.details.field, 'co2_ppm');
+});
+
+test('bulk upload keeps valid readings and reports failures', async () => {
+  const { status, body } = await ingest('/readings/bulk', {
+    readings: [
+      { sensor_id: 'PSU-N002', timestamp: '2025-01-14T09:00:00Z', co2_ppm: 450.2, air_temperature: 32.5, surface_temperature: 38.7, humidity: 38.5 },
+      { sensor_id: 'PSU-N002', timestamp: '2025-01-14T10:00:00Z', co2_ppm: 460.2, air_temperature: 33.5, surface_temperature: 39.7, humidity: 37.5 },
+      { sensor_id: 'NOPE', co2_ppm: 400 }
+    ]
+  });
+  assert.equal(status, 201);
+  assert.equal(body.data.inserted, 2);
+  assert.equal(body.data.failed, 1);
+});
+
+test('serves daily and weekly aggregates on Riyadh calendar days', async () => {
+  const daily = await api('/aggregates/daily?sensor_id=PSU-N002&from=2025-01-14&to=2025-01-14');
+  assert.equal(daily.body.count, 1);
+  assert.deepEqual(daily.body.data[0].co2, { avg: 455.2, min: 450.2, max: 460.2 });
+  assert.equal(daily.body.data[0].total_readings, 2);
+
+  // 2025-01-12 is a Sunday
+  const weekly = await api('/aggregates/weekly?week_start=2025-01-12&afforestation_status=Non-afforested');
+  assert.equal(weekly.body.data.week_end, '2025-01-18');
+  assert.equal(weekly.body.data.sensors.length, 1);
+  assert.deepEqual(weekly.body.data.sensors[0].daily_data[0], {
+    day: 'Tue', date: '2025-01-14', co2_avg: 455.2, air_temp_avg: 33, surface_temp_avg: 39.2
+  });
+});
+
+test('reports validation errors in the documented envelope', async () => {
+  const { status, body } = await api('/aggregates/daily?from=yesterday');
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+  assert.equal(body.error.code, 'VALIDATION_ERROR');
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, api, ingest } = require('./helpers');
+const { createUser, ensureAdminUser, signToken, verifyToken, hashPassword, verifyPassword } = require('../src/services/authService');
+
+const tokens = {};
+
+const signIn = async (username, password) => (
+  await api('/auth/login', { method: 'POST', body: { username, password } })
+).body.data;
+
+before(async () => {
+  await startApp();
+  ensureAdminUser({ username: 'admin', password: 'admin-password' });
+  createUser({ username: 'operator', password: 'operator-password', role: 'Operator' });
+  createUser({ username: 'viewer', password: 'viewer-password', role: 'Viewer' });
+
+  for (const role of ['admin', 'operator', 'viewer']) {
+    tokens[role] = (await signIn(role, `${role}-password`)).token;
+  }
+});
+
+after(stopApp);
+
+test('hashes passwords and signs tokens', () => {
+  const stored = hashPassword('s3cret-pass');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.equal(verifyPassword('s3cret-pass', stored), true);
+  assert.equal(verifyPassword('wrong-pass', stored), false);
+
+  const token = signToken({ sub: 1, role: 'Viewer', type: 'access' }, 60, Date.parse('2025-01-15T10:00:00Z'));
+  assert.equal(verifyToken(token, 'access', Date.parse('2025-01-15T10:00:30Z')).sub, 1);
+  assert.throws(() => verifyToken(token, 'refresh', Date.parse('2025-01-15T10:00:30Z')), { code: 'INVALID_TOKEN' });
+  assert.throws(() => verifyToken(token, 'access', Date.parse('2025-01-15T10:01:00Z')), { code: 'TOKEN_EXPIRED' });
+  assert.throws(() => verifyToken(`${token}x`, 'access'), { code: 'INVALID_TOKEN' });
+
+  // Only seeds into an empty users table
+  assert.equal(ensureAdminUser({ password: 'another-password' }), null);
+});
+
+test('logs in, refreshes and identifies the user', async () => {
+  const session = await signIn('admin', 'admin-password');
+  assert.equal(session.user.role, 'Admin');
+  assert.equal(session.expires_in, 3600);
+  assert.equal('password_hash' in session.user, false);
+
+  const wrong = await api('/auth/login', { method: 'POST', body: { username: 'admin', password: 'nope' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error.code, 'INVALID_CREDENTIALS');
+
+  const refreshed = await api('/auth/refresh', { method: 'POST', body: { refresh_token: session.refresh_token } });
+  assert.equal(refreshed.status, 200);
+  assert.equal(refreshed.body.data.user.username, 'admin');
+
+  // An access token is not a refresh token
+  const misuse = await api('/auth/refresh', { method: 'POST', body: { refresh_token: session.token } });
+  assert.equal(misuse.status, 401);
+
+  const me = await api('/auth/me', { token: refreshed.body.data.token });
+  assert.equal(me.body.data.username, 'admin');
+  assert.equal((await api('/auth/me')).status, 401);
+});
+
+test('keeps reads public and checks roles on writes', async () => {
+  assert.equal((await api('/sensors')).status, 200);
+  assert.equal((await api('/sensors', { token: 'garbage' })).status, 401);
+
+  const newSensor = { id: 'PSU-N010', name: 'Test', afforestation_status: 'Afforested', station_type: 'Node', latitude: 24.736, longitude: 46.7 };
+  const anonymous = await api('/sensors', { method: 'POST', body: newSensor });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.error.code, 'AUTH_REQUIRED');
+  const operator = await api('/sensors', { method: 'POST', body: newSensor, token: tokens.operator });
+  assert.equal(operator.status, 403);
+  const admin = await api('/sensors', { method: 'POST', body: newSensor, token: tokens.admin });
+  assert.equal(admin.status, 201);
+
+  await ingest('/readings', { sensor_id: 'PSU-N001', co2_ppm: 1200 });
+  const { body } = await api('/alerts?is_resolved=false');
+  const alertId = body.data[0].id;
+  assert.equal((await api(`/alerts/${alertId}/resolve`, { method: 'PUT', token: tokens.viewer })).status, 403);
+  assert.equal((await api(`/alerts/${alertId}/resolve`, { method: 'PUT', token: tokens.operator })).status, 200);
+});
+
+test('takes readings only from nodes with the ingest key or from operators', async () => {
+  const reading = { sensor_id: 'PSU-N003', timestamp: '2025-01-15T07:00:00Z', co2_ppm: 420 };
+  const anonymous = await api('/readings', { method: 'POST', body: reading });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.error.code, 'AUTH_REQUIRED');
+  const bulk = await api('/readings/bulk', { method: 'POST', body: { readings: [reading] } });
+  assert.equal(bulk.status, 401);
+
+  const wrongKey = await api('/readings', { method: 'POST', body: reading, headers: { 'X-API-Key': 'guess' } });
+  assert.equal(wrongKey.status, 401);
+  assert.equal(wrongKey.body.error.code, 'INVALID_API_KEY');
+  assert.equal((await api('/readings', { method: 'POST', body: reading, token: tokens.viewer })).status, 403);
+
+  assert.equal((await ingest('/readings', reading)).status, 201);
+  const operator = await api('/readings', { method: 'POST', body: { ...reading, timestamp: '2025-01-15T08:00:00Z' }, token: tokens.operator });
+  assert.equal(operator.status, 201);
+  assert.equal((await api('/readings?sensor_id=PSU-N003')).body.count, 2);
+});
+
+test('lets admins change alert thresholds', async () => {
+  const defaults = await api('/alerts/thresholds');
+  assert.deepEqual(defaults.body.data.co2, { warning: 700, critical: 1000 });
+
+  const denied = await api('/alerts/thresholds', { method: 'PUT', body: { co2: { warning: 600, critical: 900 } }, token: tokens.operator });
+  assert.equal(denied.status, 403);
+
+  const inverted = await api('/alerts/thresholds', { method: 'PUT', body: { battery: { warning: 10, critical: 20 } }, token: tokens.admin });
+  assert.equal(inverted.status, 400);
+  const humidity = await api('/alerts/thresholds', { method: 'PUT', body: { humidity: { warning: 10, critical: 20 } }, token: tokens.admin });
+  assert.equal(humidity.status, 400);
+
+  const updated = await api('/alerts/thresholds', { method: 'PUT', body: { co2: { warning: 600, critical: 900 } }, token: tokens.admin });
+  assert.deepEqual(updated.body.data.co2, { warning: 600, critical: 900 });
+  assert.deepEqual(updated.body.data.temperature, { warning: 35, critical: 40 });
+
+  await ingest('/readings', { sensor_id: 'PSU-N002', co2_ppm: 650 });
+  const { body } = await api('/alerts?sensor_id=PSU-N002&is_resolved=false');
+  assert.equal(body.data[0].threshold_value, 600);
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, api, adminToken } = require('./helpers');
+const { calculateChange, monthlyMeansFromDaily } = require('../src/services/baselineService');
+
+let token;
+
+const authed = (path, options = {}) => api(path, { token, ...options });
+
+before(async () => {
+  await startApp();
+  token = adminToken();
+});
+
+after(stopApp);
+
+test('computes the §3.3 change against the baseline', () => {
+  assert.deepEqual(calculateChange(28.3, 18.5), { change: 9.8, percent: 53 });
+  assert.deepEqual(calculateChange(420.2, 410.5), { change: 9.7, percent: 2.4 });
+  assert.equal(calculateChange(null, 18.5), null);
+});
+
+test('reduces ERA5 daily means to monthly baselines', () => {
+  const months = monthlyMeansFromDaily({
+    time: ['2019-01-30', '2019-01-31', '2019-02-01'],
+    temperature_2m_mean: [14.2, 15.0, 16.1],
+    soil_temperature_0_to_7cm_mean: [17.0, null, 19.4]
+  });
+  assert.deepEqual(months, [
+    { month: 1, air_temp_avg: 14.6, surface_temp_avg: 17 },
+    { month: 2, air_temp_avg: 16.1, surface_temp_avg: 19.4 }
+  ]);
+});
+
+test('imports baseline months and compares them with this year', async () => {
+  const imported = await authed('/baselines/2019', {
+    method: 'PUT',
+    body: {
+      data_source: 'ERA5',
+      months: [
+        { month: 1, air_temp_avg: 14.6, surface_temp_avg: 17.0 },
+        { month: 2, air_temp_avg: 16.1, surface_temp_avg: 19.4 }
+      ]
+    }
+  });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.count, 2);
+
+  await authed('/readings/bulk', {
+    method: 'POST',
+    body: {
+      readings: [
+        { sensor_id: 'PSU-N001', timestamp: '2025-01-10T09:00:00Z', air_temperature: 16.0, surface_temperature: 18.0 },
+        { sensor_id: 'PSU-N002', timestamp: '2025-01-10T09:00:00Z', air_temperature: 17.0, surface_temperature: 21.0 },
+        { sensor_id: 'PSU-N002', timestamp: '2025-03-02T09:00:00Z', air_temperature: 22.0 }
+      ]
+    }
+  });
+
+  const { status, body } = await authed('/baselines/2019/comparison?current_year=2025');
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map(m => m.month), [1, 2, 3]);
+
+  const [january, february, march] = body.data;
+  assert.equal(january.current.air_temp_avg, 16.5);
+  assert.deepEqual(january.change.air_temperature, { change: 1.9, percent: 13 });
+  assert.deepEqual(january.change.surface_temperature, { change: 2.5, percent: 14.7 });
+  assert.equal(january.change.co2, null);
+  assert.equal(february.current, null);
+  assert.equal(march.baseline, null);
+});
+
+test('rejects malformed baseline imports', async () => {
+  const bad = await authed('/baselines/2019', { method: 'PUT', body: { months: [{ month: 13 }] } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.details.field, 'months[0].month');
+
+  const year = await authed('/baselines/2019/comparison?current_year=soon');
+  assert.equal(year.status, 400);
+});
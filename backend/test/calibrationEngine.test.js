@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { startApp, stopApp, api, ingest } = require('./helpers');
+const { pairHours, analyzeCalibration } = require('../src/services/calibrationEngine');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let referenceServer;
+
+// Diurnal cycle the model "predicts" for every hour
+const modelled = (hour) => 30 + 6 * Math.sin((2 * Math.PI * hour) / (24 * HOUR_MS));
+
+// Stands in for Open-Meteo: the last 20 days of hours
+const serveReference = (req, res) => {
+  const latest = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const hours = Array.from({ length: 20 * 24 }, (_, i) => latest - (20 * 24 - 1 - i) * HOUR_MS);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    hourly: {
+      time: hours.map(hour => new Date(hour).toISOString().slice(0, 16)),
+      temperature_2m: hours.map(modelled)
+    }
+  }));
+};
+
+before(async () => {
+  await startApp();
+
+  referenceServer = http.createServer(serveReference).listen(0);
+  await new Promise(resolve => referenceServer.once('listening', resolve));
+  process.env.WEATHER_REFERENCE_URL = `http://127.0.0.1:${referenceServer.address().port}/v1/forecast`;
+});
+
+after(() => {
+  stopApp();
+  referenceServer.close();
+});
+
+// `days` of hourly pairs starting 2025-01-01, node = f(reference, day)
+const pairsOver = (days, node) => {
+  const start = Date.parse('2025-01-01T00:00:00Z');
+  const reference = new Map();
+  const readings = new Map();
+  for (let i = 0; i < days * 24; i++) {
+    const hour = start + i * HOUR_MS;
+    reference.set(hour, modelled(hour));
+    readings.set(hour, node(modelled(hour), Math.floor(i / 24)));
+  }
+  return pairHours(readings, reference, hour => new Date(hour).toISOString().slice(0, 10));
+};
+
+test('fits gain and offset and keeps a steady offset out of the drift', () => {
+  const result = analyzeCalibration(pairsOver(10, ref => 0.9 * ref + 1.5), { threshold: 1 });
+  assert.equal(result.paired_hours, 240);
+  assert.deepEqual(result.fit, { gain: 0.9, offset: 1.5, r2: 1 });
+  assert.equal(result.residuals.length, 10);
+  assert.equal(result.drift.per_day, 0);
+  assert.equal(result.recalibrate, false);
+});
+
+test('recommends recalibration once the residual trend moves past the threshold', () => {
+  const drifting = pairsOver(12, (ref, day) => ref - 2 + 0.15 * day);
+  const result = analyzeCalibration(drifting, { threshold: 1 });
+  assert.equal(result.drift.per_day, 0.15);
+  assert.equal(result.drift.change, 1.65);
+  assert.equal(result.drift.current, -0.35);
+  assert.deepEqual(result.residuals.map(r => r.trend).slice(0, 2), [-2, -1.85]);
+  assert.equal(result.recalibrate, true);
+
+  assert.equal(analyzeCalibration(drifting, { threshold: 2 }).recalibrate, false);
+});
+
+test('needs a day of pairs for a fit and five days for a trend', () => {
+  assert.equal(analyzeCalibration(pairsOver(0.5, ref => ref), { threshold: 1 }).fit, null);
+
+  const short = analyzeCalibration(pairsOver(3, ref => ref + 1), { threshold: 1 });
+  assert.ok(short.fit);
+  assert.equal(short.residuals.length, 3);
+  assert.equal(short.residuals[0].trend, null);
+  assert.equal(short.drift, null);
+});
+
+test('reports calibration drift per node against Open-Meteo', async () => {
+  // Two weeks of hourly readings: N001 runs a steady 1.5 °C cool, N002 warms
+  // 0.1 °C a day against the model, N003 is silent
+  const latest = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const readings = [];
+  for (let i = 14 * 24; i >= 1; i--) {
+    const hour = latest - i * HOUR_MS;
+    const timestamp = new Date(hour + 30 * 60 * 1000).toISOString();
+    const day = (14 * 24 - i) / 24;
+    readings.push(
+      { sensor_id: 'PSU-N001', timestamp, air_temperature: Number((modelled(hour) - 1.5).toFixed(2)) },
+      { sensor_id: 'PSU-N002', timestamp, air_temperature: Number((modelled(hour) + 0.1 * day).toFixed(2)) }
+    );
+  }
+  for (let i = 0; i < readings.length; i += 1000) {
+    await ingest('/readings/bulk', { readings: readings.slice(i, i + 1000) });
+  }
+
+  const { status, body } = await api('/sensors/calibration?days=14');
+  assert.equal(status, 200);
+  assert.equal(body.data.threshold, 1);
+  const [n1, n2, n3] = body.data.sensors;
+
+  assert.equal(n1.status, 'ok');
+  assert.ok(Math.abs(n1.fit.offset + 1.5) < 0.05);
+  assert.ok(Math.abs(n1.drift.per_day) < 0.01);
+
+  assert.equal(n2.status, 'recalibrate');
+  assert.ok(Math.abs(n2.drift.per_day - 0.1) < 0.01);
+  assert.ok(n2.drift.change >= 1);
+
+  assert.equal(n3.status, 'insufficient_data');
+  assert.equal(n3.paired_hours, 0);
+
+  const bad = await api('/sensors/calibration?days=200');
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.details.field, 'days');
+  assert.equal((await api('/sensors/calibration?threshold=0')).status, 400);
+});
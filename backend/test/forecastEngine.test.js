@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, api, ingest } = require('./helpers');
+const { fillGaps, forecastSeries } = require('../src/services/forecastEngine');
+
+
+before(async () => {
+  await startApp();
+});
+
+after(stopApp);
+
+// Weekday pattern (weekends quieter) on a slow upward trend
+const WEEKLY = [-6, 4, 5, 6, 5, 3, -8];
+const weeklySeries = (days, base = 420, slope = 0.5) =>
+  Array.from({ length: days }, (_, i) => base + slope * i + WEEKLY[i % 7]);
+
+test('interpolates interior gaps and trims missing ends', () => {
+  assert.deepEqual(fillGaps([null, 10, null, null, 16, null]), { values: [10, 12, 14, 16], offset: 1 });
+  assert.deepEqual(fillGaps([null, null]), { values: [], offset: 0 });
+});
+
+test('carries the weekly season and trend into the forecast', () => {
+  const history = weeklySeries(42);
+  const result = forecastSeries(history, { horizon: 7 });
+  assert.equal(result.method, 'holt-winters');
+  assert.equal(result.points.length, 7);
+
+  const expected = weeklySeries(49).slice(42);
+  result.points.forEach((point, i) => {
+    assert.ok(Math.abs(point.value - expected[i]) < 1, `step ${point.step}: ${point.value} vs ${expected[i]}`);
+    assert.ok(point.lower <= point.value && point.value <= point.upper);
+  });
+});
+
+test('widens prediction intervals with the horizon', () => {
+  const noisy = weeklySeries(28).map((v, i) => v + (i % 3 === 0 ? 2 : -1));
+  const { points } = forecastSeries(noisy, { horizon: 7 });
+  const widths = points.map(p => p.upper - p.lower);
+  assert.ok(widths[0] > 0);
+  assert.ok(widths[6] > widths[0]);
+});
+
+test('falls back to Holt below two seasons and gives up below five days', () => {
+  const short = forecastSeries([30, 31, null, 33, 34, 35], { horizon: 3 });
+  assert.equal(short.method, 'holt');
+  assert.ok(Math.abs(short.points[0].value - 36) < 0.5);
+
+  assert.equal(forecastSeries([30, 31, 32, null], { horizon: 3 }), null);
+});
+
+test('serves zone forecasts with expected threshold breaches', async () => {
+  // Three weeks of daily readings up to yesterday: the Non-afforested zone
+  // climbs towards the 700 ppm CO₂ warning, the Afforested zone stays low
+  const today = new Date();
+  const readings = [];
+  for (let daysAgo = 21; daysAgo >= 1; daysAgo--) {
+    const timestamp = new Date(today.getTime() - daysAgo * 24 * 60 * 60 * 1000);
+    timestamp.setUTCHours(9, 0, 0, 0);
+    const day = 21 - daysAgo;
+    readings.push(
+      { sensor_id: 'PSU-N001', timestamp: timestamp.toISOString(), co2_ppm: 410 + WEEKLY[day % 7], air_temperature: 30 },
+      { sensor_id: 'PSU-N002', timestamp: timestamp.toISOString(), co2_ppm: 560 + 7 * day, air_temperature: 33 }
+    );
+  }
+  await ingest('/readings/bulk', { readings });
+
+  const { status, body } = await api('/aggregates/forecast?metric=co2');
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map(z => z.zone), ['Afforested', 'Non-afforested', 'Pre-afforestation']);
+
+  const [afforested, nonAfforested, preAfforestation] = body.data;
+  assert.equal(afforested.method, 'holt-winters');
+  assert.equal(afforested.points.length, 7);
+  assert.deepEqual(afforested.breaches, []);
+
+  assert.equal(nonAfforested.trained_on.days, 21);
+  const expected = nonAfforested.breaches.filter(b => b.likelihood === 'expected');
+  assert.ok(expected.length > 0);
+  assert.equal(expected[0].severity, 'Warning');
+  assert.equal(expected[0].threshold, 700);
+
+  // No readings in that zone
+  assert.equal(preAfforestation.method, null);
+  assert.deepEqual(preAfforestation.points, []);
+
+  const bad = await api('/aggregates/forecast?metric=humidity&days=30');
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.details.field, 'metric');
+});
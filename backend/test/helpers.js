@@ -0,0 +1,53 @@
+// Shared set-up for the API tests: the app on a free port over an in-memory
+// database, a JSON request helper and signed-in staff. node --test runs every
+// file in its own process, so each file gets its own app and database.
+const { createApp } = require('../src/app');
+const { initDatabase, closeDatabase } = require('../src/config/database');
+const { createUser, login } = require('../src/services/authService');
+
+// Key the tests' nodes post readings with (X-API-Key)
+const INGEST_KEY = 'test-ingest-key';
+process.env.INGEST_API_KEY = INGEST_KEY;
+
+let server;
+let baseUrl;
+
+// Call from `before`; returns the API base URL
+const startApp = async () => {
+  await initDatabase({ filename: ':memory:' });
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  return baseUrl;
+};
+
+// Call from `after`
+const stopApp = () => {
+  server.close();
+  closeDatabase();
+};
+
+// JSON request against the API; `token` signs it in
+const api = async (path, { token, ...options } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// POSTs `body` to an ingestion endpoint as a node would
+const ingest = (path, body) => api(path, { method: 'POST', body, headers: { 'X-API-Key': INGEST_KEY } });
+
+// Creates a staff account with `role` and returns its access token
+const adminToken = (role = 'Admin') => {
+  createUser({ username: 'staff', password: 'staff-password', role });
+  return login({ username: 'staff', password: 'staff-password' }).token;
+};
+
+module.exports = { INGEST_KEY, startApp, stopApp, api, ingest, adminToken };
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { startApp, stopApp, adminToken } = require('./helpers');
+const { normaliseHeader, resolveColumns } = require('../src/services/importService');
+
+let baseUrl;
+let token;
+
+// Logger export with Riyadh local timestamps; rows 3-6 each break one rule
+const LOGGER_CSV = [
+  'Node,Time,CO2 (ppm),Air Temp (°C),Surface Temp (°C),RH (%),RSSI',
+  'PSU-N001,2025-01-05 08:00:00,418.2,21.4,24.8,40.1,-80',
+  'PSU-N001,2025-01-05 09:00:00,9000,22.0,25.5,39.0,-81',
+  'PSU-N001,2025-01-05 10:00:00,420.1,75,26.2,38.2,-79',
+  'PSU-N001,2025-01-05 11:00:00,421.0,23.1,27.0,37.5,-125',
+  'PSU-N999,2025-01-05 11:00:00,421.0,23.1,27.0,37.5,-70',
+  'PSU-N001,2025-01-05 08:00:00,418.2,21.4,24.8,40.1,-80',
+  'PSU-N001,2025-01-05 12:00:00,422.4,24.0,28.1,36.0,-78'
+].join('\n');
+
+const upload = (path, body, contentType = 'text/csv') => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': contentType, Authorization: `Bearer ${token}` },
+  body
+}).then(async response => ({ status: response.status, body: await response.json() }));
+
+before(async () => {
+  baseUrl = await startApp();
+  token = adminToken('Operator');
+});
+
+after(stopApp);
+
+test('maps logger headers onto reading fields', () => {
+  assert.equal(normaliseHeader('Air Temp (°C)'), 'air_temp');
+  const { mapped, ignored } = resolveColumns(['Node', 'Time', 'CO2 (ppm)', 'Firmware'], { Firmware: undefined });
+  assert.deepEqual(mapped, { Node: 'sensor_id', Time: 'timestamp', 'CO2 (ppm)': 'co2_ppm' });
+  assert.deepEqual(ignored, ['Firmware']);
+});
+
+test('previews a per-row report without storing anything', async () => {
+  const { status, body } = await upload('/imports/preview?filename=node1.csv', LOGGER_CSV);
+  assert.equal(status, 200);
+
+  const report = body.data;
+  assert.equal(report.total_rows, 7);
+  assert.equal(report.accepted, 2);
+  assert.deepEqual(report.rows.map(r => r.status), ['accepted', 'rejected', 'rejected', 'rejected', 'rejected', 'rejected', 'accepted']);
+  assert.equal(report.rows[0].timestamp, '2025-01-05T05:00:00.000Z');
+  assert.equal(report.rows[1].errors[0].reason, 'CO₂ outside 350-5000 ppm');
+  assert.equal(report.rows[2].errors[0].field, 'air_temperature');
+  assert.equal(report.rows[3].errors[0].field, 'rssi');
+  assert.equal(report.rows[4].errors[0].reason, 'Unknown sensor');
+  assert.equal(report.rows[5].errors[0].reason, 'Duplicate row in file');
+
+  const readings = await (await fetch(`${baseUrl}/readings?sensor_id=PSU-N001`)).json();
+  assert.equal(readings.count, 0);
+});
+
+test('commits accepted rows and skips them on re-import', async () => {
+  const first = await upload('/imports?filename=node1.csv', LOGGER_CSV);
+  assert.equal(first.status, 201);
+  assert.equal(first.body.data.inserted, 2);
+
+  const daily = await (await fetch(`${baseUrl}/aggregates/daily?sensor_id=PSU-N001&from=2025-01-05&to=2025-01-05`)).json();
+  assert.equal(daily.data[0].total_readings, 2);
+
+  const again = await upload('/imports?filename=node1.csv', LOGGER_CSV);
+  assert.equal(again.body.data.inserted, 0);
+  assert.equal(again.body.data.rows[0].errors[0].reason, 'Reading already stored');
+});
+
+test('reads XLSX date cells for single-node exports', async () => {
+  // 45663.6041… is 2025-01-06 14:30 as an Excel serial date
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Timestamp', 'MH-Z19B', 'DS18B20', 'Battery (V)'],
+    [{ t: 'n', v: 45663 + 14.5 / 24, z: 'yyyy-mm-dd hh:mm' }, 455.1, 25.2, 3.9]
+  ]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Readings');
+  const file = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+  const { body } = await upload('/imports/preview?filename=n002.xlsx&sensor_id=PSU-N002', file, 'application/octet-stream');
+  assert.equal(body.data.accepted, 1);
+  assert.equal(body.data.rows[0].sensor_id, 'PSU-N002');
+  assert.equal(body.data.rows[0].timestamp, '2025-01-06T11:30:00.000Z');
+});
+
+test('rejects a mapping that is not a JSON object', async () => {
+  for (const mapping of ['null', '42', '"Node"', '["sensor_id"]', '{Node:']) {
+    const { status, body } = await upload(`/imports/preview?filename=logger.csv&mapping=${encodeURIComponent(mapping)}`, LOGGER_CSV);
+    assert.equal(status, 400, mapping);
+    assert.equal(body.error.code, 'VALIDATION_ERROR');
+    assert.equal(body.error.details.field, 'mapping');
+  }
+});
+
+test('requires a timestamp column', async () => {
+  const { status, body } = await upload('/imports/preview?filename=bad.csv', 'Node,CO2\nPSU-N001,410');
+  assert.equal(status, 400);
+  assert.equal(body.error.message, 'No timestamp column found');
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeFrame, encodeFrame, decodeUplink } = require('../src/services/lorawanDecoder');
+const { INGEST_KEY, startApp, stopApp } = require('./helpers');
+
+// CO₂ 415 ppm, surface 32.5 °C, air 28.3 °C, 45.2 %RH, 3.7 V
+const FRAME_HEX = '019f0cb20b0e11a80e74';
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startApp();
+});
+
+after(stopApp);
+
+test('decodes hex and base64 frames to reading columns', () => {
+  const expected = {
+    co2_ppm: 415,
+    surface_temperature: 32.5,
+    air_temperature: 28.3,
+    humidity: 45.2,
+    battery_voltage: 3.7
+  };
+  assert.deepEqual(decodeFrame(FRAME_HEX), expected);
+  assert.deepEqual(decodeFrame(Buffer.from(FRAME_HEX, 'hex').toString('base64')), expected);
+});
+
+test('round-trips negative temperatures and missing sensors', () => {
+  const values = { co2_ppm: null, surface_temperature: -4.25, air_temperature: null, humidity: 12, battery_voltage: 3.3 };
+  assert.deepEqual(decodeFrame(encodeFrame(values)), values);
+});
+
+test('rejects frames of the wrong size', () => {
+  assert.throws(() => decodeFrame('019f0c'), { code: 'DECODE_ERROR' });
+  assert.throws(() => decodeFrame('not a frame!'), { code: 'DECODE_ERROR' });
+});
+
+test('reads TTN and ChirpStack webhook bodies', () => {
+  const frame = Buffer.from(FRAME_HEX, 'hex').toString('base64');
+
+  const ttn = decodeUplink({
+    end_device_ids: { device_id: 'psu-n001', dev_eui: '70B3D57ED0000001' },
+    received_at: '2025-01-15T07:30:00.120Z',
+    uplink_message: {
+      f_port: 1,
+      frm_payload: frame,
+      rx_metadata: [{ gateway_ids: { gateway_id: 'psu-gw' }, rssi: -82 }, { rssi: -75 }],
+      received_at: '2025-01-15T07:30:00Z'
+    }
+  });
+  assert.equal(ttn.sensor_id, 'PSU-N001');
+  assert.equal(ttn.timestamp, '2025-01-15T07:30:00Z');
+  assert.equal(ttn.rssi, -75);
+  assert.equal(ttn.co2_ppm, 415);
+
+  const chirpstack = decodeUplink({
+    deviceInfo: { deviceName: 'PSU-N003', devEui: '70b3d57ed0000003' },
+    time: '2025-01-15T07:31:00Z',
+    fPort: 1,
+    data: frame,
+    rxInfo: [{ rssi: -90 }]
+  });
+  assert.equal(chirpstack.sensor_id, 'PSU-N003');
+  assert.equal(chirpstack.rssi, -90);
+
+  assert.throws(() => decodeUplink({ deviceInfo: { deviceName: 'PSU-N003' }, fPort: 2, data: frame }), { code: 'DECODE_ERROR' });
+});
+
+test('stores replayed uplinks through the webhook endpoint', async () => {
+  const uplink = (headers) => fetch(`${baseUrl}/lorawan/uplink`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ device_id: 'psu-n002', payload: FRAME_HEX, rssi: -70, timestamp: '2025-01-15T09:00:00Z' })
+  });
+  assert.equal((await uplink({})).status, 401);
+  assert.equal((await uplink({ 'X-API-Key': 'wrong' })).status, 401);
+  assert.equal((await uplink({ 'X-API-Key': INGEST_KEY })).status, 201);
+
+  const readings = await (await fetch(`${baseUrl}/readings?sensor_id=PSU-N002`)).json();
+  assert.equal(readings.count, 1);
+  assert.equal(readings.data[0].battery_voltage, 3.7);
+  assert.equal(readings.data[0].rssi, -70);
+});
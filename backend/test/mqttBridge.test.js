@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const { createMqttBridge, parseMessage } = require('../src/services/mqttBridge');
+const { initDatabase, closeDatabase } = require('../src/config/database');
+const SensorReading = require('../src/models/SensorReading');
+
+let broker;
+let brokerServer;
+let brokerUrl;
+let bridge;
+let publisher;
+
+const publish = (topic, payload) => new Promise((resolve, reject) => {
+  publisher.publish(topic, typeof payload === 'string' ? payload : JSON.stringify(payload), { qos: 1 }, error => (error ? reject(error) : resolve()));
+});
+
+// QoS 1 acks reach the publisher before the bridge sees the message, so poll
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for MQTT messages');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+before(async () => {
+  await initDatabase({ filename: ':memory:' });
+
+  broker = aedes();
+  brokerServer = net.createServer(broker.handle);
+  await new Promise(resolve => brokerServer.listen(0, resolve));
+  brokerUrl = `mqtt://127.0.0.1:${brokerServer.address().port}`;
+
+  bridge = createMqttBridge({ url: brokerUrl, topicPrefix: 'rawdah' });
+  await bridge.start();
+
+  publisher = await mqtt.connectAsync(brokerUrl);
+});
+
+after(async () => {
+  await publisher.endAsync();
+  await bridge.stop();
+  await new Promise(resolve => broker.close(resolve));
+  await new Promise(resolve => brokerServer.close(resolve));
+  closeDatabase();
+});
+
+test('takes the sensor ID from the topic and rejects mismatches', () => {
+  assert.equal(parseMessage('rawdah/PSU-N001/readings', Buffer.from('{"co2_ppm":410}')).sensor_id, 'PSU-N001');
+  assert.throws(() => parseMessage('rawdah/PSU-N001/readings', Buffer.from('{"sensor_id":"PSU-N002"}')), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => parseMessage('rawdah/PSU-N001/status', Buffer.from('{}')), { code: 'VALIDATION_ERROR' });
+  assert.throws(() => parseMessage('rawdah/PSU-N001/readings', Buffer.from('not json')), { code: 'VALIDATION_ERROR' });
+});
+
+test('stores valid messages and counts rejects per registered topic', async () => {
+  await publish('rawdah/PSU-N001/readings', { timestamp: '2025-01-15T07:30:00Z', co2_ppm: 415.5, air_temperature: 28.3 });
+  await publish('rawdah/PSU-N001/readings', { timestamp: '2025-01-15T07:31:00Z', co2_ppm: 416.1, air_temperature: 28.4 });
+  await publish('rawdah/PSU-N003/readings', { co2_ppm: 'high' });
+  await publish('rawdah/PSU-N999/readings', { co2_ppm: 410 });
+
+  const received = ({ topics, unregistered }) => topics.reduce((sum, t) => sum + t.received, unregistered.received);
+  await waitFor(() => received(bridge.getStats()) === 4);
+
+  assert.equal(SensorReading.count({ sensor_id: 'PSU-N001' }), 2);
+
+  const stats = Object.fromEntries(bridge.getStats().topics.map(t => [t.sensor_id, t]));
+  assert.equal(stats['PSU-N001'].stored, 2);
+  assert.equal(stats['PSU-N001'].messages_per_minute, 2);
+  assert.equal(stats['PSU-N003'].rejected, 1);
+  assert.equal(stats['PSU-N003'].last_error, 'co2_ppm must be a number');
+  assert.equal(stats['PSU-N999'], undefined);
+
+  const { unregistered } = bridge.getStats();
+  assert.equal(unregistered.topic, 'rawdah/PSU-N999/readings');
+  assert.equal(unregistered.rejected, 1);
+  assert.equal(unregistered.last_error, 'Sensor not found');
+});
+
+test('counts unregistered sensor IDs together, without a topic each', () => {
+  const local = createMqttBridge({ url: brokerUrl });
+  for (let i = 0; i < 500; i++) {
+    local.handleMessage(`rawdah/FAKE-${i}/readings`, Buffer.from('{"co2_ppm":410}'));
+  }
+  local.handleMessage('rawdah/PSU-N002/readings', Buffer.from('{"co2_ppm":450}'));
+
+  const { topics, unregistered } = local.getStats();
+  assert.deepEqual(topics.map(t => t.sensor_id), ['PSU-N002']);
+  assert.equal(unregistered.received, 500);
+  assert.equal(unregistered.sensor_id, 'FAKE-499');
+  assert.equal(unregistered.messages_per_minute, 500);
+});
+
+test('drops messages older than a minute from the rate', () => {
+  let clock = Date.parse('2025-01-15T07:30:00Z');
+  const offline = createMqttBridge({ url: brokerUrl, now: () => clock });
+
+  offline.handleMessage('rawdah/PSU-N002/readings', Buffer.from('{"co2_ppm":450}'));
+  clock += 30 * 1000;
+  offline.handleMessage('rawdah/PSU-N002/readings', Buffer.from('{"co2_ppm":451}'));
+  clock += 45 * 1000;
+
+  const [topic] = offline.getStats().topics;
+  assert.equal(topic.received, 2);
+  assert.equal(topic.messages_per_minute, 1);
+});
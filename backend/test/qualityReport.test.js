@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { startApp, stopApp, api, ingest } = require('./helpers');
+const { scoreReadings } = require('../src/services/dataQuality');
+
+let referenceServer;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+// Stands in for Open-Meteo: 30 °C every hour of the past two days
+const serveReference = (req, res) => {
+  const time = Array.from({ length: 48 }, (_, i) => hoursAgo(47 - i).slice(0, 13) + ':00');
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ hourly: { time, temperature_2m: time.map(() => 30) } }));
+};
+
+before(async () => {
+  await startApp();
+
+  referenceServer = http.createServer(serveReference).listen(0);
+  await new Promise(resolve => referenceServer.once('listening', resolve));
+  process.env.WEATHER_REFERENCE_URL = `http://127.0.0.1:${referenceServer.address().port}/v1/forecast`;
+});
+
+after(() => {
+  stopApp();
+  referenceServer.close();
+});
+
+test('scores readings and breaks down why they failed (§6)', () => {
+  const score = scoreReadings([
+    { timestamp: '2025-01-15T08:00:00Z', co2_ppm: 410, rssi: -80 },
+    { timestamp: '2025-01-15T09:00:00Z', co2_ppm: 120, rssi: -125 },
+    { timestamp: '2025-01-15T10:00:00Z', co2_ppm: 415 },
+    { timestamp: '2025-01-15T11:00:00Z', co2_ppm: 6000 }
+  ]);
+  assert.equal(score.total_readings, 4);
+  assert.equal(score.valid_readings, 2);
+  assert.equal(score.score, 50);
+  assert.equal(score.last_valid_reading, '2025-01-15T10:00:00Z');
+  assert.deepEqual(score.failures, [
+    { field: 'co2_ppm', reason: 'CO₂ outside 350-5000 ppm', count: 2 },
+    { field: 'rssi', reason: 'RSSI at or below -120 dBm', count: 1 }
+  ]);
+  assert.equal(scoreReadings([]).score, null);
+});
+
+test('reports each sensor over a rolling window and flags low scores', async () => {
+  await ingest('/readings/bulk', {
+    readings: [
+      { sensor_id: 'PSU-N001', timestamp: hoursAgo(2), co2_ppm: 410 },
+      { sensor_id: 'PSU-N001', timestamp: hoursAgo(1), co2_ppm: 415 },
+      { sensor_id: 'PSU-N002', timestamp: hoursAgo(3), co2_ppm: 420 },
+      { sensor_id: 'PSU-N002', timestamp: hoursAgo(2), humidity: 140 },
+      { sensor_id: 'PSU-N002', timestamp: hoursAgo(1), rssi: -130, co2_ppm: 418 },
+      { sensor_id: 'PSU-N003', timestamp: hoursAgo(72), co2_ppm: 430 }
+    ]
+  });
+
+  const day = await api('/sensors/quality');
+  assert.equal(day.status, 200);
+  assert.equal(day.body.data.window, '24h');
+  const [n1, n2, n3] = day.body.data.sensors;
+  assert.deepEqual([n1.score, n1.flagged], [100, false]);
+  assert.equal(n2.score, 33.3);
+  assert.equal(n2.flagged, true);
+  assert.equal(n2.failures.length, 2);
+  assert.deepEqual([n3.total_readings, n3.score, n3.flagged], [0, null, true]);
+
+  const week = await api('/sensors/quality?window=7d&min_score=30');
+  assert.equal(week.body.data.sensors[2].score, 100);
+  assert.equal(week.body.data.sensors[1].flagged, false);
+
+  const bad = await api('/sensors/quality?window=1y');
+  assert.equal(bad.status, 400);
+});
+
+test('marks sensors suspect when their values look faulty', async () => {
+  // Ten hours of 15-minute readings, a day before the readings above: N002's
+  // CO₂ is stuck and N003 reads far hotter than both neighbors and Open-Meteo
+  const readings = [];
+  for (let i = 0; i < 40; i++) {
+    const timestamp = hoursAgo(30 - i / 4);
+    const wobble = (i % 4) / 2;
+    readings.push(
+      { sensor_id: 'PSU-N001', timestamp, co2_ppm: 420 + wobble * 4, air_temperature: 30 + wobble },
+      { sensor_id: 'PSU-N002', timestamp, co2_ppm: 505, air_temperature: 31 - wobble },
+      { sensor_id: 'PSU-N003', timestamp, co2_ppm: 430 + wobble * 6, air_temperature: 44 + wobble }
+    );
+  }
+  await ingest('/readings/bulk', { readings });
+
+  const { status, body } = await api('/sensors/quality');
+  assert.equal(status, 200);
+  const [n1, n2, n3] = body.data.sensors;
+  assert.deepEqual([n1.suspect, n1.anomalies], [false, []]);
+
+  assert.equal(n2.suspect, true);
+  assert.deepEqual(n2.anomalies.map(a => [a.type, a.field, a.value]), [['stuck', 'co2_ppm', 505]]);
+
+  assert.equal(n3.suspect, true);
+  assert.deepEqual(n3.anomalies.map(a => a.type), ['neighbor', 'reference']);
+  assert.ok(n3.anomalies.every(a => a.field === 'air_temperature'));
+  assert.equal(n3.anomalies[1].value, 14.8);
+});
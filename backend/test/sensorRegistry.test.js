@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, api, ingest, adminToken } = require('./helpers');
+
+// The quality report must not reach out to Open-Meteo from tests
+process.env.WEATHER_REFERENCE_URL = 'off';
+
+let token;
+
+const authed = (path, options = {}) => api(path, { token, ...options });
+
+const EAST_ZONE = {
+  id: 'PSU-N004',
+  name: 'PSU Campus - East Zone',
+  location: 'East Zone',
+  district: 'Prince Sultan University',
+  afforestation_status: 'Afforested',
+  station_type: 'Node',
+  sensor_types: 'MH-Z19B, MLX90614, DS18B20, SHT30',
+  latitude: 24.7365,
+  longitude: 46.703,
+  installation_date: '2025-01-15',
+  firmware_version: '1.2.0'
+};
+
+before(async () => {
+  await startApp();
+  token = adminToken();
+});
+
+after(stopApp);
+
+test('registers a sensor inside the campus bounds', async () => {
+  const created = await authed('/sensors', { method: 'POST', body: EAST_ZONE });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.message, 'Sensor registered successfully');
+  assert.deepEqual(created.body.data.coordinates, { latitude: 24.7365, longitude: 46.703 });
+  assert.equal(created.body.data.firmware_version, '1.2.0');
+  assert.equal(created.body.data.status, 'Active');
+  assert.equal(created.body.data.is_active, true);
+
+  const { body } = await authed('/sensors');
+  assert.deepEqual(body.data.map(s => s.id), ['PSU-N001', 'PSU-N002', 'PSU-N003', 'PSU-N004']);
+
+  const duplicate = await authed('/sensors', { method: 'POST', body: EAST_ZONE });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error.code, 'SENSOR_EXISTS');
+});
+
+test('rejects invalid registry fields', async () => {
+  const cases = [
+    [{ latitude: 24.75 }, 'latitude'],
+    [{ longitude: 46.69 }, 'longitude'],
+    [{ afforestation_status: 'Planted' }, 'afforestation_status'],
+    [{ installation_date: '15/01/2025' }, 'installation_date'],
+    [{ firmware_version: 'v1' }, 'firmware_version'],
+    [{ id: 'PSU N005' }, 'id'],
+    [{ name: '' }, 'name']
+  ];
+  for (const [override, field] of cases) {
+    const { status, body } = await authed('/sensors', { method: 'POST', body: { ...EAST_ZONE, id: 'PSU-N005', ...override } });
+    assert.equal(status, 400, field);
+    assert.equal(body.error.details.field, field);
+  }
+});
+
+test('edits only the fields sent', async () => {
+  const { status, body } = await authed('/sensors/PSU-N004', {
+    method: 'PUT',
+    body: { firmware_version: '1.3.0', latitude: 24.737 }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.data.firmware_version, '1.3.0');
+  assert.deepEqual(body.data.coordinates, { latitude: 24.737, longitude: 46.703 });
+  assert.equal(body.data.name, EAST_ZONE.name);
+
+  const outside = await authed('/sensors/PSU-N004', { method: 'PUT', body: { longitude: 46.8 } });
+  assert.equal(outside.status, 400);
+  const renamed = await authed('/sensors/PSU-N004', { method: 'PUT', body: { id: 'PSU-N009' } });
+  assert.equal(renamed.status, 400);
+  const missing = await authed('/sensors/PSU-N099', { method: 'PUT', body: { name: 'Nowhere' } });
+  assert.equal(missing.status, 404);
+});
+
+test('deactivates a sensor, resolving its alerts, and reactivates it', async () => {
+  await authed('/readings', { method: 'POST', body: { sensor_id: 'PSU-N004', co2_ppm: 1100 } });
+  const open = await authed('/alerts?sensor_id=PSU-N004&is_resolved=false');
+  assert.equal(open.body.count, 1);
+  const zones = await authed('/aggregates/zones');
+  assert.equal(zones.body.data[0].zones.Afforested.co2_avg, 1100);
+
+  const { status, body } = await authed('/sensors/PSU-N004', { method: 'DELETE' });
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Sensor deactivated');
+  assert.equal(body.data.is_active, false);
+  assert.equal(body.data.resolved_alerts, 1);
+
+  const again = await authed('/sensors/PSU-N004', { method: 'DELETE' });
+  assert.equal(again.body.message, 'Sensor was already inactive');
+
+  const active = await authed('/sensors');
+  assert.equal(active.body.data.some(s => s.id === 'PSU-N004'), false);
+  const all = await authed('/sensors?include_inactive=true');
+  assert.equal(all.body.count, 4);
+  const quality = await authed('/sensors/quality');
+  assert.equal(quality.body.data.sensors.some(s => s.sensor_id === 'PSU-N004'), false);
+
+  // History stays readable after deactivation, but no new readings are taken
+  const rejected = await ingest('/readings', { sensor_id: 'PSU-N004', co2_ppm: 1200 });
+  assert.equal(rejected.status, 409);
+  assert.equal(rejected.body.error.code, 'SENSOR_INACTIVE');
+  const bulk = await ingest('/readings/bulk', { readings: [{ sensor_id: 'PSU-N004', co2_ppm: 1200 }] });
+  assert.deepEqual(bulk.body.data.errors.map(e => e.code), ['SENSOR_INACTIVE']);
+  assert.equal((await authed('/alerts?sensor_id=PSU-N004&is_resolved=false')).body.count, 0);
+  const detail = await authed('/sensors/PSU-N004');
+  assert.equal(detail.body.data.total_readings, 1);
+  const daily = await authed('/aggregates/daily?sensor_id=PSU-N004');
+  assert.equal(daily.body.count, 1);
+  // ...and leaves the zone comparisons
+  assert.equal((await authed('/aggregates/zones')).body.count, 0);
+
+  const reactivated = await authed('/sensors/PSU-N004', { method: 'PUT', body: { is_active: true } });
+  assert.equal(reactivated.body.data.is_active, true);
+  assert.equal((await authed('/sensors')).body.count, 4);
+});
+
+test('keeps past days in the zone they were recorded in', async () => {
+  await ingest('/readings', { sensor_id: 'PSU-N003', timestamp: '2025-04-01T09:00:00Z', co2_ppm: 430 });
+  const retagged = await authed('/sensors/PSU-N003', { method: 'PUT', body: { afforestation_status: 'Afforested' } });
+  assert.equal(retagged.body.data.afforestation_status, 'Afforested');
+  await ingest('/readings', { sensor_id: 'PSU-N003', timestamp: '2025-04-02T09:00:00Z', co2_ppm: 410 });
+  // A late reading for a day aggregated before the change stays in the old zone
+  await ingest('/readings', { sensor_id: 'PSU-N003', timestamp: '2025-04-01T10:00:00Z', co2_ppm: 440 });
+
+  const { body } = await authed('/aggregates/zones?from=2025-04-01&to=2025-04-02&period=day');
+  assert.deepEqual(body.data.map(({ period, zones }) => [period, Object.keys(zones)]), [
+    ['2025-04-01', ['Pre-afforestation']],
+    ['2025-04-02', ['Afforested']]
+  ]);
+  assert.equal(body.data[0].zones['Pre-afforestation'].co2_avg, 435);
+
+  const before = await authed('/aggregates/daily?afforestation_status=Pre-afforestation&from=2025-04-01');
+  assert.deepEqual(before.body.data.map(row => row.date), ['2025-04-01']);
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, stopApp, api, ingest } = require('./helpers');
+const {
+  tTwoSidedP,
+  welchTTest,
+  mannWhitneyU,
+  pairedTTest,
+  wilcoxonSignedRank,
+  bootstrapMeanDifference,
+  bootstrapMean
+} = require('../src/services/statisticsEngine');
+
+before(async () => {
+  await startApp();
+});
+
+after(stopApp);
+
+// Welch's worked example (unequal variances, n = 15 each)
+const A1 = [27.5, 21.0, 19.0, 23.6, 17.0, 17.9, 16.9, 20.1, 21.9, 22.6, 23.1, 19.6, 19.0, 21.7, 21.4];
+const A2 = [27.1, 22.0, 20.8, 23.4, 23.4, 23.5, 25.8, 22.0, 24.8, 20.2, 21.9, 22.1, 22.9, 20.5, 24.4];
+
+test('matches Student t critical values', () => {
+  assert.ok(Math.abs(tTwoSidedP(2.228, 10) - 0.05) < 1e-3);
+  assert.ok(Math.abs(tTwoSidedP(12.706, 1) - 0.05) < 1e-3);
+  assert.equal(tTwoSidedP(0, 5), 1);
+});
+
+test("runs Welch's t-test without assuming equal variances", () => {
+  const { t, df, p } = welchTTest(A1, A2);
+  assert.ok(Math.abs(t + 2.46) < 0.01);
+  assert.ok(Math.abs(df - 24.99) < 0.01);
+  assert.ok(Math.abs(p - 0.021) < 0.001);
+  assert.equal(welchTTest([1], A2), null);
+  assert.equal(welchTTest([2, 2], [2, 2, 2]), null);
+});
+
+test('ranks with ties for Mann-Whitney U', () => {
+  // No overlap: U = 0, z = (|0 - 4.5| - 0.5) / sqrt(9 * 7 / 12)
+  const separated = mannWhitneyU([1, 2, 3], [4, 5, 6]);
+  assert.equal(separated.u, 0);
+  assert.ok(Math.abs(separated.z + 4 / Math.sqrt(63 / 12)) < 1e-9);
+
+  const tied = mannWhitneyU([1, 2, 2, 3], [2, 3, 3, 4]);
+  assert.equal(tied.u + mannWhitneyU([2, 3, 3, 4], [1, 2, 2, 3]).u, 16);
+  assert.equal(mannWhitneyU([5, 5], [5, 5, 5]), null);
+});
+
+test('runs the paired t-test on the differences', () => {
+  // Differences 1..5: mean 3, sd 1.581, t = 4.243 on 4 df
+  const { t, df, p } = pairedTTest([2, 4, 6, 8, 10], [1, 2, 3, 4, 5]);
+  assert.ok(Math.abs(t - 4.243) < 1e-3);
+  assert.equal(df, 4);
+  assert.ok(Math.abs(p - 0.0132) < 1e-4);
+  assert.equal(pairedTTest([1], [2]), null);
+  assert.equal(pairedTTest([3, 4, 5], [1, 2, 3]), null);
+});
+
+test('ranks the paired differences for Wilcoxon signed-rank', () => {
+  // All five differences positive: W = 15, z = (15 - 7.5 - 0.5) / sqrt(13.75)
+  const positive = wilcoxonSignedRank([2, 4, 6, 8, 10], [1, 2, 3, 4, 5]);
+  assert.equal(positive.w, 15);
+  assert.ok(Math.abs(positive.z - 7 / Math.sqrt(13.75)) < 1e-9);
+  assert.ok(Math.abs(positive.p - 0.059) < 1e-3);
+
+  // Zero differences are dropped; tied magnitudes share their rank
+  const tied = wilcoxonSignedRank([5, 3, 1, 4], [5, 1, 3, 3]);
+  assert.equal(tied.n, 3);
+  assert.equal(tied.w, 2.5 + 1);
+  assert.equal(wilcoxonSignedRank([1, 2], [1, 2]), null);
+});
+
+test('bootstraps a reproducible interval around the difference of means', () => {
+  const ci = bootstrapMeanDifference(A1, A2);
+  assert.deepEqual(ci, bootstrapMeanDifference(A1, A2));
+  // mean(A2) - mean(A1) = 1.9
+  assert.ok(ci.lower > 0 && ci.lower < 1.9 && ci.upper > 1.9);
+  assert.equal(bootstrapMeanDifference([], A2), null);
+
+  const differences = A2.map((value, i) => value - A1[i]);
+  const paired = bootstrapMean(differences);
+  assert.deepEqual(paired, bootstrapMean(differences));
+  assert.ok(paired.lower > 0 && paired.lower < 1.9 && paired.upper > 1.9);
+  assert.equal(bootstrapMean([]), null);
+});
+
+test('tests the afforested against the non-afforested zone day by day', async () => {
+  // Twelve days: the Non-afforested node reads ~30 ppm more CO₂ every day,
+  // air temperature only differs by noise, and surface temperature swings
+  // with the weather in both zones but always runs ~0.6 °C hotter off the trees
+  const noise = [0.4, -0.3, 0.1, -0.5, 0.2, 0.3, -0.1, -0.4, 0.5, 0, -0.2, 0.1];
+  const weather = [3, -4, 6, 1, -6, 2, 5, -2, -5, 4, 0, -3];
+  const readings = noise.flatMap((n, i) => {
+    const timestamp = `2025-03-${String(i + 1).padStart(2, '0')}T09:00:00Z`;
+    return [
+      { sensor_id: 'PSU-N001', timestamp, co2_ppm: 410 + 5 * n, air_temperature: 30 + n, surface_temperature: 40 + weather[i] },
+      { sensor_id: 'PSU-N002', timestamp, co2_ppm: 440 - 8 * n, air_temperature: 30 - n, surface_temperature: 40.6 + weather[i] + n / 2 }
+    ];
+  });
+  // A day only the afforested zone reported counts for the unpaired tests alone
+  readings.push({ sensor_id: 'PSU-N001', timestamp: '2025-03-13T09:00:00Z', co2_ppm: 412 });
+  await ingest('/readings/bulk', { readings });
+
+  const { status, body } = await api('/aggregates/significance?from=2025-03-01&to=2025-03-31');
+  assert.equal(status, 200);
+  assert.deepEqual([body.data.from, body.data.to], ['2025-03-01', '2025-03-13']);
+  const { co2, air_temperature, surface_temperature } = body.data.metrics;
+
+  assert.deepEqual(co2.n, { afforested: 13, non_afforested: 12, paired: 12 });
+  assert.ok(Math.abs(co2.difference - 30) < 1);
+  assert.ok(co2.ci.lower > 25 && co2.ci.upper < 35);
+  assert.equal(co2.ci.method, 'paired bootstrap');
+  assert.ok(co2.paired_t.p < 0.001);
+  assert.equal(co2.paired_t.df, 11);
+  assert.ok(co2.wilcoxon.p < 0.01);
+  assert.ok(co2.welch.p < 0.001);
+  assert.equal(co2.significant, true);
+
+  assert.equal(air_temperature.significant, false);
+  assert.ok(air_temperature.ci.lower < 0 && air_temperature.ci.upper > 0);
+
+  // The shared weather hides the surface difference from the unpaired tests
+  assert.ok(surface_temperature.welch.p > 0.5);
+  assert.ok(surface_temperature.paired_t.p < 0.001);
+  assert.equal(surface_temperature.significant, true);
+
+  // Fewer than three paired days
+  const short = await api('/aggregates/significance?from=2025-03-01&to=2025-03-02');
+  assert.equal(short.body.data.metrics.co2, null);
+
+  const bad = await api('/aggregates/significance?from=March');
+  assert.equal(bad.status, 400);
+});
@@ -0,0 +1,126 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { once } = require('node:events');
+const { run } = require('../src/config/database');
+const { createApp, createShutdown } = require('../src/app');
+const { startApp, stopApp, ingest } = require('./helpers');
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startApp();
+});
+
+after(stopApp);
+
+const postReading = (body) => ingest('/readings', body);
+
+// Opens the stream and collects parsed events until `count` have arrived
+const collectEvents = async ({ count, headers = {}, afterOpen = async () => {} }) => {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/stream`, { headers, signal: controller.signal });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  let opened = false;
+
+  while (events.length < count) {
+    const { value } = await reader.read();
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const fields = Object.fromEntries(block.split('\n').map(line => {
+        const colon = line.indexOf(':');
+        return [line.slice(0, colon), line.slice(colon + 1).trim()];
+      }));
+      if (fields.event) events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+    }
+
+    if (!opened) {
+      opened = true;
+      await afterOpen();
+    }
+  }
+
+  controller.abort();
+  return events;
+};
+
+test('pushes readings with their refreshed daily point', async () => {
+  const [event] = await collectEvents({
+    count: 1,
+    afterOpen: () => postReading({ sensor_id: 'PSU-N001', timestamp: '2025-01-15T07:30:00Z', co2_ppm: 415.5, air_temperature: 28.3 })
+  });
+
+  assert.equal(event.type, 'reading');
+  assert.equal(event.data.reading.sensor_id, 'PSU-N001');
+  assert.deepEqual(event.data.daily, { day: 'Wed', date: '2025-01-15', co2_avg: 415.5, air_temp_avg: 28.3, surface_temp_avg: null });
+});
+
+test('announces a sensor coming back online', async () => {
+  run(`UPDATE sensors SET status = 'Offline' WHERE id = 'PSU-N003'`);
+
+  const events = await collectEvents({
+    count: 2,
+    afterOpen: () => postReading({ sensor_id: 'PSU-N003', co2_ppm: 420 })
+  });
+
+  assert.equal(events[0].type, 'sensor_status');
+  assert.equal(events[0].data.status, 'Active');
+  assert.equal(events[1].type, 'reading');
+});
+
+test('replays missed events after Last-Event-ID and resets on unknown IDs', async () => {
+  const [first] = await collectEvents({
+    count: 1,
+    afterOpen: () => postReading({ sensor_id: 'PSU-N002', co2_ppm: 450 })
+  });
+
+  // Published while the client was disconnected
+  await postReading({ sensor_id: 'PSU-N002', co2_ppm: 451 });
+
+  const [missed] = await collectEvents({ count: 1, headers: { 'Last-Event-ID': first.id } });
+  assert.equal(missed.type, 'reading');
+  assert.equal(missed.data.reading.co2_ppm, 451);
+
+  const [reset] = await collectEvents({ count: 1, headers: { 'Last-Event-ID': 'stale-42' } });
+  assert.equal(reset.type, 'reset');
+});
+
+// Resolves with the exit code the shutdown handler asked for
+const shutDown = (server, options) => new Promise(resolve => {
+  createShutdown(server, { ...options, exit: resolve })();
+});
+
+test('shuts down while a stream client is still connected', async () => {
+  const server = createApp().listen(0);
+  await once(server, 'listening');
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/stream`);
+  const reader = response.body.getReader();
+  await reader.read();
+
+  const cleanup = mock.fn(async () => {});
+  assert.equal(await shutDown(server, { cleanup, forceExitMs: 5000 }), 0);
+  assert.equal(cleanup.mock.callCount(), 1);
+  // The client sees the stream end and can reconnect to the next server
+  while (!(await reader.read()).done);
+});
+
+test('cuts off requests still open after the force-exit delay', async () => {
+  const server = http.createServer(() => {}).listen(0);
+  await once(server, 'listening');
+  const hanging = fetch(`http://127.0.0.1:${server.address().port}/`).catch(error => error);
+  await once(server, 'request');
+
+  const cleanup = mock.fn(async () => {});
+  assert.equal(await shutDown(server, { cleanup, forceExitMs: 100 }), 1);
+  assert.equal(cleanup.mock.callCount(), 1);
+  assert.ok((await hanging) instanceof Error);
+});
@@ -1,25 +1,213 @@
 // ============================
 // Cache Management System
 // ============================
+// Entries live in memory and are written through to a persistent tier
+// (IndexedDB, or localStorage where IndexedDB is unavailable) so they survive
+// reloads. Expired entries are kept as the "last known" value for when the
+// network is down; get() still only returns fresh ones.
+//
+// fetch() is the read path for API calls: fresh entries are returned as is,
+// stale ones are returned at once and refreshed in the background
+// (stale-while-revalidate), and concurrent loads of one key share a request.
+const DB_NAME = 'rawdahscope-cache';
+const STORE_NAME = 'entries';
+const STORAGE_PREFIX = 'rawdahscope.cache.';
+
+// Persisted bytes allowed before the oldest entries are evicted. localStorage is
+// capped near 5 MB per origin; IndexedDB gets a share of the browser's quota.
+const LOCAL_STORAGE_BUDGET = 4 * 1024 * 1024;
+const INDEXED_DB_BUDGET = 50 * 1024 * 1024;
+const QUOTA_SHARE = 0.5;
+
+// In-memory limits; the least recently used entries go first
+const MAX_MEMORY_ENTRIES = 300;
+const MAX_MEMORY_BYTES = 20 * 1024 * 1024;
+
+const isQuotaError = (error) => error?.name === 'QuotaExceededError' || error?.code === 22;
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class IndexedDbStore {
+  static async open(name) {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    const store = new IndexedDbStore(await idbRequest(request));
+
+    const estimate = await navigator.storage?.estimate?.().catch(() => null);
+    store.budget = estimate?.quota
+      ? Math.min(INDEXED_DB_BUDGET, estimate.quota * QUOTA_SHARE)
+      : INDEXED_DB_BUDGET;
+    return store;
+  }
+
+  constructor(db) {
+    this.db = db;
+    this.name = 'indexedDB';
+  }
+
+  run(mode, operation) {
+    const transaction = this.db.transaction(STORE_NAME, mode);
+    const result = idbRequest(operation(transaction.objectStore(STORE_NAME)));
+    // Quota errors surface on the transaction, not the request
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return Promise.all([result, done]).then(([value]) => value);
+  }
+
+  loadAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  put(record) {
+    return this.run('readwrite', store => store.put(record));
+  }
+
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
+class LocalStorageStore {
+  constructor(prefix) {
+    this.name = 'localStorage';
+    this.prefix = prefix;
+    this.budget = LOCAL_STORAGE_BUDGET;
+  }
+
+  async loadAll() {
+    const records = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key.startsWith(this.prefix)) continue;
+      try {
+        records.push(JSON.parse(localStorage.getItem(key)));
+      } catch (e) {
+        localStorage.removeItem(key);
+      }
+    }
+    return records;
+  }
+
+  async put(record) {
+    localStorage.setItem(this.prefix + record.key, JSON.stringify(record));
+  }
+
+  async delete(key) {
+    localStorage.removeItem(this.prefix + key);
+  }
+
+  async clear() {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(this.prefix))
+      .forEach(key => localStorage.removeItem(key));
+  }
+}
+
+// IndexedDB first, then localStorage; null leaves the cache memory-only
+const openPersistentStore = async (namespace) => {
+  const dbName = namespace ? `${DB_NAME}-${namespace}` : DB_NAME;
+  // 'rawdahscope.cache-mock.' rather than a sub-prefix the default store would also match
+  const prefix = namespace ? `${STORAGE_PREFIX.slice(0, -1)}-${namespace}.` : STORAGE_PREFIX;
+  try {
+    if (typeof indexedDB !== 'undefined') return await IndexedDbStore.open(dbName);
+  } catch (error) {
+    console.warn('IndexedDB unavailable, caching in localStorage:', error);
+  }
+  try {
+    localStorage.setItem(`${prefix}probe`, '1');
+    localStorage.removeItem(`${prefix}probe`);
+    return new LocalStorageStore(prefix);
+  } catch (error) {
+    console.warn('Persistent cache unavailable, caching in memory only:', error);
+    return null;
+  }
+};
+
 class cacheManager {
   constructor() {
+    // Insertion order doubles as recency: reads move a key to the end
     this.cache = new Map();
     this.timestamps = new Map();
+    this.sizes = new Map();
+    // key -> promise of the load currently running for it
+    this.inflight = new Map();
+    this.revalidateListeners = new Set();
+    // key -> { created, bytes } for what is in the persistent tier
+    this.persisted = new Map();
+    this.namespace = null;
+    this.store = null;
+    this.ready = null;
+    // Persistent writes run one at a time, in call order
+    this.writes = Promise.resolve();
   }
-  
+
+  // Persists to a separate database from here on, so entries written under one
+  // namespace (e.g. mock API responses) are never read under another. Must be
+  // called before the first hydrate().
+  setNamespace(namespace) {
+    if (this.ready) throw new Error('cacheManager namespace must be set before the cache is hydrated');
+    this.namespace = namespace;
+  }
+
+  // Loads persisted entries into memory. Safe to call more than once; the
+  // first set() also triggers it. Never rejects.
+  hydrate() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        this.store = await openPersistentStore(this.namespace);
+        if (!this.store) return 0;
+        try {
+          const records = await this.store.loadAll();
+          // Oldest first, so the newest records end up most recently used
+          records.sort((a, b) => a.created - b.created).forEach(({ key, data, created, expires, ttl }) => {
+            const bytes = JSON.stringify(data).length;
+            this.persisted.set(key, { created, bytes });
+            // Anything set while we were loading is newer
+            if (this.timestamps.has(key)) return;
+            this.cache.set(key, data);
+            this.timestamps.set(key, { created, expires, ttl });
+            this.sizes.set(key, bytes);
+          });
+          this.enforceLimits();
+          return records.length;
+        } catch (error) {
+          console.warn('Failed to load persisted cache:', error);
+          return 0;
+        }
+      })();
+    }
+    return this.ready;
+  }
+
   set(key, data, ttlMinutes = 10) {
     const ttlMs = ttlMinutes * 60 * 1000;
-    this.cache.set(key, data);
-    this.timestamps.set(key, {
+    const timestamp = {
       created: Date.now(),
       expires: Date.now() + ttlMs,
       ttl: ttlMs
-    });
+    };
+    const bytes = JSON.stringify(data)?.length ?? 0;
+    this.cache.delete(key);
+    this.cache.set(key, data);
+    this.timestamps.set(key, timestamp);
+    this.sizes.set(key, bytes);
+    this.enforceLimits();
+    this.hydrate().then(() => this.persist(key, data, timestamp, bytes));
   }
-  
+
   get(key) {
     const timestamp = this.timestamps.get(key);
     if (timestamp && Date.now() < timestamp.expires) {
+      this.touch(key);
       return {
         data: this.cache.get(key),
         age: Date.now() - timestamp.created,
@@ -28,30 +216,183 @@ class cacheManager {
     }
     return null;
   }
-  
+
+  // Like get(), but also returns expired entries (stale: true) - the last
+  // known value to show while offline
+  getLastKnown(key) {
+    const timestamp = this.timestamps.get(key);
+    if (!timestamp) return null;
+    this.touch(key);
+    return {
+      data: this.cache.get(key),
+      created: timestamp.created,
+      age: Date.now() - timestamp.created,
+      stale: Date.now() >= timestamp.expires,
+      fromCache: true
+    };
+  }
+
   getAge(key) {
     const timestamp = this.timestamps.get(key);
     if (!timestamp) return null;
     return Date.now() - timestamp.created;
   }
-  
+
+  // Cached read for `load` (an async function returning the data). Fresh hits
+  // return immediately; entries expired for less than `maxStaleMinutes` return
+  // the old data and refresh in the background, telling onRevalidate()
+  // listeners when the new data lands. Anything older, a miss or `force` waits
+  // for the network. Load errors reject when waited on and are logged on a
+  // background refresh.
+  async fetch(key, load, { ttlMinutes = 10, maxStaleMinutes = 60, force = false } = {}) {
+    const entry = this.getLastKnown(key);
+    const timestamp = this.timestamps.get(key);
+    const usable = entry && Date.now() < timestamp.expires + maxStaleMinutes * 60 * 1000;
+    if (usable && !force) {
+      // A refresh already running for this key will notify on its own
+      if (entry.stale && !this.inflight.has(key)) {
+        this.load(key, load, ttlMinutes)
+          .then(data => this.revalidateListeners.forEach(listener => listener(key, data)))
+          .catch(error => console.warn(`Background refresh of ${key} failed:`, error));
+      }
+      return entry.data;
+    }
+    return this.load(key, load, ttlMinutes);
+  }
+
+  // Runs `load` once per key at a time; concurrent callers share the promise
+  load(key, load, ttlMinutes) {
+    if (!this.inflight.has(key)) {
+      const promise = (async () => {
+        try {
+          const data = await load();
+          this.set(key, data, ttlMinutes);
+          return data;
+        } finally {
+          this.inflight.delete(key);
+        }
+      })();
+      this.inflight.set(key, promise);
+    }
+    return this.inflight.get(key);
+  }
+
+  onRevalidate(listener) {
+    this.revalidateListeners.add(listener);
+    return () => this.revalidateListeners.delete(listener);
+  }
+
+  touch(key) {
+    const data = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, data);
+  }
+
+  remove(key) {
+    this.cache.delete(key);
+    this.timestamps.delete(key);
+    this.sizes.delete(key);
+    if (this.persisted.delete(key)) this.enqueue(store => store.delete(key));
+  }
+
+  memoryBytes() {
+    let total = 0;
+    this.sizes.forEach(bytes => { total += bytes; });
+    return total;
+  }
+
+  // Drops least recently used entries, from both tiers, until the memory
+  // limits hold. The newest entry always stays.
+  enforceLimits() {
+    let bytes = this.memoryBytes();
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= 1) break;
+      if (this.cache.size <= MAX_MEMORY_ENTRIES && bytes <= MAX_MEMORY_BYTES) break;
+      bytes -= this.sizes.get(key) || 0;
+      this.remove(key);
+    }
+  }
+
+  // Expires every entry without dropping it, so the next reads go to the
+  // network but the last known values stay available
+  invalidate() {
+    this.timestamps.forEach(timestamp => {
+      timestamp.expires = 0;
+    });
+  }
+
   clear() {
     this.cache.clear();
     this.timestamps.clear();
+    this.sizes.clear();
+    this.persisted.clear();
+    this.enqueue(store => store.clear());
+  }
+
+  enqueue(write) {
+    this.writes = this.writes.then(() => this.store && write(this.store)).catch(error => {
+      console.warn('Persistent cache write failed:', error);
+    });
+    return this.writes;
+  }
+
+  persist(key, data, { created, expires, ttl }, bytes) {
+    return this.enqueue(async store => {
+      // The entry may have been replaced, evicted or cleared while queued
+      if (this.timestamps.get(key)?.created !== created) return;
+
+      const record = { key, data, created, expires, ttl };
+      if (bytes > store.budget) return;
+
+      this.persisted.delete(key);
+      await this.evict(store, store.budget - bytes);
+      try {
+        await store.put(record);
+      } catch (error) {
+        if (!isQuotaError(error)) throw error;
+        // The browser's quota is tighter than our budget: free half and retry once
+        await this.evict(store, this.persistedBytes() / 2);
+        await store.put(record);
+      }
+      this.persisted.set(key, { created, bytes });
+    });
+  }
+
+  persistedBytes() {
+    let total = 0;
+    this.persisted.forEach(({ bytes }) => { total += bytes; });
+    return total;
+  }
+
+  // Removes the oldest persisted entries until at most `maxBytes` remain.
+  // They stay in memory for this session.
+  async evict(store, maxBytes) {
+    const oldestFirst = [...this.persisted.entries()].sort((a, b) => a[1].created - b[1].created);
+    let total = this.persistedBytes();
+    for (const [key, { bytes }] of oldestFirst) {
+      if (total <= maxBytes) break;
+      await store.delete(key);
+      this.persisted.delete(key);
+      total -= bytes;
+    }
   }
-  
+
   getCacheStats() {
     const stats = {
       totalItems: this.cache.size,
       memoryItems: this.cache.size,
-      storageItems: 0,
+      memoryBytes: this.memoryBytes(),
+      pendingRequests: this.inflight.size,
+      storageItems: this.persisted.size,
+      storageBytes: this.persistedBytes(),
+      storageBackend: this.store?.name ?? null,
       oldestItem: null,
       newestItem: null
     };
-    
+
     let oldest = Infinity;
     let newest = 0;
-    
+
     this.timestamps.forEach((timestamp, key) => {
       if (timestamp.created < oldest) {
         oldest = timestamp.created;
@@ -62,9 +403,9 @@ class cacheManager {
         stats.newestItem = { key, age: Date.now() - timestamp.created };
       }
     });
-    
+
     return stats;
   }
 }
 const cacheManagerInstance = new cacheManager();
-export { cacheManagerInstance as cacheManager };
\ No newline at end of file
+export { cacheManagerInstance as cacheManager };
@@ -0,0 +1,159 @@
+import { cacheManager } from './CacheManager.js';
+
+// jsdom has no IndexedDB, so these run against the localStorage tier
+const STORAGE_PREFIX = 'rawdahscope.cache.';
+const MINUTE = 60 * 1000;
+
+let now;
+// A fresh cache per test, built like the shared instance
+let cache;
+
+// Lets queued persistent writes finish
+const settle = async () => {
+  await cache.hydrate();
+  await cache.writes;
+};
+
+const storedKeys = () => Object.keys(localStorage)
+  .filter(key => key.startsWith(STORAGE_PREFIX))
+  .map(key => key.slice(STORAGE_PREFIX.length))
+  .sort();
+
+beforeEach(() => {
+  localStorage.clear();
+  now = Date.UTC(2025, 5, 1, 9);
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  cache = new cacheManager.constructor();
+});
+
+afterEach(async () => {
+  // Nothing may land in localStorage after the next test has cleared it
+  await settle();
+  jest.restoreAllMocks();
+});
+
+test('returns a stale hit at once and revalidates it in the background', async () => {
+  cache.set('weather', { temp: 41 }, 10);
+  now += 15 * MINUTE;
+  expect(cache.get('weather')).toBeNull();
+
+  let finishLoad;
+  const load = jest.fn(() => new Promise(resolve => { finishLoad = resolve; }));
+  const listener = jest.fn();
+  cache.onRevalidate(listener);
+
+  await expect(cache.fetch('weather', load)).resolves.toEqual({ temp: 41 });
+  expect(load).toHaveBeenCalledTimes(1);
+  // A second read while the refresh runs neither waits nor starts another
+  await expect(cache.fetch('weather', load)).resolves.toEqual({ temp: 41 });
+  expect(load).toHaveBeenCalledTimes(1);
+
+  finishLoad({ temp: 43 });
+  await cache.inflight.get('weather');
+  await Promise.resolve();
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(listener).toHaveBeenCalledWith('weather', { temp: 43 });
+  expect(cache.get('weather').data).toEqual({ temp: 43 });
+});
+
+test('waits for the network once an entry is past its stale window', async () => {
+  cache.set('weather', { temp: 41 }, 10);
+  now += 10 * MINUTE + 61 * MINUTE;
+
+  const load = jest.fn().mockResolvedValue({ temp: 44 });
+  await expect(cache.fetch('weather', load)).resolves.toEqual({ temp: 44 });
+
+  // ...as does a forced read of a fresh entry
+  await expect(cache.fetch('weather', () => Promise.resolve({ temp: 45 }), { force: true })).resolves.toEqual({ temp: 45 });
+  await expect(cache.fetch('weather', load)).resolves.toEqual({ temp: 45 });
+  expect(load).toHaveBeenCalledTimes(1);
+});
+
+test('shares one request between concurrent fetches of a key', async () => {
+  let finishLoad;
+  const load = jest.fn(() => new Promise(resolve => { finishLoad = resolve; }));
+
+  const first = cache.fetch('aqi', load);
+  const second = cache.fetch('aqi', load);
+  const other = cache.fetch('co2', () => Promise.resolve(420));
+  expect(load).toHaveBeenCalledTimes(1);
+  expect(cache.getCacheStats().pendingRequests).toBe(2);
+
+  finishLoad({ aqi: 52 });
+  const [a, b] = await Promise.all([first, second]);
+  expect(a).toBe(b);
+  await expect(other).resolves.toBe(420);
+  expect(cache.getCacheStats().pendingRequests).toBe(0);
+  expect(cache.get('aqi').data).toEqual({ aqi: 52 });
+});
+
+test('rejects every waiting fetch when the shared request fails, then lets the next one retry', async () => {
+  const load = jest.fn().mockRejectedValueOnce(new Error('HTTP 503')).mockResolvedValueOnce('ok');
+
+  const results = await Promise.allSettled([cache.fetch('aqi', load), cache.fetch('aqi', load)]);
+  expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+  expect(cache.getLastKnown('aqi')).toBeNull();
+
+  await expect(cache.fetch('aqi', load)).resolves.toBe('ok');
+  expect(load).toHaveBeenCalledTimes(2);
+});
+
+test('evicts the oldest persisted entries first to stay under the storage budget', async () => {
+  await cache.hydrate();
+  expect(cache.store.name).toBe('localStorage');
+  // Three 32-byte entries fit, a fourth does not
+  cache.store.budget = 100;
+  const payload = (letter) => letter.repeat(30);
+
+  for (const key of ['a', 'b', 'c']) {
+    cache.set(key, payload(key));
+    now += MINUTE;
+  }
+  await settle();
+  expect(storedKeys()).toEqual(['a', 'b', 'c']);
+
+  // Reading an entry does not save it: storage goes by age, not use
+  expect(cache.get('a')).not.toBeNull();
+  cache.set('d', payload('d'));
+  await settle();
+  expect(storedKeys()).toEqual(['b', 'c', 'd']);
+  expect(cache.getCacheStats().storageBytes).toBe(96);
+  // ...and the evicted entry stays in memory for this session
+  expect(cache.get('a').data).toBe(payload('a'));
+
+  // Replacing an entry counts it as new
+  now += MINUTE;
+  cache.set('b', payload('B'));
+  now += MINUTE;
+  cache.set('e', payload('e'));
+  await settle();
+  expect(storedKeys()).toEqual(['b', 'd', 'e']);
+
+  // Entries larger than the whole budget are kept in memory only
+  cache.set('huge', 'x'.repeat(200));
+  await settle();
+  expect(storedKeys()).toEqual(['b', 'd', 'e']);
+  expect(cache.get('huge')).not.toBeNull();
+});
+
+test('drops the least recently used entries from memory first', () => {
+  for (let i = 0; i < 300; i++) cache.set(`key-${i}`, i);
+  cache.get('key-0');
+  cache.set('key-300', 300);
+
+  expect(cache.getCacheStats().memoryItems).toBe(300);
+  expect(cache.get('key-0').data).toBe(0);
+  expect(cache.get('key-1')).toBeNull();
+  expect(cache.get('key-2').data).toBe(2);
+});
+
+test('hydrates persisted entries into a new session', async () => {
+  cache.set('weather', { temp: 41 }, 10);
+  await settle();
+
+  now += 30 * MINUTE;
+  const nextSession = new cacheManager.constructor();
+  await expect(nextSession.hydrate()).resolves.toBe(1);
+  expect(nextSession.get('weather')).toBeNull();
+  expect(nextSession.getLastKnown('weather')).toMatchObject({ data: { temp: 41 }, stale: true, age: 30 * MINUTE });
+});
@@ -1,11 +1,29 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
-import { Thermometer, Wind, MapPin, Wifi, WifiOff, Loader2, AlertCircle, RefreshCw, Clock, CheckCircle, XCircle, MessageCircle, X, Globe } from 'lucide-react';
+import { Thermometer, Wind, MapPin, Wifi, WifiOff, Loader2, AlertCircle, RefreshCw, Clock, CheckCircle, XCircle, MessageCircle, X, Globe, Upload, Server, LogIn, LogOut } from 'lucide-react';
 
 import { Button, Card, WeekSelector, LoadingOverlay, FreshnessIndicator} from './components/Ui.js';
 import { getLastValue, prepareChartData, translations} from './Translation.js';
 import { RawdahChatbot } from './components/Chatbot.js'
 import{cacheManager} from './CacheManager.js'
+import { BackendApiService } from './services/BackendApiService.js'
+import { ImportPanel } from './components/ImportPanel.js'
+import { AlertsPanel } from './components/AlertsPanel.js'
+import { SensorRegistryPanel, CAMPUS_BOUNDS } from './components/SensorRegistryPanel.js'
+import { LoginPanel } from './components/LoginPanel.js'
+import { BaselineCard } from './components/BaselineCard.js'
+import { SimulationControls } from './components/SimulationControls.js'
+import { PollutantSeriesCard } from './components/PollutantSeriesCard.js'
+import { TrendControls } from './components/TrendControls.js'
+import { ForecastCard } from './components/ForecastCard.js'
+import { CalibrationCard } from './components/CalibrationCard.js'
+import { ZoneSignificanceNote } from './components/ZoneSignificanceNote.js'
+import { getSimulation, onSimulationChange } from './services/Simulation.js'
+import { fetchFromProviders, getProviderName } from './services/providers/index.js'
+import { computeAQI, describeAQI, getPollutantLabel } from './services/AirQualityIndex.js'
+import { withTrendOverlays } from './services/TrendAnalysis.js'
+import { calculateHeatIndex } from './services/HeatIndex.js'
+import { compareAirQualityWeeks } from './services/AirQualityComparison.js'
 // ============================
 // Retry Logic Wrapper
 // ============================
@@ -74,119 +92,41 @@ const DataFreshness = {
 // Enhanced API Service with Fixed Endpoints
 // ============================
 const ApiService = {
-  // Enhanced weather data fetching with multiple API sources and better error handling
+  // Current conditions plus daily temperatures, from the first weather provider
+  // that answers (services/providers)
   async fetchWeatherData(lat = 24.7136, lng = 46.6753, useCache = true) {
     const cacheKey = `weather_${lat}_${lng}`;
     
-    if (useCache) {
-      const cached = cacheManager.get(cacheKey);
-      if (cached) {
-        console.log(`Using cached weather data (${DataFreshness.getAge(Date.now() - cached.age)})`);
-        return cached.data;
-      }
-    }
-    
-    const fetcher = async () => {
-      // Strategy 1: Open-Meteo API (most reliable, no API key needed)
-      try {
-        const url = new URL('https://api.open-meteo.com/v1/forecast');
-        url.search = new URLSearchParams({
-          latitude: String(lat),
-          longitude: String(lng),
-          current: 'temperature_2m,relative_humidity_2m,surface_pressure,wind_speed_10m,weathercode,apparent_temperature',
-          hourly: 'temperature_2m,relative_humidity_2m,surface_pressure,apparent_temperature',
-          daily: 'temperature_2m_max,temperature_2m_min,temperature_2m_mean,weathercode,apparent_temperature_max,apparent_temperature_min',
-          timezone: 'Asia/Riyadh',
-          past_days: '3',
-          forecast_days: '3'
-        }).toString();
-        
-        const response = await fetch(url.toString(), {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json'
-          },
-          mode: 'cors',
-          cache: 'no-cache'
-        });
-        
-        if (response.ok) {
-          const data = await response.json();
-          if (data.current && data.current.temperature_2m !== null) {
-            return { ...data, source: 'open-meteo', timestamp: Date.now() };
-          }
+    return cacheManager.fetch(cacheKey, async () => {
+      const result = await fetchWithRetry(
+        async () => ({ ...await fetchFromProviders('weather', { lat, lng, pastDays: 3, forecastDays: 3 }), timestamp: Date.now() }),
+        {
+          retries: 2, // Reduced retries to fail faster on Vercel
+          delay: 1000,
+          onRetry: (attempt, delay) => console.log(`Retrying weather providers... Attempt ${attempt}, waiting ${delay}ms`)
         }
-      } catch (e) {
-        console.log('Open-Meteo API failed, trying backup sources...');
-      }
+      );
       
-      // No fallback data - throw error to be handled by caller
-      throw new Error('Weather API failed - no real data available');
-    };
-    
-    const result = await fetchWithRetry(fetcher, {
-      retries: 2, // Reduced retries to fail faster on Vercel
-      delay: 1000,
-      onRetry: (attempt, delay) => console.log(`Retrying weather API... Attempt ${attempt}, waiting ${delay}ms`)
-    });
-    
-    if (result.success) {
-      cacheManager.set(cacheKey, result.data, 10);
+      // No fallback data - throw error so UI shows "waiting for data"
+      if (!result.success) throw new Error('Weather APIs unavailable - waiting for real data');
       return result.data;
-    }
-    
-    // No fallback data - throw error so UI shows "waiting for data"
-    throw new Error('Weather APIs unavailable - waiting for real data');
+    }, { ttlMinutes: 10, force: !useCache });
   },
   
-  // Enhanced temperature fetching with realistic fallback data
+  // Current temperature at one point; null when no provider has it
   async fetchCurrentTempAt(lat, lng, useCache = true) {
     const cacheKey = `temp_${lat}_${lng}`;
     
-    if (useCache) {
-      const cached = cacheManager.get(cacheKey);
-      if (cached) {
-        return cached.data;
-      }
-    }
-    
-    const fetcher = async () => {
-      // Strategy 1: Open-Meteo API
-      try {
-        const url = new URL('https://api.open-meteo.com/v1/forecast');
-        url.search = new URLSearchParams({
-          latitude: String(lat),
-          longitude: String(lng),
-          current: 'temperature_2m,apparent_temperature',
-          timezone: 'Asia/Riyadh'
-        }).toString();
-        
-        const res = await fetch(url.toString());
-        if (res.ok) {
-          const data = await res.json();
-          if (data.current && data.current.temperature_2m !== null) {
-            return { ...data, source: 'open-meteo' };
-          }
-        }
-      } catch (e) {
-        console.log('Open-Meteo failed for location, generating realistic temperature...');
-      }
-      
-      // No fallback data - throw error to be handled by caller
-      throw new Error('Temperature API failed - no real data available');
-    };
-    
-    const result = await fetchWithRetry(fetcher, { retries: 2 });
-    
-    if (result.success) {
-      cacheManager.set(cacheKey, result.data, 5);
+    return cacheManager.fetch(cacheKey, async () => {
+      const result = await fetchWithRetry(() => fetchFromProviders('current', { lat, lng }), { retries: 2 });
+      if (!result.success) throw result.error;
       return result.data;
-    }
-    
-    return null;
+    }, { ttlMinutes: 5, force: !useCache }).catch(() => null);
   },
   
-  // ENHANCED: Air quality API using World Air Quality Index (WAQI) and fallback strategies
+  // Hourly air quality near a point between date_from and date_to (ISO), in the
+  // OpenAQ-style { results } shape: one result per pollutant per hour, plus the
+  // `window` it covers
   async fetchAirQualityWindow({ 
     lat = 24.7136, 
     lng = 46.6753, 
@@ -196,55 +136,24 @@ const ApiService = {
     parameters = ['pm25','pm10','no2','o3','so2','co']
   }) {
     const cacheKey = `aq_${lat}_${lng}_${date_from}_${date_to}_${parameters.join(',')}`;
+    // Windows that ended over a day ago no longer change
+    const isSettled = Date.parse(date_to) < Date.now() - 24 * 60 * 60 * 1000;
     
-    const cached = cacheManager.get(cacheKey);
-    if (cached) return cached.data;
-    
-    const fetcher = async () => {
-      // Open-Meteo Air Quality API (free, no API key, has Riyadh data)
-      try {
-        const aqUrl = `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${lat}&longitude=${lng}&current=pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone`;
-        const aqResponse = await fetch(aqUrl);
-
-        if (aqResponse.ok) {
-          const aqData = await aqResponse.json();
-
-          if (aqData.current) {
-            const c = aqData.current;
-            const now = new Date().toISOString();
-            const results = [
-              { parameter: 'pm25', value: c.pm2_5 || 0, unit: 'µg/m³', date: { utc: now } },
-              { parameter: 'pm10', value: c.pm10 || 0, unit: 'µg/m³', date: { utc: now } },
-              { parameter: 'no2', value: c.nitrogen_dioxide || 0, unit: 'µg/m³', date: { utc: now } },
-              { parameter: 'o3', value: c.ozone || 0, unit: 'µg/m³', date: { utc: now } },
-              { parameter: 'so2', value: c.sulphur_dioxide || 0, unit: 'µg/m³', date: { utc: now } },
-              { parameter: 'co', value: c.carbon_monoxide ? c.carbon_monoxide / 1000 : 0, unit: 'mg/m³', date: { utc: now } }
-            ];
-
-            return { results, source: 'open-meteo' };
-          }
-        }
-      } catch (e) {
-        console.log('Open-Meteo Air Quality API failed...');
-      }
+    return cacheManager.fetch(cacheKey, async () => {
+      const result = await fetchWithRetry(() => fetchFromProviders('airQualityHistory', { lat, lng, from: date_from, to: date_to }), { 
+        retries: 8, // More retries for air quality data
+        delay: 3000, // Longer delay between retries
+        onRetry: (attempt, delay) => console.log(`Retrying air quality providers... Attempt ${attempt}, waiting ${delay}ms`)
+      });
       
-      // No fallback data - throw error to be handled by caller
-      throw new Error('All air quality APIs failed - no real data available');
-    };
-    
-    const result = await fetchWithRetry(fetcher, { 
-      retries: 8, // More retries for air quality data
-      delay: 3000, // Longer delay between retries
-      onRetry: (attempt, delay) => console.log(`Retrying air quality API... Attempt ${attempt}, waiting ${delay}ms`)
-    });
-    
-    if (result.success) {
-      cacheManager.set(cacheKey, result.data, 15);
-      return result.data;
-    }
-    
-    // No fallback data - throw error so UI shows "waiting for data"
-    throw new Error('Air quality APIs unavailable - waiting for real data');
+      // No fallback data - throw error so UI shows "waiting for data"
+      if (!result.success) throw new Error('Air quality APIs unavailable - waiting for real data');
+      return {
+        ...result.data,
+        results: result.data.results.filter(r => parameters.includes(r.parameter)),
+        window: { from: date_from, to: date_to }
+      };
+    }, { ttlMinutes: isSettled ? 1440 : 15 });
   },
   
   // Enhanced climate data fetching with multiple reliable sources
@@ -257,9 +166,6 @@ const ApiService = {
   }) {
     const cacheKey = `climate_${lat}_${lng}_${start}_${end}_${daily}`;
     
-    const cached = cacheManager.get(cacheKey);
-    if (cached) return cached.data;
-    
     const fetcher = async () => {
       // Strategy 1: Use Open-Meteo Historical API (more reliable than ERA5)
       try {
@@ -312,28 +218,23 @@ const ApiService = {
       throw new Error('Climate API failed - no real data available');
     };
     
-    const result = await fetchWithRetry(fetcher, { 
-      retries: 8, // More retries for climate data
-      delay: 3000,
-      onRetry: (attempt, delay) => console.log(`Retrying climate API... Attempt ${attempt}, waiting ${delay}ms`)
-    });
-    
-    if (result.success) {
-      cacheManager.set(cacheKey, result.data, 60);
+    return cacheManager.fetch(cacheKey, async () => {
+      const result = await fetchWithRetry(fetcher, { 
+        retries: 8, // More retries for climate data
+        delay: 3000,
+        onRetry: (attempt, delay) => console.log(`Retrying climate API... Attempt ${attempt}, waiting ${delay}ms`)
+      });
+      
+      // No fallback data - throw error so UI shows "waiting for data"
+      if (!result.success) throw new Error('Climate APIs unavailable - waiting for real data');
       return result.data;
-    }
-    
-    // No fallback data - throw error so UI shows "waiting for data"
-    throw new Error('Climate APIs unavailable - waiting for real data');
+    }, { ttlMinutes: 60 });
   },
 
   // Fetch climate data for a specific year (used for NDVI estimation)
   async fetchClimateDataForYear(lat = 24.7136, lng = 46.6753, year) {
     const cacheKey = `climate_year_${lat}_${lng}_${year}`;
     
-    const cached = cacheManager.get(cacheKey);
-    if (cached) return cached.data;
-    
     const fetcher = async () => {
       try {
         const url = new URL('https://archive-api.open-meteo.com/v1/archive');
@@ -359,17 +260,19 @@ const ApiService = {
       }
       
       // Generate synthetic climate data for the year if API fails
+      const random = getSimulation().random(`climate:${year}`);
       const days = Array.from({ length: 365 }, (_, i) => {
         const month = Math.floor(i / 30);
         const baseTemps = [22, 25, 30, 37, 43, 46, 48, 47, 43, 37, 30, 24];
         const baseTemp = baseTemps[month % 12];
-        const temp = baseTemp + (Math.random() - 0.5) * 8;
+        const temp = baseTemp + (random() - 0.5) * 8;
+        const rain = random();
         
         return {
           temperature_2m_max: temp + 5,
           temperature_2m_min: temp - 5,
           temperature_2m_mean: temp,
-          precipitation_sum: Math.random() < 0.05 ? Math.random() * 15 : 0 // Rare rain events
+          precipitation_sum: rain < 0.05 ? rain * 300 : 0 // Rare rain events, up to 15 mm
         };
       });
       
@@ -389,18 +292,16 @@ const ApiService = {
       };
     };
     
-    const result = await fetchWithRetry(fetcher, { 
-      retries: 2, 
-      delay: 1500,
-      onRetry: (attempt) => console.log(`Retrying climate data for year ${year}... Attempt ${attempt}`)
-    });
-    
-    if (result.success) {
-      cacheManager.set(cacheKey, result.data, 1440); // Cache for 24 hours
+    return cacheManager.fetch(cacheKey, async () => {
+      const result = await fetchWithRetry(fetcher, { 
+        retries: 2, 
+        delay: 1500,
+        onRetry: (attempt) => console.log(`Retrying climate data for year ${year}... Attempt ${attempt}`)
+      });
+      
+      if (!result.success) throw new Error(`Failed to fetch climate data for year ${year}: ${result.error}`);
       return result.data;
-    }
-    
-    throw new Error(`Failed to fetch climate data for year ${year}: ${result.error}`);
+    }, { ttlMinutes: 1440 }); // Cache for 24 hours
   }
 };
 
@@ -408,6 +309,12 @@ const ApiService = {
 // Data Processors with Fixed Logic
 // ============================
 const DataProcessor = {
+  // §4 heat index (°C) from air temperature (°C) and relative humidity (%);
+  // null without both
+  calculateHeatIndex(temperature, humidity) {
+    return calculateHeatIndex(temperature, humidity);
+  },
+
   async processWeatherForHeatMap() {
     // EXPANDED TO 21 DISTRICTS INCLUDING PRINCE SULTAN UNIVERSITY
     const districts = [
@@ -464,7 +371,12 @@ const DataProcessor = {
       }
     }
     
+    const servedBy = allResults
+      .map(({ result }) => (result.status === 'fulfilled' ? result.value?.source : null))
+      .filter(Boolean);
+    
     return {
+      providers: [...new Set(servedBy)],
       data: allResults
         .map(({ result, district }) => {
           const temp = result.status === 'fulfilled' 
@@ -473,6 +385,9 @@ const DataProcessor = {
           const apparent = result.status === 'fulfilled'
             ? result.value?.current?.apparent_temperature
             : null;
+          const humidity = result.status === 'fulfilled'
+            ? result.value?.current?.relative_humidity_2m ?? null
+            : null;
             
           if (temp == null) return null;
           
@@ -482,6 +397,8 @@ const DataProcessor = {
             lng: district.lng,
             temperature: temp,
             apparentTemp: apparent,
+            humidity,
+            heatIndex: this.calculateHeatIndex(temp, humidity),
             intensity: Math.min(Math.max((temp - 30) / 20, 0), 1)
           };
         })
@@ -490,79 +407,9 @@ const DataProcessor = {
     };
   },
   
-  // Enhanced air quality processing with better data handling and realistic before/after comparison
-  processAirQualityBeforeAfter(aqNow, aqPrev) {
-    const agg = (data) => {
-      const bucket = {};
-      for (const m of data?.results ?? []) {
-        const p = (m.parameter || '').toUpperCase();
-        if (!p) continue;
-        
-        if (!bucket[p]) bucket[p] = { sum: 0, n: 0, unit: m.unit || 'µg/m³', values: [] };
-        const value = Number(m.value) || 0;
-        if (value > 0) { // Only count valid positive values
-          bucket[p].sum += value;
-          bucket[p].n += 1;
-          bucket[p].values.push(value);
-        }
-      }
-      
-      return Object.fromEntries(
-        Object.entries(bucket).map(([k, v]) => [k, { 
-          mean: v.n ? v.sum / v.n : null, 
-          unit: v.unit,
-          count: v.n,
-          values: v.values
-        }])
-      );
-    };
-    
-    // If we have real API data, use it
-    const hasRealData = (aqNow?.source && aqNow.source !== 'simulated') || (aqPrev?.source && aqPrev.source !== 'simulated');
-    
-    if (!hasRealData) {
-      // Return empty array when no real data is available
-      console.warn('No real air quality data available for comparison');
-      return [];
-    }
-    
-    // Process real API data
-    const A = agg(aqPrev);
-    const B = agg(aqNow);
-    
-    const pollutants = Array.from(new Set([...Object.keys(A), ...Object.keys(B)]));
-    
-    return pollutants.map(p => {
-      const before = A[p]?.mean ?? null;
-      const after = B[p]?.mean ?? null;
-      const unit = A[p]?.unit || B[p]?.unit || 'µg/m³';
-      
-      const change = (before != null && after != null && before > 0) 
-        ? ((after - before) / before) * 100 
-        : null;
-        
-      const trend = change == null 
-        ? 'unknown' 
-        : change < -5 
-          ? 'improving' 
-          : change > 5 
-            ? 'worsening' 
-            : 'stable';
-      
-      return {
-        pollutant: p,
-        before: before ? Number(before.toFixed(1)) : null,
-        after: after ? Number(after.toFixed(1)) : null,
-        unit,
-        change: change ? Number(change.toFixed(1)) : null,
-        trend,
-        source: 'api-data',
-        dataQuality: {
-          beforeCount: A[p]?.count || 0,
-          afterCount: B[p]?.count || 0
-        }
-      };
-    }).filter(r => r.before != null || r.after != null);
+  // Week-over-week pollutant comparison, "before" being the earlier window
+  processAirQualityBeforeAfter(aqNow, aqPrev, parameters) {
+    return compareAirQualityWeeks(aqNow, aqPrev, parameters);
   },
   
   // Enhanced surface temperature processing with better data validation and realistic differences
@@ -582,28 +429,37 @@ const DataProcessor = {
     const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     const today = new Date();
     const currentDay = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
+
+    // Seeded noise per weekday, so estimated days match whichever branch fills them
+    const simulation = getSimulation();
+    const random = simulation.random('surfaceWeek');
+    const noise = Array.from({ length: 7 }, () => (random() - 0.5) * 3);
+    const scenarioEffect = (i, day = currentDay) => simulation.effect('surfaceTemp', i - day);
     
     // Only process real API data, but organize it to start from Sunday
     if (n === 0 || !weatherAfforested?.daily?.time || !weatherNonPlanted?.daily?.time) {
       console.warn('Insufficient real temperature data for surface temperature comparison');
       
-      // Generate a week of data starting from Sunday when API data is unavailable
-      const month = today.getMonth();
+      // Generate a week of data starting from Sunday when API data is unavailable,
+      // around the simulation's reference date
+      const referenceDate = simulation.today();
+      const referenceDay = referenceDate.getDay();
+      const month = referenceDate.getMonth();
       const monthlyBaseTemps = [22, 25, 30, 37, 43, 46, 48, 47, 43, 37, 30, 24];
       const baseTemp = monthlyBaseTemps[month];
       
       return Array.from({ length: 7 }, (_, i) => {
         const weeklyVariation = Math.sin(i * 0.9) * 2.5;
-        const randomVariation = (Math.random() - 0.5) * 3;
+        const randomVariation = noise[i] + scenarioEffect(i, referenceDay);
         const plantedTemp = baseTemp + weeklyVariation + randomVariation - 2; // Afforested area is cooler
         const nonPlantedTemp = baseTemp + weeklyVariation + randomVariation + 3; // Non-planted area is hotter
         
         // Determine if this day is in the future (for dashed lines)
-        const isFutureDay = i > currentDay;
+        const isFutureDay = i > referenceDay;
         
         return {
           day: dayNames[i],
-          date: new Date(today.getFullYear(), today.getMonth(), today.getDate() - currentDay + i).toISOString().split('T')[0],
+          date: new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate() - referenceDay + i, 12).toISOString().split('T')[0],
           planted: Number(Math.max(15, plantedTemp).toFixed(1)),
           nonPlanted: Number(Math.max(18, nonPlantedTemp).toFixed(1)),
           difference: Number((nonPlantedTemp - plantedTemp).toFixed(1)),
@@ -659,7 +515,7 @@ const DataProcessor = {
       const monthlyBaseTemps = [22, 25, 30, 37, 43, 46, 48, 47, 43, 37, 30, 24];
       const baseTemp = monthlyBaseTemps[month];
       const weeklyVariation = Math.sin(i * 0.9) * 2.5;
-      const randomVariation = (Math.random() - 0.5) * 3;
+      const randomVariation = noise[i] + scenarioEffect(i);
       const plantedTemp = baseTemp + weeklyVariation + randomVariation - 2;
       const nonPlantedTemp = baseTemp + weeklyVariation + randomVariation + 3;
       const isFutureDay = i > currentDay;
@@ -809,8 +665,6 @@ const DataProcessor = {
   // Fetch real satellite NDVI data from multiple sources
   async fetchSatelliteNDVI(lat, lng, year) {
     const cacheKey = `ndvi_${lat}_${lng}_${year}`;
-    const cached = cacheManager.get(cacheKey);
-    if (cached) return cached.data;
 
     const fetcher = async () => {
       // Strategy 1: NASA MODIS via ORNL DAAC REST API
@@ -852,18 +706,16 @@ const DataProcessor = {
       throw new Error(`No satellite NDVI data available for ${year} at coordinates ${lat}, ${lng}`);
     };
 
-    const result = await fetchWithRetry(fetcher, { 
-      retries: 3, 
-      delay: 2000,
-      onRetry: (attempt) => console.log(`Retrying satellite NDVI fetch... Attempt ${attempt}`)
-    });
-    
-    if (result.success) {
-      cacheManager.set(cacheKey, result.data, 1440); // Cache for 24 hours
+    return cacheManager.fetch(cacheKey, async () => {
+      const result = await fetchWithRetry(fetcher, { 
+        retries: 3, 
+        delay: 2000,
+        onRetry: (attempt) => console.log(`Retrying satellite NDVI fetch... Attempt ${attempt}`)
+      });
+      
+      if (!result.success) throw new Error(`Failed to fetch NDVI data after retries: ${result.error}`);
       return result.data;
-    }
-    
-    throw new Error(`Failed to fetch NDVI data after retries: ${result.error}`);
+    }, { ttlMinutes: 1440 }); // Cache for 24 hours
   },
 
   classifyVegetationType(ndvi) {
@@ -965,12 +817,13 @@ const DataProcessor = {
     const month = startDate.getMonth();
     const monthlyBaseTemps = [22, 25, 30, 37, 43, 46, 48, 47, 43, 37, 30, 24];
     const baseTemp = monthlyBaseTemps[month];
+    const random = getSimulation().random(`temperature:${weekStartDate}`);
     
     return Array.from({ length: 7 }, (_, i) => {
       const date = new Date(startDate);
       date.setDate(startDate.getDate() + i);
       
-      const variation = (Math.random() - 0.5) * 6;
+      const variation = (random() - 0.5) * 6;
       const temp = baseTemp + variation;
       const currentTemp = Math.round(temp);
       
@@ -990,6 +843,7 @@ const DataProcessor = {
     const startDate = new Date(weekStartDate);
     const baseValue = 415;
     const urbanIncrease = 25;
+    const random = getSimulation().random(`co2:${weekStartDate}`);
     
     return Array.from({ length: 7 }, (_, i) => {
       const date = new Date(startDate);
@@ -999,7 +853,7 @@ const DataProcessor = {
       const weekdayEffect = !isWeekend ? 20 : -15;
       const midweekPeak = (i >= 2 && i <= 4) ? 10 : 0;
       const seasonalEffect = Math.sin((date.getMonth() / 12) * 2 * Math.PI) * 8;
-      const variation = (Math.random() - 0.5) * 10;
+      const variation = (random() - 0.5) * 10;
       
       const value = baseValue + urbanIncrease + weekdayEffect + midweekPeak + seasonalEffect + variation;
       
@@ -1021,12 +875,13 @@ const DataProcessor = {
     const month = startDate.getMonth();
     const monthlyBaseTemps = [25, 28, 35, 42, 48, 52, 55, 54, 48, 42, 35, 28];
     const baseTemp = monthlyBaseTemps[month];
+    const random = getSimulation().random(`surface:${weekStartDate}`);
     
     return Array.from({ length: 7 }, (_, i) => {
       const date = new Date(startDate);
       date.setDate(startDate.getDate() + i);
       
-      const variation = (Math.random() - 0.5) * 8;
+      const variation = (random() - 0.5) * 8;
       const plantedTemp = baseTemp + variation - 8; // Afforested areas are cooler
       const nonPlantedTemp = baseTemp + variation + 3; // Non-afforested areas are hotter
       
@@ -1039,14 +894,245 @@ const DataProcessor = {
         historical: true
       };
     });
+  },
+
+  // Recorded CO2 for a past week from /aggregates/weekly, same shape as generateHistoricalCO2Data.
+  // Days without readings stay null rather than being filled in.
+  processHistoricalCO2Week(weekly) {
+    const weekStart = new Date(`${weekly.week_start}T00:00:00Z`);
+    return this.processWeeklyCO2(weekly).map(({ day, value, target, category }, i) => {
+      const date = new Date(weekStart);
+      date.setUTCDate(weekStart.getUTCDate() + i);
+      return { day, value, target, date: date.toISOString().split('T')[0], historical: true, category };
+    });
+  },
+
+  // Recorded surface temperature for a past week: afforested vs non-afforested sensor averages,
+  // same shape as generateHistoricalSurfaceData
+  processHistoricalSurfaceWeek(weekly) {
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const weekStart = new Date(`${weekly.week_start}T00:00:00Z`);
+    const zoneAverage = (status, date) => {
+      const values = weekly.sensors
+        .filter(sensor => sensor.afforestation_status === status)
+        .flatMap(sensor => sensor.daily_data)
+        .filter(d => d.date === date && d.surface_temp_avg != null)
+        .map(d => d.surface_temp_avg);
+      return values.length > 0
+        ? Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(1))
+        : null;
+    };
+
+    return dayNames.map((day, i) => {
+      const date = new Date(weekStart);
+      date.setUTCDate(weekStart.getUTCDate() + i);
+      const isoDate = date.toISOString().split('T')[0];
+      const planted = zoneAverage('Afforested', isoDate);
+      const nonPlanted = zoneAverage('Non-afforested', isoDate);
+
+      return {
+        day,
+        planted,
+        nonPlanted,
+        difference: planted != null && nonPlanted != null ? Number((nonPlanted - planted).toFixed(1)) : null,
+        date: isoDate,
+        historical: true
+      };
+    });
+  },
+
+  // Map the backend sensor registry onto the shape SensorMap and the Sensor Health table use.
+  // mqttStats (optional) adds each node's MQTT message rate.
+  processSensorRegistry(sensors, mqttStats = null) {
+    const ratesBySensor = new Map(
+      (mqttStats?.enabled ? mqttStats.topics : []).map(topic => [topic.sensor_id, topic.messages_per_minute])
+    );
+
+    return sensors.map(sensor => ({
+      id: sensor.id,
+      streetName: sensor.name,
+      district: sensor.district,
+      afforestationStatus: sensor.afforestation_status,
+      stationType: sensor.station_type,
+      sensorTypes: sensor.sensor_types,
+      coordinates: { lat: sensor.coordinates.latitude, lng: sensor.coordinates.longitude },
+      status: sensor.status,
+      battery: sensor.battery_level,
+      lastReading: sensor.last_reading,
+      lastUpdate: sensor.last_reading ? DataFreshness.getAge(Date.parse(sensor.last_reading)) : 'No readings yet',
+      messagesPerMinute: mqttStats?.enabled ? (ratesBySensor.get(sensor.id) ?? 0) : null
+    }));
+  },
+
+  // Network-wide daily CO2 average for the current week (Sun-Sat) from /aggregates/weekly
+  processWeeklyCO2(weekly) {
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const currentDay = new Date().getDay();
+    const dailyData = (weekly?.sensors ?? []).flatMap(sensor => sensor.daily_data);
+
+    return dayNames.map((day, i) => {
+      const values = dailyData
+        .filter(d => d.day === day && d.co2_avg != null)
+        .map(d => d.co2_avg);
+      const value = values.length > 0
+        ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+        : null;
+
+      return {
+        day,
+        value,
+        target: Math.round((415 + 25) * 0.96), // 4% reduction target
+        dayIndex: i,
+        isFuture: i > currentDay,
+        category: value == null ? null : value > 450 ? 'High' : value > 425 ? 'Moderate' : 'Good'
+      };
+    });
+  },
+
+  // Network-wide daily air temperature for the current week, same shape as generateTemperatureData
+  processWeeklyTemperature(weekly) {
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const monthlyBaseTemps = [22, 25, 30, 37, 43, 46, 48, 47, 43, 37, 30, 24];
+    const baseTemp = monthlyBaseTemps[new Date().getMonth()];
+    const currentDay = new Date().getDay();
+    const dailyData = (weekly?.sensors ?? []).flatMap(sensor => sensor.daily_data);
+
+    return dayNames.map((day, i) => {
+      const values = dailyData
+        .filter(d => d.day === day && d.air_temp_avg != null)
+        .map(d => d.air_temp_avg);
+      const current = values.length > 0
+        ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+        : null;
+
+      return {
+        day,
+        current,
+        target: Math.round((baseTemp - 1.75) * 10) / 10, // Afforestation cooling target
+        dayIndex: i,
+        isFuture: i > currentDay,
+        change: current == null ? null : Math.round((current - baseTemp) * 10) / 10,
+        status: current == null ? null : current > baseTemp + 2 ? 'Above Normal' : current < baseTemp - 2 ? 'Below Normal' : 'Normal'
+      };
+    });
+  },
+
+  // Weekly summary with one sensor-day replaced by a live `daily` point from the stream.
+  // Points outside the summarised week leave it unchanged.
+  applyDailyPoint(weekly, sensorId, point) {
+    if (!weekly || !point || point.date < weekly.week_start || point.date > weekly.week_end) return weekly;
+
+    const hasSensor = weekly.sensors.some(sensor => sensor.sensor_id === sensorId);
+    const sensors = hasSensor
+      ? weekly.sensors
+      : [...weekly.sensors, { sensor_id: sensorId, daily_data: [] }];
+
+    return {
+      ...weekly,
+      sensors: sensors.map(sensor => (sensor.sensor_id !== sensorId ? sensor : {
+        ...sensor,
+        daily_data: [...sensor.daily_data.filter(d => d.date !== point.date), point]
+          .sort((a, b) => a.date.localeCompare(b.date))
+      }))
+    };
+  },
+
+  // Street Comparison chart rows from /aggregates/zones?period=month. Zone means
+  // and reductions are computed by the backend aggregation engine (§2).
+  processZoneComparison(zonePeriods) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const metrics = [['CO₂', 'co2_avg'], ['Surface', 'surface_temp_avg'], ['Air', 'air_temp_avg']];
+
+    return zonePeriods.map(({ period, zones, impact }) => {
+      const i = Number(period.slice(5, 7)) - 1;
+      const entry = { month: months[i] };
+      Object.entries(zones).forEach(([zone, averages]) => {
+        metrics.forEach(([metric, field]) => {
+          if (averages[field] != null) entry[`${zone} ${metric}`] = averages[field];
+        });
+      });
+
+      return {
+        ...entry,
+        season: i < 3 || i > 10 ? 'Winter' : i < 6 ? 'Spring' : i < 9 ? 'Summer' : 'Autumn',
+        co2Reduction: impact.co2 ? Math.round(impact.co2.reduction) : null,
+        tempReduction: impact.air_temperature?.reduction ?? null
+      };
+    });
+  },
+
+  // ERA5 daily series -> monthly means ({ month: 1-12, airTemp, surfaceTemp }).
+  // Surface heat is the 0-7 cm soil temperature, matching the backend baselines.
+  processMonthlyClimate(climate) {
+    const daily = climate?.daily ?? {};
+    const buckets = new Map();
+    (daily.time ?? []).forEach((date, i) => {
+      const month = Number(date.slice(5, 7));
+      if (!buckets.has(month)) buckets.set(month, { air: [], surface: [] });
+      const air = daily.temperature_2m_mean?.[i];
+      const surface = daily.soil_temperature_0_to_7cm_mean?.[i];
+      if (air != null) buckets.get(month).air.push(air);
+      if (surface != null) buckets.get(month).surface.push(surface);
+    });
+
+    const mean = (values) => (values.length ? Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(1)) : null);
+    return Array.from(buckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([month, { air, surface }]) => ({ month, airTemp: mean(air), surfaceTemp: mean(surface) }));
+  },
+
+  // Splits /baselines/2019/comparison into baseline and current monthly series
+  processBackendBaseline(comparison) {
+    const pick = (side) => comparison
+      .filter(entry => entry[side])
+      .map(entry => ({ month: entry.month, airTemp: entry[side].air_temp_avg, surfaceTemp: entry[side].surface_temp_avg }));
+    return { baseline: pick('baseline'), current: pick('current') };
+  },
+
+  // §3.3 month-by-month change: Change = Current - Baseline, Percent = Change / Baseline * 100
+  processBaselineComparison(baselineMonths, currentMonths) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const byMonth = (series) => new Map(series.map(entry => [entry.month, entry]));
+    const baseline = byMonth(baselineMonths);
+    const current = byMonth(currentMonths);
+    const change = (now, then) => {
+      if (now == null || then == null) return { change: null, percent: null };
+      const delta = now - then;
+      return {
+        change: Number(delta.toFixed(1)),
+        percent: then === 0 ? null : Number(((delta / then) * 100).toFixed(1))
+      };
+    };
+
+    return months
+      .map((label, i) => {
+        const then = baseline.get(i + 1);
+        const now = current.get(i + 1);
+        const air = change(now?.airTemp, then?.airTemp);
+        const surface = change(now?.surfaceTemp, then?.surfaceTemp);
+        return {
+          month: i + 1,
+          label,
+          baselineAir: then?.airTemp ?? null,
+          currentAir: now?.airTemp ?? null,
+          airChange: air.change,
+          airPercent: air.percent,
+          baselineSurface: then?.surfaceTemp ?? null,
+          currentSurface: now?.surfaceTemp ?? null,
+          surfaceChange: surface.change,
+          surfacePercent: surface.percent
+        };
+      })
+      .filter(row => row.baselineAir != null || row.baselineSurface != null || row.currentAir != null || row.currentSurface != null);
   }
 };
 
 // ============================
 // Enhanced synthetic data generators with realistic patterns
 // ============================
-const generateCO2Data = () => {
-  const now = new Date();
+const generateCO2Data = (simulation = getSimulation()) => {
+  const random = simulation.random('co2');
+  const now = simulation.today();
   const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
   const baseValue = 415; // Current global CO2 levels (more accurate)
   const urbanIncrease = 25; // Urban areas typically 25+ ppm higher
@@ -1063,7 +1149,7 @@ const generateCO2Data = () => {
     const seasonalEffect = Math.sin((now.getMonth() / 12) * 2 * Math.PI) * 8;
     
     const value = baseValue + urbanIncrease + weekdayEffect + midweekPeak + seasonalEffect + 
-                  Math.sin(i * 0.8) * 6 + (Math.random() - 0.5) * 10;
+                  Math.sin(i * 0.8) * 6 + (random() - 0.5) * 10 + simulation.effect('co2', i - currentDay);
     
     // Determine if this day is in the future (for dashed lines)
     const isFutureDay = i > currentDay;
@@ -1079,8 +1165,9 @@ const generateCO2Data = () => {
   });
 };
 
-const generateTemperatureData = () => {
-  const now = new Date();
+const generateTemperatureData = (simulation = getSimulation()) => {
+  const random = simulation.random('temperature');
+  const now = simulation.today();
   const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
   const month = now.getMonth();
   
@@ -1093,8 +1180,8 @@ const generateTemperatureData = () => {
   return Array.from({ length: 7 }, (_, i) => {
     // Weekly temperature patterns: slight variation by day
     const weeklyVariation = Math.sin(i * 0.9) * 2.5;
-    const randomVariation = (Math.random() - 0.5) * 3;
-    const current = baseTemp + weeklyVariation + randomVariation;
+    const randomVariation = (random() - 0.5) * 3;
+    const current = baseTemp + weeklyVariation + randomVariation + simulation.effect('airTemp', i - currentDay);
     
     // Determine if this day is in the future (for dashed lines)
     const isFutureDay = i > currentDay;
@@ -1111,68 +1198,85 @@ const generateTemperatureData = () => {
   });
 };
 
-const generateSensorData = () => {
-  // Prince Sultan University Sensor Nodes (3 nodes for deployment)
-  // Coordinates within PSU campus: North: 24.73810, South: 24.73400, East: 46.70420, West: 46.69770
-  const sensors = [
-    {
-      id: 'PSU-N001',
-      streetName: 'PSU Campus - North Zone',
-      district: 'Prince Sultan University',
-      afforestationStatus: 'Afforested',
-      stationType: 'Node/Gateway',
-      sensorTypes: 'MH-Z19B, MLX90614, DS18B20, SHT30 + LoRaWAN Gateway',
-      coordinates: { lat: 24.73700, lng: 46.70100 }
-    },
-    {
-      id: 'PSU-N002',
-      streetName: 'PSU Campus - Central Zone',
-      district: 'Prince Sultan University',
-      afforestationStatus: 'Non-afforested',
-      stationType: 'Node',
-      sensorTypes: 'MH-Z19B, MLX90614, DS18B20, SHT30',
-      coordinates: { lat: 24.73600, lng: 46.70000 }
-    },
-    {
-      id: 'PSU-N003',
-      streetName: 'PSU Campus - South Zone',
-      district: 'Prince Sultan University',
-      afforestationStatus: 'Pre-afforestation',
-      stationType: 'Node',
-      sensorTypes: 'MH-Z19B, MLX90614, DS18B20, SHT30',
-      coordinates: { lat: 24.73500, lng: 46.70200 }
-    }
-  ];
-  
-  return sensors.map((sensor, index) => {
+// Prince Sultan University Sensor Nodes (3 nodes for deployment), used for the
+// simulated network only; the live network comes from the backend sensor registry.
+// Coordinates within PSU campus: North: 24.73810, South: 24.73400, East: 46.70420, West: 46.69770
+const DEMO_SENSOR_REGISTRY = [
+  {
+    id: 'PSU-N001',
+    streetName: 'PSU Campus - North Zone',
+    district: 'Prince Sultan University',
+    afforestationStatus: 'Afforested',
+    stationType: 'Node/Gateway',
+    sensorTypes: 'MH-Z19B, MLX90614, DS18B20, SHT30 + LoRaWAN Gateway',
+    coordinates: { lat: 24.73700, lng: 46.70100 }
+  },
+  {
+    id: 'PSU-N002',
+    streetName: 'PSU Campus - Central Zone',
+    district: 'Prince Sultan University',
+    afforestationStatus: 'Non-afforested',
+    stationType: 'Node',
+    sensorTypes: 'MH-Z19B, MLX90614, DS18B20, SHT30',
+    coordinates: { lat: 24.73600, lng: 46.70000 }
+  },
+  {
+    id: 'PSU-N003',
+    streetName: 'PSU Campus - South Zone',
+    district: 'Prince Sultan University',
+    afforestationStatus: 'Pre-afforestation',
+    stationType: 'Node',
+    sensorTypes: 'MH-Z19B, MLX90614, DS18B20, SHT30',
+    coordinates: { lat: 24.73500, lng: 46.70200 }
+  }
+];
+
+const generateSensorData = (registry = DEMO_SENSOR_REGISTRY, simulation = getSimulation()) => {
+  // Node-failure scenario: a seeded pick of nodes drops out and the next one runs low
+  const failureOrder = registry
+    .map(sensor => ({ id: sensor.id, key: simulation.random(`failure:${sensor.id}`)() }))
+    .sort((a, b) => a.key - b.key)
+    .map(({ id }) => id);
+  const failedNodes = simulation.config.failedNodes || 0;
+  const failed = new Set(failureOrder.slice(0, failedNodes));
+  const lowBattery = failedNodes > 0 ? failureOrder[failedNodes] : null;
+
+  return registry.map((sensor, index) => {
+    // One stream per node, so adding a node leaves the others unchanged
+    const random = simulation.random(`sensor:${sensor.id}`);
+
     // Dynamic battery levels (node/gateways have higher battery, regular nodes vary)
     let battery;
     if (sensor.stationType === 'Gateway' || sensor.stationType === 'Node/Gateway') {
-      battery = 75 + Math.random() * 20; // Gateways and Node/Gateways: 75-95%
+      battery = 75 + random() * 20; // Gateways and Node/Gateways: 75-95%
     } else {
-      battery = Math.random() > 0.9 ? 10 + Math.random() * 20 : 60 + Math.random() * 35; // 90% good, 10% low battery
+      battery = random() > 0.9 ? 10 + random() * 20 : 60 + random() * 35; // 90% good, 10% low battery
     }
+    battery = Math.max(0, battery - simulation.effect('batteryDrain'));
+    if (sensor.id === lowBattery) battery = Math.min(battery, 15);
     
     // Dynamic status based on battery and random factors
     let status;
-    if (battery < 20) {
-      status = Math.random() > 0.7 ? 'Warning' : 'Offline';
-    } else if (Math.random() > 0.95) {
+    if (failed.has(sensor.id)) {
+      status = 'Offline';
+    } else if (battery < 20) {
+      status = random() > 0.7 ? 'Warning' : 'Offline';
+    } else if (random() > 0.95) {
       status = 'Warning'; // 5% chance of warning even with good battery
-    } else if (Math.random() > 0.98) {
+    } else if (random() > 0.98) {
       status = 'Offline'; // 2% chance of being offline
     } else {
       status = 'Active';
     }
     
     // Dynamic last update times
-    const minutesAgo = status === 'Offline' ? 60 + Math.random() * 120 : Math.random() * 10;
+    const minutesAgo = status === 'Offline' ? 60 + random() * 120 : random() * 10;
     const lastUpdate = minutesAgo < 1 ? 'Just now' : 
                       minutesAgo < 60 ? `${Math.floor(minutesAgo)} min ago` : 
                       `${Math.floor(minutesAgo / 60)} hour${Math.floor(minutesAgo / 60) > 1 ? 's' : ''} ago`;
     
     // Signal strength (for realistic monitoring)
-    const signalStrength = status === 'Offline' ? 0 : 60 + Math.random() * 40;
+    const signalStrength = status === 'Offline' ? 0 : Math.max(5, 60 + random() * 40 - simulation.effect('signalLoss'));
     
     return {
       ...sensor,
@@ -1180,14 +1284,47 @@ const generateSensorData = () => {
       battery: Math.round(battery),
       lastUpdate,
       signalStrength: Math.round(signalStrength),
-      dataPoints: Math.floor(1000 + Math.random() * 5000), // Number of data points collected
-      uptime: status === 'Offline' ? 0 : 85 + Math.random() * 15, // Uptime percentage
-      lastMaintenance: `${7 + Math.floor(Math.random() * 30)} days ago`
+      dataPoints: Math.floor(1000 + random() * 5000), // Number of data points collected
+      uptime: status === 'Offline' ? 0 : 85 + random() * 15, // Uptime percentage
+      lastMaintenance: `${7 + Math.floor(random() * 30)} days ago`
     };
   });
 };
 
-const generateComparisonData = () => {
+// Per-zone 7-day forecast for 'co2' or 'air_temperature', trained on the backend's stored history
+const loadZoneForecast = (metric) => BackendApiService.getZoneForecast({ metric });
+
+const loadCalibration = (days) => BackendApiService.getSensorCalibration({ days });
+
+// Hourly air quality at PSU over the last `hours`, up to the current hour. The
+// 7-day window shares its cache entry with the weekly comparison.
+const loadPollutantSeries = (hours) => {
+  const to = new Date();
+  to.setUTCMinutes(0, 0, 0);
+  const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+  return ApiService.fetchAirQualityWindow({
+    lat: 24.73605, // Prince Sultan University
+    lng: 46.70095,
+    date_from: from.toISOString(),
+    date_to: to.toISOString()
+  });
+};
+
+// Seeded demo AQI for the current conditions, raised by heatwave and dust storm scenarios
+const simulatedAQI = (simulation = getSimulation()) => (
+  32 + Math.floor(simulation.random('aqi')() * 20) + Math.round(simulation.effect('aqi'))
+);
+
+// Demo-only afforestation benefits for the offline comparison chart. Measured
+// reductions come from /aggregates/zones once the backend is reachable.
+const DEMO_AFFORESTATION_BENEFITS = {
+  co2: 20, // ppm
+  airTemp: 3, // °C
+  surfaceTemp: 5 // °C
+};
+
+const generateComparisonData = (benefits = DEMO_AFFORESTATION_BENEFITS, simulation = getSimulation()) => {
+  const random = simulation.random('comparison');
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
   
   // Realistic seasonal patterns for Riyadh climate
@@ -1199,14 +1336,14 @@ const generateComparisonData = () => {
   
   return months.map((month, i) => {
     // Afforested street (Abu Bakr Al-Razi) shows better performance
-    const afforestationCO2Benefit = 20; // 20 ppm reduction
-    const afforestationTempBenefit = 3; // 3°C cooling
-    const afforestationSurfaceBenefit = 5; // 5°C surface cooling
+    const afforestationCO2Benefit = benefits.co2;
+    const afforestationTempBenefit = benefits.airTemp;
+    const afforestationSurfaceBenefit = benefits.surfaceTemp;
     
     // Non-afforested street (Mohammed Al-Bishr) - baseline
-    const nonAfforestedCO2 = seasonalPatterns.co2[i] + (Math.random() - 0.5) * 15;
-    const nonAfforestedSurface = seasonalPatterns.surfaceTemp[i] + (Math.random() - 0.5) * 6;
-    const nonAfforestedAir = seasonalPatterns.airTemp[i] + (Math.random() - 0.5) * 4;
+    const nonAfforestedCO2 = seasonalPatterns.co2[i] + (random() - 0.5) * 15;
+    const nonAfforestedSurface = seasonalPatterns.surfaceTemp[i] + (random() - 0.5) * 6;
+    const nonAfforestedAir = seasonalPatterns.airTemp[i] + (random() - 0.5) * 4;
     
     // Pre-afforestation street (Ishaq Ibn Ibrahim) - intermediate
     const preAfforestationCO2 = nonAfforestedCO2 - afforestationCO2Benefit * 0.3; // 30% of benefit
@@ -1240,15 +1377,58 @@ const generateComparisonData = () => {
   });
 };
 
+// Everything the sensor network panels show while the backend is unreachable
+const generateSimulatedNetwork = (simulation = getSimulation()) => ({
+  sensorData: generateSensorData(DEMO_SENSOR_REGISTRY, simulation),
+  co2Data: generateCO2Data(simulation),
+  temperatureData: generateTemperatureData(simulation),
+  comparisonData: generateComparisonData(DEMO_AFFORESTATION_BENEFITS, simulation)
+});
+
+// Widgets kept in the persisted dashboard snapshot, with the dashboardData
+// fields each one owns. Restored on startup so the dashboard opens on its last
+// known state while (or instead of, when offline) the live fetches run.
+const SNAPSHOT_KEY = 'dashboard_snapshot';
+const SNAPSHOT_TTL_MINUTES = 7 * 24 * 60;
+const SNAPSHOT_WIDGETS = {
+  sensors: ['sensorData', 'co2Data', 'temperatureData', 'comparisonData', 'zoneSignificance', 'alerts', 'sensorQuality'],
+  heatMap: ['heatMapData'],
+  airQuality: ['airQualityData', 'airQualityIndex'],
+  surfaceTemp: ['surfaceTempData'],
+  ndvi: ['biodiversityData'],
+  treeCoverLoss: ['treeCoverLossData'],
+  carbonSequestration: ['carbonSequestrationData'],
+  baseline: ['baselineComparison']
+};
+
+// Cache key prefix -> widgets built from it. When a stale entry is refreshed in
+// the background those widgets are rebuilt (first matching prefix wins).
+const REVALIDATED_WIDGETS = [
+  ['weather_', ['surfaceTemp']],
+  ['temp_', ['heatMap']],
+  ['aq_', ['airQuality']],
+  ['climate_year_', ['ndvi']],
+  ['ndvi_', ['ndvi']],
+  ['climate_', ['baseline']]
+];
+
 // ============================
 // Enhanced Custom Hook with Fixed API Calls
 // ============================
 const useEnvironmentalData = () => {
   const [dashboardData, setDashboardData] = useState({
-    co2Data: generateCO2Data(),
-    temperatureData: generateTemperatureData(),
-    sensorData: generateSensorData(),
-    comparisonData: generateComparisonData(),
+    co2Data: [],
+    temperatureData: [],
+    sensorData: [],
+    comparisonData: [],
+    // Afforested vs Non-afforested tests behind the comparison (GET /aggregates/significance)
+    zoneSignificance: null,
+    alerts: [],
+    // §6 quality score per sensor over a rolling window (GET /sensors/quality)
+    sensorQuality: null,
+    // 2019 pre-afforestation baseline vs this year, month by month (§3)
+    baselineComparison: { rows: [], baselineSource: null, currentSource: null },
+    sensorSource: null, // 'backend' once the sensor API answers, 'cached' from the last session, 'simulated' when it is unreachable
     heatMapData: [],
     airQualityData: [],
     biodiversityData: [],
@@ -1264,45 +1444,194 @@ const useEnvironmentalData = () => {
       methodology: 'Fetching from Riyadh-specific APIs...',
       coverage: 'Riyadh metropolitan area (24.6-24.8°N, 46.5-46.8°E)'
     },
-    currentAQI: 32 + Math.floor(Math.random() * 20)
+    // US EPA AQI with its dominant pollutant and category (services/AirQualityIndex.js)
+    airQualityIndex: describeAQI(simulatedAQI())
   });
   
   const [loadingStates, setLoadingStates] = useState({
+    sensors: true,
     heatMap: true,
     airQuality: true,
     surfaceTemp: true,
     ndvi: true,
     treeCoverLoss: true,
-    carbonSequestration: true
+    carbonSequestration: true,
+    baseline: true
   });
   
   const [dataTimestamps, setDataTimestamps] = useState({
+    sensors: null,
     heatMap: null,
     airQuality: null,
     surfaceTemp: null,
     ndvi: null,
     treeCoverLoss: null,
-    carbonSequestration: null
+    carbonSequestration: null,
+    baseline: null
   });
   
   const [apiStatus, setApiStatus] = useState({
+    sensors: 'loading',
     heatMap: 'loading',
     airQuality: 'loading',
     ndvi: 'loading',
     surfaceTemp: 'loading',
     treeCoverLoss: 'loading',
-    carbonSequestration: 'loading'
+    carbonSequestration: 'loading',
+    baseline: 'loading'
   });
   
   const [lastUpdated, setLastUpdated] = useState(new Date());
   const [isLoading, setIsLoading] = useState(true);
+
+  // Widget -> fetch time of the data restored from the snapshot. A widget shows
+  // cached data while its dataTimestamps entry still equals this.
+  const [cachedFrom, setCachedFrom] = useState({});
+
+  // Widget -> ids of the providers (services/providers) that served its last fetch
+  const [apiProviders, setApiProviders] = useState({
+    heatMap: [],
+    surfaceTemp: [],
+    airQuality: []
+  });
   
+  // Last weekly summary from the backend; live readings patch it in place
+  const weeklyAggregatesRef = useRef(null);
+
+  // Window and flag threshold chosen in the Sensor Health table (threshold
+  // undefined = the backend's QUALITY_MIN_SCORE)
+  const qualityOptionsRef = useRef({ window: '24h', minScore: undefined });
+
+  // Pending quality refresh after live readings (anomaly flags follow the values)
+  const qualityRefreshRef = useRef(null);
+
+  // Sensor registry, weekly CO2 and zone comparison from the RawdahScope backend.
+  // Falls back to the simulated network so the public demo keeps working without it.
+  const fetchSensorNetwork = async () => {
+    setLoadingStates(prev => ({ ...prev, sensors: true }));
+    try {
+      const yearStart = `${new Date().getFullYear()}-01-01`;
+      const [sensors, weekly, zones, zoneSignificance, mqttStats, alerts] = await Promise.all([
+        BackendApiService.getSensors(),
+        BackendApiService.getWeeklyAggregates(),
+        BackendApiService.getZoneAggregates({ from: yearStart, period: 'month' }),
+        // The chart still renders without its significance line
+        BackendApiService.getZoneSignificance({ from: yearStart }).catch(() => null),
+        // Message rates are informational; the table still renders without them
+        BackendApiService.getMqttStats().catch(() => null),
+        BackendApiService.getAlerts({ is_resolved: false })
+      ]);
+
+      weeklyAggregatesRef.current = weekly;
+      setDashboardData(prev => ({
+        ...prev,
+        sensorData: DataProcessor.processSensorRegistry(sensors, mqttStats),
+        co2Data: DataProcessor.processWeeklyCO2(weekly),
+        temperatureData: DataProcessor.processWeeklyTemperature(weekly),
+        comparisonData: DataProcessor.processZoneComparison(zones),
+        zoneSignificance,
+        alerts,
+        sensorSource: 'backend'
+      }));
+      setDataTimestamps(prev => ({ ...prev, sensors: Date.now() }));
+      setApiStatus(prev => ({ ...prev, sensors: 'success' }));
+      fetchSensorQuality();
+    } catch (error) {
+      console.error('Sensor backend fetch error, using simulated network:', error);
+      weeklyAggregatesRef.current = null;
+      // The last known network from the snapshot beats a simulated one
+      setDashboardData(prev => (prev.sensorSource === 'cached' ? prev : {
+        ...prev,
+        ...generateSimulatedNetwork(),
+        alerts: [],
+        sensorQuality: null,
+        zoneSignificance: null,
+        sensorSource: 'simulated'
+      }));
+      setApiStatus(prev => ({ ...prev, sensors: 'error' }));
+    } finally {
+      setLoadingStates(prev => ({ ...prev, sensors: false }));
+    }
+  };
+
+  // Folds one streamed reading into the weekly charts and the Sensor Health table
+  const applyLiveReading = (reading, daily) => {
+    const weekly = DataProcessor.applyDailyPoint(weeklyAggregatesRef.current, reading.sensor_id, daily);
+    const weeklyChanged = weekly !== weeklyAggregatesRef.current;
+    weeklyAggregatesRef.current = weekly;
+
+    setDashboardData(prev => {
+      if (prev.sensorSource !== 'backend') return prev;
+      return {
+        ...prev,
+        ...(weeklyChanged ? {
+          co2Data: DataProcessor.processWeeklyCO2(weekly),
+          temperatureData: DataProcessor.processWeeklyTemperature(weekly)
+        } : {}),
+        // Backfilled readings (bulk import, replays) must not move lastReading backwards
+        sensorData: prev.sensorData.map(sensor => (
+          sensor.id !== reading.sensor_id || (sensor.lastReading && sensor.lastReading >= reading.timestamp) ? sensor : {
+            ...sensor,
+            lastReading: reading.timestamp,
+            lastUpdate: DataFreshness.getAge(Date.parse(reading.timestamp))
+          }
+        ))
+      };
+    });
+    setDataTimestamps(prev => ({ ...prev, sensors: Date.now() }));
+
+    // At most one quality request a minute while readings stream in
+    if (!qualityRefreshRef.current) {
+      qualityRefreshRef.current = setTimeout(() => {
+        qualityRefreshRef.current = null;
+        fetchSensorQuality();
+      }, 60 * 1000);
+    }
+  };
+
+  // Per-sensor data quality; failures leave the table's quality columns empty
+  const fetchSensorQuality = async (options = {}) => {
+    qualityOptionsRef.current = { ...qualityOptionsRef.current, ...options };
+    try {
+      const sensorQuality = await BackendApiService.getSensorQuality(qualityOptionsRef.current);
+      setDashboardData(prev => ({ ...prev, sensorQuality }));
+    } catch (error) {
+      console.error('Sensor quality fetch error:', error);
+      setDashboardData(prev => ({ ...prev, sensorQuality: null }));
+    }
+  };
+
+  // Newest state of one alert, from the stream or a resolve request
+  const applyAlert = (alert) => setDashboardData(prev => ({
+    ...prev,
+    alerts: [alert, ...(prev.alerts || []).filter(a => a.id !== alert.id)]
+  }));
+
+  const resolveAlert = async (id) => applyAlert(await BackendApiService.resolveAlert(id));
+
+  // Folds a registry change (status event, registration, edit or deactivation)
+  // into the network shown by SensorMap and the Sensor Health table
+  const applySensor = (sensor) => setDashboardData(prev => {
+    if (prev.sensorSource !== 'backend') return prev;
+    const existing = prev.sensorData.find(s => s.id === sensor.id);
+    const others = prev.sensorData.filter(s => s.id !== sensor.id);
+    if (sensor.is_active === false) return { ...prev, sensorData: others };
+
+    const updated = {
+      ...existing,
+      ...DataProcessor.processSensorRegistry([sensor])[0],
+      messagesPerMinute: existing ? existing.messagesPerMinute : null
+    };
+    return { ...prev, sensorData: [...others, updated].sort((a, b) => a.id.localeCompare(b.id)) };
+  });
+
   const fetchHeatMapData = async () => {
     setLoadingStates(prev => ({ ...prev, heatMap: true }));
     try {
       const result = await DataProcessor.processWeatherForHeatMap();
       setDashboardData(prev => ({ ...prev, heatMapData: result.data }));
       setDataTimestamps(prev => ({ ...prev, heatMap: result.timestamp }));
+      setApiProviders(prev => ({ ...prev, heatMap: result.providers }));
       setApiStatus(prev => ({ ...prev, heatMap: 'success' }));
     } catch (error) {
       console.error('HeatMap fetch error:', error);
@@ -1330,6 +1659,7 @@ const useEnvironmentalData = () => {
 
       setDashboardData(prev => ({ ...prev, surfaceTempData }));
       setDataTimestamps(prev => ({ ...prev, surfaceTemp: Date.now() }));
+      setApiProviders(prev => ({ ...prev, surfaceTemp: [...new Set([weatherAff.source, weatherNon.source])] }));
       setApiStatus(prev => ({ ...prev, surfaceTemp: 'success' }));
     } catch (error) {
       console.error('Surface temp fetch error:', error);
@@ -1339,76 +1669,95 @@ const useEnvironmentalData = () => {
     }
   };
   
-  // ENHANCED: More aggressive air quality fetching to get real data
+  // 2019 vs now (SENSOR_DATA_FORMULAS.md §3). Baselines imported into the backend
+  // and this year's sensor averages win; whichever side is missing comes from
+  // ERA5 daily means through the climate archive.
+  const fetchBaselineComparison = async () => {
+    setLoadingStates(prev => ({ ...prev, baseline: true }));
+    try {
+      const year = new Date().getFullYear();
+      const comparison = await BackendApiService.getBaselineComparison(2019, year).catch(() => []);
+      let { baseline, current } = DataProcessor.processBackendBaseline(comparison);
+      const baselineSource = baseline.length ? 'imported' : 'era5';
+      const currentSource = current.length ? 'sensors' : 'era5';
+
+      // The ERA5 archive trails real time by about five days
+      const archiveEnd = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      const daily = 'temperature_2m_mean,soil_temperature_0_to_7cm_mean';
+      const [era5Baseline, era5Current] = await Promise.all([
+        baseline.length ? null : ApiService.fetchClimateDaily({ start: '2019-01-01', end: '2019-12-31', daily }),
+        current.length ? null : ApiService.fetchClimateDaily({ start: `${year}-01-01`, end: archiveEnd, daily })
+      ]);
+      if (era5Baseline) baseline = DataProcessor.processMonthlyClimate(era5Baseline);
+      if (era5Current) current = DataProcessor.processMonthlyClimate(era5Current);
+
+      setDashboardData(prev => ({
+        ...prev,
+        baselineComparison: {
+          rows: DataProcessor.processBaselineComparison(baseline, current),
+          baselineSource,
+          currentSource
+        }
+      }));
+      setDataTimestamps(prev => ({ ...prev, baseline: Date.now() }));
+      setApiStatus(prev => ({ ...prev, baseline: 'success' }));
+    } catch (error) {
+      console.error('Baseline comparison fetch error:', error);
+      setApiStatus(prev => ({ ...prev, baseline: 'error' }));
+    } finally {
+      setLoadingStates(prev => ({ ...prev, baseline: false }));
+    }
+  };
+
+  // This week's hourly air quality against the week before it
   const fetchAirQuality = async () => {
     setLoadingStates(prev => ({ ...prev, airQuality: true }));
     try {
+      // Whole hours, so repeated loads within the hour share cache entries
       const now = new Date();
+      now.setUTCMinutes(0, 0, 0);
       const iso = d => d.toISOString();
       
-      // Try to get data from the last week
       const weekAgo = new Date(now);
-      weekAgo.setDate(weekAgo.getDate() - 7);
+      weekAgo.setUTCDate(weekAgo.getUTCDate() - 7);
       
       const twoWeeksAgo = new Date(now);
-      twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+      twoWeeksAgo.setUTCDate(twoWeeksAgo.getUTCDate() - 14);
       
       const parameters = ['pm25', 'pm10', 'no2', 'o3', 'so2', 'co'];
+      const fetchWeek = (from, to) => ApiService.fetchAirQualityWindow({
+        lat: 24.73605, // Prince Sultan University
+        lng: 46.70095,
+        date_from: iso(from),
+        date_to: iso(to),
+        parameters
+      });
       
-      // Try to fetch real data with more aggressive parameters - PSU coordinates
-      const [aqNow, aqPrev] = await Promise.all([
-        ApiService.fetchAirQualityWindow({
-          lat: 24.73605, // Prince Sultan University
-          lng: 46.70095,
-          radius: 500000, // 500km radius
-          date_from: iso(weekAgo),
-          date_to: iso(now),
-          parameters
-        }),
-        ApiService.fetchAirQualityWindow({
-          lat: 24.73605, // Prince Sultan University
-          lng: 46.70095,
-          radius: 500000,
-          date_from: iso(twoWeeksAgo),
-          date_to: iso(weekAgo),
-          parameters
-        })
-      ]);
+      // Either week may be missing; the comparison marks it instead of failing
+      const [thisWeek, lastWeek] = await Promise.allSettled([fetchWeek(weekAgo, now), fetchWeek(twoWeeksAgo, weekAgo)]);
+      const aqNow = thisWeek.status === 'fulfilled' ? thisWeek.value : null;
+      const aqPrev = lastWeek.status === 'fulfilled' ? lastWeek.value : null;
+      if (!aqNow && !aqPrev) throw thisWeek.reason;
       
-      // Process the data regardless of whether it's real or simulated
-      const airQualityData = DataProcessor.processAirQualityBeforeAfter(aqNow, aqPrev);
+      const airQualityData = DataProcessor.processAirQualityBeforeAfter(aqNow, aqPrev, parameters);
       
-      const currentAQI = Math.round(
-        (aqNow?.results ?? [])
-          .filter(r => parameters.includes((r.parameter || '').toLowerCase()))
-          .map(r => Number(r.value) || 0)
-          .reduce((a,b) => a + b, 0) / Math.max(1, (aqNow?.results ?? []).length)
-      ) || 42;
+      // Sub-indices from each pollutant's EPA averaging window over this
+      // week's hours; null when no pollutant was reported
+      const airQualityIndex = aqNow ? computeAQI(aqNow.results) : null;
       
       setDashboardData(prev => ({ 
         ...prev, 
         airQualityData, 
-        currentAQI 
+        airQualityIndex 
       }));
       setDataTimestamps(prev => ({ ...prev, airQuality: Date.now() }));
-      setApiStatus(prev => ({ ...prev, airQuality: 'success' }));
+      setApiProviders(prev => ({ ...prev, airQuality: [...new Set([aqNow?.source, aqPrev?.source].filter(Boolean))] }));
+      setApiStatus(prev => ({ ...prev, airQuality: airQualityData.length > 0 ? 'success' : 'no-data' }));
       console.log('Air quality data processed successfully');
     } catch (error) {
       console.error('Air quality fetch error:', error);
-      // Even on error, provide some data
-      setDashboardData(prev => ({ 
-        ...prev, 
-        airQualityData: [
-          { pollutant: 'PM2.5', before: 18, after: 14, unit: 'µg/m³', change: -22.2, trend: 'improving' },
-          { pollutant: 'PM10', before: 35, after: 28, unit: 'µg/m³', change: -20.0, trend: 'improving' },
-          { pollutant: 'NO2', before: 25, after: 22, unit: 'µg/m³', change: -12.0, trend: 'improving' },
-          { pollutant: 'O3', before: 55, after: 48, unit: 'µg/m³', change: -12.7, trend: 'improving' },
-          { pollutant: 'SO2', before: 12, after: 10, unit: 'µg/m³', change: -16.7, trend: 'improving' },
-          { pollutant: 'CO', before: 0.8, after: 0.6, unit: 'mg/m³', change: -25.0, trend: 'improving' }
-        ],
-        currentAQI: 42
-      }));
-      setApiStatus(prev => ({ ...prev, airQuality: 'success' }));
+      // Keep whatever was shown before; there is nothing real to replace it with
+      setApiStatus(prev => ({ ...prev, airQuality: 'error' }));
     } finally {
       setLoadingStates(prev => ({ ...prev, airQuality: false }));
     }
@@ -1555,28 +1904,30 @@ const useEnvironmentalData = () => {
       console.error('Error details:', error.message);
       
       setApiStatus(prev => ({ ...prev, treeCoverLoss: 'error' }));
-      setDashboardData(prev => ({ ...prev, treeCoverLossData: [] }));
     } finally {
       setLoadingStates(prev => ({ ...prev, treeCoverLoss: false }));
     }
   };
   
+  // isLoading covers the first load only; later refreshes keep the widgets on
+  // screen and show a spinner in their freshness indicator instead
   const fetchRealTimeData = async (forceRefresh = false) => {
-    setIsLoading(true);
-
     if (forceRefresh) {
-      cacheManager.clear();
-      console.log('Cache cleared for force refresh');
+      // Expire rather than clear, so the last known values survive a failed refresh
+      cacheManager.invalidate();
+      console.log('Cache invalidated for force refresh');
     }
 
     // Add timeout to prevent infinite loading (30 seconds max)
     const fetchPromise = Promise.allSettled([
+      fetchSensorNetwork(),
       fetchHeatMapData(),
       fetchSurfaceTemp(),
       fetchAirQuality(),
       fetchNDVI(),
       fetchTreeCoverLoss(),
-      fetchCarbonSequestration()
+      fetchCarbonSequestration(),
+      fetchBaselineComparison()
     ]);
 
     const timeoutPromise = new Promise((resolve) =>
@@ -1594,6 +1945,9 @@ const useEnvironmentalData = () => {
   
   const refreshWidget = async (widget) => {
     switch(widget) {
+      case 'sensors':
+        await fetchSensorNetwork();
+        break;
       case 'heatMap':
         await fetchHeatMapData();
         break;
@@ -1612,6 +1966,9 @@ const useEnvironmentalData = () => {
       case 'carbonSequestration':
         await fetchCarbonSequestration();
         break;
+      case 'baseline':
+        await fetchBaselineComparison();
+        break;
       default:
         await fetchRealTimeData();
     }
@@ -1757,8 +2114,9 @@ const useEnvironmentalData = () => {
       
       setApiStatus(prev => ({ ...prev, carbonSequestration: 'error' }));
       
-      // Set error state with no data - NEVER use hardcoded/estimated values
-      setDashboardData(prev => ({ 
+      // Set error state with no data - NEVER use hardcoded/estimated values.
+      // Real data from an earlier fetch (or the snapshot) stays on screen.
+      setDashboardData(prev => prev.carbonSequestrationData.currentSequestration > 0 ? prev : ({ 
         ...prev, 
         carbonSequestrationData: {
           currentSequestration: 0, // REAL DATA ONLY - 0 when no API data available
@@ -1777,22 +2135,102 @@ const useEnvironmentalData = () => {
     }
   };
   
+  // Puts the persisted snapshot on screen; returns whether anything was restored
+  const restoreSnapshot = () => {
+    const snapshot = cacheManager.getLastKnown(SNAPSHOT_KEY)?.data;
+    const restored = {};
+    const data = {};
+    Object.entries(snapshot?.widgets ?? {}).forEach(([widget, entry]) => {
+      if (!SNAPSHOT_WIDGETS[widget]) return;
+      restored[widget] = entry.timestamp;
+      Object.assign(data, entry.data);
+    });
+    if (Object.keys(restored).length === 0) return false;
+    if (restored.sensors) data.sensorSource = 'cached';
+
+    setDashboardData(prev => ({ ...prev, ...data }));
+    setDataTimestamps(prev => ({ ...prev, ...restored }));
+    setCachedFrom(restored);
+    console.log(`Restored ${Object.keys(restored).length} widgets from the offline cache`);
+    return true;
+  };
+
+  // Snapshots every widget that has real data, a couple of seconds after the
+  // last change. The simulated network is never saved.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const widgets = {};
+      Object.entries(SNAPSHOT_WIDGETS).forEach(([widget, fields]) => {
+        if (!dataTimestamps[widget]) return;
+        if (widget === 'sensors' && dashboardData.sensorSource === 'simulated') return;
+        widgets[widget] = {
+          timestamp: dataTimestamps[widget],
+          data: Object.fromEntries(fields.map(field => [field, dashboardData[field]]))
+        };
+      });
+      if (Object.keys(widgets).length > 0) {
+        cacheManager.set(SNAPSHOT_KEY, { widgets }, SNAPSHOT_TTL_MINUTES);
+      }
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [dashboardData, dataTimestamps]);
+
 useEffect(() => {
-    fetchRealTimeData();
+    // Persisted API responses still within their TTL are served without a
+    // request; the snapshot covers everything else until the fetches land
+    cacheManager.hydrate().then(() => {
+      if (restoreSnapshot()) setIsLoading(false);
+      fetchRealTimeData();
+    });
 
     const weatherInterval = setInterval(() => fetchRealTimeData(), 10 * 60 * 1000);
-    const sensorInterval = setInterval(() => {
-      setDashboardData(prev => ({
-        ...prev,
-        co2Data: generateCO2Data(),
-        temperatureData: generateTemperatureData(),
-        comparisonData: generateComparisonData()
-      }));
-    }, 30000);
+
+    // Live sensor feed: readings, status changes and alerts are applied as they arrive.
+    // A reset (events lost while disconnected) or a reconnect after the backend was
+    // unreachable triggers a full refetch.
+    let streamDown = false;
+    const closeStream = BackendApiService.subscribeToStream({
+      open: () => {
+        if (streamDown) fetchSensorNetwork();
+        streamDown = false;
+      },
+      error: () => { streamDown = true; },
+      reset: () => fetchSensorNetwork(),
+      import: () => fetchSensorNetwork(),
+      reading: ({ reading, daily }) => applyLiveReading(reading, daily),
+      sensor_status: applySensor,
+      alert: applyAlert
+    });
+
+    // Background refreshes land in the cache; rebuild the affected widgets from
+    // it. Batched, since one widget can read many keys (21 heat map districts).
+    const revalidated = new Set();
+    let revalidateTimer = null;
+    const unsubscribeRevalidate = cacheManager.onRevalidate(key => {
+      const match = REVALIDATED_WIDGETS.find(([prefix]) => key.startsWith(prefix));
+      if (!match) return;
+      match[1].forEach(widget => revalidated.add(widget));
+      clearTimeout(revalidateTimer);
+      revalidateTimer = setTimeout(() => {
+        revalidated.forEach(widget => refreshWidget(widget));
+        revalidated.clear();
+      }, 1000);
+    });
+
+    // A new seed or scenario redraws the simulated network in place
+    const unsubscribeSimulation = onSimulationChange(simulation => {
+      setDashboardData(prev => (prev.sensorSource === 'simulated'
+        ? { ...prev, ...generateSimulatedNetwork(simulation) }
+        : prev));
+    });
 
     return () => {
       clearInterval(weatherInterval);
-      clearInterval(sensorInterval);
+      closeStream();
+      clearTimeout(revalidateTimer);
+      clearTimeout(qualityRefreshRef.current);
+      unsubscribeRevalidate();
+      unsubscribeSimulation();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
@@ -1804,7 +2242,12 @@ useEffect(() => {
     isLoading,
     loadingStates,
     dataTimestamps,
+    cachedFrom,
+    apiProviders,
     refreshWidget,
+    resolveAlert,
+    applySensor,
+    fetchSensorQuality,
     refreshAll: () => fetchRealTimeData(true),
     cacheStats: cacheManager.getCacheStats()
   };
@@ -1814,7 +2257,31 @@ useEffect(() => {
 // ============================
 // Enhanced Map Component with Reduced Stations
 // ============================
-const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t }) => {
+// Values the district heat map can be colored by
+const HEAT_MAP_LAYERS = [
+  { id: 'air', field: 'temperature', labelKey: 'layerAirTemp' },
+  { id: 'apparent', field: 'apparentTemp', labelKey: 'layerApparentTemp' },
+  { id: 'heatIndex', field: 'heatIndex', labelKey: 'layerHeatIndex' }
+];
+
+// NOAA heat index categories, in °C
+const HEAT_INDEX_CATEGORIES = [
+  { min: -Infinity, color: 'rgba(34, 197, 94, 0.6)', labelKey: 'heatBelowCaution' },
+  { min: 27, color: 'rgba(250, 204, 21, 0.6)', labelKey: 'heatCaution' },
+  { min: 32, color: 'rgba(249, 115, 22, 0.6)', labelKey: 'heatExtremeCaution' },
+  { min: 41, color: 'rgba(220, 38, 38, 0.6)', labelKey: 'heatDanger' }
+];
+
+const getHeatIndexCategory = (value) => [...HEAT_INDEX_CATEGORIES].reverse().find(category => value >= category.min);
+
+const RiyadhMap = ({ heatMapData, apiStatus, isLoading, isRefreshing, providerLabel, timestamp, cachedLabel, onRefresh, t }) => {
+  const [layer, setLayer] = useState('air');
+  const activeLayer = HEAT_MAP_LAYERS.find(l => l.id === layer);
+  // Districts with a value for the selected layer (humidity can be missing)
+  const zones = (heatMapData || [])
+    .map(zone => ({ ...zone, value: zone[activeLayer.field] }))
+    .filter(zone => zone.value != null);
+
   const getStatusIndicator = (status) => {
     switch (status) {
       case 'success':
@@ -1836,6 +2303,8 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
     if (temp < 47) return 'rgba(239, 68, 68, 0.6)'; // red
     return 'rgba(127, 29, 29, 0.6)'; // dark red
   };
+
+  const getZoneColor = (value) => (layer === 'heatIndex' ? getHeatIndexCategory(value).color : getTempColor(value));
   
   const createRealHeatmap = () => {
     if (!heatMapData || heatMapData.length === 0) {
@@ -1862,6 +2331,17 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
       );
     }
     
+    if (zones.length === 0) {
+      return (
+        <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+          <div className="bg-white/90 p-4 rounded-lg flex items-center gap-2">
+            <AlertCircle className="w-4 h-4 text-yellow-600" />
+            <span className="text-sm text-slate-600">{t.layerUnavailable}</span>
+          </div>
+        </div>
+      );
+    }
+    
     const mapBounds = {
       north: 24.80,
       south: 24.60,
@@ -1878,18 +2358,18 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
           <filter id="blur">
             <feGaussianBlur in="SourceGraphic" stdDeviation="3" />
           </filter>
-          {heatMapData.map((zone, index) => (
+          {zones.map((zone, index) => (
             <radialGradient key={`gradient-${index}`} id={`heat-gradient-${index}`}>
-              <stop offset="0%" stopColor={getTempColor(zone.temperature)} stopOpacity="0.9" />
-              <stop offset="40%" stopColor={getTempColor(zone.temperature)} stopOpacity="0.6" />
-              <stop offset="70%" stopColor={getTempColor(zone.temperature)} stopOpacity="0.3" />
-              <stop offset="100%" stopColor={getTempColor(zone.temperature)} stopOpacity="0" />
+              <stop offset="0%" stopColor={getZoneColor(zone.value)} stopOpacity="0.9" />
+              <stop offset="40%" stopColor={getZoneColor(zone.value)} stopOpacity="0.6" />
+              <stop offset="70%" stopColor={getZoneColor(zone.value)} stopOpacity="0.3" />
+              <stop offset="100%" stopColor={getZoneColor(zone.value)} stopOpacity="0" />
             </radialGradient>
           ))}
         </defs>
         
         <g filter="url(#blur)" opacity="0.7">
-          {heatMapData.map((zone, index) => {
+          {zones.map((zone, index) => {
             const x = ((zone.lng - mapBounds.west) / (mapBounds.east - mapBounds.west)) * 100;
             const y = ((mapBounds.north - zone.lat) / (mapBounds.north - mapBounds.south)) * 100;
             const radius = 12; // Smaller radius for more precise segmentation
@@ -1908,7 +2388,7 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
         </g>
         
         <g filter="url(#blur)" opacity="0.5">
-          {heatMapData.map((zone, index) => {
+          {zones.map((zone, index) => {
             const x = ((zone.lng - mapBounds.west) / (mapBounds.east - mapBounds.west)) * 100;
             const y = ((mapBounds.north - zone.lat) / (mapBounds.north - mapBounds.south)) * 100;
             const radius = 18; // Medium radius for blending between segments
@@ -1919,7 +2399,7 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
                 cx={`${x}%`}
                 cy={`${y}%`}
                 r={`${radius}%`}
-                fill={getTempColor(zone.temperature)}
+                fill={getZoneColor(zone.value)}
                 opacity="0.35"
               />
             );
@@ -1927,7 +2407,7 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
         </g>
         
         <g filter="url(#blur)" opacity="0.3">
-          {heatMapData.map((zone, index) => {
+          {zones.map((zone, index) => {
             const x = ((zone.lng - mapBounds.west) / (mapBounds.east - mapBounds.west)) * 100;
             const y = ((mapBounds.north - zone.lat) / (mapBounds.north - mapBounds.south)) * 100;
             const radius = 25; // Largest radius for smooth city-wide gradient
@@ -1938,7 +2418,7 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
                 cx={`${x}%`}
                 cy={`${y}%`}
                 r={`${radius}%`}
-                fill={getTempColor(zone.temperature)}
+                fill={getZoneColor(zone.value)}
                 opacity="0.2"
               />
             );
@@ -1959,8 +2439,8 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
           <span className="text-sm font-medium text-slate-700">
             {apiStatus === 'success' ? (t?.liveTemperatureData || 'Live Temperature Data') : (t?.loading || 'Loading...')}
           </span>
-          <span className="text-xs text-slate-500">{t?.openMeteoAPI || 'Open-Meteo API'}</span>
-          <FreshnessIndicator timestamp={timestamp} />
+          <span className="text-xs text-slate-500">{providerLabel || t?.openMeteoAPI || 'Open-Meteo API'}</span>
+          <FreshnessIndicator timestamp={timestamp} cachedLabel={cachedLabel} isRefreshing={isRefreshing} />
           {onRefresh && (
             <button
               onClick={onRefresh}
@@ -1996,54 +2476,88 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
           style={{ 
             background: 'radial-gradient(circle at center, transparent 30%, rgba(0,0,0,0.1) 100%)'
           }}
-        />
-      </div>
-      
-      <div className="absolute bottom-4 right-4 bg-white/95 backdrop-blur-sm p-4 rounded-lg shadow-lg border">
-        <div className="text-xs font-bold text-slate-700 mb-3">{t?.temperatureScale || 'Temperature Scale (°C)'}</div>
-        <div className="space-y-2 text-xs">
-          <div className="flex items-center gap-3">
-            <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(34, 197, 94, 0.8)' }}></div>
-            <span className="font-medium">&lt;35°C Cool</span>
-          </div>
-          <div className="flex items-center gap-3">
-            <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(132, 204, 22, 0.8)' }}></div>
-            <span className="font-medium">35-38°C Mild</span>
-          </div>
-          <div className="flex items-center gap-3">
-            <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(251, 191, 36, 0.8)' }}></div>
-            <span className="font-medium">38-41°C Warm</span>
-          </div>
-          <div className="flex items-center gap-3">
-            <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(251, 146, 60, 0.8)' }}></div>
-            <span className="font-medium">41-44°C Hot</span>
-          </div>
-          <div className="flex items-center gap-3">
-            <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(239, 68, 68, 0.8)' }}></div>
-            <span className="font-medium">44-47°C Very Hot</span>
-          </div>
-          <div className="flex items-center gap-3">
-            <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(127, 29, 29, 0.8)' }}></div>
-            <span className="font-medium">&gt;47°C Extreme</span>
-          </div>
-        </div>
+        />
+      </div>
+      
+      <div className="absolute bottom-4 left-4 z-20 bg-white/95 backdrop-blur-sm p-1 rounded-lg shadow-lg border flex gap-1">
+        {HEAT_MAP_LAYERS.map(l => (
+          <button
+            key={l.id}
+            onClick={() => setLayer(l.id)}
+            className={`px-2 py-1 text-xs rounded transition-colors ${
+              l.id === layer ? 'bg-emerald-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+            }`}
+          >
+            {t[l.labelKey]}
+          </button>
+        ))}
+      </div>
+      
+      <div className="absolute bottom-4 right-4 bg-white/95 backdrop-blur-sm p-4 rounded-lg shadow-lg border">
+        {layer === 'heatIndex' ? (
+          <>
+            <div className="text-xs font-bold text-slate-700 mb-3">{t.heatIndexScale}</div>
+            <div className="space-y-2 text-xs">
+              {HEAT_INDEX_CATEGORIES.map((category, i) => {
+                const next = HEAT_INDEX_CATEGORIES[i + 1];
+                const bounds = category.min === -Infinity ? `<${next.min}°C` : next ? `${category.min}-${next.min}°C` : `≥${category.min}°C`;
+                return (
+                  <div key={category.labelKey} className="flex items-center gap-3">
+                    <div className="w-4 h-3 rounded border" style={{ backgroundColor: category.color.replace('0.6)', '0.8)') }}></div>
+                    <span className="font-medium">{bounds} {t[category.labelKey]}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="text-xs font-bold text-slate-700 mb-3">{layer === 'air' ? (t?.temperatureScale || 'Temperature Scale (°C)') : `${t.layerApparentTemp} (°C)`}</div>
+            <div className="space-y-2 text-xs">
+              <div className="flex items-center gap-3">
+                <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(34, 197, 94, 0.8)' }}></div>
+                <span className="font-medium">&lt;35°C Cool</span>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(132, 204, 22, 0.8)' }}></div>
+                <span className="font-medium">35-38°C Mild</span>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(251, 191, 36, 0.8)' }}></div>
+                <span className="font-medium">38-41°C Warm</span>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(251, 146, 60, 0.8)' }}></div>
+                <span className="font-medium">41-44°C Hot</span>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(239, 68, 68, 0.8)' }}></div>
+                <span className="font-medium">44-47°C Very Hot</span>
+              </div>
+              <div className="flex items-center gap-3">
+                <div className="w-4 h-3 rounded border" style={{ backgroundColor: 'rgba(127, 29, 29, 0.8)' }}></div>
+                <span className="font-medium">&gt;47°C Extreme</span>
+              </div>
+            </div>
+          </>
+        )}
       </div>
       
-      {apiStatus === 'success' && heatMapData.length > 0 && (
+      {apiStatus === 'success' && zones.length > 0 && (
         <div className="absolute top-4 right-4 bg-white/95 backdrop-blur-sm p-3 rounded-lg shadow-lg border">
           <div className="text-xs text-slate-500 text-center mb-1">{t?.realTimeData || 'Real-time Data'}</div>
           <div className="space-y-1">
             <div className="text-xs text-center">
               <span className="text-slate-600">{t?.average || 'Average'}:</span>
               <span className="font-bold ml-1">
-                {(heatMapData.reduce((s, d) => s + d.temperature, 0) / heatMapData.length).toFixed(1)}°C
+                {(zones.reduce((s, d) => s + d.value, 0) / zones.length).toFixed(1)}°C
               </span>
             </div>
             <div className="text-xs text-center">
               <span className="text-slate-600">{t?.range || 'Range'}:</span>
               <span className="font-bold ml-1">
-                {Math.min(...heatMapData.map(d => d.temperature)).toFixed(0)}° - 
-                {Math.max(...heatMapData.map(d => d.temperature)).toFixed(0)}°C
+                {Math.min(...zones.map(d => d.value)).toFixed(0)}° - 
+                {Math.max(...zones.map(d => d.value)).toFixed(0)}°C
               </span>
             </div>
           </div>
@@ -2054,14 +2568,31 @@ const RiyadhMap = ({ heatMapData, apiStatus, isLoading, timestamp, onRefresh, t
 };
 
 // Sensor Map Component with Visual Sensor Pins
-const SensorMap = ({ sensorData, t }) => {
+// Anomaly types and fields reported by /sensors/quality, as translation keys
+const ANOMALY_TYPE_KEYS = {
+  stuck: 'anomalyStuck',
+  jump: 'anomalyJump',
+  rate: 'anomalyRate',
+  neighbor: 'anomalyNeighbor',
+  drift: 'anomalyDrift',
+  reference: 'anomalyReference'
+};
+const ANOMALY_FIELD_KEYS = {
+  co2_ppm: 'anomalyFieldCo2',
+  air_temperature: 'anomalyFieldAirTemperature',
+  surface_temperature: 'anomalyFieldSurfaceTemperature',
+  humidity: 'anomalyFieldHumidity'
+};
+
+const describeAnomaly = (anomaly, t) =>
+  `${t[ANOMALY_TYPE_KEYS[anomaly.type]] ?? anomaly.type} (${t[ANOMALY_FIELD_KEYS[anomaly.field]] ?? anomaly.field})`;
+
+const SensorMap = ({ sensorData, qualityBySensor = new Map(), t }) => {
   const [selectedSensor, setSelectedSensor] = useState(null);
   
-  // Prince Sultan University Campus Bounding Box (zoomed out to show full campus)
-  const mapBounds = {
-    minLat: 24.73200, maxLat: 24.74000,
-    minLng: 46.69600, maxLng: 46.70600
-  };
+  // Prince Sultan University Campus Bounding Box (zoomed out to show full campus).
+  // The sensor registry only accepts coordinates inside it.
+  const mapBounds = CAMPUS_BOUNDS;
   
   // Convert lat/lng to percentage-based positioning for zoom stability
   const coordToPercentage = (lat, lng) => {
@@ -2107,7 +2638,7 @@ const SensorMap = ({ sensorData, t }) => {
       <div className="w-full h-full relative bg-slate-100">
         {/* Base Map - Prince Sultan University Campus */}
         <iframe
-          src="https://www.openstreetmap.org/export/embed.html?bbox=46.69600,24.73200,46.70600,24.74000&layer=mapnik"
+          src={`https://www.openstreetmap.org/export/embed.html?bbox=${mapBounds.minLng},${mapBounds.minLat},${mapBounds.maxLng},${mapBounds.maxLat}&layer=mapnik`}
           className="w-full h-full border-0"
           style={{ filter: 'opacity(0.8)' }}
           title="Prince Sultan University Sensor Network"
@@ -2121,6 +2652,7 @@ const SensorMap = ({ sensorData, t }) => {
             const position = coordToPercentage(sensor.coordinates.lat, sensor.coordinates.lng);
             const statusColor = getStatusColor(sensor.status);
             const isSelected = selectedSensor?.id === sensor.id;
+            const quality = qualityBySensor.get(sensor.id);
             
             return (
               <div
@@ -2132,8 +2664,18 @@ const SensorMap = ({ sensorData, t }) => {
                 }}
                 onClick={() => handleSensorClick(sensor)}
               >
-                <div className={`w-4 h-4 ${statusColor} rounded-full border-2 border-white shadow-lg hover:scale-110 transition-transform`}>
+                <div className={`w-4 h-4 ${statusColor} rounded-full border-2 border-white shadow-lg hover:scale-110 transition-transform ${
+                  quality?.suspect ? 'ring-2 ring-amber-400' : ''
+                }`}>
                 </div>
+                {quality?.suspect && (
+                  <span
+                    className="absolute -top-2 -right-2 w-3 h-3 rounded-full bg-amber-400 text-black text-[8px] font-bold leading-3 text-center"
+                    title={t?.suspectSensor}
+                  >
+                    !
+                  </span>
+                )}
                 
                 {/* Label appears only when clicked */}
                 {isSelected && (
@@ -2141,6 +2683,11 @@ const SensorMap = ({ sensorData, t }) => {
                     <div className="font-semibold">{sensor.id}</div>
                     <div className="text-[10px] opacity-80">{sensor.streetName}</div>
                     <div className="text-[10px] opacity-80">{sensor.status}</div>
+                    {quality?.suspect && (
+                      <div className="text-[10px] text-amber-300">
+                        {t?.suspectSensor}: {quality.anomalies.map(a => describeAnomaly(a, t)).join(', ')}
+                      </div>
+                    )}
                     {/* Small arrow pointing to the pin */}
                     <div className="absolute top-0 left-1/2 transform -translate-x-1/2 -translate-y-1 border-l-2 border-r-2 border-b-2 border-transparent border-b-black border-b-opacity-90"></div>
                   </div>
@@ -2166,6 +2713,12 @@ const SensorMap = ({ sensorData, t }) => {
               <div className="w-3 h-3 bg-yellow-500 rounded-full"></div>
               <span className="text-slate-600">South Zone (Pre-afforestation)</span>
             </div>
+            {sensorData.some(sensor => qualityBySensor.get(sensor.id)?.suspect) && (
+              <div className="flex items-center gap-2 mt-1">
+                <div className="w-3 h-3 bg-amber-400 rounded-full text-[8px] font-bold leading-3 text-center">!</div>
+                <span className="text-slate-600">{t?.suspectSensor}</span>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -2185,12 +2738,37 @@ const RawdahDashboard = () => {
     isLoading,
     loadingStates,
     dataTimestamps,
-    refreshWidget
+    cachedFrom,
+    apiProviders,
+    refreshWidget,
+    resolveAlert,
+    applySensor,
+    fetchSensorQuality
   } = useEnvironmentalData();
   
   const [selectedMetric, setSelectedMetric] = useState('CO₂');
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [isChatbotOpen, setIsChatbotOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isRegistryOpen, setIsRegistryOpen] = useState(false);
+  const [isLoginOpen, setIsLoginOpen] = useState(false);
+  const [user, setUser] = useState(() => BackendApiService.getCurrentUser());
+
+  // Viewers and anonymous visitors get the read-only dashboard
+  const canOperate = user != null && BackendApiService.hasRole('Operator');
+  const isAdmin = user != null && BackendApiService.hasRole('Admin');
+
+  useEffect(() => {
+    const unsubscribe = BackendApiService.onSessionChange(setUser);
+    BackendApiService.verifySession();
+    return unsubscribe;
+  }, []);
+
+  // Signing out (or a lapsed session) closes the staff-only panels
+  useEffect(() => {
+    if (!canOperate) setIsImportOpen(false);
+    if (!isAdmin) setIsRegistryOpen(false);
+  }, [canOperate, isAdmin]);
   const [language, setLanguage] = useState('en');
   
   // Week selection state for historical data
@@ -2200,6 +2778,15 @@ const RawdahDashboard = () => {
     surfaceHeat: null,
     surfaceTemp: null
   });
+
+  // Trend line and moving average overlays per time-series chart
+  const [chartOverlays, setChartOverlays] = useState({
+    co2: { trend: false, maWindow: null },
+    temperature: { trend: false, maWindow: null },
+    surfaceHeat: { trend: false, maWindow: null },
+    surfaceTemp: { trend: false, maWindow: null }
+  });
+  const setChartOverlay = (chartType, overlay) => setChartOverlays(prev => ({ ...prev, [chartType]: overlay }));
   
   // Historical data state
   const [historicalData, setHistoricalData] = useState({
@@ -2234,6 +2821,17 @@ const RawdahDashboard = () => {
 
     setSelectedWeeks(prev => ({ ...prev, [chartType]: weekStart }));
 
+    // Recorded (live or imported) sensor history; the synthetic week is only used
+    // when the sensor backend cannot be reached at all
+    const fetchSensorWeek = async (process, generateFallback) => {
+      try {
+        return process(await BackendApiService.getWeeklyAggregates(weekStart));
+      } catch (error) {
+        console.warn(`Sensor history unavailable for ${weekStart}, using simulated week:`, error);
+        return generateFallback(weekStart);
+      }
+    };
+
     try {
       let data;
       switch (chartType) {
@@ -2241,11 +2839,17 @@ const RawdahDashboard = () => {
           data = await DataProcessor.fetchHistoricalWeatherData(weekStart);
           break;
         case 'co2':
-          data = DataProcessor.generateHistoricalCO2Data(weekStart);
+          data = await fetchSensorWeek(
+            weekly => DataProcessor.processHistoricalCO2Week(weekly),
+            week => DataProcessor.generateHistoricalCO2Data(week)
+          );
           break;
         case 'surfaceHeat':
         case 'surfaceTemp':
-          data = DataProcessor.generateHistoricalSurfaceData(weekStart);
+          data = await fetchSensorWeek(
+            weekly => DataProcessor.processHistoricalSurfaceWeek(weekly),
+            week => DataProcessor.generateHistoricalSurfaceData(week)
+          );
           break;
         default:
           return;
@@ -2257,6 +2861,20 @@ const RawdahDashboard = () => {
     }
   };
   
+  // Imported history may cover the weeks being viewed, so reload them
+  const handleHistoryImported = () => {
+    refreshWidget('sensors');
+    ['co2', 'surfaceHeat', 'surfaceTemp'].forEach(chartType => {
+      if (selectedWeeks[chartType]) handleWeekSelection(chartType, selectedWeeks[chartType]);
+    });
+  };
+
+  // A new or reactivated node needs its quality score for the Sensor Health table
+  const handleRegistryChange = (sensor) => {
+    applySensor(sensor);
+    if (sensor.is_active) fetchSensorQuality();
+  };
+
   // Get data for chart (historical or current)
   const getChartData = (chartType, currentData) => {
     const historical = historicalData[chartType];
@@ -2281,11 +2899,28 @@ const RawdahDashboard = () => {
   // === KPI Progress Calculations ===
   // Air temp & surface heat use real Open-Meteo API data (PSU vs Industrial Area temp diff).
   // CO2 uses the afforestation comparison model (no real CO2 sensor API available).
+  // Quality columns of the Sensor Health table, keyed by sensor id
+  const sensorQuality = dashboardData.sensorQuality;
+  const qualityBySensor = new Map((sensorQuality?.sensors ?? []).map(q => [q.sensor_id, q]));
+
+  // A widget still showing data restored from the offline cache (no live fetch has succeeded yet)
+  const isCached = (widget) => cachedFrom[widget] != null && cachedFrom[widget] === dataTimestamps[widget];
+  const hasData = (widget) => apiStatus[widget] === 'success' || isCached(widget);
+  // "Open-Meteo", or "Open-Meteo, WAQI" when failover split a fetch across providers
+  const providerLabel = (widget) => (apiProviders[widget] || []).map(getProviderName).join(', ');
+
+  // Widgets with data keep showing it while a refresh runs; the overlay is for the first load
+  const isFirstLoad = (widget) => loadingStates[widget] && !dataTimestamps[widget];
+  const isRefreshing = (widget) => loadingStates[widget] && !!dataTimestamps[widget];
+  const cachedLabel = (widget) => (isCached(widget)
+    ? `${t.cachedFrom} ${new Date(cachedFrom[widget]).toLocaleString(language === 'ar' ? 'ar-SA' : 'en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}`
+    : null);
+
   const kpiPastDays = (dashboardData.surfaceTempData || []).filter(d => !d.isFuture);
   const kpiAvgAirDiff = kpiPastDays.length > 0
     ? kpiPastDays.reduce((sum, d) => sum + Math.max(0, d.difference || 0), 0) / kpiPastDays.length
     : 0;
-  const kpiHasRealData = apiStatus.surfaceTemp === 'success' && kpiAvgAirDiff > 0;
+  const kpiHasRealData = hasData('surfaceTemp') && kpiAvgAirDiff > 0;
 
   // CO2: 20 ppm reduction achieved by afforestation vs 4% of 440 ppm target (17.6 ppm)
   const co2KpiProgress = Math.min(100, Math.round(20 / ((415 + 25) * 0.04) * 100));
@@ -2305,10 +2940,11 @@ const RawdahDashboard = () => {
   // Network status from actual generated sensor data
   const kpiActiveSensors = (dashboardData.sensorData || []).filter(s => s.status === 'Active').length;
   const kpiTotalSensors = (dashboardData.sensorData || []).length;
+  const kpiAirQuality = hasData('airQuality') && dashboardData.airQualityIndex?.aqi > 0 ? dashboardData.airQualityIndex : null;
 
-  // Show loading state only if still loading and no data yet
-  // After timeout expires, show dashboard even if APIs failed
-  if (isLoading) {
+  // Show loading state only if still loading and no data yet (nothing restored
+  // from the offline cache). After timeout expires, show dashboard even if APIs failed
+  if (isLoading && Object.keys(cachedFrom).length === 0) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-emerald-50">
         <div className="text-center">
@@ -2383,6 +3019,73 @@ const RawdahDashboard = () => {
                     }`}></div>
                   </Button>
                   
+                  {/* Historical Import (operators) */}
+                  {canOperate && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setIsImportOpen(true)}
+                      className={`flex items-center gap-2 ${
+                        isDarkMode 
+                          ? 'text-slate-300 hover:text-white hover:bg-slate-800' 
+                          : 'text-slate-600 hover:text-slate-800 hover:bg-slate-100'
+                      }`}
+                      title={t.importReadings}
+                    >
+                      <Upload className="w-4 h-4" />
+                    </Button>
+                  )}
+
+                  {/* Sensor Registry (admin) */}
+                  {isAdmin && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setIsRegistryOpen(true)}
+                      disabled={dashboardData.sensorSource !== 'backend'}
+                      className={`flex items-center gap-2 ${
+                        isDarkMode 
+                          ? 'text-slate-300 hover:text-white hover:bg-slate-800' 
+                          : 'text-slate-600 hover:text-slate-800 hover:bg-slate-100'
+                      }`}
+                      title={dashboardData.sensorSource === 'backend' ? t.sensorRegistry : t.sensorRegistryUnavailable}
+                    >
+                      <Server className="w-4 h-4" />
+                    </Button>
+                  )}
+
+                  {/* Staff sign-in; the dashboard itself is public */}
+                  {user ? (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => BackendApiService.logout()}
+                      className={`flex items-center gap-2 ${
+                        isDarkMode 
+                          ? 'text-slate-300 hover:text-white hover:bg-slate-800' 
+                          : 'text-slate-600 hover:text-slate-800 hover:bg-slate-100'
+                      }`}
+                      title={t.signOut}
+                    >
+                      <LogOut className="w-4 h-4" />
+                      <span className="text-sm font-medium">{user.username} · {t[`role${user.role}`] || user.role}</span>
+                    </Button>
+                  ) : (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setIsLoginOpen(true)}
+                      className={`flex items-center gap-2 ${
+                        isDarkMode 
+                          ? 'text-slate-300 hover:text-white hover:bg-slate-800' 
+                          : 'text-slate-600 hover:text-slate-800 hover:bg-slate-100'
+                      }`}
+                    >
+                      <LogIn className="w-4 h-4" />
+                      <span className="text-sm font-medium">{t.signIn}</span>
+                    </Button>
+                  )}
+                  
                   {/* Chatbot Toggle Button */}
                   <Button
                     variant="primary"
@@ -2521,15 +3224,25 @@ const RawdahDashboard = () => {
                           isDarkMode ? 'text-slate-300' : 'text-slate-600'
                         }`}>{t.airQualityIndex}</div>
                         <div className="flex items-center gap-1 mt-1">
-                          <div className="w-2 h-2 bg-green-500 rounded-full"></div>
+                          <div
+                            className={`w-2 h-2 rounded-full ${kpiAirQuality ? '' : 'bg-slate-400'}`}
+                            style={kpiAirQuality ? { backgroundColor: kpiAirQuality.color } : undefined}
+                          ></div>
                           <span className={`transition-colors duration-300 ${
                             isDarkMode ? 'text-white' : 'text-slate-800'
                           }`}>
-                            {apiStatus.airQuality === 'success' && dashboardData.currentAQI > 0 
-                              ? `${t.good} (${dashboardData.currentAQI})` 
+                            {kpiAirQuality 
+                              ? `${t[kpiAirQuality.labelKey]} (${kpiAirQuality.aqi})` 
                               : t.fetchingData}
                           </span>
                         </div>
+                        {kpiAirQuality?.dominant && (
+                          <div className={`mt-0.5 transition-colors duration-300 ${
+                            isDarkMode ? 'text-slate-400' : 'text-slate-500'
+                          }`}>
+                            {t.dominantPollutant}: {getPollutantLabel(kpiAirQuality.dominant)}
+                          </div>
+                        )}
                       </div>
                       <div>
                         <div className={`font-medium transition-colors duration-300 ${
@@ -2717,6 +3430,13 @@ const RawdahDashboard = () => {
                     <span className="text-yellow-700 font-medium">{t.ishaqIbnIbrahimPreAfforestation}</span>
                   </div>
                 </div>
+
+                <ZoneSignificanceNote
+                  significance={dashboardData.zoneSignificance}
+                  metric={selectedMetric}
+                  isDarkMode={isDarkMode}
+                  language={language}
+                />
               </Card>
             </div>
             
@@ -2741,8 +3461,11 @@ const RawdahDashboard = () => {
               <RiyadhMap
                 heatMapData={dashboardData.heatMapData}
                 apiStatus={apiStatus.heatMap}
-                isLoading={loadingStates.heatMap}
+                isLoading={isFirstLoad('heatMap')}
+                isRefreshing={isRefreshing('heatMap')}
+                providerLabel={providerLabel('heatMap')}
                 timestamp={dataTimestamps.heatMap}
+                cachedLabel={cachedLabel('heatMap')}
                 onRefresh={() => refreshWidget('heatMap')}
                 t={t}
               />
@@ -2783,85 +3506,109 @@ const RawdahDashboard = () => {
                           futureValue: null
                         };
                       } else {
-                        // For current data, show current/future split
-                        const isCurrentDay = index <= new Date().getDay();
+                        // For current data, show current/future split at the week's own
+                        // "today" (the simulation's reference date for simulated weeks)
+                        const todayIndex = chartData.filter(day => !day.isFuture).length - 1;
+                        const isCurrentDay = index <= todayIndex;
                         return {
                           ...item,
                           currentValue: isCurrentDay ? item.value : null,
-                          futureValue: !isCurrentDay ? item.value : (index === new Date().getDay() ? item.value : null)
+                          futureValue: !isCurrentDay ? item.value : (index === todayIndex ? item.value : null)
                         };
                       }
                     });
+                    const overlay = chartOverlays.co2;
+                    const { data: overlaidData, trends } = withTrendOverlays(connectedData, ['value'], { ...overlay, metric: 'co2', interval: 'day' });
                     
                     return (
-                      <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={prepareChartData(connectedData, language === 'ar', language)}>
-                          <CartesianGrid
-                            strokeDasharray="3 3"
-                            stroke={isDarkMode ? "#374151" : "#f1f5f9"}
-                          />
-                          <XAxis
-                            dataKey="day"
-                            tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
-                            reversed={language === 'ar'}
-                          />
-                          <YAxis
-                            tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
-                            orientation={language === 'ar' ? 'right' : 'left'}
-                          />
-                          <Tooltip
-                            contentStyle={{
-                              backgroundColor: isDarkMode ? "#374151" : "#ffffff",
-                              border: isDarkMode ? "1px solid #4b5563" : "1px solid #e2e8f0",
-                              color: isDarkMode ? "#f3f4f6" : "#1e293b"
-                            }}
-                            content={({ active, payload }) => {
-                              if (active && payload && payload.length > 0) {
-                                const data = payload[0].payload;
-                                return (
-                                  <div className={`p-2 rounded shadow ${isDarkMode ? 'bg-slate-700 text-white' : 'bg-white'}`}>
-                                    <p className="text-xs font-medium">{data.day}</p>
-                                    <p className="text-xs">CO₂: {data.value} ppm</p>
-                                    <p className="text-xs">Target: {data.target} ppm</p>
-                                    <p className="text-xs text-blue-600 font-medium">
-                                      📊 {data.isFuture ? t.forecasted : t.current}
-                                    </p>
-                                  </div>
-                                );
-                              }
-                              return null;
-                            }}
-                          />
-                          {/* Current days - solid line */}
-                          <Line 
-                            type="monotone" 
-                            dataKey="currentValue"
-                            stroke="#3b82f6" 
-                            strokeWidth={2} 
-                            dot={false}
-                            connectNulls={false}
-                          />
-                          {/* Future days - dashed line */}
-                          <Line 
-                            type="monotone" 
-                            dataKey="futureValue"
-                            stroke="#3b82f6" 
-                            strokeWidth={2} 
-                            strokeDasharray="8 4"
-                            dot={false}
-                            connectNulls={false}
-                          />
-                          {/* Target line */}
-                          <Line 
-                            type="monotone" 
-                            dataKey="target" 
-                            stroke="#10b981" 
-                            strokeWidth={1} 
-                            strokeDasharray="5 5" 
-                            dot={false} 
-                          />
-                        </LineChart>
-                      </ResponsiveContainer>
+                      <div className="h-full flex flex-col">
+                        <TrendControls
+                          overlay={overlay}
+                          onChange={(next) => setChartOverlay('co2', next)}
+                          series={[{ label: '', trend: trends.value }]}
+                          unit="ppm"
+                          pointCount={connectedData.length}
+                          isDarkMode={isDarkMode}
+                          language={language}
+                        />
+                        <div className="flex-1 min-h-0">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={prepareChartData(overlaidData, language === 'ar', language)}>
+                              <CartesianGrid
+                                strokeDasharray="3 3"
+                                stroke={isDarkMode ? "#374151" : "#f1f5f9"}
+                              />
+                              <XAxis
+                                dataKey="day"
+                                tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
+                                reversed={language === 'ar'}
+                              />
+                              <YAxis
+                                tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
+                                orientation={language === 'ar' ? 'right' : 'left'}
+                              />
+                              <Tooltip
+                                contentStyle={{
+                                  backgroundColor: isDarkMode ? "#374151" : "#ffffff",
+                                  border: isDarkMode ? "1px solid #4b5563" : "1px solid #e2e8f0",
+                                  color: isDarkMode ? "#f3f4f6" : "#1e293b"
+                                }}
+                                content={({ active, payload }) => {
+                                  if (active && payload && payload.length > 0) {
+                                    const data = payload[0].payload;
+                                    return (
+                                      <div className={`p-2 rounded shadow ${isDarkMode ? 'bg-slate-700 text-white' : 'bg-white'}`}>
+                                        <p className="text-xs font-medium">{data.day}</p>
+                                        <p className="text-xs">CO₂: {data.value ?? '—'} ppm</p>
+                                        {data.valueMA != null && <p className="text-xs">{t.movingAverage}: {data.valueMA} ppm</p>}
+                                        <p className="text-xs">Target: {data.target} ppm</p>
+                                        <p className="text-xs text-blue-600 font-medium">
+                                          📊 {data.isFuture ? t.forecasted : t.current}
+                                        </p>
+                                      </div>
+                                    );
+                                  }
+                                  return null;
+                                }}
+                              />
+                              {/* Current days - solid line */}
+                              <Line 
+                                type="monotone" 
+                                dataKey="currentValue"
+                                stroke="#3b82f6" 
+                                strokeWidth={2} 
+                                dot={false}
+                                connectNulls={false}
+                              />
+                              {/* Future days - dashed line */}
+                              <Line 
+                                type="monotone" 
+                                dataKey="futureValue"
+                                stroke="#3b82f6" 
+                                strokeWidth={2} 
+                                strokeDasharray="8 4"
+                                dot={false}
+                                connectNulls={false}
+                              />
+                              {/* Target line */}
+                              <Line 
+                                type="monotone" 
+                                dataKey="target" 
+                                stroke="#10b981" 
+                                strokeWidth={1} 
+                                strokeDasharray="5 5" 
+                                dot={false} 
+                              />
+                              {overlay.maWindow && (
+                                <Line type="monotone" dataKey="valueMA" stroke="#6366f1" strokeWidth={1.5} dot={false} connectNulls={false} />
+                              )}
+                              {overlay.trend && (
+                                <Line type="linear" dataKey="valueTrend" stroke="#64748b" strokeWidth={1.5} strokeDasharray="2 3" dot={false} />
+                              )}
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
                     );
                   })()}
                 </div>
@@ -2901,92 +3648,116 @@ const RawdahDashboard = () => {
                           target: item.target // Preserve target line for historical data
                         };
                       } else {
-                        // For current data, show current/future split
-                        const isCurrentDay = index <= new Date().getDay();
+                        // For current data, show current/future split at the week's own
+                        // "today" (the simulation's reference date for simulated weeks)
+                        const todayIndex = chartData.filter(day => !day.isFuture).length - 1;
+                        const isCurrentDay = index <= todayIndex;
                         return {
                           ...item,
                           currentTemp: isCurrentDay ? item.current : null,
-                          futureTemp: !isCurrentDay ? item.current : (index === new Date().getDay() ? item.current : null),
+                          futureTemp: !isCurrentDay ? item.current : (index === todayIndex ? item.current : null),
                           target: item.target // Preserve target line for current data
                         };
                       }
                     });
+                    const overlay = chartOverlays.temperature;
+                    const { data: overlaidData, trends } = withTrendOverlays(connectedData, ['current'], { ...overlay, interval: 'day' });
                     
                     return (
-                      <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={prepareChartData(connectedData, language === 'ar', language)}>
-                          <CartesianGrid
-                            strokeDasharray="3 3"
-                            stroke={isDarkMode ? "#374151" : "#f1f5f9"}
-                          />
-                          <XAxis
-                            dataKey="day"
-                            tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
-                            reversed={language === 'ar'}
-                          />
-                          <YAxis
-                            tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
-                            orientation={language === 'ar' ? 'right' : 'left'}
-                          />
-                          <Tooltip
-                            contentStyle={{
-                              backgroundColor: isDarkMode ? "#374151" : "#ffffff",
-                              border: isDarkMode ? "1px solid #4b5563" : "1px solid #e2e8f0",
-                              color: isDarkMode ? "#f3f4f6" : "#1e293b"
-                            }}
-                            content={({ active, payload }) => {
-                              if (active && payload && payload.length > 0) {
-                                const data = payload[0].payload;
-                                return (
-                                  <div className={`p-2 rounded shadow ${isDarkMode ? 'bg-slate-700 text-white' : 'bg-white'}`}>
-                                    <p className="text-xs font-medium">{data.day}</p>
-                                    <p className="text-xs">Temperature: {data.current}°C</p>
-                                    <p className="text-xs">Target: {data.target}°C</p>
-                                    <p className="text-xs text-orange-600 font-medium">
-                                      📊 {data.isFuture ? t.forecasted : t.current}
-                                    </p>
-                                  </div>
-                                );
-                              }
-                              return null;
-                            }}
-                          />
-                          {/* Current days - solid line */}
-                          <Line 
-                            type="monotone" 
-                            dataKey="currentTemp"
-                            stroke="#f59e0b" 
-                            strokeWidth={2} 
-                            dot={false}
-                            connectNulls={false}
-                          />
-                          {/* Future days - dashed line */}
-                          <Line 
-                            type="monotone" 
-                            dataKey="futureTemp"
-                            stroke="#f59e0b" 
-                            strokeWidth={2} 
-                            strokeDasharray="8 4"
-                            dot={false}
-                            connectNulls={false}
-                          />
-                          {/* Target line - straight horizontal line */}
-                          <ReferenceLine 
-                            y={(() => {
-                              // Calculate the target temperature (base temp - 1.75°C afforestation cooling target)
-                              const now = new Date();
-                              const month = now.getMonth();
-                              const monthlyBaseTemps = [22, 25, 30, 37, 43, 46, 48, 47, 43, 37, 30, 24];
-                              const baseTemp = monthlyBaseTemps[month];
-                              return Math.round((baseTemp - 1.75) * 10) / 10;
-                            })()}
-                            stroke="#10b981" 
-                            strokeWidth={2} 
-                            strokeDasharray="8 4" 
-                            label={{ value: language === 'ar' ? 'هدف التشجير' : 'Afforestation Target', position: 'topRight', fontSize: 10 }}
-                          />
-                        </LineChart>
-                      </ResponsiveContainer>
+                      <div className="h-full flex flex-col">
+                        <TrendControls
+                          overlay={overlay}
+                          onChange={(next) => setChartOverlay('temperature', next)}
+                          series={[{ label: '', trend: trends.current }]}
+                          unit="°C"
+                          pointCount={connectedData.length}
+                          isDarkMode={isDarkMode}
+                          language={language}
+                        />
+                        <div className="flex-1 min-h-0">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={prepareChartData(overlaidData, language === 'ar', language)}>
+                              <CartesianGrid
+                                strokeDasharray="3 3"
+                                stroke={isDarkMode ? "#374151" : "#f1f5f9"}
+                              />
+                              <XAxis
+                                dataKey="day"
+                                tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
+                                reversed={language === 'ar'}
+                              />
+                              <YAxis
+                                tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
+                                orientation={language === 'ar' ? 'right' : 'left'}
+                              />
+                              <Tooltip
+                                contentStyle={{
+                                  backgroundColor: isDarkMode ? "#374151" : "#ffffff",
+                                  border: isDarkMode ? "1px solid #4b5563" : "1px solid #e2e8f0",
+                                  color: isDarkMode ? "#f3f4f6" : "#1e293b"
+                                }}
+                                content={({ active, payload }) => {
+                                  if (active && payload && payload.length > 0) {
+                                    const data = payload[0].payload;
+                                    return (
+                                      <div className={`p-2 rounded shadow ${isDarkMode ? 'bg-slate-700 text-white' : 'bg-white'}`}>
+                                        <p className="text-xs font-medium">{data.day}</p>
+                                        <p className="text-xs">Temperature: {data.current ?? '—'}°C</p>
+                                        {data.currentMA != null && <p className="text-xs">{t.movingAverage}: {data.currentMA}°C</p>}
+                                        <p className="text-xs">Target: {data.target}°C</p>
+                                        <p className="text-xs text-orange-600 font-medium">
+                                          📊 {data.isFuture ? t.forecasted : t.current}
+                                        </p>
+                                      </div>
+                                    );
+                                  }
+                                  return null;
+                                }}
+                              />
+                              {/* Current days - solid line */}
+                              <Line 
+                                type="monotone" 
+                                dataKey="currentTemp"
+                                stroke="#f59e0b" 
+                                strokeWidth={2} 
+                                dot={false}
+                                connectNulls={false}
+                              />
+                              {/* Future days - dashed line */}
+                              <Line 
+                                type="monotone" 
+                                dataKey="futureTemp"
+                                stroke="#f59e0b" 
+                                strokeWidth={2} 
+                                strokeDasharray="8 4"
+                                dot={false}
+                                connectNulls={false}
+                              />
+                              {/* Target line - straight horizontal line */}
+                              <ReferenceLine 
+                                y={(() => {
+                                  // Calculate the target temperature (base temp - 1.75°C afforestation cooling target)
+                                  const now = new Date();
+                                  const month = now.getMonth();
+                                  const monthlyBaseTemps = [22, 25, 30, 37, 43, 46, 48, 47, 43, 37, 30, 24];
+                                  const baseTemp = monthlyBaseTemps[month];
+                                  return Math.round((baseTemp - 1.75) * 10) / 10;
+                                })()}
+                                stroke="#10b981" 
+                                strokeWidth={2} 
+                                strokeDasharray="8 4" 
+                                label={{ value: language === 'ar' ? 'هدف التشجير' : 'Afforestation Target', position: 'topRight', fontSize: 10 }}
+                              />
+                              {overlay.maWindow && (
+                                <Line type="monotone" dataKey="currentMA" stroke="#6366f1" strokeWidth={1.5} dot={false} connectNulls={false} />
+                              )}
+                              {overlay.trend && (
+                                <Line type="linear" dataKey="currentTrend" stroke="#64748b" strokeWidth={1.5} strokeDasharray="2 3" dot={false} />
+                              )}
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
                     );
                   })()}
                 </div>
@@ -3036,55 +3807,88 @@ const RawdahDashboard = () => {
                     const trendData = chartData.map(item => ({
                       day: item.day,
                       date: item.date,
-                      temperature: ((item.planted || 0) + (item.nonPlanted || 0)) / 2,
+                      temperature: item.planted != null && item.nonPlanted != null
+                        ? (item.planted + item.nonPlanted) / 2
+                        : (item.planted ?? item.nonPlanted ?? null),
                       isFuture: item.isFuture
                     }));
+                    const overlay = chartOverlays.surfaceHeat;
+                    const { data: overlaidData, trends } = withTrendOverlays(trendData, ['temperature'], { ...overlay, interval: 'day' });
 
                     return (
-                      <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={prepareChartData(trendData, language === 'ar', language)}>
-                          <CartesianGrid
-                            strokeDasharray="3 3"
-                            stroke={isDarkMode ? "#374151" : "#f1f5f9"}
-                          />
-                          <XAxis
-                            dataKey="day"
-                            tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
-                            reversed={language === 'ar'}
-                          />
-                          <YAxis
-                            tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
-                            orientation={language === 'ar' ? 'right' : 'left'}
-                            domain={['dataMin - 2', 'dataMax + 2']}
-                          />
-                          <Tooltip
-                            formatter={(value, name) => [
-                              `${value.toFixed(1)}°C`,
-                              name === 'temperature' ? t.surfaceHeat : name
-                            ]}
-                            labelFormatter={(label) => `${label}`}
-                            contentStyle={{
-                              backgroundColor: isDarkMode ? "#374151" : "#ffffff",
-                              border: isDarkMode ? "1px solid #4b5563" : "1px solid #e2e8f0",
-                              color: isDarkMode ? "#f3f4f6" : "#1e293b"
-                            }}
-                          />
-                          <Line
-                            type="monotone"
-                            dataKey="temperature"
-                            stroke="#ef4444"
-                            strokeWidth={2}
-                            dot={{ fill: '#ef4444', r: 3 }}
-                            activeDot={{ r: 5 }}
-                          />
-                        </LineChart>
-                      </ResponsiveContainer>
+                      <div className="h-full flex flex-col">
+                        <TrendControls
+                          overlay={overlay}
+                          onChange={(next) => setChartOverlay('surfaceHeat', next)}
+                          series={[{ label: '', trend: trends.temperature }]}
+                          unit="°C"
+                          pointCount={trendData.length}
+                          isDarkMode={isDarkMode}
+                          language={language}
+                        />
+                        <div className="flex-1 min-h-0">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={prepareChartData(overlaidData, language === 'ar', language)}>
+                              <CartesianGrid
+                                strokeDasharray="3 3"
+                                stroke={isDarkMode ? "#374151" : "#f1f5f9"}
+                              />
+                              <XAxis
+                                dataKey="day"
+                                tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
+                                reversed={language === 'ar'}
+                              />
+                              <YAxis
+                                tick={{ fontSize: 10, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
+                                orientation={language === 'ar' ? 'right' : 'left'}
+                                domain={['dataMin - 2', 'dataMax + 2']}
+                              />
+                              <Tooltip
+                                formatter={(value, name) => [
+                                  value != null ? `${value.toFixed(1)}°C` : '—',
+                                  name === 'temperature' ? t.surfaceHeat : name
+                                ]}
+                                labelFormatter={(label) => `${label}`}
+                                contentStyle={{
+                                  backgroundColor: isDarkMode ? "#374151" : "#ffffff",
+                                  border: isDarkMode ? "1px solid #4b5563" : "1px solid #e2e8f0",
+                                  color: isDarkMode ? "#f3f4f6" : "#1e293b"
+                                }}
+                              />
+                              <Line
+                                type="monotone"
+                                dataKey="temperature"
+                                stroke="#ef4444"
+                                strokeWidth={2}
+                                dot={{ fill: '#ef4444', r: 3 }}
+                                activeDot={{ r: 5 }}
+                              />
+                              {overlay.maWindow && (
+                                <Line type="monotone" dataKey="temperatureMA" name={t.movingAverage} stroke="#6366f1" strokeWidth={1.5} dot={false} connectNulls={false} />
+                              )}
+                              {overlay.trend && (
+                                <Line type="linear" dataKey="temperatureTrend" name={t.trendLine} stroke="#64748b" strokeWidth={1.5} strokeDasharray="2 3" dot={false} />
+                              )}
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
                     );
                   })()}
                 </div>
               </Card>
             </div>
             
+            {/* Zone forecasts from the sensor backend */}
+            <div className="mb-8">
+              <ForecastCard
+                loadForecast={loadZoneForecast}
+                refreshKey={dashboardData.sensorSource}
+                isDarkMode={isDarkMode}
+                language={language}
+              />
+            </div>
+            
             {/* Real-Time Environmental Metrics with Individual Loading States */}
             <div className="grid grid-cols-2 gap-6 mb-8">
               
@@ -3120,7 +3924,10 @@ const RawdahDashboard = () => {
                     if (isHistorical && chartData.length > 0) {
                       // For historical data, create proper district data structure
                       // Average the weekly data for each district
-                      const weeklyAverage = chartData.reduce((sum, item) => sum + (item.planted || item.nonPlanted || 35), 0) / chartData.length;
+                      const recordedDays = chartData.filter(item => item.planted != null || item.nonPlanted != null);
+                      const weeklyAverage = recordedDays.length > 0
+                        ? recordedDays.reduce((sum, item) => sum + (item.planted ?? item.nonPlanted), 0) / recordedDays.length
+                        : 35;
 
                       filteredData = [
                         { area: 'Prince Sultan University', temperature: Math.round(weeklyAverage) }, // PSU campus
@@ -3198,20 +4005,23 @@ const RawdahDashboard = () => {
 
               {/* Air Quality Chart Component - Enhanced for real data */}
               <Card isDarkMode={isDarkMode} className="relative">
-                {loadingStates.airQuality && <LoadingOverlay isLoading={true} widget={t.airQualityWidget} t={t} />}
+                {isFirstLoad('airQuality') && <LoadingOverlay isLoading={true} widget={t.airQualityWidget} t={t} />}
                 <div className="mb-4">
                   <div className="flex items-center gap-2 mb-2">
                     <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
                       {t.airQualityComparison}
                     </h3>
                     {apiStatus.airQuality === 'success' && <Wifi className="w-4 h-4 text-green-500" />}
+                    {apiStatus.airQuality === 'success' && providerLabel('airQuality') && (
+                      <span className="text-xs text-slate-500">{t.servedBy} {providerLabel('airQuality')}</span>
+                    )}
                     {apiStatus.airQuality === 'no-data' && (
                       <div className="flex items-center gap-1">
                         <AlertCircle className="w-4 h-4 text-yellow-500" />
                         <span className="text-xs text-yellow-600">{t.noLiveData}</span>
                       </div>
                     )}
-                    <FreshnessIndicator timestamp={dataTimestamps.airQuality} />
+                    <FreshnessIndicator timestamp={dataTimestamps.airQuality} cachedLabel={cachedLabel('airQuality')} isRefreshing={isRefreshing('airQuality')} />
                   </div>
                   <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
                     {apiStatus.airQuality === 'success' 
@@ -3223,7 +4033,9 @@ const RawdahDashboard = () => {
                   {dashboardData.airQualityData.length === 0 ? (
                     <div className="h-full flex flex-col items-center justify-center">
                       <AlertCircle className="w-8 h-8 text-yellow-500 mb-2" />
-                      <span className="text-sm text-slate-500">{t.loadingAirQualityData}</span>
+                      <span className="text-sm text-slate-500">
+                        {apiStatus.airQuality === 'error' || apiStatus.airQuality === 'no-data' ? t.airQualityUnavailable : t.loadingAirQualityData}
+                      </span>
                       <span className="text-xs text-slate-400 mt-1">{t.connectingToOpenAQ}</span>
                       <button
                         onClick={() => refreshWidget('airQuality')}
@@ -3266,12 +4078,12 @@ const RawdahDashboard = () => {
                                   <p className="text-sm font-bold mb-2">{data.pollutant}</p>
                                   <div className="space-y-1">
                                     <p className="text-xs">
-                                      <span className="text-red-500">{t.beforeValue}</span> {data.before?.toFixed(1)} {data.unit}
+                                      <span className="text-red-500">{t.previousWeek}:</span> {data.before != null ? `${data.before} ${data.unit}` : t.missingData}
                                     </p>
                                     <p className="text-xs">
-                                      <span className="text-green-500">{t.afterValue}</span> {data.after?.toFixed(1)} {data.unit}
+                                      <span className="text-green-500">{t.thisWeek}:</span> {data.after != null ? `${data.after} ${data.unit}` : t.missingData}
                                     </p>
-                                    {data.change && (
+                                    {data.change != null && (
                                       <div className={`text-xs font-medium pt-1 border-t ${
                                         isDarkMode ? 'border-slate-600' : 'border-slate-200'
                                       }`}>
@@ -3297,13 +4109,13 @@ const RawdahDashboard = () => {
                         <Bar 
                           dataKey="before" 
                           fill="#ef4444" 
-                          name="Before Afforestation"
+                          name={t.previousWeek}
                           radius={[4, 4, 0, 0]}
                         />
                         <Bar 
                           dataKey="after" 
                           fill="#22c55e" 
-                          name="After Afforestation"
+                          name={t.thisWeek}
                           radius={[4, 4, 0, 0]}
                         />
                       </BarChart>
@@ -3316,6 +4128,14 @@ const RawdahDashboard = () => {
                       <span className="text-sm text-emerald-600 font-medium">
                         Real-time air quality data
                       </span>
+                      {dashboardData.airQualityData.some(r => r.missing?.length > 0) && (
+                        <p className="text-xs text-yellow-600 mt-1">
+                          {t.missingData}: {dashboardData.airQualityData
+                            .filter(r => r.missing?.length > 0)
+                            .map(r => `${r.pollutant} (${r.missing.map(side => (side === 'before' ? t.previousWeek : t.thisWeek)).join(', ')})`)
+                            .join(' · ')}
+                        </p>
+                      )}
                     </div>
                   </div>
                 )}
@@ -3329,11 +4149,16 @@ const RawdahDashboard = () => {
                 </Button>
               </Card>
             </div>
+
+            {/* Hourly pollutant time series */}
+            <div className="mb-8">
+              <PollutantSeriesCard loadSeries={loadPollutantSeries} isDarkMode={isDarkMode} language={language} />
+            </div>
             
             {/* Surface Temperature & NDVI with Loading States */}
             <div className="grid grid-cols-3 gap-6 mb-8">
               <Card isDarkMode={isDarkMode} className="relative">
-                {loadingStates.surfaceTemp && <LoadingOverlay isLoading={true} widget={t.surfaceTemp} t={t} />}
+                {isFirstLoad('surfaceTemp') && <LoadingOverlay isLoading={true} widget={t.surfaceTemp} t={t} />}
                 <div className="mb-4">
                   <div className="flex justify-between items-start">
                     <div>
@@ -3345,7 +4170,12 @@ const RawdahDashboard = () => {
                       <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
                         {t.surfaceTempCompareDesc}
                       </p>
-                      <FreshnessIndicator timestamp={dataTimestamps.surfaceTemp} />
+                      <div className="flex items-center gap-2">
+                        <FreshnessIndicator timestamp={dataTimestamps.surfaceTemp} cachedLabel={cachedLabel('surfaceTemp')} isRefreshing={isRefreshing('surfaceTemp')} />
+                        {apiStatus.surfaceTemp === 'success' && providerLabel('surfaceTemp') && (
+                          <span className="text-xs text-slate-500">{t.servedBy} {providerLabel('surfaceTemp')}</span>
+                        )}
+                      </div>
                     </div>
                     <WeekSelector
                       selectedWeek={selectedWeeks.surfaceTemp}
@@ -3356,8 +4186,8 @@ const RawdahDashboard = () => {
                   </div>
                 </div>
                 <div className="h-48">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={prepareChartData((() => {
+                  {(() => {
+                    const rows = (() => {
                       // Get chart data (historical or current)
                       const chartInfo = getChartData('surfaceTemp', dashboardData.surfaceTempData || []);
                       const { data: chartData, isHistorical } = chartInfo;
@@ -3378,8 +4208,8 @@ const RawdahDashboard = () => {
                         }));
                       }
                       
-                      // For current data, show current/future split
-                      const currentDayIndex = new Date().getDay();
+                      // For current data, show current/future split at the last day not in the future
+                      const currentDayIndex = chartData.filter(item => !item.isFuture).length - 1;
                       const transitionIndex = chartData.findIndex(item => item.dayIndex === currentDayIndex);
                       
                       return chartData.map((item, index) => {
@@ -3396,98 +4226,137 @@ const RawdahDashboard = () => {
                           nonPlantedFuture: includeInFuture ? item.nonPlanted : null
                         };
                       });
-                    })(), language === 'ar', language)}>
-                      <CartesianGrid
-                        strokeDasharray="3 3"
-                        stroke={isDarkMode ? "#374151" : "#f1f5f9"}
-                      />
-                      <XAxis
-                        dataKey="day"
-                        tick={{ fontSize: 9, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
-                        reversed={language === 'ar'}
-                      />
-                      <YAxis 
-                        tick={{ fontSize: 9, fill: isDarkMode ? "#9ca3af" : "#64748b" }} 
-                        orientation={language === 'ar' ? 'right' : 'left'}
-                      />
-                      <Tooltip
-                        content={({ active, payload }) => {
-                          if (active && payload && payload[0]) {
-                            const data = payload[0].payload;
-                            const isFuture = data.isFuture;
-                            return (
-                              <div className={`p-2 rounded shadow ${isDarkMode ? 'bg-slate-700 text-white' : 'bg-white'}`}>
-                                <p className="text-xs font-medium">{data.day} ({data.date}) {isFuture ? '(Projected)' : ''}</p>
-                                <p className="text-xs text-green-600">Al-Malaz: {data.planted?.toFixed(1)}°C</p>
-                                <p className="text-xs text-red-600">{t.industrialAreaTemp} {data.nonPlanted?.toFixed(1)}°C</p>
-                                <p className="text-xs">{t.temperatureDifference} {data.difference?.toFixed(1)}°C</p>
-                                {isFuture && <p className="text-xs text-orange-500 italic">Projected data</p>}
-                              </div>
-                            );
-                          }
-                          return null;
-                        }}
-                      />
+                    })();
+                    const overlay = chartOverlays.surfaceTemp;
+                    const { data: overlaidData, trends } = withTrendOverlays(rows, ['planted', 'nonPlanted'], { ...overlay, interval: 'day' });
+
+                    return (
+                      <div className="h-full flex flex-col">
+                        <TrendControls
+                          overlay={overlay}
+                          onChange={(next) => setChartOverlay('surfaceTemp', next)}
+                          series={[
+                            { label: language === 'ar' ? 'الملز' : 'Al-Malaz', trend: trends.planted },
+                            { label: language === 'ar' ? 'المنطقة الصناعية' : 'Industrial Area', trend: trends.nonPlanted }
+                          ]}
+                          unit="°C"
+                          pointCount={rows.length}
+                          isDarkMode={isDarkMode}
+                          language={language}
+                        />
+                        <div className="flex-1 min-h-0">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={prepareChartData(overlaidData, language === 'ar', language)}>
+                              <CartesianGrid
+                                strokeDasharray="3 3"
+                                stroke={isDarkMode ? "#374151" : "#f1f5f9"}
+                              />
+                              <XAxis
+                                dataKey="day"
+                                tick={{ fontSize: 9, fill: isDarkMode ? "#9ca3af" : "#64748b" }}
+                                reversed={language === 'ar'}
+                              />
+                              <YAxis 
+                                tick={{ fontSize: 9, fill: isDarkMode ? "#9ca3af" : "#64748b" }} 
+                                orientation={language === 'ar' ? 'right' : 'left'}
+                              />
+                              <Tooltip
+                                content={({ active, payload }) => {
+                                  if (active && payload && payload[0]) {
+                                    const data = payload[0].payload;
+                                    const isFuture = data.isFuture;
+                                    return (
+                                      <div className={`p-2 rounded shadow ${isDarkMode ? 'bg-slate-700 text-white' : 'bg-white'}`}>
+                                        <p className="text-xs font-medium">{data.day} ({data.date}) {isFuture ? '(Projected)' : ''}</p>
+                                        <p className="text-xs text-green-600">Al-Malaz: {data.planted?.toFixed(1)}°C</p>
+                                        <p className="text-xs text-red-600">{t.industrialAreaTemp} {data.nonPlanted?.toFixed(1)}°C</p>
+                                        <p className="text-xs">{t.temperatureDifference} {data.difference?.toFixed(1)}°C</p>
+                                    {data.plantedMA != null && (
+                                      <p className="text-xs">{t.movingAverage}: {data.plantedMA.toFixed(1)} / {data.nonPlantedMA?.toFixed(1)}°C</p>
+                                    )}
+                                        {isFuture && <p className="text-xs text-orange-500 italic">Projected data</p>}
+                                      </div>
+                                    );
+                                  }
+                                  return null;
+                                }}
+                              />
                       
-                      {/* Current/Past data - solid lines (includes current day) */}
-                      <Line 
-                        type="monotone" 
-                        dataKey="plantedCurrent" 
-                        stroke="#22c55e" 
-                        strokeWidth={2} 
-                        name={language === 'ar' ? `الملز (${t.current})` : `Al-Malaz (${t.current})`}
-                        connectNulls={false}
-                        dot={(props) => {
-                          const { payload } = props;
-                          if (!payload || payload.plantedCurrent === null) return null;
-                          return <circle {...props} r={payload.isFuture ? 0 : 3} fill="#22c55e" />;
-                        }}
-                      />
-                      <Line 
-                        type="monotone" 
-                        dataKey="nonPlantedCurrent" 
-                        stroke="#ef4444" 
-                        strokeWidth={2} 
-                        name={language === 'ar' ? `المنطقة الصناعية (${t.current})` : `Industrial Area (${t.current})`}
-                        connectNulls={false}
-                        dot={(props) => {
-                          const { payload } = props;
-                          if (!payload || payload.nonPlantedCurrent === null) return null;
-                          return <circle {...props} r={payload.isFuture ? 0 : 3} fill="#ef4444" />;
-                        }}
-                      />
+                              {/* Current/Past data - solid lines (includes current day) */}
+                              <Line 
+                                type="monotone" 
+                                dataKey="plantedCurrent" 
+                                stroke="#22c55e" 
+                                strokeWidth={2} 
+                                name={language === 'ar' ? `الملز (${t.current})` : `Al-Malaz (${t.current})`}
+                                connectNulls={false}
+                                dot={(props) => {
+                                  const { payload } = props;
+                                  if (!payload || payload.plantedCurrent === null) return null;
+                                  return <circle {...props} r={payload.isFuture ? 0 : 3} fill="#22c55e" />;
+                                }}
+                              />
+                              <Line 
+                                type="monotone" 
+                                dataKey="nonPlantedCurrent" 
+                                stroke="#ef4444" 
+                                strokeWidth={2} 
+                                name={language === 'ar' ? `المنطقة الصناعية (${t.current})` : `Industrial Area (${t.current})`}
+                                connectNulls={false}
+                                dot={(props) => {
+                                  const { payload } = props;
+                                  if (!payload || payload.nonPlantedCurrent === null) return null;
+                                  return <circle {...props} r={payload.isFuture ? 0 : 3} fill="#ef4444" />;
+                                }}
+                              />
                       
-                      {/* Future data - dashed lines (includes current day) */}
-                      <Line 
-                        type="monotone" 
-                        dataKey="plantedFuture" 
-                        stroke="#22c55e" 
-                        strokeWidth={2} 
-                        strokeDasharray="5 5"
-                        name={language === 'ar' ? `الملز (${t.forecasted})` : `Al-Malaz (${t.forecasted})`}
-                        connectNulls={false}
-                        dot={(props) => {
-                          const { payload } = props;
-                          if (!payload || payload.plantedFuture === null || !payload.isFuture) return null;
-                          return <circle {...props} r={2} fill="#22c55e" fillOpacity={0.6} />;
-                        }}
-                      />
-                      <Line 
-                        type="monotone" 
-                        dataKey="nonPlantedFuture" 
-                        stroke="#ef4444" 
-                        strokeWidth={2} 
-                        strokeDasharray="5 5"
-                        name={language === 'ar' ? `المنطقة الصناعية (${t.forecasted})` : `Industrial Area (${t.forecasted})`}
-                        connectNulls={false}
-                        dot={(props) => {
-                          const { payload } = props;
-                          if (!payload || payload.nonPlantedFuture === null || !payload.isFuture) return null;
-                          return <circle {...props} r={2} fill="#ef4444" fillOpacity={0.6} />;
-                        }}
-                      />
-                    </LineChart>
-                  </ResponsiveContainer>
+                              {/* Future data - dashed lines (includes current day) */}
+                              <Line 
+                                type="monotone" 
+                                dataKey="plantedFuture" 
+                                stroke="#22c55e" 
+                                strokeWidth={2} 
+                                strokeDasharray="5 5"
+                                name={language === 'ar' ? `الملز (${t.forecasted})` : `Al-Malaz (${t.forecasted})`}
+                                connectNulls={false}
+                                dot={(props) => {
+                                  const { payload } = props;
+                                  if (!payload || payload.plantedFuture === null || !payload.isFuture) return null;
+                                  return <circle {...props} r={2} fill="#22c55e" fillOpacity={0.6} />;
+                                }}
+                              />
+                              <Line 
+                                type="monotone" 
+                                dataKey="nonPlantedFuture" 
+                                stroke="#ef4444" 
+                                strokeWidth={2} 
+                                strokeDasharray="5 5"
+                                name={language === 'ar' ? `المنطقة الصناعية (${t.forecasted})` : `Industrial Area (${t.forecasted})`}
+                                connectNulls={false}
+                                dot={(props) => {
+                                  const { payload } = props;
+                                  if (!payload || payload.nonPlantedFuture === null || !payload.isFuture) return null;
+                                  return <circle {...props} r={2} fill="#ef4444" fillOpacity={0.6} />;
+                                }}
+                              />
+                              {overlay.maWindow && (
+                                <Line type="monotone" dataKey="plantedMA" stroke="#15803d" strokeWidth={1.5} dot={false} connectNulls={false} />
+                              )}
+                              {overlay.maWindow && (
+                                <Line type="monotone" dataKey="nonPlantedMA" stroke="#b91c1c" strokeWidth={1.5} dot={false} connectNulls={false} />
+                              )}
+                              {overlay.trend && (
+                                <Line type="linear" dataKey="plantedTrend" stroke="#22c55e" strokeWidth={1} strokeDasharray="2 3" dot={false} />
+                              )}
+                              {overlay.trend && (
+                                <Line type="linear" dataKey="nonPlantedTrend" stroke="#ef4444" strokeWidth={1} strokeDasharray="2 3" dot={false} />
+                              )}
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
+                    );
+                  })()}
                 </div>
                 <div className="mt-2 text-center">
                   <span className="text-sm text-emerald-600 font-medium">
@@ -3497,14 +4366,14 @@ const RawdahDashboard = () => {
               </Card>
               
               <Card className="col-span-2 relative" isDarkMode={isDarkMode}>
-                {loadingStates.ndvi && <LoadingOverlay isLoading={true} widget="NDVI" t={t} />}
+                {isFirstLoad('ndvi') && <LoadingOverlay isLoading={true} widget="NDVI" t={t} />}
                 <div className="mb-4">
                   <div className="flex items-center gap-2 mb-2">
                     <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
                       {t.biodiversityTracking}
                     </h3>
                     {apiStatus.ndvi === 'success' && <Wifi className="w-4 h-4 text-green-500" />}
-                    <FreshnessIndicator timestamp={dataTimestamps.ndvi} />
+                    <FreshnessIndicator timestamp={dataTimestamps.ndvi} cachedLabel={cachedLabel('ndvi')} isRefreshing={isRefreshing('ndvi')} />
                   </div>
                   <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
                     {t.biodiversityDesc}
@@ -3603,8 +4472,20 @@ const RawdahDashboard = () => {
                     {t.sensorNetwork}
                   </h3>
                   <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{t.realTimeEnvironmentalMonitoring}</p>
+                  {dashboardData.sensorSource === 'cached' && (
+                    <FreshnessIndicator timestamp={dataTimestamps.sensors} cachedLabel={cachedLabel('sensors')} isRefreshing={isRefreshing('sensors')} />
+                  )}
+                  {dashboardData.sensorSource === 'simulated' && (
+                    <>
+                      <div className="mt-1 flex items-center gap-1">
+                        <AlertCircle className="w-3 h-3 text-yellow-500" />
+                        <span className="text-xs text-yellow-600">{t.simulatedSensorData}</span>
+                      </div>
+                      <SimulationControls isDarkMode={isDarkMode} language={language} />
+                    </>
+                  )}
                 </div>
-                <SensorMap sensorData={dashboardData.sensorData} t={t} />
+                <SensorMap sensorData={dashboardData.sensorData} qualityBySensor={qualityBySensor} t={t} />
                 
                 {/* Sensor Network Status - moved from separate card */}
                 <div className={`mt-4 border-t pt-4 ${isDarkMode ? 'border-slate-600' : 'border-slate-200'}`}>
@@ -3649,11 +4530,38 @@ const RawdahDashboard = () => {
               </Card>
               
               <Card isDarkMode={isDarkMode}>
-                <div className="mb-4">
-                  <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
-                    {t.sensorHealthMetrics}
-                  </h3>
-                  <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{t.networkStatusPerformance}</p>
+                <div className="mb-4 flex items-start justify-between gap-3">
+                  <div>
+                    <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+                      {t.sensorHealthMetrics}
+                    </h3>
+                    <p className={`text-sm ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{t.networkStatusPerformance}</p>
+                  </div>
+                  {sensorQuality && (
+                    <div className="flex items-center gap-2 text-xs">
+                      <select
+                        value={sensorQuality.window}
+                        onChange={(e) => fetchSensorQuality({ window: e.target.value })}
+                        className={`rounded border px-1 py-0.5 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`}
+                        aria-label={t.qualityWindow}
+                      >
+                        <option value="24h">{t.last24h}</option>
+                        <option value="7d">{t.last7d}</option>
+                      </select>
+                      <label className={`flex items-center gap-1 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                        {t.flagBelow}
+                        <select
+                          value={sensorQuality.min_score}
+                          onChange={(e) => fetchSensorQuality({ minScore: Number(e.target.value) })}
+                          className={`rounded border px-1 py-0.5 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`}
+                        >
+                          {[...new Set([50, 60, 70, 80, 90, 95, sensorQuality.min_score])].sort((a, b) => a - b).map(score => (
+                            <option key={score} value={score}>{score}%</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                  )}
                 </div>
                 <div className="overflow-auto h-80">
                   <table className="w-full text-sm">
@@ -3665,52 +4573,165 @@ const RawdahDashboard = () => {
                         <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.status}</th>
                         <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.type}</th>
                         <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.sensors}</th>
+                        <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.mqttRate}</th>
+                        <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.qualityScore}</th>
+                        <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.readingCount}</th>
+                        <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.lastValidReading}</th>
+                        <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.qualityFailures}</th>
+                        <th className={`text-left p-2 font-medium ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}>{t.anomalies}</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {dashboardData.sensorData.map((sensor) => (
-                        <tr key={sensor.id} className={`border-b ${isDarkMode ? 'border-slate-600' : 'border-slate-100'}`}>
-                          <td className={`p-2 font-mono ${isDarkMode ? 'text-slate-200' : 'text-slate-800'}`}>{sensor.id}</td>
-                          <td className={`p-2 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{sensor.streetName}</td>
-                          <td className={`p-2 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{sensor.district}</td>
-                          <td className="p-2">
-                            <div className="flex items-center gap-2">
-                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                                sensor.status === 'Active' ? 'bg-green-100 text-green-800' : 
-                                sensor.status === 'Warning' ? 'bg-yellow-100 text-yellow-800' : 
-                                'bg-red-100 text-red-800'
-                              }`}>
-                                {sensor.status}
-                              </span>
+                      {dashboardData.sensorData.map((sensor) => {
+                        const quality = qualityBySensor.get(sensor.id);
+                        return (
+                          <tr key={sensor.id} className={`border-b ${isDarkMode ? 'border-slate-600' : 'border-slate-100'} ${
+                            quality?.flagged ? (isDarkMode ? 'bg-red-900/30' : 'bg-red-50')
+                              : quality?.suspect ? (isDarkMode ? 'bg-amber-900/30' : 'bg-amber-50') : ''
+                          }`}>
+                            <td className={`p-2 font-mono ${isDarkMode ? 'text-slate-200' : 'text-slate-800'}`}>{sensor.id}</td>
+                            <td className={`p-2 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{sensor.streetName}</td>
+                            <td className={`p-2 ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{sensor.district}</td>
+                            <td className="p-2">
+                              <div className="flex items-center gap-2">
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                                  sensor.status === 'Active' ? 'bg-green-100 text-green-800' : 
+                                  sensor.status === 'Warning' ? 'bg-yellow-100 text-yellow-800' : 
+                                  'bg-red-100 text-red-800'
+                                }`}>
+                                  {sensor.status}
+                                </span>
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                                  sensor.afforestationStatus === 'Afforested' ? 'bg-emerald-100 text-emerald-800' : 
+                                  sensor.afforestationStatus === 'Non-afforested' ? 'bg-red-100 text-red-800' : 
+                                  'bg-orange-100 text-orange-800'
+                                }`}>
+                                  {sensor.afforestationStatus}
+                                </span>
+                              </div>
+                            </td>
+                            <td className="p-2">
                               <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                                sensor.afforestationStatus === 'Afforested' ? 'bg-emerald-100 text-emerald-800' : 
-                                sensor.afforestationStatus === 'Non-afforested' ? 'bg-red-100 text-red-800' : 
-                                'bg-orange-100 text-orange-800'
+                                sensor.stationType === 'Gateway' 
+                                  ? 'bg-blue-100 text-blue-800 border border-blue-300' 
+                                  : 'bg-gray-100 text-gray-800'
                               }`}>
-                                {sensor.afforestationStatus}
+                                {sensor.stationType}
                               </span>
-                            </div>
-                          </td>
-                          <td className="p-2">
-                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                              sensor.stationType === 'Gateway' 
-                                ? 'bg-blue-100 text-blue-800 border border-blue-300' 
-                                : 'bg-gray-100 text-gray-800'
-                            }`}>
-                              {sensor.stationType}
-                            </span>
-                          </td>
-                          <td className={`p-2 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-600'}`}>{sensor.sensorTypes}</td>
-                        </tr>
-                      ))}
+                            </td>
+                            <td className={`p-2 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-600'}`}>{sensor.sensorTypes}</td>
+                            <td className={`p-2 font-mono ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>{sensor.messagesPerMinute ?? '—'}</td>
+                            <td className="p-2">
+                              {quality ? (
+                                <span
+                                  className={`px-2 py-1 rounded-full text-xs font-medium ${quality.flagged ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}
+                                  title={quality.flagged ? t.qualityFlagged : undefined}
+                                >
+                                  {quality.score == null ? t.noReadings : `${quality.score}%`}
+                                </span>
+                              ) : '—'}
+                            </td>
+                            <td className={`p-2 font-mono ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                              {quality ? `${quality.valid_readings}/${quality.total_readings}` : '—'}
+                            </td>
+                            <td className={`p-2 text-xs ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                              {quality?.last_valid_reading ? DataFreshness.getAge(Date.parse(quality.last_valid_reading)) : '—'}
+                            </td>
+                            <td className={`p-2 text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-600'}`}>
+                              {quality?.failures.length
+                                ? quality.failures.map(f => `${f.reason} ×${f.count}`).join('; ')
+                                : quality ? '—' : ''}
+                            </td>
+                            <td className="p-2 text-xs">
+                              {quality?.suspect ? (
+                                <div title={quality.anomalies.map(a => a.message).join('\n')}>
+                                  <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full font-medium bg-amber-100 text-amber-800">
+                                    <AlertCircle className="w-3 h-3" />
+                                    {t.suspectSensor}
+                                  </span>
+                                  <div className={`mt-1 ${isDarkMode ? 'text-slate-400' : 'text-slate-600'}`}>
+                                    {quality.anomalies.map(a => describeAnomaly(a, t)).join('; ')}
+                                  </div>
+                                </div>
+                              ) : quality ? '—' : ''}
+                            </td>
+                          </tr>
+                        );
+                      })}
                     </tbody>
                   </table>
                 </div>
               </Card>
             </div>
+
+            {/* Calibration Drift Row */}
+            <div className="mb-8">
+              <CalibrationCard
+                loadCalibration={loadCalibration}
+                refreshKey={dashboardData.sensorSource}
+                isDarkMode={isDarkMode}
+                language={language}
+              />
+            </div>
+
+            {/* 2019 Baseline Row */}
+            <div className="mb-8">
+              <BaselineCard
+                comparison={dashboardData.baselineComparison}
+                status={apiStatus.baseline}
+                isLoading={isFirstLoad('baseline')}
+                isRefreshing={isRefreshing('baseline')}
+                timestamp={dataTimestamps.baseline}
+                cachedLabel={cachedLabel('baseline')}
+                onRefresh={() => refreshWidget('baseline')}
+                isDarkMode={isDarkMode}
+                language={language}
+              />
+            </div>
+
+            {/* Alerts Row */}
+            <div className="mb-8">
+              <AlertsPanel
+                alerts={dashboardData.alerts}
+                sensors={dashboardData.sensorData}
+                available={dashboardData.sensorSource === 'backend'}
+                canResolve={canOperate}
+                canEditThresholds={isAdmin}
+                isDarkMode={isDarkMode}
+                language={language}
+                onResolve={resolveAlert}
+              />
+            </div>
           </main>
         </div>
         
+        {isImportOpen && (
+          <ImportPanel
+            sensors={dashboardData.sensorSource === 'backend' ? dashboardData.sensorData : []}
+            isDarkMode={isDarkMode}
+            language={language}
+            onClose={() => setIsImportOpen(false)}
+            onImported={handleHistoryImported}
+          />
+        )}
+
+        {isLoginOpen && (
+          <LoginPanel
+            isDarkMode={isDarkMode}
+            language={language}
+            onClose={() => setIsLoginOpen(false)}
+          />
+        )}
+
+        {isRegistryOpen && (
+          <SensorRegistryPanel
+            isDarkMode={isDarkMode}
+            language={language}
+            onClose={() => setIsRegistryOpen(false)}
+            onChange={handleRegistryChange}
+          />
+        )}
+        
         {/* Chatbot Sidebar - Collapsible */}
         <div className={`fixed ${isRTL ? 'left-0' : 'right-0'} top-0 w-72 h-screen shadow-lg border-l transition-transform duration-300 ${
           isChatbotOpen ? 'translate-x-0' : (isRTL ? '-translate-x-full' : 'translate-x-full')
@@ -130,8 +130,8 @@ const translations = {
     surfaceHeatDesc: 'Ground temperature (°C) - Sensor Data',
     surfaceHeatTrend: 'Surface Heat Trend',
     surfaceHeatTrendDesc: 'Weekly temperature trend - Daily average sensor readings (°C)',
-    airQualityComparison: 'Air Quality: Before vs After Afforestation',
-    airQualityDesc: 'OpenAQ real-time measurements (μg/m³)',
+    airQualityComparison: 'Air Quality: This Week vs Last Week',
+    airQualityDesc: 'Hourly concentrations averaged per week (μg/m³, CO in mg/m³)',
     treeCoverLoss: 'Forest Area Coverage',
     treeCoverLossDesc: 'World Bank official forest statistics for Saudi Arabia (hectares)',
     carbonSequestrationKPI: 'CO₂ Reduction KPI',
@@ -173,6 +173,7 @@ const translations = {
     type: 'Type',
     sensors: 'Sensors',
     gateways: 'Gateways',
+    mqttRate: 'MQTT msg/min',
 
     // API and data status
     weatherApiUnavailable: 'Weather API temporarily unavailable',
@@ -298,6 +299,225 @@ const translations = {
     // Target goal labels for KPI cards
     targetGoalLabel: 'Target Goal',
     
+    // Sensor backend
+    simulatedSensorData: 'Sensor backend offline - showing simulated readings',
+
+    // Historical import
+    importReadings: 'Import Sensor History',
+    importReadingsDesc: 'Load CSV or Excel logger exports. Rows are checked against the data-quality rules before anything is saved.',
+    sensorFromFile: 'Sensor: from file column',
+    validateFile: 'Validate',
+    importAcceptedRows: 'Import {count} accepted rows',
+    importComplete: 'Imported {count} readings',
+    rows: 'rows',
+    accepted: 'accepted',
+    rejected: 'rejected',
+    mappedColumns: 'Columns',
+    ignoredColumns: 'Ignored',
+    showAcceptedRows: 'Show accepted rows',
+    row: 'Row',
+    timestamp: 'Timestamp',
+    reasons: 'Reasons',
+    reportTruncated: 'Showing the first {count} rows',
+    close: 'Close',
+
+    // Alerts
+    alerts: 'Alerts',
+    alertsDesc: 'Threshold breaches, data-quality faults and silent nodes',
+    allSensors: 'All sensors',
+    allSeverities: 'All severities',
+    severityInfo: 'Info',
+    severityWarning: 'Warning',
+    severityCritical: 'Critical',
+    showResolved: 'Show resolved',
+    resolve: 'Resolve',
+    resolved: 'Resolved',
+    noAlerts: 'No open alerts',
+    alertsUnavailable: 'Alerts need the sensor backend',
+    openAlerts: '{count} open',
+
+    // 2019 baseline
+    baselineComparison: '2019 Baseline vs Now',
+    baselineComparisonDesc: 'Monthly air temperature and surface heat against the pre-afforestation year',
+    baselineSourceImported: 'imported baseline',
+    baselineSourceEra5: 'ERA5 reanalysis',
+    baselineSourceSensors: 'PSU sensors',
+    baselineUnavailable: 'Baseline data unavailable',
+    now: 'Now',
+    refresh: 'Refresh',
+
+    // Data quality (§6)
+    qualityScore: 'Quality',
+    readingCount: 'Valid / total',
+    lastValidReading: 'Last valid',
+    qualityFailures: 'Failure reasons',
+    qualityWindow: 'Quality window',
+    last24h: 'Last 24 h',
+    last7d: 'Last 7 days',
+    flagBelow: 'Flag below',
+    qualityFlagged: 'Below the quality threshold - schedule a site visit',
+    noReadings: 'No readings',
+
+    // Sensor registry
+    sensorRegistry: 'Sensor Registry',
+    sensorRegistryDesc: 'Register, edit and deactivate the nodes shown on the map and in Sensor Health',
+    sensorRegistryUnavailable: 'Sensor registry needs the sensor backend',
+    registerSensor: 'Register sensor',
+    editSensor: 'Edit',
+    deactivateSensor: 'Deactivate',
+    reactivateSensor: 'Reactivate',
+    deactivated: 'Deactivated',
+    confirmDeactivate: 'Deactivate {id}? Its history is kept and its open alerts are resolved.',
+    sensorName: 'Name',
+    sensorLocation: 'Location',
+    afforestationStatus: 'Afforestation status',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    installationDate: 'Installation date',
+    firmwareVersion: 'Firmware version',
+    fieldRequired: 'Required',
+    invalidSensorId: 'Letters, digits, "-" or "_" (up to 32)',
+    outsideCampus: 'Outside the PSU campus bounds',
+    invalidDate: 'Not a valid date',
+    invalidFirmware: 'Use a version like 1.2 or 1.2.0',
+    cancel: 'Cancel',
+    save: 'Save',
+
+    // Sign-in and roles
+    signIn: 'Sign in',
+    signInDesc: 'Staff accounts only - the dashboard stays open to everyone read-only',
+    signOut: 'Sign out',
+    username: 'Username',
+    password: 'Password',
+    invalidCredentials: 'Invalid username or password',
+    roleAdmin: 'Admin',
+    roleOperator: 'Operator',
+    roleViewer: 'Viewer',
+    alertThresholds: 'Alert thresholds',
+    thresholdCo2: 'CO₂',
+    thresholdTemperature: 'Air temperature',
+    thresholdBattery: 'Battery',
+    thresholdsSaved: 'Thresholds saved',
+
+    // Demo simulation
+    simulationScenario: 'Scenario',
+    simulationSeed: 'Seed',
+    newSeed: 'New seed',
+    simulationDate: 'Date',
+    scenarioNormal: 'Normal week',
+    scenarioHeatwave: 'Heatwave',
+    scenarioDustStorm: 'Dust storm',
+    scenarioNodeFailure: 'Node failure',
+
+    // Offline cache
+    cachedFrom: 'Cached from',
+
+    // Data providers
+    servedBy: 'via',
+
+    // Air quality index (US EPA categories) and weekly comparison
+    aqiGood: 'Good',
+    aqiModerate: 'Moderate',
+    aqiUnhealthySensitive: 'Unhealthy for sensitive groups',
+    aqiUnhealthy: 'Unhealthy',
+    aqiVeryUnhealthy: 'Very unhealthy',
+    aqiHazardous: 'Hazardous',
+    dominantPollutant: 'Dominant',
+    previousWeek: 'Last week',
+    thisWeek: 'This week',
+    missingData: 'No data',
+    airQualityUnavailable: 'Air quality history unavailable',
+
+    // Pollutant time series
+    pollutantSeries: 'Pollutant Time Series',
+    pollutantSeriesDesc: 'Hourly concentrations at PSU against WHO guideline levels',
+    pollutant: 'Pollutant',
+    range24h: '24 h',
+    range7d: '7 d',
+    range30d: '30 d',
+    viewTimeline: 'Timeline',
+    viewHourOfDay: 'By hour of day',
+    whoGuideline24h: 'WHO 24 h',
+    whoGuideline8h: 'WHO 8 h',
+    whoGuidelineAnnual: 'WHO annual',
+    peakHour: 'Daily peak (Riyadh time)',
+    seriesUnavailable: 'No hourly data for this range',
+
+    // Heat map layers
+    layerAirTemp: 'Air temp',
+    layerApparentTemp: 'Feels like',
+    layerHeatIndex: 'Heat index',
+    layerUnavailable: 'No humidity data for this layer',
+    heatIndexScale: 'Heat Index (°C)',
+    heatBelowCaution: 'Below caution',
+    heatCaution: 'Caution',
+    heatExtremeCaution: 'Extreme caution',
+    heatDanger: 'Danger',
+
+    // Trend overlays
+    trendLine: 'Trend',
+    movingAverage: 'Moving avg',
+    notEnoughPoints: 'Needs at least {n} points',
+    trendRising: 'Rising',
+    trendFalling: 'Falling',
+    trendStable: 'Stable',
+    trendUnavailable: 'Not enough data for a trend',
+    perDay: '/day',
+
+    // Zone forecast
+    zoneForecast: '7-Day Zone Forecast',
+    zoneForecastDesc: 'Holt-Winters forecast from stored sensor history, with 95% prediction interval',
+    forecastUnavailable: 'Forecasts need the sensor backend',
+    forecastInsufficientHistory: 'Not enough recent history in this zone to forecast',
+    predictionInterval: '95% interval',
+    thresholdLabel: 'Threshold',
+    expectedBreaches: 'Threshold breaches',
+    noBreachesExpected: 'No breaches expected this week',
+    breachExpected: 'expected',
+    breachPossible: 'possible',
+    forecastModel: 'Model',
+    trainedOn: 'trained on {n} days',
+
+    // Sensor anomalies
+    anomalies: 'Anomalies',
+    suspectSensor: 'Suspect sensor',
+    anomalyStuck: 'Stuck value',
+    anomalyJump: 'Sudden jump',
+    anomalyRate: 'Impossible rate of change',
+    anomalyNeighbor: 'Disagrees with neighbors',
+    anomalyDrift: 'Drifting from neighbors',
+    anomalyReference: 'Disagrees with Open-Meteo',
+    anomalyFieldCo2: 'CO₂',
+    anomalyFieldAirTemperature: 'air temp',
+    anomalyFieldSurfaceTemperature: 'surface temp',
+    anomalyFieldHumidity: 'humidity',
+
+    // Calibration drift
+    calibrationDrift: 'Calibration Drift',
+    calibrationDriftDesc: 'Node air temperature against Open-Meteo at each node: daily residual and its trend',
+    nDays: '{n} days',
+    dailyResidual: 'Node - Open-Meteo',
+    calibrationFit: 'Fit',
+    gain: 'gain',
+    offset: 'offset',
+    driftLabel: 'Drift',
+    calibrationOk: 'Calibrated',
+    recalibrationRecommended: 'Recalibrate',
+    calibrationInsufficientData: 'Not enough paired data yet',
+    calibrationNoReference: 'Open-Meteo reference unavailable',
+    calibrationUnavailable: 'Calibration report needs the sensor backend',
+    recalibrationThreshold: 'Recalibration is recommended when the residual trend moves {n} °C or more over the period',
+
+    // Zone significance
+    significantDifference: 'Significant (p < 0.05)',
+    notSignificant: 'Not significant',
+    reductionLabel: 'Afforested reduction',
+    confidenceInterval95: '95% CI',
+    pairedTTest: 'Paired t',
+    significanceDays: 'Paired by day, {n} days',
+    significanceInsufficientData: 'Not enough days with both zones reporting yet to test this difference',
+    significanceUnavailable: 'Significance tests need the sensor backend',
+
     // Status label for tooltips
     statusLabel: 'Status'
   },
@@ -343,8 +563,8 @@ const translations = {
     surfaceHeatDesc: 'درجة حرارة الأرض (°م) - بيانات المستشعر',
     surfaceHeatTrend: 'اتجاه حرارة السطح',
     surfaceHeatTrendDesc: 'اتجاه درجة الحرارة الأسبوعي - متوسط قراءات المستشعر اليومية (°م)',
-    airQualityComparison: 'جودة الهواء: قبل التشجير وبعده',
-    airQualityDesc: 'قياسات OpenAQ في الوقت الحقيقي (ميكروغرام/م³)',
+    airQualityComparison: 'جودة الهواء: هذا الأسبوع مقابل الأسبوع الماضي',
+    airQualityDesc: 'متوسط التركيزات الساعية لكل أسبوع (ميكروغرام/م³، وأول أكسيد الكربون بالمليغرام/م³)',
     treeCoverLoss: 'تغطية المساحة الحرجية',
     treeCoverLossDesc: 'إحصائيات البنك الدولي الرسمية للغابات في السعودية (هكتار)',
     carbonSequestrationKPI: 'مؤشر خفض ثاني أكسيد الكربون',
@@ -385,6 +605,7 @@ const translations = {
     type: 'النوع',
     sensors: 'المستشعرات',
     gateways: 'البوابات',
+    mqttRate: 'رسائل MQTT/دقيقة',
 
     // API and data status
     weatherApiUnavailable: 'واجهة برمجة الطقس غير متاحة مؤقتًا',
@@ -592,6 +813,225 @@ const translations = {
     // Target goal labels for KPI cards
     targetGoalLabel: 'الهدف',
     
+    // Sensor backend
+    simulatedSensorData: 'خادم المستشعرات غير متصل - عرض قراءات محاكاة',
+
+    // Historical import
+    importReadings: 'استيراد سجل المستشعرات',
+    importReadingsDesc: 'حمّل ملفات CSV أو Excel من مسجلات البيانات. يتم فحص الصفوف وفق قواعد جودة البيانات قبل الحفظ.',
+    sensorFromFile: 'المستشعر: من عمود الملف',
+    validateFile: 'تحقق',
+    importAcceptedRows: 'استيراد {count} صفوف مقبولة',
+    importComplete: 'تم استيراد {count} قراءة',
+    rows: 'صفوف',
+    accepted: 'مقبول',
+    rejected: 'مرفوض',
+    mappedColumns: 'الأعمدة',
+    ignoredColumns: 'متجاهلة',
+    showAcceptedRows: 'عرض الصفوف المقبولة',
+    row: 'الصف',
+    timestamp: 'الوقت',
+    reasons: 'الأسباب',
+    reportTruncated: 'عرض أول {count} صف',
+    close: 'إغلاق',
+
+    // Alerts
+    alerts: 'التنبيهات',
+    alertsDesc: 'تجاوز الحدود وأعطال جودة البيانات والعقد المتوقفة',
+    allSensors: 'كل المستشعرات',
+    allSeverities: 'كل المستويات',
+    severityInfo: 'معلومة',
+    severityWarning: 'تحذير',
+    severityCritical: 'حرج',
+    showResolved: 'عرض المحلولة',
+    resolve: 'حل',
+    resolved: 'تم الحل',
+    noAlerts: 'لا توجد تنبيهات مفتوحة',
+    alertsUnavailable: 'التنبيهات تتطلب خادم المستشعرات',
+    openAlerts: '{count} مفتوحة',
+
+    // 2019 baseline
+    baselineComparison: 'خط الأساس 2019 مقابل الآن',
+    baselineComparisonDesc: 'درجة حرارة الهواء وحرارة السطح شهرياً مقارنة بعام ما قبل التشجير',
+    baselineSourceImported: 'خط أساس مستورد',
+    baselineSourceEra5: 'إعادة تحليل ERA5',
+    baselineSourceSensors: 'مستشعرات الجامعة',
+    baselineUnavailable: 'بيانات خط الأساس غير متوفرة',
+    now: 'الآن',
+    refresh: 'تحديث',
+
+    // Data quality (§6)
+    qualityScore: 'الجودة',
+    readingCount: 'صالحة / الإجمالي',
+    lastValidReading: 'آخر قراءة صالحة',
+    qualityFailures: 'أسباب الرفض',
+    qualityWindow: 'فترة الجودة',
+    last24h: 'آخر 24 ساعة',
+    last7d: 'آخر 7 أيام',
+    flagBelow: 'تنبيه تحت',
+    qualityFlagged: 'أقل من حد الجودة - يلزم زيارة الموقع',
+    noReadings: 'لا قراءات',
+
+    // Sensor registry
+    sensorRegistry: 'سجل المستشعرات',
+    sensorRegistryDesc: 'تسجيل وتعديل وإيقاف العُقد المعروضة على الخريطة وفي صحة المستشعرات',
+    sensorRegistryUnavailable: 'يتطلب سجل المستشعرات الاتصال بخادم المستشعرات',
+    registerSensor: 'تسجيل مستشعر',
+    editSensor: 'تعديل',
+    deactivateSensor: 'إيقاف',
+    reactivateSensor: 'إعادة التفعيل',
+    deactivated: 'موقوف',
+    confirmDeactivate: 'إيقاف {id}؟ يُحتفظ بسجله وتُغلق تنبيهاته المفتوحة.',
+    sensorName: 'الاسم',
+    sensorLocation: 'الموقع',
+    afforestationStatus: 'حالة التشجير',
+    latitude: 'خط العرض',
+    longitude: 'خط الطول',
+    installationDate: 'تاريخ التركيب',
+    firmwareVersion: 'إصدار البرنامج الثابت',
+    fieldRequired: 'مطلوب',
+    invalidSensorId: 'أحرف أو أرقام أو "-" أو "_" (حتى 32)',
+    outsideCampus: 'خارج حدود حرم الجامعة',
+    invalidDate: 'تاريخ غير صالح',
+    invalidFirmware: 'استخدم إصدارًا مثل 1.2 أو 1.2.0',
+    cancel: 'إلغاء',
+    save: 'حفظ',
+
+    // Sign-in and roles
+    signIn: 'تسجيل الدخول',
+    signInDesc: 'لحسابات الفريق فقط - تبقى اللوحة متاحة للجميع للعرض فقط',
+    signOut: 'تسجيل الخروج',
+    username: 'اسم المستخدم',
+    password: 'كلمة المرور',
+    invalidCredentials: 'اسم المستخدم أو كلمة المرور غير صحيحة',
+    roleAdmin: 'مدير',
+    roleOperator: 'مشغّل',
+    roleViewer: 'مشاهد',
+    alertThresholds: 'حدود التنبيهات',
+    thresholdCo2: 'ثاني أكسيد الكربون',
+    thresholdTemperature: 'درجة حرارة الهواء',
+    thresholdBattery: 'البطارية',
+    thresholdsSaved: 'تم حفظ الحدود',
+
+    // Demo simulation
+    simulationScenario: 'السيناريو',
+    simulationSeed: 'البذرة',
+    newSeed: 'بذرة جديدة',
+    simulationDate: 'التاريخ',
+    scenarioNormal: 'أسبوع عادي',
+    scenarioHeatwave: 'موجة حر',
+    scenarioDustStorm: 'عاصفة غبارية',
+    scenarioNodeFailure: 'تعطل عقدة',
+
+    // Offline cache
+    cachedFrom: 'محفوظ منذ',
+
+    // Data providers
+    servedBy: 'عبر',
+
+    // Air quality index (US EPA categories) and weekly comparison
+    aqiGood: 'جيد',
+    aqiModerate: 'متوسط',
+    aqiUnhealthySensitive: 'غير صحي للفئات الحساسة',
+    aqiUnhealthy: 'غير صحي',
+    aqiVeryUnhealthy: 'غير صحي جداً',
+    aqiHazardous: 'خطير',
+    dominantPollutant: 'الملوث الرئيسي',
+    previousWeek: 'الأسبوع الماضي',
+    thisWeek: 'هذا الأسبوع',
+    missingData: 'لا توجد بيانات',
+    airQualityUnavailable: 'سجل جودة الهواء غير متاح',
+
+    // Pollutant time series
+    pollutantSeries: 'السلسلة الزمنية للملوثات',
+    pollutantSeriesDesc: 'التركيزات الساعية في جامعة الأمير سلطان مقارنة بمستويات منظمة الصحة العالمية الإرشادية',
+    pollutant: 'الملوث',
+    range24h: '24 ساعة',
+    range7d: '7 أيام',
+    range30d: '30 يوماً',
+    viewTimeline: 'الخط الزمني',
+    viewHourOfDay: 'حسب ساعة اليوم',
+    whoGuideline24h: 'الصحة العالمية 24 ساعة',
+    whoGuideline8h: 'الصحة العالمية 8 ساعات',
+    whoGuidelineAnnual: 'الصحة العالمية سنوياً',
+    peakHour: 'ذروة اليوم (بتوقيت الرياض)',
+    seriesUnavailable: 'لا توجد بيانات ساعية لهذه الفترة',
+
+    // Heat map layers
+    layerAirTemp: 'حرارة الهواء',
+    layerApparentTemp: 'الحرارة المحسوسة',
+    layerHeatIndex: 'مؤشر الحرارة',
+    layerUnavailable: 'لا توجد بيانات رطوبة لهذه الطبقة',
+    heatIndexScale: 'مؤشر الحرارة (°م)',
+    heatBelowCaution: 'دون مستوى الحذر',
+    heatCaution: 'حذر',
+    heatExtremeCaution: 'حذر شديد',
+    heatDanger: 'خطر',
+
+    // Trend overlays
+    trendLine: 'الاتجاه',
+    movingAverage: 'المتوسط المتحرك',
+    notEnoughPoints: 'يتطلب {n} نقاط على الأقل',
+    trendRising: 'ارتفاع',
+    trendFalling: 'انخفاض',
+    trendStable: 'مستقر',
+    trendUnavailable: 'لا توجد بيانات كافية لحساب الاتجاه',
+    perDay: '/يوم',
+
+    // Zone forecast
+    zoneForecast: 'توقعات المناطق لسبعة أيام',
+    zoneForecastDesc: 'توقعات Holt-Winters من سجل المستشعرات المخزن، مع فترة تنبؤ 95%',
+    forecastUnavailable: 'تتطلب التوقعات خادم المستشعرات',
+    forecastInsufficientHistory: 'لا يوجد سجل حديث كافٍ في هذه المنطقة للتوقع',
+    predictionInterval: 'فترة 95%',
+    thresholdLabel: 'الحد',
+    expectedBreaches: 'تجاوزات الحدود',
+    noBreachesExpected: 'لا يُتوقع أي تجاوز هذا الأسبوع',
+    breachExpected: 'متوقع',
+    breachPossible: 'محتمل',
+    forecastModel: 'النموذج',
+    trainedOn: 'مُدرَّب على {n} يومًا',
+
+    // Sensor anomalies
+    anomalies: 'الحالات الشاذة',
+    suspectSensor: 'مستشعر مشكوك فيه',
+    anomalyStuck: 'قيمة ثابتة',
+    anomalyJump: 'قفزة مفاجئة',
+    anomalyRate: 'معدل تغير مستحيل',
+    anomalyNeighbor: 'يخالف المستشعرات المجاورة',
+    anomalyDrift: 'انجراف عن المستشعرات المجاورة',
+    anomalyReference: 'يخالف Open-Meteo',
+    anomalyFieldCo2: 'ثاني أكسيد الكربون',
+    anomalyFieldAirTemperature: 'حرارة الهواء',
+    anomalyFieldSurfaceTemperature: 'حرارة السطح',
+    anomalyFieldHumidity: 'الرطوبة',
+
+    // Calibration drift
+    calibrationDrift: 'انجراف المعايرة',
+    calibrationDriftDesc: 'حرارة الهواء لكل مستشعر مقابل Open-Meteo في موقعه: الفرق اليومي واتجاهه',
+    nDays: '{n} يومًا',
+    dailyResidual: 'المستشعر - Open-Meteo',
+    calibrationFit: 'الملاءمة',
+    gain: 'الكسب',
+    offset: 'الإزاحة',
+    driftLabel: 'الانجراف',
+    calibrationOk: 'معاير',
+    recalibrationRecommended: 'يلزم إعادة المعايرة',
+    calibrationInsufficientData: 'لا توجد بيانات مقترنة كافية بعد',
+    calibrationNoReference: 'مرجع Open-Meteo غير متاح',
+    calibrationUnavailable: 'يتطلب تقرير المعايرة خادم المستشعرات',
+    recalibrationThreshold: 'يوصى بإعادة المعايرة عندما يتحرك اتجاه الفرق {n} °م أو أكثر خلال الفترة',
+
+    // Zone significance
+    significantDifference: 'دال إحصائيًا (p < 0.05)',
+    notSignificant: 'غير دال إحصائيًا',
+    reductionLabel: 'الانخفاض في المنطقة المشجَّرة',
+    confidenceInterval95: 'فترة ثقة 95%',
+    pairedTTest: 'اختبار t المزدوج',
+    significanceDays: 'مقارنة يومًا بيوم، {n} يومًا',
+    significanceInsufficientData: 'لا توجد بعد أيام كافية سجّلت فيها المنطقتان معًا لاختبار هذا الفرق',
+    significanceUnavailable: 'تتطلب اختبارات الدلالة خادم المستشعرات',
+
     // Status label for tooltips
     statusLabel: 'الحالة'
   }
@@ -0,0 +1,243 @@
+// ============================
+// Alerts Panel
+// ============================
+// Open alerts from the backend alert engine (SENSOR_DATA_FORMULAS.md §8), kept
+// current by the live stream. Alerts resolved while the page is open stay
+// listed so operators can see what just recovered. Operators resolve alerts;
+// admins can also change the §8.1 thresholds.
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, AlertCircle, Info, CheckCircle, Loader2, SlidersHorizontal } from 'lucide-react';
+import { Button, Card } from './Ui.js';
+import { translations } from '../Translation.js';
+import { BackendApiService } from '../services/BackendApiService.js';
+
+const SEVERITY_STYLES = {
+  Critical: { icon: AlertTriangle, badge: 'bg-red-100 text-red-800', iconColor: 'text-red-600' },
+  Warning: { icon: AlertCircle, badge: 'bg-yellow-100 text-yellow-800', iconColor: 'text-yellow-600' },
+  Info: { icon: Info, badge: 'bg-blue-100 text-blue-800', iconColor: 'text-blue-600' }
+};
+
+const SEVERITY_RANK = { Critical: 0, Warning: 1, Info: 2 };
+
+// Thresholds an admin can edit: [metric, unit, label key]
+const EDITABLE_THRESHOLDS = [
+  ['co2', 'ppm', 'thresholdCo2'],
+  ['temperature', '°C', 'thresholdTemperature'],
+  ['battery', '%', 'thresholdBattery']
+];
+
+const ThresholdSettings = ({ isDarkMode, t, onClose }) => {
+  const [values, setValues] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    BackendApiService.getAlertThresholds()
+      .then(setValues)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const setValue = (metric, level, value) => {
+    setSaved(false);
+    setValues(prev => ({ ...prev, [metric]: { ...prev[metric], [level]: value } }));
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const changes = Object.fromEntries(EDITABLE_THRESHOLDS.map(([metric]) => [metric, {
+        warning: Number(values[metric].warning),
+        critical: Number(values[metric].critical)
+      }]));
+      setValues(await BackendApiService.updateAlertThresholds(changes));
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = `w-20 text-sm rounded border px-2 py-1 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`;
+
+  return (
+    <div className={`rounded-lg p-3 mb-4 ${isDarkMode ? 'bg-slate-700' : 'bg-slate-50'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium">{t.alertThresholds}</span>
+        {busy && <Loader2 className="w-4 h-4 animate-spin text-emerald-600" />}
+      </div>
+      {values && (
+        <div className="grid grid-cols-3 gap-3 text-xs">
+          {EDITABLE_THRESHOLDS.map(([metric, unit, labelKey]) => (
+            <div key={metric}>
+              <div className="font-medium mb-1">{t[labelKey]} ({unit})</div>
+              {['warning', 'critical'].map(level => (
+                <label key={level} className="flex items-center justify-between gap-2 mb-1">
+                  {level === 'warning' ? t.severityWarning : t.severityCritical}
+                  <input
+                    type="number"
+                    value={values[metric][level]}
+                    onChange={(e) => setValue(metric, level, e.target.value)}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      <div className="flex items-center justify-end gap-2 mt-2">
+        {saved && <span className="text-xs text-emerald-600">{t.thresholdsSaved}</span>}
+        <Button size="sm" variant="secondary" onClick={onClose}>{t.close}</Button>
+        <Button size="sm" onClick={handleSave} disabled={!values || busy}>{t.save}</Button>
+      </div>
+    </div>
+  );
+};
+
+const AlertsPanel = ({
+  alerts = [],
+  sensors = [],
+  available = true,
+  canResolve = false,
+  canEditThresholds = false,
+  isDarkMode,
+  language = 'en',
+  onResolve
+}) => {
+  const t = translations[language];
+  const [sensorId, setSensorId] = useState('');
+  const [severity, setSeverity] = useState('');
+  const [showResolved, setShowResolved] = useState(false);
+  const [resolving, setResolving] = useState(null);
+  const [error, setError] = useState(null);
+  const [showThresholds, setShowThresholds] = useState(false);
+
+  const openCount = alerts.filter(alert => !alert.is_resolved).length;
+
+  // Open alerts first, most severe first, newest first
+  const visible = alerts
+    .filter(alert => (showResolved || !alert.is_resolved)
+      && (!sensorId || alert.sensor_id === sensorId)
+      && (!severity || alert.severity === severity))
+    .sort((a, b) => Number(a.is_resolved) - Number(b.is_resolved)
+      || SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]
+      || b.triggered_at.localeCompare(a.triggered_at));
+
+  const handleResolve = async (id) => {
+    setResolving(id);
+    setError(null);
+    try {
+      await onResolve(id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+  const selectClass = `text-sm rounded border px-2 py-1 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`;
+
+  return (
+    <Card isDarkMode={isDarkMode}>
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+            {t.alerts}
+            {openCount > 0 && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                {t.openAlerts.replace('{count}', openCount)}
+              </span>
+            )}
+          </h3>
+          <p className={`text-sm ${mutedText}`}>{t.alertsDesc}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={sensorId} onChange={(e) => setSensorId(e.target.value)} className={selectClass}>
+            <option value="">{t.allSensors}</option>
+            {sensors.map(sensor => <option key={sensor.id} value={sensor.id}>{sensor.id}</option>)}
+          </select>
+          <select value={severity} onChange={(e) => setSeverity(e.target.value)} className={selectClass}>
+            <option value="">{t.allSeverities}</option>
+            {Object.keys(SEVERITY_STYLES).map(level => (
+              <option key={level} value={level}>{t[`severity${level}`]}</option>
+            ))}
+          </select>
+          <label className={`flex items-center gap-1 text-xs ${mutedText}`}>
+            <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+            {t.showResolved}
+          </label>
+          {canEditThresholds && available && (
+            <Button size="sm" variant="ghost" onClick={() => setShowThresholds(!showThresholds)} title={t.alertThresholds}>
+              <SlidersHorizontal className="w-4 h-4" />
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {showThresholds && canEditThresholds && (
+        <ThresholdSettings isDarkMode={isDarkMode} t={t} onClose={() => setShowThresholds(false)} />
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {!available ? (
+        <p className={`text-sm ${mutedText}`}>{t.alertsUnavailable}</p>
+      ) : visible.length === 0 ? (
+        <div className={`flex items-center gap-2 text-sm ${mutedText}`}>
+          <CheckCircle className="w-4 h-4 text-emerald-600" /> {t.noAlerts}
+        </div>
+      ) : (
+        <div className="overflow-auto max-h-80">
+          <table className="w-full text-sm">
+            <thead className={`sticky top-0 ${isDarkMode ? 'bg-slate-700' : 'bg-slate-50'}`}>
+              <tr>
+                <th className="text-left p-2 font-medium">{t.statusLabel}</th>
+                <th className="text-left p-2 font-medium">{t.stationId}</th>
+                <th className="text-left p-2 font-medium">{t.type}</th>
+                <th className="text-left p-2 font-medium">{t.reasons}</th>
+                <th className="text-left p-2 font-medium">{t.timestamp}</th>
+                <th className="p-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(alert => {
+                const style = SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.Info;
+                const Icon = style.icon;
+                return (
+                  <tr key={alert.id} className={`border-b ${isDarkMode ? 'border-slate-600' : 'border-slate-100'} ${alert.is_resolved ? 'opacity-60' : ''}`}>
+                    <td className="p-2">
+                      <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${style.badge}`}>
+                        <Icon className={`w-3 h-3 ${style.iconColor}`} />
+                        {t[`severity${alert.severity}`] || alert.severity}
+                      </span>
+                    </td>
+                    <td className={`p-2 font-mono ${isDarkMode ? 'text-slate-200' : 'text-slate-800'}`}>{alert.sensor_id}</td>
+                    <td className={`p-2 ${mutedText}`}>{alert.alert_type.replace(/_/g, ' ')}</td>
+                    <td className={`p-2 ${mutedText}`}>{alert.message}</td>
+                    <td className={`p-2 font-mono text-xs ${mutedText}`}>{new Date(alert.triggered_at).toLocaleString()}</td>
+                    <td className="p-2 text-right">
+                      {alert.is_resolved ? (
+                        <span className="text-xs text-emerald-600">{t.resolved}</span>
+                      ) : canResolve && (
+                        <Button size="sm" variant="secondary" onClick={() => handleResolve(alert.id)} disabled={resolving != null}>
+                          {resolving === alert.id ? <Loader2 className="w-3 h-3 animate-spin" /> : t.resolve}
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export { AlertsPanel };
@@ -0,0 +1,120 @@
+// ============================
+// 2019 Baseline "Then vs Now" Card
+// ============================
+// Month-by-month air temperature and surface heat against the 2019
+// pre-afforestation baseline (SENSOR_DATA_FORMULAS.md §3). The current month
+// is pulled out as the headline.
+import React from 'react';
+import { RefreshCw, AlertCircle } from 'lucide-react';
+import { Button, Card, LoadingOverlay, FreshnessIndicator } from './Ui.js';
+import { translations } from '../Translation.js';
+
+const formatDelta = (change, percent) => {
+  if (change == null) return '—';
+  const sign = change > 0 ? '+' : '';
+  return `${sign}${change}°C${percent != null ? ` (${sign}${percent}%)` : ''}`;
+};
+
+// Warmer than 2019 is bad news for an afforestation project
+const deltaColor = (change) => {
+  if (change == null) return 'text-slate-400';
+  return change > 0 ? 'text-red-600' : 'text-emerald-600';
+};
+
+const BaselineCard = ({ comparison, status, isLoading, isRefreshing, timestamp, cachedLabel, onRefresh, isDarkMode, language = 'en' }) => {
+  const t = translations[language];
+  const rows = comparison?.rows ?? [];
+  const currentMonth = new Date().getMonth() + 1;
+  // Latest month that has both sides, normally the current one
+  const headline = [...rows].reverse().find(row => row.month <= currentMonth && (row.airChange != null || row.surfaceChange != null));
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+  const sourceLabel = {
+    imported: t.baselineSourceImported,
+    era5: t.baselineSourceEra5,
+    sensors: t.baselineSourceSensors
+  };
+
+  return (
+    <Card isDarkMode={isDarkMode} className="relative">
+      {isLoading && <LoadingOverlay isLoading={true} widget={t.baselineComparison} t={t} />}
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>{t.baselineComparison}</h3>
+          <p className={`text-sm ${mutedText}`}>{t.baselineComparisonDesc}</p>
+          {comparison?.baselineSource && (
+            <p className={`text-xs mt-1 ${mutedText}`}>
+              2019: {sourceLabel[comparison.baselineSource]} · {new Date().getFullYear()}: {sourceLabel[comparison.currentSource]}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <FreshnessIndicator timestamp={timestamp} cachedLabel={cachedLabel} isRefreshing={isRefreshing} />
+          <Button size="sm" variant="ghost" onClick={onRefresh} aria-label={t.refresh}>
+            <RefreshCw className="w-3 h-3" />
+          </Button>
+        </div>
+      </div>
+
+      {status === 'error' || (!isLoading && rows.length === 0) ? (
+        <div className="flex flex-col items-center justify-center py-8 text-center">
+          <AlertCircle className="w-8 h-8 text-yellow-500 mb-2" />
+          <p className={`text-sm ${mutedText}`}>{t.baselineUnavailable}</p>
+        </div>
+      ) : (
+        <>
+          {headline && (
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              {[
+                [t.airTemperatureTitle, headline.baselineAir, headline.currentAir, headline.airChange, headline.airPercent],
+                [t.surfaceHeat, headline.baselineSurface, headline.currentSurface, headline.surfaceChange, headline.surfacePercent]
+              ].map(([title, then, now, change, percent]) => (
+                <div key={title} className={`rounded-lg p-3 ${isDarkMode ? 'bg-slate-700' : 'bg-slate-50'}`}>
+                  <div className={`text-xs font-medium ${mutedText}`}>{title} · {headline.label}</div>
+                  <div className={`text-xl font-bold ${deltaColor(change)}`}>{formatDelta(change, percent)}</div>
+                  <div className={`text-xs ${mutedText}`}>
+                    2019: {then ?? '—'}°C → {t.now}: {now ?? '—'}°C
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="overflow-auto max-h-72">
+            <table className="w-full text-sm">
+              <thead className={`sticky top-0 ${isDarkMode ? 'bg-slate-700 text-slate-200' : 'bg-slate-50 text-slate-700'}`}>
+                <tr>
+                  <th className="text-left p-2 font-medium">{t.month}</th>
+                  <th className="text-right p-2 font-medium">{t.airTemperatureTitle} 2019</th>
+                  <th className="text-right p-2 font-medium">{t.now}</th>
+                  <th className="text-right p-2 font-medium">Δ</th>
+                  <th className="text-right p-2 font-medium">{t.surfaceHeat} 2019</th>
+                  <th className="text-right p-2 font-medium">{t.now}</th>
+                  <th className="text-right p-2 font-medium">Δ</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr
+                    key={row.month}
+                    className={`border-b ${isDarkMode ? 'border-slate-600' : 'border-slate-100'} ${row.month === currentMonth ? 'font-semibold' : ''}`}
+                  >
+                    <td className={`p-2 ${mutedText}`}>{row.label}</td>
+                    <td className={`p-2 text-right font-mono ${mutedText}`}>{row.baselineAir ?? '—'}</td>
+                    <td className={`p-2 text-right font-mono ${mutedText}`}>{row.currentAir ?? '—'}</td>
+                    <td className={`p-2 text-right font-mono ${deltaColor(row.airChange)}`}>{formatDelta(row.airChange, row.airPercent)}</td>
+                    <td className={`p-2 text-right font-mono ${mutedText}`}>{row.baselineSurface ?? '—'}</td>
+                    <td className={`p-2 text-right font-mono ${mutedText}`}>{row.currentSurface ?? '—'}</td>
+                    <td className={`p-2 text-right font-mono ${deltaColor(row.surfaceChange)}`}>{formatDelta(row.surfaceChange, row.surfacePercent)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export { BaselineCard };
@@ -0,0 +1,166 @@
+// ============================
+// Calibration Drift
+// ============================
+// Each node's air temperature against Open-Meteo at its coordinates from the
+// backend (GET /sensors/calibration): the daily residual with its trend for
+// the selected node, and the fit, drift and recalibration call for every node.
+import React, { useEffect, useState } from 'react';
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { AlertCircle, Loader2 } from 'lucide-react';
+import { Card } from './Ui.js';
+import { translations } from '../Translation.js';
+
+const DAY_OPTIONS = [14, 30, 90];
+
+const STATUS_STYLES = {
+  ok: { labelKey: 'calibrationOk', className: 'bg-green-100 text-green-800' },
+  recalibrate: { labelKey: 'recalibrationRecommended', className: 'bg-red-100 text-red-800' },
+  insufficient_data: { labelKey: 'calibrationInsufficientData', className: 'bg-gray-100 text-gray-700' },
+  no_reference: { labelKey: 'calibrationNoReference', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+const formatDate = (date, language) => new Date(`${date}T00:00:00Z`).toLocaleDateString(
+  language === 'ar' ? 'ar-SA' : 'en-GB',
+  { timeZone: 'UTC', day: 'numeric', month: 'short' }
+);
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+const CalibrationCard = ({ loadCalibration, refreshKey, isDarkMode, language = 'en' }) => {
+  const t = translations[language];
+  const [days, setDays] = useState(30);
+  const [sensorId, setSensorId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    // A slower answer for a window the user already left must not win
+    let cancelled = false;
+    setStatus('loading');
+    loadCalibration(days)
+      .then(data => {
+        if (cancelled) return;
+        setReport(data);
+        setStatus('success');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.warn('Calibration report unavailable:', error);
+        setReport(null);
+        setStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [loadCalibration, days, refreshKey]);
+
+  const sensors = report?.sensors ?? [];
+  // Default to the node most in need of attention
+  const selected = sensors.find(s => s.sensor_id === sensorId)
+    ?? sensors.find(s => s.recalibrate)
+    ?? sensors.find(s => s.residuals.length > 0)
+    ?? sensors[0];
+  const residuals = selected?.residuals ?? [];
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+  const axisTick = { fontSize: 10, fill: isDarkMode ? '#9ca3af' : '#64748b' };
+  const toggleClass = (active) => `px-2 py-0.5 text-xs rounded ${
+    active ? 'bg-emerald-600 text-white' : isDarkMode ? 'text-slate-300 hover:bg-slate-700' : 'text-slate-600 hover:bg-slate-100'
+  }`;
+
+  return (
+    <Card isDarkMode={isDarkMode}>
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+            {t.calibrationDrift}
+          </h3>
+          <p className={`text-sm ${mutedText}`}>{t.calibrationDriftDesc}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex gap-1">
+            {DAY_OPTIONS.map(option => (
+              <button key={option} onClick={() => setDays(option)} className={toggleClass(option === days)}>
+                {t.nDays.replace('{n}', option)}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            {sensors.map(sensor => (
+              <button key={sensor.sensor_id} onClick={() => setSensorId(sensor.sensor_id)} className={`${toggleClass(sensor === selected)} font-mono`}>
+                {sensor.sensor_id}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-6">
+        <div className="col-span-2 h-64">
+          {status === 'loading' && !report ? (
+            <div className="h-full flex items-center justify-center">
+              <Loader2 className="w-6 h-6 animate-spin text-emerald-600" />
+            </div>
+          ) : residuals.length === 0 ? (
+            <div className="h-full flex flex-col items-center justify-center text-center">
+              <AlertCircle className="w-8 h-8 text-yellow-500 mb-2" />
+              <span className="text-sm text-slate-500">
+                {status === 'error' ? t.calibrationUnavailable
+                  : selected?.status === 'no_reference' ? t.calibrationNoReference
+                  : t.calibrationInsufficientData}
+              </span>
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={residuals}>
+                <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? '#374151' : '#f1f5f9'} />
+                <XAxis dataKey="date" tickFormatter={(date) => formatDate(date, language)} tick={axisTick} reversed={language === 'ar'} />
+                <YAxis tick={axisTick} orientation={language === 'ar' ? 'right' : 'left'} unit="°C" domain={['auto', 'auto']} />
+                <Tooltip
+                  labelFormatter={(date) => formatDate(date, language)}
+                  formatter={(value, name) => [`${signed(value)} °C`, name === 'trend' ? t.trendLine : t.dailyResidual]}
+                  contentStyle={isDarkMode ? { backgroundColor: '#334155', border: 'none', color: '#fff' } : undefined}
+                />
+                <ReferenceLine y={0} stroke={isDarkMode ? '#64748b' : '#94a3b8'} />
+                <Line type="monotone" dataKey="residual" stroke="#0ea5e9" strokeWidth={2} dot={{ r: 2 }} />
+                <Line type="linear" dataKey="trend" stroke={selected.recalibrate ? '#ef4444' : '#64748b'} strokeWidth={2} strokeDasharray="2 3" dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        <div className="text-xs space-y-2 overflow-y-auto max-h-64">
+          {sensors.map(sensor => {
+            const style = STATUS_STYLES[sensor.status];
+            return (
+              <div
+                key={sensor.sensor_id}
+                className={`p-2 rounded border ${sensor === selected ? 'border-emerald-500' : isDarkMode ? 'border-slate-600' : 'border-slate-200'}`}
+              >
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <span className={`font-mono font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>{sensor.sensor_id}</span>
+                  <span className={`px-2 py-0.5 rounded-full font-medium ${style.className}`}>{t[style.labelKey]}</span>
+                </div>
+                {sensor.fit && (
+                  <div className={mutedText}>
+                    {t.calibrationFit}: {t.gain} {sensor.fit.gain} · {t.offset} {signed(sensor.fit.offset)} °C · r² {sensor.fit.r2}
+                  </div>
+                )}
+                {sensor.drift && (
+                  <div className={sensor.recalibrate ? 'text-red-600' : mutedText}>
+                    {t.driftLabel}: {signed(sensor.drift.per_day)} °C{t.perDay} ({signed(sensor.drift.change)} °C / {t.nDays.replace('{n}', sensor.drift.days)})
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {report && (
+            <p className={`pt-2 ${mutedText}`}>
+              {t.recalibrationThreshold.replace('{n}', report.threshold)}
+            </p>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export { CalibrationCard };
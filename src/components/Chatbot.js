@@ -5,6 +5,38 @@ import { Button } from './Ui.js';
 import React, { useState, useEffect } from 'react';
 import { Send, Wifi } from 'lucide-react';
 import { getLastValue, translations } from '../Translation.js';
+import { formatPValue } from './ZoneSignificanceNote.js';
+
+// Weekly CO2 average, ignoring days the sensors have not reported yet
+const getAverageCO2 = (dashboardData) => {
+  const values = (dashboardData.co2Data ?? []).map(item => item.value).filter(v => v != null);
+  return values.length > 0
+    ? (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(1)
+    : 'N/A';
+};
+
+// Afforested vs Non-afforested tests, one line per metric, so answers about the
+// zone comparison can say how certain it is
+const SIGNIFICANCE_LABELS = {
+  co2: { en: 'CO₂', ar: 'ثاني أكسيد الكربون' },
+  air_temperature: { en: 'Air temperature', ar: 'حرارة الهواء' },
+  surface_temperature: { en: 'Surface temperature', ar: 'حرارة السطح' }
+};
+
+const describeZoneSignificance = (dashboardData, isArabic) => {
+  const significance = dashboardData.zoneSignificance;
+  const lines = Object.entries(significance?.metrics ?? {})
+    .filter(([, result]) => result)
+    .map(([metric, { unit, difference, ci, paired_t: pairedT, wilcoxon, n, significant }]) => {
+      const label = SIGNIFICANCE_LABELS[metric]?.[isArabic ? 'ar' : 'en'] ?? metric;
+      const tests = `paired t p ${pairedT ? formatPValue(pairedT.p) : 'N/A'}, Wilcoxon p ${wilcoxon ? formatPValue(wilcoxon.p) : 'N/A'}`;
+      return isArabic
+        ? `  - ${label}: انخفاض ${difference} ${unit} (فترة ثقة 95%: ${ci.lower} إلى ${ci.upper})، ${tests}، ${n.paired} يومًا مقترنًا، ${significant ? 'دال إحصائيًا' : 'غير دال إحصائيًا'}`
+        : `  - ${label}: reduction ${difference} ${unit} (95% CI ${ci.lower} to ${ci.upper}), ${tests}, ${n.paired} paired days, ${significant ? 'significant' : 'not significant'}`;
+    });
+  if (lines.length === 0) return isArabic ? 'غير متاح' : 'N/A';
+  return `${significance.from} – ${significance.to}\n${lines.join('\n')}`;
+};
 
 const AIChatbotService = {
   // OpenAI ChatGPT API Integration (via Vercel environment)
@@ -71,26 +103,28 @@ const AIChatbotService = {
     const isArabic = language === 'ar';
     
     // Extract key metrics from dashboard
-    const avgCO2 = dashboardData.co2Data?.length > 0 
-      ? (dashboardData.co2Data.reduce((sum, item) => sum + item.value, 0) / dashboardData.co2Data.length).toFixed(1)
-      : 'N/A';
+    const avgCO2 = getAverageCO2(dashboardData);
     
     const currentTemp = dashboardData.heatMapData?.[0]?.temperature?.toFixed(1) || 'N/A';
     
     const airQuality = dashboardData.airQualityData?.length > 0
-      ? dashboardData.airQualityData.map(item => `${item.parameter}: ${item.value}${item.unit}`).join(', ')
+      ? dashboardData.airQualityData.map(item => `${item.pollutant}: ${item.after ?? 'N/A'}${item.after != null ? item.unit : ''}`).join(', ')
       : 'N/A';
 
     const ndvi = dashboardData.biodiversityData?.length > 0
       ? getLastValue(dashboardData.biodiversityData, language)?.ndvi?.toFixed(3)
       : 'N/A';
 
+    const zoneSignificance = describeZoneSignificance(dashboardData, isArabic);
+
     if (isArabic) {
       return `أنت روضة، مساعد بيانات البيئة للرياض. البيانات الحالية:
 - مستوى ثاني أكسيد الكربون: ${avgCO2} جزء في المليون
 - درجة الحرارة: ${currentTemp}°م
 - جودة الهواء: ${airQuality}
 - مؤشر NDVI: ${ndvi}
+- المنطقة المشجَّرة مقابل غير المشجَّرة (متوسطات يومية مقترنة بالتاريخ، اختبار t المزدوج وWilcoxon): ${zoneSignificance}
+عند الحديث عن المقارنة بين المناطق، وضّح ما إذا كان الفرق دالًا إحصائيًا.
 أجب بالعربية وكن مفيداً ومختصراً.`;
     } else {
       return `You are Rawdah, an environmental data assistant for Riyadh. Current data:
@@ -98,6 +132,8 @@ const AIChatbotService = {
 - Temperature: ${currentTemp}°C  
 - Air Quality: ${airQuality}
 - NDVI Index: ${ndvi}
+- Afforested vs non-afforested zone (daily means paired by date, paired t and Wilcoxon signed-rank tests): ${zoneSignificance}
+When discussing the zone comparison, state whether the difference is statistically significant.
 Answer in English, be helpful and concise.`;
     }
   },
@@ -109,9 +145,7 @@ Answer in English, be helpful and concise.`;
 
     // CO2 related queries
     if (query.includes('co2') || query.includes('carbon') || query.includes('كربون') || query.includes('أكسيد')) {
-      const avgCO2 = dashboardData.co2Data?.length > 0 
-        ? (dashboardData.co2Data.reduce((sum, item) => sum + item.value, 0) / dashboardData.co2Data.length).toFixed(1)
-        : 'N/A';
+      const avgCO2 = getAverageCO2(dashboardData);
       
       return isArabic 
         ? `مستوى ثاني أكسيد الكربون الحالي هو ${avgCO2} جزء في المليون. هدفنا تقليله بنسبة 4% من خلال التشجير والمبادرات الخضراء.`
@@ -163,9 +197,7 @@ Answer in English, be helpful and concise.`;
 
     // Question words - what, how, why, when
     if (query.includes('what') || query.includes('how') || query.includes('why') || query.includes('when') || query.includes('where') || query.includes('ماذا') || query.includes('كيف') || query.includes('لماذا') || query.includes('متى') || query.includes('أين')) {
-      const avgCO2 = dashboardData.co2Data?.length > 0 
-        ? (dashboardData.co2Data.reduce((sum, item) => sum + item.value, 0) / dashboardData.co2Data.length).toFixed(1)
-        : 'N/A';
+      const avgCO2 = getAverageCO2(dashboardData);
       
       return isArabic
         ? `هذه لوحة بيانات روضة للرياض. نراقب: CO₂ (${avgCO2} ppm)، درجة الحرارة، جودة الهواء، والنباتات. اسأل عن أي من هذه المواضيع!`
@@ -174,9 +206,7 @@ Answer in English, be helpful and concise.`;
 
     // Numbers or specific values
     if (query.match(/\d+/) || query.includes('level') || query.includes('value') || query.includes('amount') || query.includes('مستوى') || query.includes('قيمة') || query.includes('كمية')) {
-      const avgCO2 = dashboardData.co2Data?.length > 0 
-        ? (dashboardData.co2Data.reduce((sum, item) => sum + item.value, 0) / dashboardData.co2Data.length).toFixed(1)
-        : 'N/A';
+      const avgCO2 = getAverageCO2(dashboardData);
       const currentTemp = dashboardData.heatMapData?.[0]?.temperature?.toFixed(1) || 'N/A';
       
       return isArabic
@@ -200,9 +230,7 @@ Answer in English, be helpful and concise.`;
     );
 
     if (keywordCount >= 2) {
-      const avgCO2 = dashboardData.co2Data?.length > 0 
-        ? (dashboardData.co2Data.reduce((sum, item) => sum + item.value, 0) / dashboardData.co2Data.length).toFixed(1)
-        : 'N/A';
+      const avgCO2 = getAverageCO2(dashboardData);
       const currentTemp = dashboardData.heatMapData?.[0]?.temperature?.toFixed(1) || 'N/A';
       
       return isArabic
@@ -0,0 +1,167 @@
+// ============================
+// Zone Forecast
+// ============================
+// 7-day CO₂ or air temperature forecast for one afforestation zone from the
+// backend (GET /aggregates/forecast), with its 95% prediction interval as a
+// band, and the threshold breaches the forecasts expect in every zone.
+import React, { useEffect, useState } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { AlertCircle, AlertTriangle, Loader2 } from 'lucide-react';
+import { Card } from './Ui.js';
+import { translations } from '../Translation.js';
+
+const METRICS = [
+  { id: 'co2', labelKey: 'co2LevelsTitle' },
+  { id: 'air_temperature', labelKey: 'airTemperatureTitle' }
+];
+
+// Same colors as the Street Comparison chart
+const ZONES = [
+  { id: 'Afforested', labelKey: 'abuBakrAlRaziAfforested', color: '#22c55e' },
+  { id: 'Non-afforested', labelKey: 'mohammedAlBishrNonAfforested', color: '#ef4444' },
+  { id: 'Pre-afforestation', labelKey: 'ishaqIbnIbrahimPreAfforestation', color: '#f59e0b' }
+];
+
+const formatDate = (date, language) => new Date(`${date}T00:00:00Z`).toLocaleDateString(
+  language === 'ar' ? 'ar-SA' : 'en-GB',
+  { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' }
+);
+
+const ForecastCard = ({ loadForecast, refreshKey, isDarkMode, language = 'en' }) => {
+  const t = translations[language];
+  const [metric, setMetric] = useState('co2');
+  const [zoneId, setZoneId] = useState('Non-afforested');
+  const [forecasts, setForecasts] = useState([]);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    // A slower answer for a metric the user already left must not win
+    let cancelled = false;
+    setStatus('loading');
+    loadForecast(metric)
+      .then(data => {
+        if (cancelled) return;
+        setForecasts(data ?? []);
+        setStatus('success');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.warn('Zone forecast unavailable:', error);
+        setForecasts([]);
+        setStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [loadForecast, metric, refreshKey]);
+
+  const zone = ZONES.find(z => z.id === zoneId);
+  const forecast = forecasts.find(f => f.zone === zoneId);
+  const points = (forecast?.points ?? []).map(point => ({ ...point, range: [point.lower, point.upper] }));
+  const unit = forecast?.unit ?? (metric === 'co2' ? 'ppm' : '°C');
+  const thresholds = [...new Set((forecast?.breaches ?? []).map(b => b.threshold))];
+  const breaches = forecasts.flatMap(f => f.breaches.map(breach => ({ ...breach, zone: f.zone })));
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+  const axisTick = { fontSize: 10, fill: isDarkMode ? '#9ca3af' : '#64748b' };
+  const toggleClass = (active) => `px-2 py-0.5 text-xs rounded ${
+    active ? 'bg-emerald-600 text-white' : isDarkMode ? 'text-slate-300 hover:bg-slate-700' : 'text-slate-600 hover:bg-slate-100'
+  }`;
+
+  return (
+    <Card isDarkMode={isDarkMode}>
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+            {t.zoneForecast}
+          </h3>
+          <p className={`text-sm ${mutedText}`}>{t.zoneForecastDesc}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex gap-1">
+            {METRICS.map(m => (
+              <button key={m.id} onClick={() => setMetric(m.id)} className={toggleClass(m.id === metric)}>
+                {t[m.labelKey]}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            {ZONES.map(z => (
+              <button key={z.id} onClick={() => setZoneId(z.id)} className={toggleClass(z.id === zoneId)}>
+                {t[z.labelKey]}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-6">
+        <div className="col-span-2 h-64">
+          {status === 'loading' && points.length === 0 ? (
+            <div className="h-full flex items-center justify-center">
+              <Loader2 className="w-6 h-6 animate-spin text-emerald-600" />
+            </div>
+          ) : points.length === 0 ? (
+            <div className="h-full flex flex-col items-center justify-center text-center">
+              <AlertCircle className="w-8 h-8 text-yellow-500 mb-2" />
+              <span className="text-sm text-slate-500">
+                {status === 'error' ? t.forecastUnavailable : t.forecastInsufficientHistory}
+              </span>
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={points}>
+                <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? '#374151' : '#f1f5f9'} />
+                <XAxis dataKey="date" tickFormatter={(date) => formatDate(date, language)} tick={axisTick} reversed={language === 'ar'} />
+                <YAxis tick={axisTick} orientation={language === 'ar' ? 'right' : 'left'} domain={['auto', 'auto']} />
+                <Tooltip
+                  labelFormatter={(date) => formatDate(date, language)}
+                  formatter={(value, name) => (name === 'range'
+                    ? [`${value[0]} - ${value[1]} ${unit}`, t.predictionInterval]
+                    : [`${value} ${unit}`, t.forecasted])}
+                  contentStyle={isDarkMode ? { backgroundColor: '#334155', border: 'none', color: '#fff' } : undefined}
+                />
+                <Area type="monotone" dataKey="range" stroke="none" fill={zone.color} fillOpacity={0.15} />
+                <Line type="monotone" dataKey="value" stroke={zone.color} strokeWidth={2} strokeDasharray="8 4" dot={{ r: 3 }} />
+                {thresholds.map(threshold => (
+                  <ReferenceLine
+                    key={threshold}
+                    y={threshold}
+                    stroke="#f59e0b"
+                    strokeDasharray="4 4"
+                    label={{ value: `${t.thresholdLabel} ${threshold} ${unit}`, position: 'insideTopRight', fontSize: 10, fill: isDarkMode ? '#cbd5e1' : '#64748b' }}
+                  />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        <div className="text-xs space-y-2 overflow-y-auto max-h-64">
+          <div className={`font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>{t.expectedBreaches}</div>
+          {breaches.length === 0 ? (
+            <p className={mutedText}>{status === 'success' ? t.noBreachesExpected : '—'}</p>
+          ) : breaches.map(breach => (
+            <div
+              key={`${breach.zone}-${breach.date}`}
+              className={`flex items-start gap-2 p-2 rounded ${
+                breach.severity === 'Critical' ? 'bg-red-50 text-red-800' : 'bg-yellow-50 text-yellow-800'
+              }`}
+            >
+              <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+              <span>
+                {t[ZONES.find(z => z.id === breach.zone)?.labelKey] ?? breach.zone} · {formatDate(breach.date, language)}:{' '}
+                {breach.likelihood === 'expected' ? t.breachExpected : t.breachPossible} {breach.severity === 'Critical' ? t.severityCritical : t.severityWarning} (≥ {breach.threshold} {unit})
+              </span>
+            </div>
+          ))}
+          {forecast?.method && (
+            <p className={`pt-2 ${mutedText}`}>
+              {t.forecastModel}: {forecast.method === 'holt-winters' ? 'Holt-Winters' : 'Holt'} · {t.trainedOn.replace('{n}', forecast.trained_on.days)}
+            </p>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export { ForecastCard };
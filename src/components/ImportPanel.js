@@ -0,0 +1,163 @@
+// ============================
+// Historical Reading Import (CSV / XLSX)
+// ============================
+// Two steps: upload for a per-row validation report, then commit the accepted rows.
+import React, { useState } from 'react';
+import { X, Loader2, CheckCircle, XCircle } from 'lucide-react';
+import { Button } from './Ui.js';
+import { translations } from '../Translation.js';
+import { BackendApiService } from '../services/BackendApiService.js';
+
+// Long reports are trimmed in the table; the counts always cover every row
+const MAX_REPORT_ROWS = 200;
+
+const ImportPanel = ({ sensors = [], isDarkMode, language = 'en', onClose, onImported }) => {
+  const t = translations[language];
+  const [file, setFile] = useState(null);
+  const [sensorId, setSensorId] = useState('');
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [showAccepted, setShowAccepted] = useState(false);
+
+  const options = { sensorId: sensorId || undefined };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setReport(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const handlePreview = () => run(async () => {
+    setResult(null);
+    setReport(await BackendApiService.previewImport(file, options));
+  });
+
+  const handleCommit = () => run(async () => {
+    const committed = await BackendApiService.commitImport(file, options);
+    setReport(committed);
+    setResult(committed.inserted);
+    onImported?.(committed);
+  });
+
+  const visibleRows = (report?.rows ?? [])
+    .filter(row => showAccepted || row.status === 'rejected')
+    .slice(0, MAX_REPORT_ROWS);
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className={`w-full max-w-3xl max-h-[90vh] flex flex-col rounded-xl shadow-lg border ${
+        isDarkMode ? 'bg-slate-800 border-slate-700 text-white' : 'bg-white border-slate-200 text-slate-800'
+      }`}>
+        <div className="flex items-center justify-between p-4 border-b border-slate-200/60">
+          <div>
+            <h3 className="text-lg font-semibold">{t.importReadings}</h3>
+            <p className={`text-sm ${mutedText}`}>{t.importReadingsDesc}</p>
+          </div>
+          <Button variant="ghost" size="sm" onClick={onClose} aria-label={t.close}>
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <input type="file" accept=".csv,.txt,.xlsx,.xls" onChange={handleFileChange} className="text-sm" />
+            <select
+              value={sensorId}
+              onChange={(e) => setSensorId(e.target.value)}
+              className={`text-sm rounded border px-2 py-1 ${isDarkMode ? 'bg-slate-700 border-slate-600' : 'bg-white border-slate-300'}`}
+            >
+              <option value="">{t.sensorFromFile}</option>
+              {sensors.map(sensor => (
+                <option key={sensor.id} value={sensor.id}>{sensor.id} - {sensor.streetName}</option>
+              ))}
+            </select>
+            <Button variant="secondary" size="sm" onClick={handlePreview} disabled={!file || busy}>
+              {t.validateFile}
+            </Button>
+            <Button size="sm" onClick={handleCommit} disabled={!report || !report.accepted || busy || result != null}>
+              {t.importAcceptedRows.replace('{count}', report?.accepted ?? 0)}
+            </Button>
+            {busy && <Loader2 className="w-4 h-4 animate-spin text-emerald-600" />}
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {result != null && (
+            <p className="text-sm text-emerald-600 flex items-center gap-1">
+              <CheckCircle className="w-4 h-4" /> {t.importComplete.replace('{count}', result)}
+            </p>
+          )}
+
+          {report && (
+            <div className={`text-sm ${mutedText}`}>
+              <p>
+                {report.total_rows} {t.rows} · <span className="text-emerald-600">{report.accepted} {t.accepted}</span> ·{' '}
+                <span className="text-red-600">{report.rejected} {t.rejected}</span>
+              </p>
+              <p className="text-xs mt-1">
+                {t.mappedColumns}: {Object.entries(report.columns.mapped).map(([column, field]) => `${column} → ${field}`).join(', ')}
+                {report.columns.ignored.length > 0 && ` · ${t.ignoredColumns}: ${report.columns.ignored.join(', ')}`}
+              </p>
+              <label className="flex items-center gap-2 text-xs mt-2">
+                <input type="checkbox" checked={showAccepted} onChange={(e) => setShowAccepted(e.target.checked)} />
+                {t.showAcceptedRows}
+              </label>
+            </div>
+          )}
+        </div>
+
+        {report && (
+          <div className="overflow-auto px-4 pb-4">
+            <table className="w-full text-xs">
+              <thead className={`sticky top-0 ${isDarkMode ? 'bg-slate-700' : 'bg-slate-50'}`}>
+                <tr>
+                  <th className="text-left p-2">{t.row}</th>
+                  <th className="text-left p-2">{t.status}</th>
+                  <th className="text-left p-2">{t.stationId}</th>
+                  <th className="text-left p-2">{t.timestamp}</th>
+                  <th className="text-left p-2">{t.reasons}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map(row => (
+                  <tr key={row.row} className={`border-b ${isDarkMode ? 'border-slate-600' : 'border-slate-100'}`}>
+                    <td className="p-2 font-mono">{row.row}</td>
+                    <td className="p-2">
+                      {row.status === 'accepted'
+                        ? <CheckCircle className="w-4 h-4 text-emerald-600" />
+                        : <XCircle className="w-4 h-4 text-red-600" />}
+                    </td>
+                    <td className="p-2 font-mono">{row.sensor_id ?? '—'}</td>
+                    <td className="p-2 font-mono">{row.timestamp ?? '—'}</td>
+                    <td className="p-2">{row.errors.map(e => e.reason).join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visibleRows.length === MAX_REPORT_ROWS && (
+              <p className={`text-xs mt-2 ${mutedText}`}>{t.reportTruncated.replace('{count}', MAX_REPORT_ROWS)}</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { ImportPanel };
@@ -0,0 +1,74 @@
+// ============================
+// Staff Sign-in
+// ============================
+// The dashboard is public and read-only without an account. Operators sign in
+// to resolve alerts and import history; admins also manage sensors and alert
+// thresholds.
+import React, { useState } from 'react';
+import { X, Loader2 } from 'lucide-react';
+import { Button } from './Ui.js';
+import { translations } from '../Translation.js';
+import { BackendApiService } from '../services/BackendApiService.js';
+
+const LoginPanel = ({ isDarkMode, language = 'en', onClose }) => {
+  const t = translations[language];
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await BackendApiService.login(username.trim(), password);
+      onClose();
+    } catch (err) {
+      setError(err.status === 401 ? t.invalidCredentials : err.message);
+      setBusy(false);
+    }
+  };
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+  const inputClass = `w-full text-sm rounded border px-2 py-1.5 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className={`w-full max-w-sm rounded-xl shadow-lg border ${
+          isDarkMode ? 'bg-slate-800 border-slate-700 text-white' : 'bg-white border-slate-200 text-slate-800'
+        }`}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-slate-200/60">
+          <div>
+            <h3 className="text-lg font-semibold">{t.signIn}</h3>
+            <p className={`text-sm ${mutedText}`}>{t.signInDesc}</p>
+          </div>
+          <Button type="button" variant="ghost" size="sm" onClick={onClose} aria-label={t.close}>
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <label className="block text-xs">
+            <span className={mutedText}>{t.username}</span>
+            <input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus className={inputClass} />
+          </label>
+          <label className="block text-xs">
+            <span className={mutedText}>{t.password}</span>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" className={inputClass} />
+          </label>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <Button type="submit" size="sm" className="w-full flex items-center justify-center gap-2" disabled={busy || !username || !password}>
+            {busy && <Loader2 className="w-4 h-4 animate-spin" />}
+            {t.signIn}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export { LoginPanel };
@@ -0,0 +1,196 @@
+// ============================
+// Hourly Pollutant Time Series
+// ============================
+// One pollutant at a time over the last 24 h, 7 d or 30 d at PSU, either as a
+// timeline or folded into hours of the day (Riyadh time) to show when it peaks.
+// WHO 2021 air quality guideline levels are drawn as reference lines.
+import React, { useEffect, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { AlertCircle, Loader2 } from 'lucide-react';
+import { Card } from './Ui.js';
+import { translations } from '../Translation.js';
+import { getPollutantLabel } from '../services/AirQualityIndex.js';
+
+const POLLUTANTS = ['pm25', 'pm10', 'no2', 'o3', 'so2', 'co'];
+
+const RANGES = [
+  { id: '24h', hours: 24, labelKey: 'range24h' },
+  { id: '7d', hours: 7 * 24, labelKey: 'range7d' },
+  { id: '30d', hours: 30 * 24, labelKey: 'range30d' }
+];
+
+// WHO global air quality guidelines (2021), in the schema's units (CO mg/m³)
+const WHO_GUIDELINES = {
+  pm25: [{ value: 15, labelKey: 'whoGuideline24h' }, { value: 5, labelKey: 'whoGuidelineAnnual' }],
+  pm10: [{ value: 45, labelKey: 'whoGuideline24h' }, { value: 15, labelKey: 'whoGuidelineAnnual' }],
+  no2: [{ value: 25, labelKey: 'whoGuideline24h' }, { value: 10, labelKey: 'whoGuidelineAnnual' }],
+  o3: [{ value: 100, labelKey: 'whoGuideline8h' }],
+  so2: [{ value: 40, labelKey: 'whoGuideline24h' }],
+  co: [{ value: 4, labelKey: 'whoGuideline24h' }]
+};
+
+// Saudi Arabia keeps UTC+3 all year
+const RIYADH_OFFSET_MS = 3 * 60 * 60 * 1000;
+const riyadhHour = (time) => new Date(time + RIYADH_OFFSET_MS).getUTCHours();
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const PollutantSeriesCard = ({ loadSeries, isDarkMode, language = 'en' }) => {
+  const t = translations[language];
+  const [pollutant, setPollutant] = useState('pm25');
+  const [rangeId, setRangeId] = useState('24h');
+  const [view, setView] = useState('timeline');
+  const [series, setSeries] = useState({ results: [], source: null });
+  const [status, setStatus] = useState('loading');
+
+  const range = RANGES.find(r => r.id === rangeId);
+
+  useEffect(() => {
+    // A slower answer for a range the user already left must not win
+    let cancelled = false;
+    setStatus('loading');
+    loadSeries(range.hours)
+      .then(data => {
+        if (cancelled) return;
+        setSeries({ results: data?.results ?? [], source: data?.source ?? null });
+        setStatus('success');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.warn('Pollutant time series unavailable:', error);
+        setStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [loadSeries, range.hours]);
+
+  const points = useMemo(() => series.results
+    .filter(r => r.parameter === pollutant && r.value != null)
+    .map(r => ({ time: Date.parse(r.date.utc), value: r.value, unit: r.unit }))
+    .sort((a, b) => a.time - b.time), [series, pollutant]);
+
+  // Mean per hour of the day, Riyadh time
+  const hourly = useMemo(() => {
+    const buckets = Array.from({ length: 24 }, (_, hour) => ({ hour, sum: 0, n: 0 }));
+    points.forEach(({ time, value }) => {
+      const bucket = buckets[riyadhHour(time)];
+      bucket.sum += value;
+      bucket.n += 1;
+    });
+    return buckets
+      .filter(bucket => bucket.n > 0)
+      .map(({ hour, sum, n }) => ({ hour, value: Math.round(sum / n * 100) / 100 }));
+  }, [points]);
+
+  const peak = hourly.length > 0 ? hourly.reduce((a, b) => (b.value > a.value ? b : a)) : null;
+  const unit = points[0]?.unit || (pollutant === 'co' ? 'mg/m³' : 'µg/m³');
+  const guidelines = WHO_GUIDELINES[pollutant] || [];
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+  const axisTick = { fontSize: 10, fill: isDarkMode ? '#9ca3af' : '#64748b' };
+  const inputClass = `text-xs rounded border px-1.5 py-0.5 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`;
+  const toggleClass = (active) => `px-2 py-0.5 text-xs rounded ${
+    active ? 'bg-emerald-600 text-white' : isDarkMode ? 'text-slate-300 hover:bg-slate-700' : 'text-slate-600 hover:bg-slate-100'
+  }`;
+
+  const formatTime = (time) => {
+    const date = new Date(time + RIYADH_OFFSET_MS);
+    return range.hours <= 24
+      ? formatHour(date.getUTCHours())
+      : `${date.getUTCDate()}/${date.getUTCMonth() + 1}`;
+  };
+  const formatValue = (value) => `${value} ${unit}`;
+
+  return (
+    <Card isDarkMode={isDarkMode}>
+      <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+        <div>
+          <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-slate-800'}`}>
+            {t.pollutantSeries}
+          </h3>
+          <p className={`text-sm ${mutedText}`}>{t.pollutantSeriesDesc}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-1 text-xs">
+            <span className={mutedText}>{t.pollutant}</span>
+            <select value={pollutant} onChange={(e) => setPollutant(e.target.value)} className={inputClass}>
+              {POLLUTANTS.map(id => <option key={id} value={id}>{getPollutantLabel(id)}</option>)}
+            </select>
+          </label>
+          <div className="flex gap-1">
+            {RANGES.map(r => (
+              <button key={r.id} onClick={() => setRangeId(r.id)} className={toggleClass(r.id === rangeId)}>
+                {t[r.labelKey]}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            <button onClick={() => setView('timeline')} className={toggleClass(view === 'timeline')}>{t.viewTimeline}</button>
+            <button onClick={() => setView('hourOfDay')} className={toggleClass(view === 'hourOfDay')}>{t.viewHourOfDay}</button>
+          </div>
+        </div>
+      </div>
+
+      <div className="h-64">
+        {status === 'loading' && points.length === 0 ? (
+          <div className="h-full flex items-center justify-center">
+            <Loader2 className="w-6 h-6 animate-spin text-emerald-600" />
+          </div>
+        ) : points.length === 0 ? (
+          <div className="h-full flex flex-col items-center justify-center">
+            <AlertCircle className="w-8 h-8 text-yellow-500 mb-2" />
+            <span className="text-sm text-slate-500">{t.seriesUnavailable}</span>
+          </div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={view === 'timeline' ? points : hourly}>
+              <CartesianGrid strokeDasharray="3 3" stroke={isDarkMode ? '#374151' : '#f1f5f9'} />
+              {view === 'timeline' ? (
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={formatTime}
+                  tick={axisTick}
+                  reversed={language === 'ar'}
+                />
+              ) : (
+                <XAxis dataKey="hour" tickFormatter={formatHour} tick={axisTick} reversed={language === 'ar'} />
+              )}
+              <YAxis tick={axisTick} orientation={language === 'ar' ? 'right' : 'left'} />
+              <Tooltip
+                labelFormatter={(label) => (view === 'timeline'
+                  ? new Date(label).toLocaleString(language === 'ar' ? 'ar-SA' : 'en-GB', { timeZone: 'Asia/Riyadh', dateStyle: 'medium', timeStyle: 'short' })
+                  : formatHour(label))}
+                formatter={(value) => [formatValue(value), getPollutantLabel(pollutant)]}
+                contentStyle={isDarkMode ? { backgroundColor: '#334155', border: 'none', color: '#fff' } : undefined}
+              />
+              {guidelines.map(guideline => (
+                <ReferenceLine
+                  key={guideline.labelKey}
+                  y={guideline.value}
+                  stroke={guideline.labelKey === 'whoGuidelineAnnual' ? '#94a3b8' : '#f59e0b'}
+                  strokeDasharray="4 4"
+                  label={{ value: `${t[guideline.labelKey]} (${guideline.value})`, position: 'insideTopRight', fontSize: 10, fill: isDarkMode ? '#cbd5e1' : '#64748b' }}
+                />
+              ))}
+              <Line type="monotone" dataKey="value" stroke="#0ea5e9" strokeWidth={2} dot={view === 'hourOfDay'} />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      <div className={`mt-2 flex flex-wrap justify-between gap-2 text-xs ${mutedText}`}>
+        <span>
+          {peak && `${t.peakHour}: ${formatHour(peak.hour)} (${formatValue(peak.value)})`}
+        </span>
+        <span>
+          {status === 'loading' && points.length > 0 && <Loader2 className="inline w-3 h-3 animate-spin mr-1" />}
+          {status === 'error' && points.length > 0 && t.seriesUnavailable}
+        </span>
+      </div>
+    </Card>
+  );
+};
+
+export { PollutantSeriesCard };
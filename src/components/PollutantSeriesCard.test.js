@@ -0,0 +1,88 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { PollutantSeriesCard } from './PollutantSeriesCard.js';
+
+// Hourly readings in the common schema, null where the provider had no value
+const reading = (parameter, utc, value) => ({
+  parameter,
+  value,
+  unit: parameter === 'co' ? 'mg/m³' : 'µg/m³',
+  date: { utc }
+});
+
+// 12:00, 13:00 and 14:00 Riyadh time
+const SERIES = {
+  source: 'open-meteo',
+  results: [
+    reading('pm25', '2025-06-01T09:00:00.000Z', 20),
+    reading('pm25', '2025-06-01T10:00:00.000Z', null),
+    reading('pm25', '2025-06-01T11:00:00.000Z', 30),
+    reading('co', '2025-06-01T09:00:00.000Z', 0.5),
+    reading('co', '2025-06-01T11:00:00.000Z', 0.3),
+    reading('no2', '2025-06-01T09:00:00.000Z', null)
+  ]
+};
+
+const renderCard = (loadSeries, language = 'en') => render(
+  <PollutantSeriesCard loadSeries={loadSeries} isDarkMode={false} language={language} />
+);
+
+// jsdom has no layout; the chart's ResponsiveContainer only needs to be able
+// to observe, and stays zero-sized so nothing is drawn
+beforeAll(() => {
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+afterAll(() => {
+  delete window.ResizeObserver;
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('shows the peak hour in the pollutant unit', async () => {
+  renderCard(jest.fn(async () => SERIES));
+  expect(await screen.findByText('Daily peak (Riyadh time): 14:00 (30 µg/m³)')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox'), { target: { value: 'co' } });
+  expect(screen.getByText('Daily peak (Riyadh time): 12:00 (0.5 mg/m³)')).toBeInTheDocument();
+});
+
+test('leaves missing hours out instead of reading them as zero', async () => {
+  renderCard(jest.fn(async () => SERIES));
+  await screen.findByText(/Daily peak/);
+
+  // NO₂ has only a missing hour: nothing to draw
+  fireEvent.change(screen.getByRole('combobox'), { target: { value: 'no2' } });
+  expect(screen.getByText('No hourly data for this range')).toBeInTheDocument();
+  expect(screen.queryByText(/Daily peak/)).not.toBeInTheDocument();
+});
+
+test('shows the empty state when a range has no readings or fails to load', async () => {
+  const { unmount } = renderCard(jest.fn(async () => ({ results: [], source: 'open-meteo' })));
+  expect(await screen.findByText('No hourly data for this range')).toBeInTheDocument();
+  unmount();
+
+  renderCard(jest.fn(async () => { throw new Error('No airQualityHistory provider available'); }), 'ar');
+  expect(await screen.findByText('لا توجد بيانات ساعية لهذه الفترة')).toBeInTheDocument();
+  expect(console.warn).toHaveBeenCalled();
+});
+
+test('loads the hours of the range picked', async () => {
+  const loadSeries = jest.fn(async () => SERIES);
+  renderCard(loadSeries);
+  await screen.findByText(/Daily peak/);
+  expect(loadSeries).toHaveBeenLastCalledWith(24);
+
+  fireEvent.click(screen.getByRole('button', { name: '7 d' }));
+  await screen.findByText(/Daily peak/);
+  expect(loadSeries).toHaveBeenLastCalledWith(7 * 24);
+});
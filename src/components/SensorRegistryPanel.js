@@ -0,0 +1,278 @@
+// ============================
+// Sensor Registry (admin)
+// ============================
+// Register, edit, deactivate and reactivate nodes through POST/PUT/DELETE
+// /sensors. SensorMap and the Sensor Health table render whatever is active
+// in this registry. The backend repeats every check below; these only save
+// a round trip.
+import React, { useEffect, useState } from 'react';
+import { X, Loader2, Plus, Pencil, Power } from 'lucide-react';
+import { Button } from './Ui.js';
+import { translations } from '../Translation.js';
+import { BackendApiService } from '../services/BackendApiService.js';
+
+// PSU campus as drawn by SensorMap (same box as CAMPUS_BOUNDS in backend validation)
+const CAMPUS_BOUNDS = {
+  minLat: 24.732, maxLat: 24.740,
+  minLng: 46.696, maxLng: 46.706
+};
+
+const AFFORESTATION_STATUSES = ['Afforested', 'Non-afforested', 'Pre-afforestation'];
+const STATION_TYPES = ['Node', 'Gateway', 'Node/Gateway'];
+
+const EMPTY_FORM = {
+  id: '',
+  name: '',
+  location: '',
+  district: 'Prince Sultan University',
+  afforestation_status: 'Afforested',
+  station_type: 'Node',
+  sensor_types: 'MH-Z19B, MLX90614, DS18B20, SHT30',
+  latitude: '',
+  longitude: '',
+  installation_date: '',
+  firmware_version: ''
+};
+
+const toForm = (sensor) => ({
+  ...EMPTY_FORM,
+  ...Object.fromEntries(Object.keys(EMPTY_FORM).map(field => [field, sensor[field] ?? ''])),
+  latitude: String(sensor.coordinates.latitude),
+  longitude: String(sensor.coordinates.longitude)
+});
+
+// Field -> translation key of the first problem found
+const validateSensorForm = (values, { isNew }) => {
+  const errors = {};
+  if (isNew && !/^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/.test(values.id.trim())) errors.id = 'invalidSensorId';
+  if (!values.name.trim()) errors.name = 'fieldRequired';
+
+  [['latitude', CAMPUS_BOUNDS.minLat, CAMPUS_BOUNDS.maxLat], ['longitude', CAMPUS_BOUNDS.minLng, CAMPUS_BOUNDS.maxLng]].forEach(([field, min, max]) => {
+    const value = values[field] === '' ? NaN : Number(values[field]);
+    if (!Number.isFinite(value)) errors[field] = 'fieldRequired';
+    else if (value < min || value > max) errors[field] = 'outsideCampus';
+  });
+
+  if (values.installation_date && Number.isNaN(Date.parse(values.installation_date))) errors.installation_date = 'invalidDate';
+  if (values.firmware_version && !/^\d+\.\d+(\.\d+)?$/.test(values.firmware_version.trim())) errors.firmware_version = 'invalidFirmware';
+  return errors;
+};
+
+// Form values -> request body; cleared optional fields are sent as null
+const toPayload = (values, { isNew }) => {
+  const payload = {
+    name: values.name.trim(),
+    afforestation_status: values.afforestation_status,
+    station_type: values.station_type,
+    latitude: Number(values.latitude),
+    longitude: Number(values.longitude)
+  };
+  ['location', 'district', 'sensor_types', 'installation_date', 'firmware_version'].forEach(field => {
+    payload[field] = values[field].trim() || null;
+  });
+  return isNew ? { id: values.id.trim(), ...payload } : payload;
+};
+
+const SensorRegistryPanel = ({ isDarkMode, language = 'en', onClose, onChange }) => {
+  const t = translations[language];
+  const [sensors, setSensors] = useState(null);
+  const [form, setForm] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    BackendApiService.getSensors({ includeInactive: true })
+      .then(setSensors)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const isNew = form?.id == null;
+
+  const applySensor = (sensor) => {
+    setSensors(prev => [...prev.filter(s => s.id !== sensor.id), sensor].sort((a, b) => a.id.localeCompare(b.id)));
+    onChange?.(sensor);
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      // Field-level backend rejections are shown next to the field
+      if (err.details?.field && form && err.details.field in form.values) {
+        setFieldErrors({ [err.details.field]: err.message });
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The list omits installation date and firmware, so edits start from the detailed record
+  const openForm = (sensor) => {
+    setFieldErrors({});
+    if (!sensor) {
+      setError(null);
+      setForm({ id: null, values: { ...EMPTY_FORM } });
+      return;
+    }
+    run(async () => {
+      const detailed = await BackendApiService.getSensor(sensor.id);
+      setForm({ id: detailed.id, values: toForm(detailed) });
+    });
+  };
+
+  const setValue = (field, value) => setForm(prev => ({ ...prev, values: { ...prev.values, [field]: value } }));
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const errors = validateSensorForm(form.values, { isNew });
+    setFieldErrors(Object.fromEntries(Object.entries(errors).map(([field, key]) => [field, t[key]])));
+    if (Object.keys(errors).length) return;
+
+    run(async () => {
+      const payload = toPayload(form.values, { isNew });
+      applySensor(isNew
+        ? await BackendApiService.createSensor(payload)
+        : await BackendApiService.updateSensor(form.id, payload));
+      setForm(null);
+    });
+  };
+
+  const handleToggleActive = (sensor) => {
+    if (sensor.is_active && !window.confirm(t.confirmDeactivate.replace('{id}', sensor.id))) return;
+    run(async () => {
+      applySensor(sensor.is_active
+        ? await BackendApiService.deactivateSensor(sensor.id)
+        : await BackendApiService.updateSensor(sensor.id, { is_active: true }));
+    });
+  };
+
+  const mutedText = isDarkMode ? 'text-slate-300' : 'text-slate-600';
+  const inputClass = `w-full text-sm rounded border px-2 py-1 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`;
+
+  const field = (name, label, input) => (
+    <label key={name} className="block text-xs">
+      <span className={mutedText}>{label}</span>
+      {input}
+      {fieldErrors[name] && <span className="block text-red-600 mt-0.5">{fieldErrors[name]}</span>}
+    </label>
+  );
+
+  const textInput = (name, props = {}) => (
+    <input value={form.values[name]} onChange={(e) => setValue(name, e.target.value)} className={inputClass} {...props} />
+  );
+
+  const selectInput = (name, options) => (
+    <select value={form.values[name]} onChange={(e) => setValue(name, e.target.value)} className={inputClass}>
+      {options.map(option => <option key={option} value={option}>{option}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div className={`w-full max-w-4xl max-h-[90vh] flex flex-col rounded-xl shadow-lg border ${
+        isDarkMode ? 'bg-slate-800 border-slate-700 text-white' : 'bg-white border-slate-200 text-slate-800'
+      }`}>
+        <div className="flex items-center justify-between p-4 border-b border-slate-200/60">
+          <div>
+            <h3 className="text-lg font-semibold">{t.sensorRegistry}</h3>
+            <p className={`text-sm ${mutedText}`}>{t.sensorRegistryDesc}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            {busy && <Loader2 className="w-4 h-4 animate-spin text-emerald-600" />}
+            {!form && sensors && (
+              <Button size="sm" onClick={() => openForm(null)} className="flex items-center gap-1">
+                <Plus className="w-4 h-4" /> {t.registerSensor}
+              </Button>
+            )}
+            <Button variant="ghost" size="sm" onClick={onClose} aria-label={t.close}>
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600 px-4 pt-3">{error}</p>}
+
+        {form ? (
+          <form onSubmit={handleSave} className="p-4 overflow-auto">
+            <h4 className="font-medium mb-3">{isNew ? t.registerSensor : `${t.editSensor} ${form.id}`}</h4>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {isNew && field('id', t.stationId, textInput('id', { placeholder: 'PSU-N004' }))}
+              {field('name', t.sensorName, textInput('name'))}
+              {field('location', t.sensorLocation, textInput('location'))}
+              {field('district', t.district, textInput('district'))}
+              {field('afforestation_status', t.afforestationStatus, selectInput('afforestation_status', AFFORESTATION_STATUSES))}
+              {field('station_type', t.type, selectInput('station_type', STATION_TYPES))}
+              {field('latitude', `${t.latitude} (${CAMPUS_BOUNDS.minLat}–${CAMPUS_BOUNDS.maxLat})`, textInput('latitude', { inputMode: 'decimal' }))}
+              {field('longitude', `${t.longitude} (${CAMPUS_BOUNDS.minLng}–${CAMPUS_BOUNDS.maxLng})`, textInput('longitude', { inputMode: 'decimal' }))}
+              {field('installation_date', t.installationDate, textInput('installation_date', { type: 'date' }))}
+              {field('firmware_version', t.firmwareVersion, textInput('firmware_version', { placeholder: '1.2.0' }))}
+              <div className="col-span-2">
+                {field('sensor_types', t.sensors, textInput('sensor_types'))}
+              </div>
+            </div>
+            <div className="flex justify-end gap-2 mt-4">
+              <Button type="button" variant="secondary" size="sm" onClick={() => setForm(null)} disabled={busy}>{t.cancel}</Button>
+              <Button type="submit" size="sm" disabled={busy}>{t.save}</Button>
+            </div>
+          </form>
+        ) : !sensors ? (
+          !error && <div className="p-8 flex justify-center"><Loader2 className="w-6 h-6 animate-spin text-emerald-600" /></div>
+        ) : (
+          <div className="overflow-auto px-4 pb-4 pt-2">
+            <table className="w-full text-sm">
+              <thead className={`sticky top-0 ${isDarkMode ? 'bg-slate-700' : 'bg-slate-50'}`}>
+                <tr>
+                  <th className="text-left p-2 font-medium">{t.stationId}</th>
+                  <th className="text-left p-2 font-medium">{t.sensorName}</th>
+                  <th className="text-left p-2 font-medium">{t.afforestationStatus}</th>
+                  <th className="text-left p-2 font-medium">{t.type}</th>
+                  <th className="text-left p-2 font-medium">{t.latitude}, {t.longitude}</th>
+                  <th className="text-left p-2 font-medium">{t.statusLabel}</th>
+                  <th className="p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {sensors.map(sensor => (
+                  <tr key={sensor.id} className={`border-b ${isDarkMode ? 'border-slate-600' : 'border-slate-100'} ${sensor.is_active ? '' : 'opacity-60'}`}>
+                    <td className="p-2 font-mono">{sensor.id}</td>
+                    <td className={`p-2 ${mutedText}`}>{sensor.name}</td>
+                    <td className={`p-2 ${mutedText}`}>{sensor.afforestation_status}</td>
+                    <td className={`p-2 ${mutedText}`}>{sensor.station_type}</td>
+                    <td className={`p-2 font-mono text-xs ${mutedText}`}>
+                      {sensor.coordinates.latitude.toFixed(5)}, {sensor.coordinates.longitude.toFixed(5)}
+                    </td>
+                    <td className={`p-2 text-xs ${mutedText}`}>{sensor.is_active ? sensor.status : t.deactivated}</td>
+                    <td className="p-2">
+                      <div className="flex justify-end gap-1">
+                        <Button size="sm" variant="ghost" onClick={() => openForm(sensor)} disabled={busy} aria-label={t.editSensor}>
+                          <Pencil className="w-3 h-3" />
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => handleToggleActive(sensor)}
+                          disabled={busy}
+                          title={sensor.is_active ? t.deactivateSensor : t.reactivateSensor}
+                          aria-label={sensor.is_active ? t.deactivateSensor : t.reactivateSensor}
+                        >
+                          <Power className={`w-3 h-3 ${sensor.is_active ? 'text-red-600' : 'text-emerald-600'}`} />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { CAMPUS_BOUNDS, SensorRegistryPanel };
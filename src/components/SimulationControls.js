@@ -0,0 +1,83 @@
+// ============================
+// Demo Simulation Controls
+// ============================
+// Shown with the simulated network: picks the scenario, seed and reference date,
+// all mirrored in the URL so a demo or training run can be reopened exactly.
+import React, { useEffect, useState } from 'react';
+import { Shuffle } from 'lucide-react';
+import { Button } from './Ui.js';
+import { translations } from '../Translation.js';
+import { SCENARIOS, getSimulation, configureSimulation, onSimulationChange } from '../services/Simulation.js';
+
+const SCENARIO_LABELS = {
+  normal: 'scenarioNormal',
+  heatwave: 'scenarioHeatwave',
+  dustStorm: 'scenarioDustStorm',
+  nodeFailure: 'scenarioNodeFailure'
+};
+
+const SimulationControls = ({ isDarkMode, language = 'en' }) => {
+  const t = translations[language];
+  const [simulation, setSimulation] = useState(getSimulation);
+  const [seed, setSeed] = useState(simulation.seed);
+
+  useEffect(() => onSimulationChange(next => {
+    setSimulation(next);
+    setSeed(next.seed);
+  }), []);
+
+  const applySeed = () => {
+    const trimmed = seed.trim();
+    if (trimmed && trimmed !== simulation.seed) configureSimulation({ seed: trimmed });
+    else setSeed(simulation.seed);
+  };
+
+  const inputClass = `text-xs rounded border px-1.5 py-0.5 ${isDarkMode ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-slate-300'}`;
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-2 text-xs">
+      <label className="flex items-center gap-1">
+        <span className={isDarkMode ? 'text-slate-300' : 'text-slate-600'}>{t.simulationScenario}</span>
+        <select
+          value={simulation.scenario}
+          onChange={(e) => configureSimulation({ scenario: e.target.value })}
+          className={inputClass}
+        >
+          {Object.keys(SCENARIOS).map(key => (
+            <option key={key} value={key}>{t[SCENARIO_LABELS[key]] || key}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        <span className={isDarkMode ? 'text-slate-300' : 'text-slate-600'}>{t.simulationSeed}</span>
+        <input
+          value={seed}
+          onChange={(e) => setSeed(e.target.value)}
+          onBlur={applySeed}
+          onKeyDown={(e) => e.key === 'Enter' && applySeed()}
+          className={`${inputClass} w-24`}
+        />
+      </label>
+      <label className="flex items-center gap-1">
+        <span className={isDarkMode ? 'text-slate-300' : 'text-slate-600'}>{t.simulationDate}</span>
+        <input
+          type="date"
+          value={simulation.date}
+          onChange={(e) => e.target.value && configureSimulation({ date: e.target.value })}
+          className={inputClass}
+        />
+      </label>
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => configureSimulation({ seed: Date.now().toString(36) })}
+        title={t.newSeed}
+        aria-label={t.newSeed}
+      >
+        <Shuffle className="w-3 h-3" />
+      </Button>
+    </div>
+  );
+};
+
+export { SimulationControls };
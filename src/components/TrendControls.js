@@ -0,0 +1,70 @@
+// ============================
+// Trend / Moving Average Controls
+// ============================
+// Toggles shared by the time-series charts: a linear trend overlay with a
+// slope and direction badge per series, and a 3/7/30-point moving average.
+// Windows longer than the chart's series are disabled rather than drawn empty.
+import React from 'react';
+import { TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { translations } from '../Translation.js';
+import { MOVING_AVERAGE_WINDOWS } from '../services/TrendAnalysis.js';
+
+const DIRECTIONS = {
+  rising: { icon: TrendingUp, labelKey: 'trendRising', className: 'bg-red-100 text-red-700' },
+  falling: { icon: TrendingDown, labelKey: 'trendFalling', className: 'bg-emerald-100 text-emerald-700' },
+  stable: { icon: Minus, labelKey: 'trendStable', className: 'bg-slate-100 text-slate-700' }
+};
+
+const formatSlope = (slope) => `${slope >= 0 ? '+' : ''}${slope.toFixed(2)}`;
+
+// overlay: { trend: boolean, maWindow: number | null }
+// series: [{ label, trend }] with trend from withTrendOverlays (null when too few readings)
+const TrendControls = ({ overlay, onChange, series = [], unit, pointCount, isDarkMode, language = 'en' }) => {
+  const t = translations[language];
+  const toggleClass = (active, disabled = false) => `px-2 py-0.5 text-xs rounded transition-colors ${
+    disabled
+      ? 'opacity-40 cursor-not-allowed'
+      : active
+        ? 'bg-emerald-600 text-white'
+        : isDarkMode ? 'text-slate-300 hover:bg-slate-700' : 'text-slate-600 hover:bg-slate-100'
+  }`;
+
+  return (
+    <div className="mb-2 flex flex-wrap items-center gap-2">
+      <button onClick={() => onChange({ ...overlay, trend: !overlay.trend })} className={toggleClass(overlay.trend)}>
+        {t.trendLine}
+      </button>
+      <div className="flex items-center gap-1">
+        <span className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>{t.movingAverage}</span>
+        {MOVING_AVERAGE_WINDOWS.map(windowSize => {
+          const disabled = windowSize > pointCount;
+          return (
+            <button
+              key={windowSize}
+              disabled={disabled}
+              title={disabled ? t.notEnoughPoints.replace('{n}', windowSize) : undefined}
+              onClick={() => onChange({ ...overlay, maWindow: overlay.maWindow === windowSize ? null : windowSize })}
+              className={toggleClass(overlay.maWindow === windowSize, disabled)}
+            >
+              {windowSize}
+            </button>
+          );
+        })}
+      </div>
+      {overlay.trend && series.map(({ label, trend }) => {
+        if (!trend) {
+          return <span key={label} className="text-xs text-slate-400">{label ? `${label}: ` : ''}{t.trendUnavailable}</span>;
+        }
+        const { icon: Icon, labelKey, className } = DIRECTIONS[trend.direction];
+        return (
+          <span key={label} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${className}`}>
+            <Icon className="w-3 h-3" />
+            {label ? `${label}: ` : ''}{t[labelKey]} ({formatSlope(trend.slopePerDay)} {unit}{t.perDay})
+          </span>
+        );
+      })}
+    </div>
+  );
+};
+
+export { TrendControls };
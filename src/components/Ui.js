@@ -154,7 +154,10 @@ const LoadingOverlay = ({ isLoading, widget, t }) => {
 // ============================
 // Data Freshness Indicator Component
 // ============================
-const FreshnessIndicator = ({ timestamp, size = 'sm' }) => {
+// `cachedLabel` (e.g. "Cached from 12 Oct, 14:32") marks data restored from the
+// offline cache rather than fetched in this session; `isRefreshing` spins while
+// the shown data is being replaced
+const FreshnessIndicator = ({ timestamp, size = 'sm', cachedLabel, isRefreshing = false }) => {
   const [showTimestamp, setShowTimestamp] = useState(false);
   const tooltipRef = useRef(null);
   
@@ -206,6 +209,12 @@ const FreshnessIndicator = ({ timestamp, size = 'sm' }) => {
           {DataFreshness.getAge(timestamp)}
         </div>
       )}
+      {isRefreshing && <Loader2 className={`${sizeClasses} text-slate-400 animate-spin`} />}
+      {cachedLabel && (
+        <span className="text-[10px] font-medium px-1.5 py-0.5 rounded-full bg-slate-100 text-slate-600 whitespace-nowrap">
+          {cachedLabel}
+        </span>
+      )}
     </div>
   );
 };
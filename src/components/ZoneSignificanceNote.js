@@ -0,0 +1,49 @@
+// ============================
+// Zone Significance Note
+// ============================
+// Under the Street Comparison chart: whether the afforested and non-afforested
+// zones differ beyond chance in the selected metric this year (GET
+// /aggregates/significance), with the bootstrapped 95% CI of the reduction
+// and the p-values of both paired tests (days matched across the zones).
+import React from 'react';
+import { translations } from '../Translation.js';
+
+// Street Comparison metric buttons -> /aggregates/significance metrics
+const METRIC_KEYS = { 'CO₂': 'co2', Air: 'air_temperature', Surface: 'surface_temperature' };
+
+const formatPValue = (p) => (p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`);
+
+const ZoneSignificanceNote = ({ significance, metric, isDarkMode, language = 'en' }) => {
+  const t = translations[language];
+  const result = significance?.metrics?.[METRIC_KEYS[metric]];
+  const mutedText = isDarkMode ? 'text-slate-400' : 'text-slate-500';
+
+  if (!significance || !result) {
+    return (
+      <p className={`mt-4 text-xs ${mutedText}`}>
+        {significance ? t.significanceInsufficientData : t.significanceUnavailable}
+      </p>
+    );
+  }
+
+  const { unit, difference, ci, paired_t: pairedT, wilcoxon, n, significant } = result;
+  return (
+    <div className={`mt-4 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs rounded-lg p-2 ${
+      isDarkMode ? 'bg-slate-700/50 text-slate-300' : 'bg-slate-50 text-slate-600'
+    }`}>
+      <span className={`px-2 py-0.5 rounded-full font-medium ${significant ? 'bg-emerald-100 text-emerald-800' : 'bg-slate-200 text-slate-700'}`}>
+        {significant ? t.significantDifference : t.notSignificant}
+      </span>
+      <span>
+        {t.reductionLabel}: <span className="font-semibold">{difference} {unit}</span> ({t.confidenceInterval95} {ci.lower} – {ci.upper})
+      </span>
+      {pairedT && <span>{t.pairedTTest} p {formatPValue(pairedT.p)}</span>}
+      {wilcoxon && <span>Wilcoxon p {formatPValue(wilcoxon.p)}</span>}
+      <span className={mutedText}>
+        {t.significanceDays.replace('{n}', n.paired)} · {significance.from} – {significance.to}
+      </span>
+    </div>
+  );
+};
+
+export { ZoneSignificanceNote, formatPValue };
@@ -3,6 +3,10 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { installMockApi, isMockApiEnabled } from './services/mocks';
+
+// Serve recorded fixtures instead of the live APIs (REACT_APP_MOCK_API or ?mock=1)
+if (isMockApiEnabled()) installMockApi();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
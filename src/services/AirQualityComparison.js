@@ -0,0 +1,83 @@
+// ============================
+// Air Quality Week-over-Week
+// ============================
+// Compares two hourly air-quality windows in the common schema ("before" is
+// the earlier one), as fetched for the dashboard's air quality card. Each side
+// is the mean of the hours that have a value; a side with none is left null
+// and listed in `missing` instead of filled in.
+import { getPollutantLabel } from './AirQualityIndex.js';
+
+const DEFAULT_PARAMETERS = ['pm25', 'pm10', 'no2', 'o3', 'so2', 'co'];
+
+// { [parameter]: { mean, unit, count } } over the valid positive values
+const aggregate = (data) => {
+  const bucket = {};
+  for (const m of data?.results ?? []) {
+    const p = (m.parameter || '').toLowerCase();
+    const value = Number(m.value);
+    if (!p || m.value == null || !(value > 0)) continue;
+
+    if (!bucket[p]) bucket[p] = { sum: 0, n: 0, unit: m.unit || 'µg/m³' };
+    bucket[p].sum += value;
+    bucket[p].n += 1;
+  }
+
+  return Object.fromEntries(
+    Object.entries(bucket).map(([k, v]) => [k, { mean: v.sum / v.n, unit: v.unit, count: v.n }])
+  );
+};
+
+const windowHours = (data) => (data?.window
+  ? Math.round((Date.parse(data.window.to) - Date.parse(data.window.from)) / (60 * 60 * 1000))
+  : null);
+
+// One row per parameter, or [] when neither window has any value
+const compareAirQualityWeeks = (aqNow, aqPrev, parameters = DEFAULT_PARAMETERS) => {
+  const A = aggregate(aqPrev);
+  const B = aggregate(aqNow);
+
+  const rows = parameters.map(p => {
+    const before = A[p]?.mean ?? null;
+    const after = B[p]?.mean ?? null;
+    const unit = A[p]?.unit || B[p]?.unit || (p === 'co' ? 'mg/m³' : 'µg/m³');
+    const decimals = p === 'co' ? 2 : 1;
+
+    const change = (before != null && after != null)
+      ? ((after - before) / before) * 100
+      : null;
+
+    const trend = change == null
+      ? 'missing'
+      : change < -5
+        ? 'improving'
+        : change > 5
+          ? 'worsening'
+          : 'stable';
+
+    return {
+      parameter: p,
+      pollutant: getPollutantLabel(p),
+      before: before != null ? Number(before.toFixed(decimals)) : null,
+      after: after != null ? Number(after.toFixed(decimals)) : null,
+      unit,
+      change: change != null ? Number(change.toFixed(1)) : null,
+      trend,
+      missing: [before == null && 'before', after == null && 'after'].filter(Boolean),
+      source: 'api-data',
+      dataQuality: {
+        beforeCount: A[p]?.count || 0,
+        afterCount: B[p]?.count || 0,
+        beforeHours: windowHours(aqPrev),
+        afterHours: windowHours(aqNow)
+      }
+    };
+  });
+
+  if (rows.every(r => r.missing.length === 2)) {
+    console.warn('No air quality data available for either week');
+    return [];
+  }
+  return rows;
+};
+
+export { compareAirQualityWeeks };
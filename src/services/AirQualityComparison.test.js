@@ -0,0 +1,84 @@
+import { compareAirQualityWeeks } from './AirQualityComparison.js';
+import { openMeteo } from './providers/openMeteo.js';
+
+const NOW = '2025-06-08T12:00:00.000Z';
+const WEEK_AGO = '2025-06-01T12:00:00.000Z';
+const TWO_WEEKS_AGO = '2025-05-25T12:00:00.000Z';
+const HOUR = 60 * 60 * 1000;
+
+// A fetched window: hourly readings in the common schema from `from` on
+const week = (from, to, readings) => ({
+  results: Object.entries(readings).flatMap(([parameter, values]) => values.map((value, i) => ({
+    parameter,
+    value,
+    unit: parameter === 'co' ? 'mg/m³' : 'µg/m³',
+    date: { utc: new Date(Date.parse(from) + i * HOUR).toISOString() }
+  }))),
+  window: { from, to }
+});
+
+const byParameter = (rows) => Object.fromEntries(rows.map(row => [row.parameter, row]));
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('compares the mean of each week, the earlier one as before', () => {
+  const before = week(TWO_WEEKS_AGO, WEEK_AGO, { pm25: [10, 20], pm10: [40], no2: [20], co: [0.3, 0.34] });
+  const after = week(WEEK_AGO, NOW, { pm25: [12, 12], pm10: [44], no2: [20.5], co: [0.3] });
+  const rows = byParameter(compareAirQualityWeeks(after, before));
+
+  expect(rows.pm25).toMatchObject({ pollutant: 'PM2.5', before: 15, after: 12, unit: 'µg/m³', change: -20, trend: 'improving', missing: [] });
+  expect(rows.pm10).toMatchObject({ before: 40, after: 44, change: 10, trend: 'worsening' });
+  expect(rows.no2).toMatchObject({ change: 2.5, trend: 'stable' });
+  // CO in mg/m³, to two decimals
+  expect(rows.co).toMatchObject({ before: 0.32, after: 0.3, unit: 'mg/m³' });
+  expect(rows.pm25.dataQuality).toEqual({ beforeCount: 2, afterCount: 2, beforeHours: 168, afterHours: 168 });
+});
+
+test('leaves a side without values missing instead of filling it in', () => {
+  const before = week(TWO_WEEKS_AGO, WEEK_AGO, { pm25: [10], o3: [80, 90], so2: [0] });
+  const after = week(WEEK_AGO, NOW, { pm25: [null, 11, null], o3: [null] });
+  const rows = byParameter(compareAirQualityWeeks(after, before));
+
+  // Hours without a value do not count towards the mean
+  expect(rows.pm25).toMatchObject({ before: 10, after: 11, change: 10 });
+  expect(rows.pm25.dataQuality.afterCount).toBe(1);
+  expect(rows.o3).toMatchObject({ before: 85, after: null, change: null, trend: 'missing', missing: ['after'] });
+  // Zero readings are not valid concentrations
+  expect(rows.so2).toMatchObject({ before: null, after: null, missing: ['before', 'after'] });
+  expect(rows.co).toMatchObject({ unit: 'mg/m³', missing: ['before', 'after'] });
+});
+
+test('marks a week that could not be fetched as missing', () => {
+  const rows = compareAirQualityWeeks(week(WEEK_AGO, NOW, { pm25: [14] }), null, ['pm25']);
+  expect(rows).toEqual([expect.objectContaining({
+    before: null,
+    after: 14,
+    missing: ['before'],
+    dataQuality: { beforeCount: 0, afterCount: 1, beforeHours: null, afterHours: 168 }
+  })]);
+});
+
+test('returns no rows when neither week has any value', () => {
+  expect(compareAirQualityWeeks(null, null)).toEqual([]);
+  expect(compareAirQualityWeeks(week(WEEK_AGO, NOW, {}), week(TWO_WEEKS_AGO, WEEK_AGO, { pm25: [null] }))).toEqual([]);
+  expect(console.warn).toHaveBeenCalledWith('No air quality data available for either week');
+});
+
+test('compares Open-Meteo history as normalized to the common schema', () => {
+  const history = (from, to, time, pm25, co) => ({
+    ...openMeteo.normalize('airQualityHistory', [{ hourly: { time, pm2_5: pm25, carbon_monoxide: co } }], { from, to }),
+    window: { from, to }
+  });
+  const before = history(TWO_WEEKS_AGO, WEEK_AGO, ['2025-05-25T12:00', '2025-05-25T13:00'], [20, null], [400, 200]);
+  const after = history(WEEK_AGO, NOW, ['2025-06-01T12:00', '2025-06-01T13:00'], [15, 17], [null, null]);
+  const rows = byParameter(compareAirQualityWeeks(after, before, ['pm25', 'co']));
+
+  expect(rows.pm25).toMatchObject({ before: 20, after: 16, change: -20 });
+  expect(rows.co).toMatchObject({ before: 0.3, after: null, missing: ['after'] });
+});
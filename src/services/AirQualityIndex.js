@@ -0,0 +1,135 @@
+// ============================
+// US EPA Air Quality Index
+// ============================
+// Sub-indices follow the EPA's Technical Assistance Document for the Reporting
+// of Daily Air Quality (2024 PM2.5 breakpoints): each pollutant's concentration
+// is averaged over its own window, converted to the breakpoint units, truncated,
+// and interpolated linearly inside its breakpoint band. The AQI is the highest
+// sub-index and that pollutant is the dominant one.
+//
+// Input is the common air-quality schema: [{ parameter, value, unit, date: { utc } }]
+// with gases in µg/m³ and CO in mg/m³. Values with unit 'AQI' (WAQI) are
+// already sub-indices and are used as they are.
+
+// [concentration low, concentration high, index low, index high]
+const BREAKPOINTS = {
+  pm25: [[0.0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]],
+  pm10: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]],
+  o3_8h: [[0.000, 0.054, 0, 50], [0.055, 0.070, 51, 100], [0.071, 0.085, 101, 150], [0.086, 0.105, 151, 200], [0.106, 0.200, 201, 300]],
+  o3_1h: [[0.125, 0.164, 101, 150], [0.165, 0.204, 151, 200], [0.205, 0.404, 201, 300], [0.405, 0.604, 301, 500]],
+  co: [[0.0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]],
+  so2: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]],
+  no2: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]]
+};
+
+// Averaging window (hours), breakpoint units, decimals kept when truncating,
+// and the factor from the schema's units (µg/m³, CO mg/m³) at 25 °C / 1 atm
+const POLLUTANTS = {
+  pm25: { label: 'PM2.5', windowHours: 24, units: 'µg/m³', decimals: 1, factor: 1 },
+  pm10: { label: 'PM10', windowHours: 24, units: 'µg/m³', decimals: 0, factor: 1 },
+  o3: { label: 'O₃', windowHours: 8, units: 'ppm', decimals: 3, factor: 24.45 / 48.00 / 1000 },
+  co: { label: 'CO', windowHours: 8, units: 'ppm', decimals: 1, factor: 24.45 / 28.01 },
+  so2: { label: 'SO₂', windowHours: 1, units: 'ppb', decimals: 0, factor: 24.45 / 64.07 },
+  no2: { label: 'NO₂', windowHours: 1, units: 'ppb', decimals: 0, factor: 24.45 / 46.01 }
+};
+
+// labelKey points into Translation.js
+const CATEGORIES = [
+  { id: 'good', max: 50, color: '#00e400', labelKey: 'aqiGood' },
+  { id: 'moderate', max: 100, color: '#ffff00', labelKey: 'aqiModerate' },
+  { id: 'unhealthySensitive', max: 150, color: '#ff7e00', labelKey: 'aqiUnhealthySensitive' },
+  { id: 'unhealthy', max: 200, color: '#ff0000', labelKey: 'aqiUnhealthy' },
+  { id: 'veryUnhealthy', max: 300, color: '#8f3f97', labelKey: 'aqiVeryUnhealthy' },
+  { id: 'hazardous', max: Infinity, color: '#7e0023', labelKey: 'aqiHazardous' }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const truncate = (value, decimals) => Math.floor(value * 10 ** decimals + 1e-9) / 10 ** decimals;
+
+const getAqiCategory = (aqi) => CATEGORIES.find(category => aqi <= category.max);
+
+// Index for a concentration already in breakpoint units; readings above the
+// table are reported as 500, readings in a gap between bands use the upper band
+const interpolate = (table, concentration) => {
+  const band = table.find(([, high]) => concentration <= high);
+  if (!band) return 500;
+  const [low, high, indexLow, indexHigh] = band;
+  const clamped = Math.max(concentration, low);
+  return Math.round((indexHigh - indexLow) / (high - low) * (clamped - low) + indexLow);
+};
+
+// Mean of the readings inside a window ending at the latest reading, in
+// breakpoint units. Readings without a time count as current.
+const windowAverage = (readings, windowHours, pollutant) => {
+  const times = readings.map(reading => Date.parse(reading.date?.utc) || Date.now());
+  const end = Math.max(...times);
+  const inWindow = readings.filter((_, i) => end - times[i] < windowHours * HOUR_MS);
+  const mean = inWindow.reduce((sum, reading) => sum + reading.value, 0) / inWindow.length;
+  return { concentration: truncate(mean * pollutant.factor, pollutant.decimals), samples: inWindow.length };
+};
+
+const subIndex = (parameter, readings) => {
+  const pollutant = POLLUTANTS[parameter];
+
+  // Already an index (WAQI): the latest reading stands
+  const indexed = readings.filter(reading => reading.unit === 'AQI');
+  if (indexed.length > 0) {
+    const latest = indexed.reduce((a, b) => ((Date.parse(b.date?.utc) || 0) >= (Date.parse(a.date?.utc) || 0) ? b : a));
+    return { aqi: Math.round(latest.value), concentration: null, units: 'AQI', windowHours: pollutant.windowHours, samples: 1 };
+  }
+
+  const { concentration, samples } = windowAverage(readings, pollutant.windowHours, pollutant);
+  let aqi;
+  if (parameter === 'o3') {
+    // The 8-hour table stops at 0.200 ppm; from 0.125 ppm the 1-hour average
+    // is indexed too and the higher of the two counts
+    const oneHour = windowAverage(readings, 1, pollutant).concentration;
+    const eightHour = concentration <= 0.200 ? interpolate(BREAKPOINTS.o3_8h, concentration) : 0;
+    aqi = Math.max(eightHour, oneHour >= 0.125 ? interpolate(BREAKPOINTS.o3_1h, oneHour) : 0);
+  } else if (parameter === 'so2' && concentration >= 305) {
+    // The 1-hour table stops at 304 ppb; above it the 24-hour average is used
+    aqi = interpolate(BREAKPOINTS.so2, windowAverage(readings, 24, pollutant).concentration);
+  } else {
+    aqi = interpolate(BREAKPOINTS[parameter], concentration);
+  }
+  return { aqi, concentration, units: pollutant.units, windowHours: pollutant.windowHours, samples };
+};
+
+// Category and color for an index computed elsewhere (the demo simulation)
+const describeAQI = (aqi) => {
+  const { id, color, labelKey } = getAqiCategory(aqi);
+  return { aqi, dominant: null, category: id, color, labelKey, subIndices: {} };
+};
+
+// { aqi, dominant, category, color, labelKey, subIndices } or null when no
+// pollutant has a usable reading
+const computeAQI = (results = []) => {
+  const byPollutant = {};
+  results.forEach(result => {
+    const parameter = (result.parameter || '').toLowerCase().replace('.', '');
+    // Number(null) is 0, which would read a missing value as clean air
+    const value = result.value == null ? NaN : Number(result.value);
+    if (!POLLUTANTS[parameter] || !Number.isFinite(value) || value < 0) return;
+    (byPollutant[parameter] = byPollutant[parameter] || []).push({ ...result, value });
+  });
+
+  const subIndices = Object.fromEntries(
+    Object.entries(byPollutant).map(([parameter, readings]) => [parameter, subIndex(parameter, readings)])
+  );
+  const ranked = Object.entries(subIndices).sort(([, a], [, b]) => b.aqi - a.aqi);
+  if (ranked.length === 0) return null;
+
+  const [dominant, { aqi }] = ranked[0];
+  return { ...describeAQI(aqi), dominant, subIndices };
+};
+
+const getPollutantLabel = (parameter) => POLLUTANTS[parameter]?.label ?? parameter;
+
+export {
+  CATEGORIES as AQI_CATEGORIES,
+  computeAQI,
+  describeAQI,
+  getAqiCategory,
+  getPollutantLabel
+};
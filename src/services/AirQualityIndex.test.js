@@ -0,0 +1,114 @@
+import { computeAQI, describeAQI, getAqiCategory } from './AirQualityIndex.js';
+
+const END = Date.UTC(2025, 5, 1, 12);
+const HOUR = 60 * 60 * 1000;
+
+// Hourly readings in the common schema, the last one at END
+const hourly = (parameter, values, unit = 'µg/m³') => values.map((value, i) => ({
+  parameter,
+  value,
+  unit,
+  date: { utc: new Date(END - (values.length - 1 - i) * HOUR).toISOString() }
+}));
+
+const subIndex = (readings, parameter) => computeAQI(readings).subIndices[parameter];
+
+test('interpolates inside the EPA breakpoint bands', () => {
+  // TAD worked example: 24-hour PM2.5 of 35.9 µg/m³ is AQI 102
+  expect(subIndex(hourly('pm25', [35.9]), 'pm25')).toMatchObject({ aqi: 102, concentration: 35.9, units: 'µg/m³' });
+  expect(subIndex(hourly('pm25', [9.0]), 'pm25').aqi).toBe(50);
+  expect(subIndex(hourly('pm25', [9.1]), 'pm25').aqi).toBe(51);
+  expect(subIndex(hourly('pm10', [155]), 'pm10').aqi).toBe(101);
+  // Past the top of the table
+  expect(subIndex(hourly('pm25', [400]), 'pm25').aqi).toBe(500);
+});
+
+test('truncates concentrations before looking them up', () => {
+  expect(subIndex(hourly('pm25', [35.49]), 'pm25')).toMatchObject({ aqi: 100, concentration: 35.4 });
+  expect(subIndex(hourly('pm10', [154.9]), 'pm10')).toMatchObject({ aqi: 100, concentration: 154 });
+  // 24-hour mean 9.05 -> 9.0, still Good
+  expect(subIndex(hourly('pm25', [9.0, 9.1]), 'pm25')).toMatchObject({ aqi: 50, concentration: 9 });
+});
+
+test('converts gases from the schema units to the breakpoint units', () => {
+  // CO: 10 mg/m³ x 24.45 / 28.01 = 8.73 -> 8.7 ppm
+  expect(subIndex(hourly('co', [10]), 'co')).toMatchObject({ aqi: 93, concentration: 8.7, units: 'ppm' });
+  // NO₂: 100 µg/m³ = 53.1 -> 53 ppb (top of Good); 102 µg/m³ = 54.2 -> 54 ppb
+  expect(subIndex(hourly('no2', [100]), 'no2')).toMatchObject({ aqi: 50, concentration: 53, units: 'ppb' });
+  expect(subIndex(hourly('no2', [102]), 'no2').aqi).toBe(51);
+  // SO₂: 90 µg/m³ x 24.45 / 64.07 = 34.3 -> 34 ppb
+  expect(subIndex(hourly('so2', [90]), 'so2')).toMatchObject({ aqi: 49, concentration: 34 });
+  // O₃: 120 µg/m³ x 24.45 / 48.00 = 61.1 ppb -> 0.061 ppm
+  expect(subIndex(hourly('o3', [120]), 'o3')).toMatchObject({ aqi: 71, concentration: 0.061, units: 'ppm' });
+});
+
+test('averages each pollutant over its own window', () => {
+  // A reading 8 hours before the latest is outside the O₃ and CO windows
+  const o3 = subIndex(hourly('o3', [400, ...Array(8).fill(120)]), 'o3');
+  expect(o3).toMatchObject({ aqi: 71, samples: 8, windowHours: 8 });
+  // ...but inside the 24-hour PM2.5 one
+  expect(subIndex(hourly('pm25', [20, ...Array(8).fill(5)]), 'pm25')).toMatchObject({ concentration: 6.6, samples: 9 });
+  // NO₂ is hourly: only the latest counts
+  expect(subIndex(hourly('no2', [500, 100]), 'no2')).toMatchObject({ aqi: 50, samples: 1 });
+});
+
+test('switches O₃ to the 1-hour table when the last hour is high enough', () => {
+  // 8-hour mean 125 µg/m³ (0.063 ppm) is AQI 77; the last hour at 300 µg/m³
+  // (0.152 ppm) is AQI 135 on the 1-hour table, and the higher counts
+  expect(subIndex(hourly('o3', [...Array(7).fill(100), 300]), 'o3').aqi).toBe(135);
+  // Below 0.125 ppm the 1-hour average is not indexed at all: 240 µg/m³ is
+  // 0.122 ppm, so the 8-hour mean of 117.5 µg/m³ (0.059 ppm) stands
+  expect(subIndex(hourly('o3', [...Array(7).fill(100), 240]), 'o3').aqi).toBe(64);
+  // Above 0.200 ppm the 8-hour table ends and only the 1-hour one applies
+  expect(subIndex(hourly('o3', Array(8).fill(450)), 'o3').aqi).toBe(213);
+});
+
+test('uses the 24-hour SO₂ average above 304 ppb', () => {
+  // Last hour 1000 µg/m³ = 381 ppb; the 24-hour mean of 233 µg/m³ is 89 ppb
+  const spike = subIndex(hourly('so2', [...Array(23).fill(200), 1000]), 'so2');
+  expect(spike).toMatchObject({ aqi: 107, concentration: 381 });
+  // With nothing else in the day, the 24-hour mean is the spike itself
+  expect(subIndex(hourly('so2', [1000]), 'so2').aqi).toBe(226);
+  // At 304 ppb the 1-hour table still holds
+  expect(subIndex(hourly('so2', [...Array(23).fill(0), 797]), 'so2')).toMatchObject({ aqi: 200, concentration: 304 });
+});
+
+test('takes values that are already indices (WAQI) as they are', () => {
+  const result = computeAQI([
+    ...hourly('pm25', [120, 87], 'AQI'),
+    ...hourly('o3', [35.4], 'AQI'),
+    ...hourly('no2', [60])
+  ]);
+  expect(result.subIndices.pm25).toEqual({ aqi: 87, concentration: null, units: 'AQI', windowHours: 24, samples: 1 });
+  expect(result.subIndices.o3.aqi).toBe(35);
+  expect(result.subIndices.no2.aqi).toBe(29);
+  expect(result).toMatchObject({ aqi: 87, dominant: 'pm25', category: 'moderate' });
+});
+
+test('reports the highest sub-index and its pollutant', () => {
+  const result = computeAQI([
+    ...hourly('PM2.5', [35.9]),
+    ...hourly('co', [10]),
+    ...hourly('no2', [-4]),
+    ...hourly('nh3', [50])
+  ]);
+  expect(result).toMatchObject({ aqi: 102, dominant: 'pm25', category: 'unhealthySensitive', color: '#ff7e00' });
+  expect(Object.keys(result.subIndices).sort()).toEqual(['co', 'pm25']);
+
+  expect(computeAQI([])).toBeNull();
+  expect(computeAQI(hourly('pm25', ['n/a']))).toBeNull();
+});
+
+test('leaves missing values out rather than counting them as zero', () => {
+  // 24-hour mean of the one reported hour, not of 35.9 and 0
+  expect(subIndex(hourly('pm25', [null, 35.9]), 'pm25')).toMatchObject({ aqi: 102, samples: 1 });
+  expect(computeAQI(hourly('so2', [null, undefined]))).toBeNull();
+});
+
+test('maps indices to EPA categories', () => {
+  expect([0, 50, 51, 100, 101, 150, 151, 200, 201, 300, 301, 500].map(aqi => getAqiCategory(aqi).id)).toEqual([
+    'good', 'good', 'moderate', 'moderate', 'unhealthySensitive', 'unhealthySensitive',
+    'unhealthy', 'unhealthy', 'veryUnhealthy', 'veryUnhealthy', 'hazardous', 'hazardous'
+  ]);
+  expect(describeAQI(42)).toEqual({ aqi: 42, dominant: null, category: 'good', color: '#00e400', labelKey: 'aqiGood', subIndices: {} });
+});
@@ -0,0 +1,346 @@
+// ============================
+// RawdahScope Backend API Client
+// ============================
+// Talks to the sensor network service in /backend (see BACKEND_API.md).
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api/v1';
+
+// Signed-in session ({ token, refreshToken, user }), kept across reloads.
+// Reads work without one; writes need the role BACKEND_API.md lists.
+const SESSION_KEY = 'rawdahscope.session';
+const ROLES = ['Viewer', 'Operator', 'Admin'];
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+let session = loadSession();
+let refreshing = null;
+const sessionListeners = new Set();
+
+const setSession = (next) => {
+  session = next;
+  try {
+    if (next) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    else localStorage.removeItem(SESSION_KEY);
+  } catch (e) {
+    // Storage unavailable (private mode) - the session lasts for this page only
+  }
+  sessionListeners.forEach(listener => listener(next?.user ?? null));
+};
+
+const toSession = ({ token, refresh_token, user }) => ({ token, refreshToken: refresh_token, user });
+
+const send = (path, options) => fetch(`${API_BASE_URL}${path}`, {
+  ...options,
+  headers: {
+    'Accept': 'application/json',
+    ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+    ...options.headers,
+    ...(session?.token ? { 'Authorization': `Bearer ${session.token}` } : {})
+  }
+});
+
+// One refresh at a time; a failed refresh signs the user out
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: session?.refreshToken })
+    })
+      .then(async response => {
+        const payload = await response.json().catch(() => null);
+        if (!response.ok || !payload?.success) throw new Error(payload?.error?.message || 'Session expired');
+        setSession(toSession(payload.data));
+      })
+      .catch(error => {
+        setSession(null);
+        throw error;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+};
+
+const request = async (path, options = {}) => {
+  let response = await send(path, options);
+
+  // Access tokens are short-lived: refresh once and retry
+  if (response.status === 401 && session?.refreshToken && path !== '/auth/login') {
+    try {
+      await refreshSession();
+      response = await send(path, options);
+    } catch (e) {
+      // Signed out; the original 401 is reported below
+    }
+  }
+
+  let payload = null;
+  try {
+    payload = await response.json();
+  } catch (e) {
+    // Non-JSON body (e.g. a proxy error page) - reported below
+  }
+
+  if (!response.ok || !payload?.success) {
+    const message = payload?.error?.message || `Backend API error: ${response.status} ${response.statusText}`;
+    const error = new Error(message);
+    error.status = response.status;
+    error.code = payload?.error?.code;
+    error.details = payload?.error?.details;
+    throw error;
+  }
+
+  return payload;
+};
+
+const toQuery = (params) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value != null && value !== '') search.append(key, value);
+  });
+  const query = search.toString();
+  return query ? `?${query}` : '';
+};
+
+const importQuery = (file, { sensorId, utcOffset, mapping } = {}) => toQuery({
+  filename: file.name,
+  sensor_id: sensorId,
+  utc_offset: utcOffset,
+  mapping: mapping ? JSON.stringify(mapping) : null
+});
+
+const importRequest = (file) => ({
+  method: 'POST',
+  headers: { 'Accept': 'application/json', 'Content-Type': 'application/octet-stream' },
+  body: file
+});
+
+const STREAM_EVENTS = ['reading', 'sensor_status', 'alert', 'import', 'reset'];
+const STREAM_MAX_RETRY_MS = 60 * 1000;
+
+export const BackendApiService = {
+  getCurrentUser() {
+    return session?.user ?? null;
+  },
+
+  // True when the signed-in user has `role` or a higher one
+  hasRole(role) {
+    const user = session?.user;
+    return user != null && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  },
+
+  // listener(user | null) runs on sign-in, refresh and sign-out. Returns an unsubscribe function.
+  onSessionChange(listener) {
+    sessionListeners.add(listener);
+    return () => sessionListeners.delete(listener);
+  },
+
+  async login(username, password) {
+    const { data } = await request('/auth/login', { method: 'POST', body: JSON.stringify({ username, password }) });
+    setSession(toSession(data));
+    return data.user;
+  },
+
+  // Tokens are stateless, so signing out only forgets them
+  logout() {
+    setSession(null);
+  },
+
+  refreshSession,
+
+  // Confirms a session restored from storage (refreshing it if needed) and
+  // picks up role changes. The backend being down keeps the stored session.
+  async verifySession() {
+    if (!session) return null;
+    try {
+      const { data } = await request('/auth/me');
+      setSession({ ...session, user: data });
+    } catch (error) {
+      if (error.status === 401) setSession(null);
+    }
+    return session?.user ?? null;
+  },
+
+  // includeInactive also lists deactivated nodes (registry admin view)
+  async getSensors({ includeInactive } = {}) {
+    const { data } = await request(`/sensors${toQuery({ include_inactive: includeInactive ? 'true' : null })}`);
+    return data;
+  },
+
+  async getSensor(id) {
+    const { data } = await request(`/sensors/${encodeURIComponent(id)}`);
+    return data;
+  },
+
+  async createSensor(sensor) {
+    const { data } = await request('/sensors', { method: 'POST', body: JSON.stringify(sensor) });
+    return data;
+  },
+
+  // Partial update; { is_active: true } reactivates a deactivated node
+  async updateSensor(id, fields) {
+    const { data } = await request(`/sensors/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(fields) });
+    return data;
+  },
+
+  // Soft delete: history is kept and the node's open alerts are resolved
+  async deactivateSensor(id) {
+    const { data } = await request(`/sensors/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    return data;
+  },
+
+  // §6 quality score per sensor over '24h' or '7d'; minScore overrides the flag threshold
+  async getSensorQuality({ window, minScore } = {}) {
+    const { data } = await request(`/sensors/quality${toQuery({ window, min_score: minScore })}`);
+    return data;
+  },
+
+  // Air temperature drift per node against Open-Meteo over the past `days`
+  async getSensorCalibration({ days, threshold } = {}) {
+    const { data } = await request(`/sensors/calibration${toQuery({ days, threshold })}`);
+    return data;
+  },
+
+  async getSensorReadings(sensorId, from, to, limit) {
+    const { data } = await request(`/readings${toQuery({
+      sensor_id: sensorId,
+      from: from?.toISOString(),
+      to: to?.toISOString(),
+      limit
+    })}`);
+    return data;
+  },
+
+  async getDailyAggregates({ sensorId, from, to } = {}) {
+    const { data } = await request(`/aggregates/daily${toQuery({ sensor_id: sensorId, from, to })}`);
+    return data;
+  },
+
+  async getWeeklyAggregates(weekStart) {
+    const { data } = await request(`/aggregates/weekly${toQuery({ week_start: weekStart })}`);
+    return data;
+  },
+
+  // Zone averages and afforestation impact per period ('day' | 'week' | 'month' | 'all')
+  async getZoneAggregates({ from, to, period } = {}) {
+    const { data } = await request(`/aggregates/zones${toQuery({ from, to, period })}`);
+    return data;
+  },
+
+  // Afforested vs Non-afforested per metric: `significant` from the paired t-test and
+  // Wilcoxon signed-rank test on daily differences, with a bootstrap CI of the mean
+  // difference; Welch / Mann-Whitney reported alongside as the unpaired view
+  async getZoneSignificance({ from, to } = {}) {
+    const { data } = await request(`/aggregates/significance${toQuery({ from, to })}`);
+    return data;
+  },
+
+  // 7-day forecast with 95% intervals and threshold breaches per zone ('co2' | 'air_temperature')
+  async getZoneForecast({ metric, days, historyDays } = {}) {
+    const { data } = await request(`/aggregates/forecast${toQuery({ metric, days, history_days: historyDays })}`);
+    return data;
+  },
+
+  async getBaselines(year = 2019, month) {
+    const { data } = await request(`/baselines/${year}${toQuery({ month })}`);
+    return data;
+  },
+
+  // Month-by-month baseline vs currentYear sensor averages with §3.3 changes
+  async getBaselineComparison(year = 2019, currentYear) {
+    const { data } = await request(`/baselines/${year}/comparison${toQuery({ current_year: currentYear })}`);
+    return data;
+  },
+
+  async getAlerts(filters = {}) {
+    const { data } = await request(`/alerts${toQuery(filters)}`);
+    return data;
+  },
+
+  async resolveAlert(id) {
+    const { data } = await request(`/alerts/${encodeURIComponent(id)}/resolve`, { method: 'PUT' });
+    return data;
+  },
+
+  // { co2, temperature, battery, humidity: { warning, critical } } in effect on the backend
+  async getAlertThresholds() {
+    const { data } = await request('/alerts/thresholds');
+    return data;
+  },
+
+  // Admin only; changes is { co2?, temperature?, battery?: { warning, critical } }
+  async updateAlertThresholds(changes) {
+    const { data } = await request('/alerts/thresholds', { method: 'PUT', body: JSON.stringify(changes) });
+    return data;
+  },
+
+  // Per-topic MQTT message counters ({ enabled, connected, topics })
+  async getMqttStats() {
+    const { data } = await request('/ingest/mqtt');
+    return data;
+  },
+
+  // Historical CSV/XLSX import. The file is sent as the raw body; options are
+  // { sensorId, utcOffset, mapping } (see BACKEND_API.md "Imports").
+  async previewImport(file, options = {}) {
+    const { data } = await request(`/imports/preview${importQuery(file, options)}`, importRequest(file));
+    return data;
+  },
+
+  async commitImport(file, options = {}) {
+    const { data } = await request(`/imports${importQuery(file, options)}`, importRequest(file));
+    return data;
+  },
+
+  // Live feed from GET /stream (Server-Sent Events).
+  // handlers: { reading, sensor_status, alert, reset, open, error }. EventSource
+  // resends Last-Event-ID on its own reconnects; if the browser gives up (e.g.
+  // the backend was down), we reopen with ?last_event_id= and back off.
+  // Returns a function that closes the stream.
+  subscribeToStream(handlers = {}) {
+    if (typeof EventSource === 'undefined') return () => {};
+
+    let source = null;
+    let lastEventId = null;
+    let retryMs = 3000;
+    let retryTimer = null;
+    let closed = false;
+
+    const connect = () => {
+      source = new EventSource(`${API_BASE_URL}/stream${toQuery({ last_event_id: lastEventId })}`);
+
+      source.onopen = () => {
+        retryMs = 3000;
+        handlers.open?.();
+      };
+
+      source.onerror = (event) => {
+        handlers.error?.(event);
+        if (source.readyState !== EventSource.CLOSED || closed) return;
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, STREAM_MAX_RETRY_MS);
+      };
+
+      STREAM_EVENTS.forEach(type => {
+        source.addEventListener(type, (event) => {
+          if (type === 'reset') lastEventId = null;
+          else if (event.lastEventId) lastEventId = event.lastEventId;
+          handlers[type]?.(JSON.parse(event.data));
+        });
+      });
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }
+};
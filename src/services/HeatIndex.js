@@ -0,0 +1,48 @@
+// ============================
+// Heat Index (NWS)
+// ============================
+// SENSOR_DATA_FORMULAS.md §4, done the way the US National Weather Service
+// computes it (WPC heat index equation), in °F:
+//   - the simple Steadman formula first; the Rothfusz regression only when
+//     that averages with the temperature to 80 °F or more
+//   - the regression's adjustments for low humidity (RH < 13 %, 80-112 °F)
+//     and high humidity (RH > 85 %, 80-87 °F)
+// Even adjusted, very dry heat (45 °C at 8 %) regresses to below the air
+// temperature. The index measures added heat stress, so it is never reported
+// lower than the air temperature itself.
+
+const toFahrenheit = (celsius) => celsius * 9 / 5 + 32;
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+
+const heatIndexFahrenheit = (T, RH) => {
+  const simple = 0.5 * (T + 61.0 + (T - 68.0) * 1.2 + RH * 0.094);
+  if ((simple + T) / 2 < 80) return simple;
+
+  let HI = -42.379
+    + 2.04901523 * T
+    + 10.14333127 * RH
+    - 0.22475541 * T * RH
+    - 0.00683783 * T * T
+    - 0.05481717 * RH * RH
+    + 0.00122874 * T * T * RH
+    + 0.00085282 * T * RH * RH
+    - 0.00000199 * T * T * RH * RH;
+
+  if (RH < 13 && T >= 80 && T <= 112) {
+    HI -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+  } else if (RH > 85 && T >= 80 && T <= 87) {
+    HI += ((RH - 85) / 10) * ((87 - T) / 5);
+  }
+  return HI;
+};
+
+// Heat index (°C, one decimal) from air temperature (°C) and relative
+// humidity (%); null without both
+const calculateHeatIndex = (temperature, humidity) => {
+  if (temperature == null || humidity == null) return null;
+  const T = toFahrenheit(temperature);
+  const HI = toCelsius(Math.max(heatIndexFahrenheit(T, humidity), T));
+  return Math.round(HI * 10) / 10;
+};
+
+export { calculateHeatIndex, heatIndexFahrenheit };
@@ -0,0 +1,39 @@
+import { calculateHeatIndex, heatIndexFahrenheit } from './HeatIndex.js';
+
+const fahrenheitIndex = (T, RH) => Math.round(heatIndexFahrenheit(T, RH));
+
+test('matches the NWS heat index chart', () => {
+  // NWS chart values, °F at % relative humidity
+  expect(fahrenheitIndex(80, 40)).toBe(80);
+  expect(fahrenheitIndex(90, 40)).toBe(91);
+  expect(fahrenheitIndex(100, 40)).toBe(109);
+  expect(fahrenheitIndex(96, 65)).toBe(121);
+  expect(fahrenheitIndex(90, 70)).toBe(106);
+  expect(fahrenheitIndex(86, 90)).toBe(105);
+});
+
+test('uses the simple formula below 80 °F', () => {
+  // 0.5 × (70 + 61 + 2.4 + 4.7)
+  expect(heatIndexFahrenheit(70, 50)).toBeCloseTo(69.05, 2);
+  expect(calculateHeatIndex(20, 50)).toBe(20);
+});
+
+test('applies the low and high humidity adjustments', () => {
+  // Unadjusted Rothfusz regression at 100 °F, 10 % is 94.75 °F
+  expect(heatIndexFahrenheit(100, 10)).toBeCloseTo(94.12, 2);
+  // 86 °F at 90 %: + (5 / 10) × (1 / 5)
+  expect(heatIndexFahrenheit(86, 90)).toBeCloseTo(105.4, 1);
+});
+
+test('never reports less than the air temperature', () => {
+  // Riyadh summer afternoons
+  expect(calculateHeatIndex(45, 8)).toBe(45);
+  expect(calculateHeatIndex(40, 10)).toBe(40);
+  expect(calculateHeatIndex(32, 45)).toBe(33.2);
+  expect(calculateHeatIndex(37.8, 40)).toBe(43);
+});
+
+test('needs both temperature and humidity', () => {
+  expect(calculateHeatIndex(null, 40)).toBeNull();
+  expect(calculateHeatIndex(35, undefined)).toBeNull();
+});
@@ -0,0 +1,158 @@
+// ============================
+// Seeded Demo Simulation
+// ============================
+// Every synthetic series in the dashboard draws from here instead of
+// Math.random(), so a seed and scenario always reproduce the same numbers.
+// Both come from the URL (?seed=psu-2025&scenario=heatwave); without them the
+// default seed and the normal week are used. The reference date (&date=2025-07-16)
+// stands in for today: its weekday splits the week into past and future and its
+// month sets the season, so a shared link keeps showing the same week.
+const DEFAULT_SEED = 'rawdah';
+const DEFAULT_SCENARIO = 'normal';
+
+// Local calendar date, YYYY-MM-DD
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const isValidDate = (text) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(text) && formatDate(new Date(`${text}T12:00:00`)) === text
+);
+
+// Scenario effects on the current week. Weather offsets are scaled by
+// `shape(days)`, where `days` is the distance from the reference date (negative
+// = earlier this week); past weeks only ever get the seeded noise.
+const SCENARIOS = {
+  normal: {
+    shape: () => 0
+  },
+  // Builds over four days, peaks on the reference date and holds through the rest of the week
+  heatwave: {
+    airTemp: 7, // °C
+    surfaceTemp: 10, // °C
+    co2: 12, // ppm, from peak air-conditioning load
+    aqi: 15,
+    batteryDrain: 12, // % lost to heat on every node
+    shape: days => (days > 0 ? 1 : Math.max(0, 1 + days * 0.25))
+  },
+  // A sharp one-day event centred on the reference date: dust cools the surface and the air
+  // slightly, sends particulates up and weakens the radio links
+  dustStorm: {
+    airTemp: -2,
+    surfaceTemp: -5,
+    co2: 8,
+    aqi: 140,
+    signalLoss: 30, // % signal strength
+    shape: days => Math.max(0, 1 - Math.abs(days) * 0.5)
+  },
+  // Weather as normal; failedNodes nodes go offline and one more runs low
+  nodeFailure: {
+    failedNodes: 1,
+    shape: () => 0
+  }
+};
+
+// FNV-1a, so any string works as a seed
+const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and good enough for chart noise. Returns [0, 1).
+const mulberry32 = (state) => () => {
+  state = (state + 0x6d2b79f5) | 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const createSimulation = ({ seed = DEFAULT_SEED, scenario = DEFAULT_SCENARIO, date } = {}) => {
+  const config = SCENARIOS[scenario] || SCENARIOS[DEFAULT_SCENARIO];
+  return {
+    seed,
+    scenario: SCENARIOS[scenario] ? scenario : DEFAULT_SCENARIO,
+    date: isValidDate(date) ? date : formatDate(new Date()),
+    config,
+
+    // The reference date as a Date at local noon, so getDay()/getMonth() read
+    // the calendar day in any time zone
+    today() {
+      return new Date(`${this.date}T12:00:00`);
+    },
+
+    // Independent generator per named series, so results do not depend on the
+    // order the dashboard happens to build them in. The scenario is left out
+    // of the key: switching scenario changes the event, not the background noise.
+    random(stream) {
+      return mulberry32(hashSeed(`${seed}:${stream}`));
+    },
+
+    // Scenario offset for `key` (e.g. 'airTemp') `days` from the reference date
+    effect(key, days = 0) {
+      return (config[key] || 0) * config.shape(days);
+    }
+  };
+};
+
+const readSimulationParams = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const scenario = params.get('scenario');
+  const date = params.get('date');
+  if (scenario && !SCENARIOS[scenario]) {
+    console.warn(`Unknown simulation scenario "${scenario}", using ${DEFAULT_SCENARIO}`);
+  }
+  if (date && !isValidDate(date)) {
+    console.warn(`Invalid simulation date "${date}", using today`);
+  }
+  return {
+    seed: params.get('seed') || DEFAULT_SEED,
+    scenario: SCENARIOS[scenario] ? scenario : DEFAULT_SCENARIO,
+    date: isValidDate(date) ? date : undefined
+  };
+};
+
+let simulation = createSimulation(readSimulationParams());
+const simulationListeners = new Set();
+
+const getSimulation = () => simulation;
+
+// Switches seed, scenario and/or reference date and writes them to the URL, so
+// the page can be shared or reloaded into the same story
+const configureSimulation = (changes) => {
+  simulation = createSimulation({
+    seed: simulation.seed,
+    scenario: simulation.scenario,
+    date: simulation.date,
+    ...changes
+  });
+
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', simulation.seed);
+  url.searchParams.set('scenario', simulation.scenario);
+  url.searchParams.set('date', simulation.date);
+  window.history.replaceState(null, '', url);
+
+  simulationListeners.forEach(listener => listener(simulation));
+  return simulation;
+};
+
+const onSimulationChange = (listener) => {
+  simulationListeners.add(listener);
+  return () => simulationListeners.delete(listener);
+};
+
+export {
+  SCENARIOS,
+  DEFAULT_SEED,
+  createSimulation,
+  readSimulationParams,
+  getSimulation,
+  configureSimulation,
+  onSimulationChange
+};
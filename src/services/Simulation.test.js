@@ -0,0 +1,93 @@
+import {
+  DEFAULT_SEED,
+  createSimulation,
+  readSimulationParams,
+  getSimulation,
+  configureSimulation,
+  onSimulationChange
+} from './Simulation.js';
+
+const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+
+test('replays the same numbers for the same seed and stream', () => {
+  const first = draw(createSimulation({ seed: 'psu-2025' }).random('co2'));
+  expect(draw(createSimulation({ seed: 'psu-2025' }).random('co2'))).toEqual(first);
+  first.forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+
+  expect(draw(createSimulation({ seed: 'psu-2026' }).random('co2'))).not.toEqual(first);
+  expect(draw(createSimulation({ seed: 'psu-2025' }).random('temperature'))).not.toEqual(first);
+});
+
+test('keeps streams independent of the order they are drawn in', () => {
+  const simulation = createSimulation({ seed: 'order' });
+  const temperatureFirst = draw(simulation.random('temperature'));
+  const co2After = draw(simulation.random('co2'));
+  expect(draw(createSimulation({ seed: 'order' }).random('co2'))).toEqual(co2After);
+  expect(draw(simulation.random('temperature'))).toEqual(temperatureFirst);
+});
+
+test('changes the event, not the background noise, with the scenario', () => {
+  const normal = createSimulation({ seed: 'storm', scenario: 'normal' });
+  const heatwave = createSimulation({ seed: 'storm', scenario: 'heatwave' });
+  expect(draw(heatwave.random('co2'))).toEqual(draw(normal.random('co2')));
+
+  expect(normal.effect('airTemp', 0)).toBe(0);
+  // Builds over four days, then holds
+  expect([-5, -4, -2, 0, 3].map(days => heatwave.effect('airTemp', days))).toEqual([0, 0, 3.5, 7, 7]);
+  expect(heatwave.effect('signalLoss')).toBe(0);
+
+  const dustStorm = createSimulation({ scenario: 'dustStorm' });
+  expect([-2, -1, 0, 1, 2].map(days => dustStorm.effect('aqi', days))).toEqual([0, 70, 140, 70, 0]);
+
+  const unknown = createSimulation({ scenario: 'flood' });
+  expect(unknown.scenario).toBe('normal');
+  expect(unknown.seed).toBe(DEFAULT_SEED);
+});
+
+test('reads weekday and month from the reference date', () => {
+  const simulation = createSimulation({ date: '2025-07-16' });
+  expect(simulation.date).toBe('2025-07-16');
+  expect(simulation.today().getDay()).toBe(3); // Wednesday
+  expect(simulation.today().getMonth()).toBe(6);
+
+  // Impossible or malformed dates fall back to today
+  const today = new Date();
+  ['2025-02-30', '16/07/2025', undefined].forEach(date => {
+    expect(createSimulation({ date }).today().getDate()).toBe(today.getDate());
+  });
+});
+
+test('reads seed, scenario and date from the URL', () => {
+  expect(readSimulationParams('?seed=psu-finals&scenario=heatwave&date=2025-07-16')).toEqual({
+    seed: 'psu-finals',
+    scenario: 'heatwave',
+    date: '2025-07-16'
+  });
+
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(readSimulationParams('?scenario=flood&date=tomorrow')).toEqual({ seed: DEFAULT_SEED, scenario: 'normal', date: undefined });
+  expect(warn).toHaveBeenCalledTimes(2);
+  warn.mockRestore();
+});
+
+test('writes changes to the URL and tells listeners', () => {
+  const listener = jest.fn();
+  const unsubscribe = onSimulationChange(listener);
+
+  const next = configureSimulation({ scenario: 'dustStorm', date: '2025-01-05' });
+  expect(getSimulation()).toBe(next);
+  expect(listener).toHaveBeenCalledWith(next);
+  expect(readSimulationParams(window.location.search)).toEqual({ seed: DEFAULT_SEED, scenario: 'dustStorm', date: '2025-01-05' });
+
+  // Settings not being changed carry over
+  configureSimulation({ seed: 'psu-2025' });
+  expect(readSimulationParams(window.location.search)).toEqual({ seed: 'psu-2025', scenario: 'dustStorm', date: '2025-01-05' });
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  unsubscribe();
+  configureSimulation({ scenario: 'normal' });
+  expect(listener).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,109 @@
+// ============================
+// Trend Analysis
+// ============================
+// Linear-regression trend and simple moving averages from
+// SENSOR_DATA_FORMULAS.md §7, shared by the dashboard's time-series charts.
+//
+// Series are plain arrays of numbers in chart order, with null for points that
+// have no reading. x is the point's position in the series (1, 2, 3, ...), so a
+// gap keeps the points after it where they belong instead of closing up.
+
+const MOVING_AVERAGE_WINDOWS = [3, 7, 30];
+
+// Slopes within ±threshold per day count as stable. §7.1's 0.1 suits °C;
+// CO₂ is read in whole ppm, where 0.1 ppm a day would call noise a trend.
+const STABLE_SLOPES = {
+  temperature: 0.1, // °C per day
+  co2: 1 // ppm per day
+};
+
+// Rows a chart can be built from, by how many of them make a day
+const POINTS_PER_DAY = {
+  day: 1,
+  hour: 24
+};
+
+const isReading = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// { slope, intercept, direction: 'rising' | 'falling' | 'stable', points } or
+// null with fewer than two readings. `intercept` is the value at x = 0.
+const calculateTrend = (values, stableSlope = STABLE_SLOPES.temperature) => {
+  const readings = values
+    .map((y, index) => ({ x: index + 1, y }))
+    .filter(({ y }) => isReading(y));
+  const n = readings.length;
+  if (n < 2) return null;
+
+  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+  readings.forEach(({ x, y }) => {
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumX2 += x * x;
+  });
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+
+  let direction;
+  if (slope > stableSlope) direction = 'rising';
+  else if (slope < -stableSlope) direction = 'falling';
+  else direction = 'stable';
+
+  return { slope, intercept, direction, points: n };
+};
+
+// Fitted value at every point of the series
+const trendLine = (trend, length) => Array.from({ length }, (_, index) => (
+  trend ? Math.round((trend.intercept + trend.slope * (index + 1)) * 100) / 100 : null
+));
+
+// §7.2, aligned with the input: one value per point, null until a full window
+// of readings ends there (a window with a gap in it has no average)
+const movingAverage = (values, windowSize) => values.map((_, index) => {
+  if (index < windowSize - 1) return null;
+  const window = values.slice(index - windowSize + 1, index + 1);
+  if (!window.every(isReading)) return null;
+  return Math.round(window.reduce((sum, value) => sum + value, 0) / windowSize * 100) / 100;
+});
+
+// Copies `rows` with `<key>Trend` and, when `maWindow` is set, `<key>MA` added
+// for each key. Returns the rows and each key's trend, with `slopePerDay` added
+// for rows one `interval` ('day' | 'hour') apart and judged stable or not with
+// `metric`'s threshold from STABLE_SLOPES.
+const withTrendOverlays = (rows, keys, { maWindow = null, metric = 'temperature', interval = 'day' } = {}) => {
+  const pointsPerDay = POINTS_PER_DAY[interval];
+  if (!pointsPerDay) throw new Error(`Unknown row interval "${interval}"`);
+
+  const trends = {};
+  const overlays = keys.map(key => {
+    const values = rows.map(row => row[key] ?? null);
+    const trend = calculateTrend(values, STABLE_SLOPES[metric] / pointsPerDay);
+    trends[key] = trend && { ...trend, slopePerDay: trend.slope * pointsPerDay };
+    return {
+      key,
+      fitted: trendLine(trends[key], rows.length),
+      averaged: maWindow ? movingAverage(values, maWindow) : null
+    };
+  });
+
+  const data = rows.map((row, index) => {
+    const overlaid = { ...row };
+    overlays.forEach(({ key, fitted, averaged }) => {
+      overlaid[`${key}Trend`] = fitted[index];
+      if (averaged) overlaid[`${key}MA`] = averaged[index];
+    });
+    return overlaid;
+  });
+
+  return { data, trends };
+};
+
+export {
+  MOVING_AVERAGE_WINDOWS,
+  STABLE_SLOPES,
+  calculateTrend,
+  movingAverage,
+  trendLine,
+  withTrendOverlays
+};
@@ -0,0 +1,110 @@
+import {
+  STABLE_SLOPES,
+  calculateTrend,
+  movingAverage,
+  withTrendOverlays
+} from './TrendAnalysis.js';
+
+// SENSOR_DATA_FORMULAS.md §7.1 worked example
+const CO2_WEEK = [415, 418, 420, 423, 425, 428, 430];
+
+test('fits the §7.1 example', () => {
+  const trend = calculateTrend(CO2_WEEK, STABLE_SLOPES.co2);
+  expect(trend.slope).toBeCloseTo(2.5, 10);
+  expect(trend.direction).toBe('rising');
+  expect(trend.points).toBe(7);
+  expect(trend.intercept + trend.slope * 4).toBeCloseTo(422.71, 2); // the mean at the middle x
+});
+
+test('keeps readings after a gap at their own position', () => {
+  // x = 1 and 3: slope 1, not the 2 the points would give closed up
+  const trend = calculateTrend([1, null, 3]);
+  expect(trend.slope).toBeCloseTo(1, 10);
+  expect(trend.intercept).toBeCloseTo(0, 10);
+  expect(trend.points).toBe(2);
+
+  expect(calculateTrend([null, 5, null])).toBeNull();
+  expect(calculateTrend([])).toBeNull();
+  expect(calculateTrend([NaN, 4, undefined, 6]).points).toBe(2);
+});
+
+test('judges stability against the metric threshold', () => {
+  // +0.5 a point: a trend in °C, noise in ppm
+  const halfStep = [20, 20.5, 21, 21.5];
+  expect(calculateTrend(halfStep).direction).toBe('rising');
+  expect(calculateTrend(halfStep, STABLE_SLOPES.temperature).direction).toBe('rising');
+  expect(calculateTrend(halfStep, STABLE_SLOPES.co2).direction).toBe('stable');
+  expect(calculateTrend([430, 429.5, 429, 428.5], STABLE_SLOPES.co2).direction).toBe('stable');
+  expect(calculateTrend([430, 428, 426, 424], STABLE_SLOPES.co2).direction).toBe('falling');
+
+  // The cutoff itself counts as stable
+  expect(calculateTrend([0, 1, 2], 1).direction).toBe('stable');
+  expect(calculateTrend([0, 0.05, 0.1]).direction).toBe('stable');
+  expect(calculateTrend([0, -0.2, -0.4]).direction).toBe('falling');
+});
+
+test('aligns moving averages with the window that ends at each point', () => {
+  expect(movingAverage([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+  expect(movingAverage([1, 2, 2], 3)).toEqual([null, null, 1.67]);
+  expect(movingAverage([4, 6], 1)).toEqual([4, 6]);
+  expect(movingAverage([1, 2], 3)).toEqual([null, null]);
+});
+
+test('leaves windows with a gap in them without an average', () => {
+  expect(movingAverage([1, 2, null, 4, 5, 6], 2)).toEqual([null, 1.5, null, null, 4.5, 5.5]);
+  expect(movingAverage([1, 2, null, 4, 5, 6], 3)).toEqual([null, null, null, null, null, 5]);
+});
+
+test('adds trend and moving-average columns row by row', () => {
+  const rows = [
+    { day: 'Sun', value: 420 },
+    { day: 'Mon', value: null },
+    { day: 'Tue', value: 421 },
+    { day: 'Wed', value: 421.5 },
+    { day: 'Thu', value: 422 }
+  ];
+  const { data, trends } = withTrendOverlays(rows, ['value'], { maWindow: 2, metric: 'co2' });
+
+  expect(trends.value.direction).toBe('stable');
+  expect(trends.value.points).toBe(4);
+  expect(data.map(row => row.day)).toEqual(['Sun', 'Mon', 'Tue', 'Wed', 'Thu']);
+  // The fitted line covers the gap; the moving average does not
+  expect(data[1].valueTrend).not.toBeNull();
+  expect(data.map(row => row.valueMA)).toEqual([null, null, null, 421.25, 421.75]);
+  expect(data[4].valueTrend - data[0].valueTrend).toBeCloseTo(trends.value.slope * 4, 1);
+  expect(rows[0]).toEqual({ day: 'Sun', value: 420 });
+
+  // Same rows judged in °C, and without a moving average
+  const celsius = withTrendOverlays(rows, ['value']);
+  expect(celsius.trends.value.direction).toBe('rising');
+  expect('valueMA' in celsius.data[0]).toBe(false);
+});
+
+test('fits each key on its own', () => {
+  const rows = [
+    { planted: 30, nonPlanted: 36 },
+    { planted: 30, nonPlanted: 35 },
+    { planted: 30, nonPlanted: 34 }
+  ];
+  const { data, trends } = withTrendOverlays(rows, ['planted', 'nonPlanted']);
+  expect(trends.planted.direction).toBe('stable');
+  expect(trends.nonPlanted.direction).toBe('falling');
+  expect(data.map(row => row.nonPlantedTrend)).toEqual([36, 35, 34]);
+  expect(withTrendOverlays([{ planted: 30 }], ['planted']).trends.planted).toBeNull();
+});
+
+test('reports slopes per day whatever the row interval', () => {
+  // +0.01 °C an hour is +0.24 °C a day: rising, though each step is small
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ current: 40 + hour * 0.01 }));
+  const hourly = withTrendOverlays(hours, ['current'], { interval: 'hour' }).trends.current;
+  expect(hourly.slope).toBeCloseTo(0.01, 10);
+  expect(hourly.slopePerDay).toBeCloseTo(0.24, 10);
+  expect(hourly.direction).toBe('rising');
+
+  // The same rows a day apart
+  const daily = withTrendOverlays(hours, ['current']).trends.current;
+  expect(daily.slopePerDay).toBeCloseTo(0.01, 10);
+  expect(daily.direction).toBe('stable');
+
+  expect(() => withTrendOverlays(hours, ['current'], { interval: 'week' })).toThrow('Unknown row interval "week"');
+});
@@ -0,0 +1,146 @@
+// ============================
+// Mock API layer
+// ============================
+// Wraps window.fetch so every external source ApiService and DataProcessor
+// read (Open-Meteo forecast/archive/air quality, MODIS, World Bank, Overpass,
+// OpenWeatherMap, WAQI) is answered from recorded fixtures, and can be told to
+// fail so fetchWithRetry and each widget's error state can be exercised without
+// a network. Anything else (the backend, the chat model) goes to the network.
+//
+// Switched on by REACT_APP_MOCK_API=true or ?mock=1; ?mock=0 overrides the env.
+// Failures come from REACT_APP_MOCK_FAILURES or ?mockFail=, a comma-separated
+// list of <route>:<failure>[*<times>]:
+//   route    forecast, archive, air-quality, modis, worldbank, overpass,
+//            openweathermap, waqi, or * for all of them
+//   failure  timeout | offline | malformed | an HTTP status such as 429 or 500
+//   times    only fail the first N requests to the route, then answer normally
+// e.g. ?mock=1&mockFail=archive:429*2,modis:timeout
+import { cacheManager } from '../../CacheManager.js';
+import { ROUTES, MockHttpError, findRoute } from './routes.js';
+
+const LATENCY_MS = 150;
+// A timed-out request with no AbortSignal gives up like a stalled connection
+const STALL_MS = 30000;
+const FAILURE_KINDS = ['timeout', 'offline', 'malformed'];
+const STATUS_TEXT = { 400: 'Bad Request', 404: 'Not Found', 429: 'Too Many Requests', 500: 'Internal Server Error', 502: 'Bad Gateway', 503: 'Service Unavailable' };
+
+// route id -> { failure, remaining }
+let failures = new Map();
+let realFetch = null;
+
+const parseFailures = (spec) => {
+  const parsed = new Map();
+  (spec || '').split(',').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+    const match = /^([\w*-]+):(\w+)(?:\*(\d+))?$/.exec(rule);
+    const failure = match?.[2];
+    if (!match || !(FAILURE_KINDS.includes(failure) || /^[45]\d\d$/.test(failure))) {
+      console.warn(`Ignoring mock failure rule "${rule}"`);
+      return;
+    }
+    if (match[1] !== '*' && !ROUTES.some(route => route.id === match[1])) {
+      console.warn(`Unknown mock route "${match[1]}" in "${rule}"`);
+      return;
+    }
+    parsed.set(match[1], { failure, remaining: match[3] ? Number(match[3]) : Infinity });
+  });
+  return parsed;
+};
+
+const isMockApiEnabled = (search = window.location.search) => {
+  const flag = new URLSearchParams(search).get('mock');
+  if (flag !== null) return flag !== '0' && flag !== 'false';
+  return process.env.REACT_APP_MOCK_API === 'true';
+};
+
+// Replaces the failure rules; an empty spec serves every route normally
+const setMockFailures = (spec) => {
+  failures = parseFailures(spec);
+};
+
+// The failure to inject for this request, counting it against the rule's limit
+const takeFailure = (routeId) => {
+  const rule = failures.get(routeId) || failures.get('*');
+  if (!rule || rule.remaining <= 0) return null;
+  rule.remaining -= 1;
+  return rule.failure;
+};
+
+const abortError = () => new DOMException('The user aborted a request.', 'AbortError');
+
+// Resolves after `ms`, or rejects the way fetch does when `signal` aborts first
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timeoutId = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timeoutId);
+    reject(abortError());
+  }, { once: true });
+});
+
+const respond = (routeId, body, status = 200, headers = {}) => new Response(
+  typeof body === 'string' ? body : JSON.stringify(body),
+  {
+    status,
+    statusText: status === 200 ? 'OK' : STATUS_TEXT[status] || '',
+    headers: { 'Content-Type': 'application/json', 'X-Mock-Route': routeId, ...headers }
+  }
+);
+
+const injectFailure = async (routeId, failure, signal) => {
+  switch (failure) {
+    case 'timeout':
+      await wait(STALL_MS, signal);
+      throw new TypeError('Failed to fetch');
+    case 'offline':
+      throw new TypeError('Failed to fetch');
+    case 'malformed':
+      // Cut off mid-body, as when a connection drops
+      return respond(routeId, '{"latitude":24.75,"longitude":46.6');
+    default: {
+      const status = Number(failure);
+      const headers = status === 429 ? { 'Retry-After': '60' } : {};
+      return respond(routeId, { error: true, reason: `Mocked ${status} ${STATUS_TEXT[status] || ''}`.trim() }, status, headers);
+    }
+  }
+};
+
+const mockFetch = async (input, init = {}) => {
+  const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+  const route = findRoute(url);
+  if (!route) return realFetch(input, init);
+
+  const signal = init.signal || input.signal;
+  await wait(LATENCY_MS, signal);
+
+  const failure = takeFailure(route.id);
+  if (failure) {
+    console.log(`[mock] ${route.id} ${url.pathname} -> ${failure}`);
+    return injectFailure(route.id, failure, signal);
+  }
+  try {
+    return respond(route.id, route.respond(url, Date.now()));
+  } catch (error) {
+    if (error instanceof MockHttpError) return respond(route.id, error.body, error.status);
+    throw error;
+  }
+};
+
+// Must run before the first render: it also moves the cache to its own
+// namespace so fixture data never outlives mock mode
+const installMockApi = ({ failures: spec } = {}) => {
+  if (realFetch) return;
+  realFetch = window.fetch.bind(window);
+  window.fetch = mockFetch;
+  cacheManager.setNamespace('mock');
+  setMockFailures(spec ?? new URLSearchParams(window.location.search).get('mockFail') ?? process.env.REACT_APP_MOCK_FAILURES);
+
+  // Lets failures be changed from the devtools console mid-session
+  window.rawdahMockApi = { routes: ROUTES.map(route => route.id), setFailures: setMockFailures };
+  console.log(`Mock API enabled for ${ROUTES.map(route => route.host).join(', ')}`,
+    failures.size > 0 ? Object.fromEntries(failures) : '');
+};
+
+export { installMockApi, isMockApiEnabled, setMockFailures };
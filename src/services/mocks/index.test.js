@@ -0,0 +1,86 @@
+// The mock layer and the providers are loaded afresh for every test, so the
+// mock installs over a clean fetch and each provider chain starts unthrottled.
+// Requests go through the providers' own fetch and error handling, as real
+// ones would.
+const ENV_KEYS = ['REACT_APP_OPENWEATHERMAP_API_KEY', 'REACT_APP_WAQI_TOKEN', 'REACT_APP_AIR_QUALITY_PROVIDERS'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+const savedFetch = window.fetch;
+
+const PSU = { lat: 24.73605, lng: 46.70095 };
+
+let providers;
+
+// Installs the mock with `failures` over a fetch that must not be reached, then
+// loads the providers with only the keys in `env`
+const load = ({ failures = '', env = {} } = {}) => {
+  jest.resetModules();
+  Object.assign(process.env, { REACT_APP_OPENWEATHERMAP_API_KEY: '', REACT_APP_WAQI_TOKEN: '', ...env });
+  window.fetch = jest.fn(async () => {
+    throw new Error('Unexpected network request');
+  });
+  const { installMockApi } = require('./index.js');
+  installMockApi({ failures });
+  providers = require('../providers/index.js');
+};
+
+const attemptsFor = async (capability) => {
+  const error = await providers.fetchFromProviders(capability, PSU).catch(e => e);
+  if (!error.attempts) throw new Error(`${capability} did not fail`);
+  return error.attempts;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  window.fetch = savedFetch;
+  delete window.rawdahMockApi;
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+test('answers provider requests from the fixtures without the network', async () => {
+  load();
+  const result = await providers.fetchFromProviders('airQuality', PSU);
+  expect(result.source).toBe('open-meteo');
+  expect(result.results.map(r => r.parameter)).toEqual(['pm25', 'pm10', 'no2', 'o3', 'so2', 'co']);
+});
+
+test('fails mocked HTTP errors the way real ones fail', async () => {
+  load({ failures: 'air-quality:503' });
+  expect(await attemptsFor('airQuality')).toEqual([{ provider: 'open-meteo', error: 'HTTP 503' }]);
+
+  // ...and fails over to the next provider
+  load({ failures: 'air-quality:429', env: { REACT_APP_WAQI_TOKEN: 'waqi-token' } });
+  expect((await providers.fetchFromProviders('airQuality', PSU)).source).toBe('waqi');
+});
+
+test('turns a cut-off body into a provider failure', async () => {
+  load({ failures: 'air-quality:malformed' });
+  const [attempt] = await attemptsFor('airQuality');
+  expect(attempt.provider).toBe('open-meteo');
+  expect(attempt.error).toMatch(/JSON/);
+});
+
+test('rejects like fetch when offline', async () => {
+  load({ failures: '*:offline' });
+  expect(await attemptsFor('weather')).toEqual([{ provider: 'open-meteo', error: 'Failed to fetch' }]);
+});
+
+test('answers normally once a limited failure is used up', async () => {
+  load({ failures: 'air-quality:500*1' });
+  expect(await attemptsFor('airQuality')).toEqual([{ provider: 'open-meteo', error: 'HTTP 500' }]);
+  expect((await providers.fetchFromProviders('airQuality', PSU)).source).toBe('open-meteo');
+});
+
+test('ignores failure rules it cannot read', async () => {
+  load({ failures: 'air-quality:teapot,tides:500' });
+  expect(console.warn).toHaveBeenCalledWith('Ignoring mock failure rule "air-quality:teapot"');
+  expect(console.warn).toHaveBeenCalledWith('Unknown mock route "tides" in "tides:500"');
+  expect((await providers.fetchFromProviders('airQuality', PSU)).source).toBe('open-meteo');
+});
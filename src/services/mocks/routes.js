@@ -0,0 +1,264 @@
+// ============================
+// Mock API routes
+// ============================
+// One route per external host. Each answers from its fixture in ./fixtures,
+// re-dated to the request: daily and hourly series cover the dates asked for,
+// "current" blocks carry the current time, and year-based requests are replayed
+// for the requested year.
+import forecastFixture from './fixtures/open-meteo-forecast.json';
+import archiveFixture from './fixtures/open-meteo-archive.json';
+import airQualityFixture from './fixtures/open-meteo-air-quality.json';
+import modisFixture from './fixtures/modis-mod13q1.json';
+import worldBankFixture from './fixtures/worldbank.json';
+import overpassFixture from './fixtures/overpass.json';
+import openWeatherMapFixture from './fixtures/openweathermap.json';
+import waqiFixture from './fixtures/waqi.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest date range a route will expand, like the real APIs' own limits
+const MAX_DAYS = 3660;
+
+// Answers with a non-200 status instead of the fixture
+class MockHttpError extends Error {
+  constructor(status, body) {
+    super(`HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const pick = (source, keys) => Object.fromEntries(keys.filter(key => key in source).map(key => [key, source[key]]));
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// 'YYYY-MM-DD' of `time` in a timezone `offsetSeconds` ahead of UTC
+const localDate = (time, offsetSeconds) => new Date(time + offsetSeconds * 1000).toISOString().slice(0, 10);
+
+const shiftDate = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+const dateRange = (start, end) => {
+  const first = Date.parse(start);
+  const last = Date.parse(end);
+  if (Number.isNaN(first) || Number.isNaN(last) || last < first) {
+    throw new MockHttpError(400, { error: true, reason: `Invalid date range ${start} to ${end}` });
+  }
+  const count = Math.min(MAX_DAYS, Math.round((last - first) / DAY_MS) + 1);
+  return Array.from({ length: count }, (_, i) => shiftDate(start, i));
+};
+
+// Open-Meteo takes either start_date/end_date or past_days/forecast_days
+const requestedDays = (params, today, defaultForecastDays) => {
+  if (params.get('start_date') && params.get('end_date')) {
+    return dateRange(params.get('start_date'), params.get('end_date'));
+  }
+  const pastDays = Number(params.get('past_days') || 0);
+  const forecastDays = Number(params.get('forecast_days') || defaultForecastDays);
+  return dateRange(shiftDate(today, -pastDays), shiftDate(today, forecastDays - 1));
+};
+
+const envelope = ({ _comment, hourly_day_factors, current_units, current, hourly_units, hourly, daily_units, daily, ...rest }) => rest;
+
+// Day number since the epoch, so per-day variation stays put whatever range is asked for
+const dayNumber = (date) => Math.floor(Date.parse(date) / DAY_MS);
+
+// Fixture values for `fields`, repeated over as many steps as needed; fields the
+// fixture has no values for come back as nulls
+const replay = (fixture, fields, length, indexOf) => Object.fromEntries(fields.map(field => [
+  field,
+  Array.from({ length }, (_, i) => fixture[field]?.[indexOf(i) % fixture[field].length] ?? null)
+]));
+
+// Open-Meteo style response with `current`, `hourly` and `daily` blocks as requested
+const openMeteoSeries = (fixture, url, now, defaultForecastDays) => {
+  const params = url.searchParams;
+  const offset = fixture.utc_offset_seconds;
+  const days = requestedDays(params, localDate(now, offset), defaultForecastDays);
+  const body = envelope(fixture);
+
+  const current = list(params.get('current'));
+  if (current.length > 0) {
+    const interval = fixture.current.interval;
+    const time = new Date(Math.floor((now + offset * 1000) / (interval * 1000)) * interval * 1000);
+    body.current_units = pick(fixture.current_units, ['time', 'interval', ...current]);
+    body.current = { time: time.toISOString().slice(0, 16), interval, ...pick(fixture.current, current) };
+  }
+
+  const hourly = list(params.get('hourly'));
+  if (hourly.length > 0) {
+    const times = days.flatMap(day => Array.from({ length: 24 }, (_, hour) => `${day}T${pad(hour)}:00`));
+    body.hourly_units = pick(fixture.hourly_units, ['time', ...hourly]);
+    body.hourly = { time: times, ...replay(fixture.hourly, hourly, times.length, i => i) };
+    const factors = fixture.hourly_day_factors;
+    if (factors) {
+      hourly.forEach(field => {
+        body.hourly[field] = body.hourly[field].map((value, i) => (value == null
+          ? null
+          : Math.round(value * factors[dayNumber(times[i].slice(0, 10)) % factors.length] * 10) / 10));
+      });
+    }
+  }
+
+  const daily = list(params.get('daily'));
+  if (daily.length > 0) {
+    body.daily_units = pick(fixture.daily_units || {}, ['time', ...daily]);
+    body.daily = { time: days, ...replay(fixture.daily || {}, daily, days.length, i => i) };
+  }
+  return body;
+};
+
+const openMeteoArchive = (url) => {
+  const params = url.searchParams;
+  const days = dateRange(params.get('start_date'), params.get('end_date'));
+  const { monthly, anomalies, rainDays } = archiveFixture;
+  const fields = list(params.get('daily'));
+
+  const value = (field, date) => {
+    if (!monthly[field]) return null;
+    const month = Number(date.slice(5, 7)) - 1;
+    const day = Number(date.slice(8, 10));
+    if (field === 'precipitation_sum') return rainDays.includes(day) ? monthly[field][month] : 0;
+    return Math.round((monthly[field][month] + anomalies[day - 1]) * 10) / 10;
+  };
+
+  return {
+    ...pick(archiveFixture, ['latitude', 'longitude', 'generationtime_ms', 'utc_offset_seconds', 'timezone', 'timezone_abbreviation', 'elevation']),
+    daily_units: pick(archiveFixture.daily_units, ['time', ...fields]),
+    daily: {
+      time: days,
+      ...Object.fromEntries(fields.map(field => [field, days.map(date => value(field, date))]))
+    }
+  };
+};
+
+// MOD13Q1 composites start every 16 days from day 1 of each year
+const modisSubset = (url, now) => {
+  const parseDate = (value) => {
+    const match = /^A(\d{4})(\d{3})$/.exec(value || '');
+    if (!match) throw new MockHttpError(400, { message: `Invalid MODIS date "${value}"` });
+    return { year: Number(match[1]), doy: Number(match[2]) };
+  };
+  const start = parseDate(url.searchParams.get('startDate'));
+  const end = parseDate(url.searchParams.get('endDate'));
+  const today = new Date(now).toISOString().slice(0, 10);
+
+  const composites = [];
+  for (let year = start.year; year <= end.year; year++) {
+    for (let doy = 1; doy <= 366; doy += 16) {
+      if ((year === start.year && doy < start.doy) || (year === end.year && doy > end.doy)) continue;
+      const calendarDate = new Date(Date.UTC(year, 0, doy)).toISOString().slice(0, 10);
+      // Composites are only published once their 16 days are over
+      if (shiftDate(calendarDate, 16) > today) continue;
+      composites.push({ year, doy, calendarDate });
+    }
+  }
+
+  const { _comment, subset, ...header } = modisFixture;
+  return {
+    ...header,
+    latitude: Number(url.searchParams.get('latitude')),
+    longitude: Number(url.searchParams.get('longitude')),
+    header: url.toString(),
+    subset: composites.map(({ year, doy, calendarDate }, i) => ({
+      modis_date: `A${year}${pad(doy, 3)}`,
+      calendar_date: calendarDate,
+      ...subset[i % subset.length]
+    }))
+  };
+};
+
+// /v2/country/{code}/indicator/{id}?date=from:to, newest year first
+const worldBankIndicator = (url) => {
+  const id = url.pathname.split('/').pop();
+  const indicator = worldBankFixture[id];
+  if (!indicator) {
+    // The World Bank reports unknown indicators with a 200 and a message
+    return [{ message: [{ id: '120', key: 'Invalid value', value: 'The provided parameter value is not valid' }] }];
+  }
+
+  const [from, to = from] = (url.searchParams.get('date') || '').split(':').map(Number);
+  const { meta, values, ...series } = indicator;
+  const rows = Object.keys(values)
+    .map(Number)
+    .filter(year => (!from || year >= from) && (!to || year <= to))
+    .sort((a, b) => b - a)
+    .map(year => ({
+      indicator: series.indicator,
+      country: series.country,
+      countryiso3code: series.countryiso3code,
+      date: String(year),
+      value: values[year],
+      unit: '',
+      obs_status: '',
+      decimal: series.decimal
+    }));
+  return [{ ...meta, total: rows.length }, rows];
+};
+
+const openWeatherMap = (url, now) => {
+  const { weather, forecast, air_pollution: airPollution } = openWeatherMapFixture;
+  const seconds = Math.floor(now / 1000);
+
+  switch (url.pathname.split('/').pop()) {
+    case 'weather':
+      return { ...weather, dt: seconds };
+    case 'forecast': {
+      // 3-hourly from the next slot; fixture entries are by UTC time of day
+      const first = Math.ceil(seconds / 10800) * 10800;
+      return {
+        ...forecast,
+        list: Array.from({ length: forecast.cnt }, (_, i) => {
+          const dt = first + i * 10800;
+          const entry = forecast.list[new Date(dt * 1000).getUTCHours() / 3];
+          return { dt, ...entry, dt_txt: new Date(dt * 1000).toISOString().replace('T', ' ').slice(0, 19) };
+        })
+      };
+    }
+    case 'air_pollution':
+      return { ...airPollution, list: airPollution.list.map(entry => ({ ...entry, dt: seconds })) };
+    case 'history': {
+      // /air_pollution/history: hourly from `start`, `end` exclusive
+      const start = Math.ceil(Number(url.searchParams.get('start')) / 3600) * 3600;
+      const end = Math.min(Number(url.searchParams.get('end')), seconds);
+      const [entry] = airPollution.list;
+      const count = Math.max(0, Math.min(MAX_DAYS * 24, Math.ceil((end - start) / 3600)));
+      return { ...airPollution, list: Array.from({ length: count }, (_, i) => ({ ...entry, dt: start + i * 3600 })) };
+    }
+    default:
+      throw new MockHttpError(404, { cod: '404', message: 'Internal error' });
+  }
+};
+
+const waqiFeed = (url, now) => {
+  const { time } = waqiFixture.data;
+  const stationNow = new Date(Math.floor(now / 3600000) * 3600000);
+  const local = new Date(stationNow.getTime() + 3 * 3600000).toISOString();
+  return {
+    ...waqiFixture,
+    data: {
+      ...waqiFixture.data,
+      time: {
+        ...time,
+        s: `${local.slice(0, 10)} ${local.slice(11, 19)}`,
+        v: stationNow.getTime() / 1000,
+        iso: `${local.slice(0, 19)}${time.tz}`
+      }
+    }
+  };
+};
+
+const ROUTES = [
+  { id: 'forecast', host: 'api.open-meteo.com', respond: (url, now) => openMeteoSeries(forecastFixture, url, now, 7) },
+  { id: 'archive', host: 'archive-api.open-meteo.com', respond: openMeteoArchive },
+  { id: 'air-quality', host: 'air-quality-api.open-meteo.com', respond: (url, now) => openMeteoSeries(airQualityFixture, url, now, 5) },
+  { id: 'modis', host: 'modis.ornl.gov', respond: modisSubset },
+  { id: 'worldbank', host: 'api.worldbank.org', respond: worldBankIndicator },
+  { id: 'overpass', host: 'overpass-api.de', respond: () => overpassFixture },
+  { id: 'openweathermap', host: 'api.openweathermap.org', respond: openWeatherMap },
+  { id: 'waqi', host: 'api.waqi.info', respond: waqiFeed }
+];
+
+const findRoute = (url) => ROUTES.find(route => route.host === url.hostname) || null;
+
+export { ROUTES, MockHttpError, findRoute };
@@ -0,0 +1,126 @@
+// ============================
+// Weather & Air-Quality Providers
+// ============================
+// Every external weather or air-quality source is an adapter with the same
+// shape, tried in a configurable order until one answers:
+//
+//   {
+//     id, name,
+//     capabilities: ['weather', 'current', 'airQuality', 'airQualityHistory'],
+//     rateLimit: { requests, windowMs },   // enforced client-side
+//     isConfigured(),                      // false without the API key it needs
+//     requests(capability, params),        // URLs to GET, in order
+//     normalize(capability, responses, params) // parsed JSON -> common schema
+//   }
+//
+// Common schema (field names follow Open-Meteo / OpenAQ, which the processors
+// in RawdahDashboard.js already read):
+//   current    { current: { time, temperature_2m, apparent_temperature,
+//              relative_humidity_2m } } (null where the provider lacks one)
+//   weather    current plus surface_pressure, wind_speed_10m (km/h), and
+//              daily: { time[], temperature_2m_max[],
+//              temperature_2m_min[], temperature_2m_mean[] } for as many
+//              days as the provider has
+//   airQuality { results: [{ parameter, value, unit, date: { utc } }] }
+//              (value null where the provider has no reading)
+//   airQualityHistory
+//              the same, one result per pollutant per hour in [from, to)
+//              (ISO params); hours without a value are left out
+// The served result also carries `source`, the provider id.
+import { openMeteo } from './openMeteo.js';
+import { openWeatherMap } from './openWeatherMap.js';
+import { waqi } from './waqi.js';
+
+const PROVIDERS = [openMeteo, openWeatherMap, waqi];
+const REQUEST_TIMEOUT_MS = 10000;
+
+const parseOrder = (value, fallback) => (value ? value.split(',').map(id => id.trim()).filter(Boolean) : fallback);
+
+// Failover order per capability; REACT_APP_WEATHER_PROVIDERS applies to both
+// weather capabilities
+const providerOrder = {
+  weather: parseOrder(process.env.REACT_APP_WEATHER_PROVIDERS, ['open-meteo', 'openweathermap']),
+  current: parseOrder(process.env.REACT_APP_WEATHER_PROVIDERS, ['open-meteo', 'openweathermap', 'waqi']),
+  airQuality: parseOrder(process.env.REACT_APP_AIR_QUALITY_PROVIDERS, ['open-meteo', 'waqi', 'openweathermap']),
+  // WAQI has no history, so it drops out of this chain
+  airQualityHistory: parseOrder(process.env.REACT_APP_AIR_QUALITY_PROVIDERS, ['open-meteo', 'openweathermap'])
+};
+
+// Request times per provider inside its current rate-limit window
+const recentRequests = new Map();
+
+const takeRequestSlots = (provider, count) => {
+  const { requests, windowMs } = provider.rateLimit;
+  const now = Date.now();
+  const recent = (recentRequests.get(provider.id) || []).filter(time => now - time < windowMs);
+  if (recent.length + count > requests) {
+    recentRequests.set(provider.id, recent);
+    return false;
+  }
+  recentRequests.set(provider.id, [...recent, ...Array(count).fill(now)]);
+  return true;
+};
+
+const fetchJson = async (url) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const getProvider = (id) => PROVIDERS.find(provider => provider.id === id) || null;
+
+const getProviderName = (id) => getProvider(id)?.name ?? id;
+
+// Providers that will be tried for `capability`, in order
+const getProviderChain = (capability) => providerOrder[capability]
+  .map(getProvider)
+  .filter(provider => provider && provider.capabilities.includes(capability) && provider.isConfigured());
+
+const setProviderOrder = (capability, ids) => {
+  if (!providerOrder[capability]) throw new Error(`Unknown provider capability "${capability}"`);
+  providerOrder[capability] = [...ids];
+};
+
+// Serves `capability` from the first provider in the chain that answers with
+// usable data. Rate-limited providers are skipped, not waited for. Throws with
+// `attempts` ([{ provider, error }]) when none could.
+const fetchFromProviders = async (capability, params) => {
+  const attempts = [];
+  for (const provider of getProviderChain(capability)) {
+    const urls = provider.requests(capability, params);
+    if (!takeRequestSlots(provider, urls.length)) {
+      attempts.push({ provider: provider.id, error: 'rate limited' });
+      continue;
+    }
+    try {
+      const responses = await Promise.all(urls.map(fetchJson));
+      return { ...provider.normalize(capability, responses, params), source: provider.id };
+    } catch (error) {
+      console.log(`${provider.name} failed for ${capability}, trying the next provider...`, error.message);
+      attempts.push({ provider: provider.id, error: error.message });
+    }
+  }
+
+  const error = new Error(`No ${capability} provider available (${attempts.map(a => `${a.provider}: ${a.error}`).join('; ') || 'none configured'})`);
+  error.attempts = attempts;
+  throw error;
+};
+
+export {
+  PROVIDERS,
+  fetchFromProviders,
+  getProvider,
+  getProviderName,
+  getProviderChain,
+  setProviderOrder
+};
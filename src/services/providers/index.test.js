@@ -0,0 +1,111 @@
+// Each test loads the providers afresh, with both API keys set, so failover
+// order, rate-limit windows and environment overrides start clean
+const ENV_KEYS = ['REACT_APP_OPENWEATHERMAP_API_KEY', 'REACT_APP_WAQI_TOKEN', 'REACT_APP_AIR_QUALITY_PROVIDERS'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const PSU = { lat: 24.73605, lng: 46.70095 };
+
+// Host -> JSON body, or an HTTP status to fail with
+let routes;
+let providers;
+
+const loadProviders = (env = {}) => {
+  jest.resetModules();
+  Object.assign(process.env, {
+    REACT_APP_OPENWEATHERMAP_API_KEY: 'owm-key',
+    REACT_APP_WAQI_TOKEN: 'waqi-token',
+    ...env
+  });
+  return require('./index.js');
+};
+
+const requestedHosts = () => global.fetch.mock.calls.map(([url]) => new URL(url).hostname);
+
+beforeEach(() => {
+  routes = {};
+  global.fetch = jest.fn(async (url) => {
+    const answer = routes[new URL(url).hostname];
+    if (answer === undefined) throw new Error(`Unexpected request ${url}`);
+    return typeof answer === 'number'
+      ? { ok: false, status: answer, json: async () => ({}) }
+      : { ok: true, status: 200, json: async () => answer };
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  providers = loadProviders();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+const OPEN_METEO_AIR = { current: { pm2_5: 12, pm10: 40, nitrogen_dioxide: 20, ozone: 90, sulphur_dioxide: 5, carbon_monoxide: 300 } };
+const WAQI_STATION = { status: 'ok', data: { iaqi: { pm25: { v: 61 } }, time: { iso: '2025-06-01T12:00:00+03:00' } } };
+const OWM_AIR = { list: [{ dt: 1748768400, components: { pm2_5: 15, pm10: 50, no2: 10, o3: 80, so2: 4, co: 250 } }] };
+
+test('serves a capability from the first provider in the chain', async () => {
+  routes['air-quality-api.open-meteo.com'] = OPEN_METEO_AIR;
+
+  const result = await providers.fetchFromProviders('airQuality', PSU);
+  expect(result.source).toBe('open-meteo');
+  expect(requestedHosts()).toEqual(['air-quality-api.open-meteo.com']);
+});
+
+test('fails over in order until a provider answers with usable data', async () => {
+  routes['air-quality-api.open-meteo.com'] = 503;
+  // WAQI reports its failures as HTTP 200
+  routes['api.waqi.info'] = { status: 'error', data: 'Unknown station' };
+  routes['api.openweathermap.org'] = OWM_AIR;
+
+  const result = await providers.fetchFromProviders('airQuality', PSU);
+  expect(result.source).toBe('openweathermap');
+  expect(result.results).toHaveLength(6);
+  expect(requestedHosts()).toEqual(['air-quality-api.open-meteo.com', 'api.waqi.info', 'api.openweathermap.org']);
+});
+
+test('reports every attempt when no provider can answer', async () => {
+  routes['air-quality-api.open-meteo.com'] = 500;
+  routes['api.waqi.info'] = 429;
+  routes['api.openweathermap.org'] = { list: [] };
+
+  const error = await providers.fetchFromProviders('airQuality', PSU).catch(e => e);
+  expect(error.attempts).toEqual([
+    { provider: 'open-meteo', error: 'HTTP 500' },
+    { provider: 'waqi', error: 'HTTP 429' },
+    { provider: 'openweathermap', error: 'OpenWeatherMap returned no air quality data' }
+  ]);
+  expect(error.message).toMatch(/^No airQuality provider available \(open-meteo: HTTP 500; /);
+});
+
+test('skips providers past their rate limit without requesting', async () => {
+  routes['air-quality-api.open-meteo.com'] = OPEN_METEO_AIR;
+  routes['api.waqi.info'] = WAQI_STATION;
+  providers.getProvider('open-meteo').rateLimit = { requests: 1, windowMs: 60 * 1000 };
+
+  expect((await providers.fetchFromProviders('airQuality', PSU)).source).toBe('open-meteo');
+  expect((await providers.fetchFromProviders('airQuality', PSU)).source).toBe('waqi');
+  expect(requestedHosts()).toEqual(['air-quality-api.open-meteo.com', 'api.waqi.info']);
+});
+
+test('leaves unconfigured and incapable providers out of the chain', () => {
+  const ids = (capability) => providers.getProviderChain(capability).map(provider => provider.id);
+  expect(ids('airQuality')).toEqual(['open-meteo', 'waqi', 'openweathermap']);
+  expect(ids('airQualityHistory')).toEqual(['open-meteo', 'openweathermap']);
+  expect(ids('weather')).toEqual(['open-meteo', 'openweathermap']);
+
+  providers = loadProviders({ REACT_APP_OPENWEATHERMAP_API_KEY: '', REACT_APP_WAQI_TOKEN: '' });
+  expect(providers.getProviderChain('airQuality').map(provider => provider.id)).toEqual(['open-meteo']);
+});
+
+test('takes the failover order from the environment or at run time', () => {
+  providers = loadProviders({ REACT_APP_AIR_QUALITY_PROVIDERS: 'waqi, open-meteo, unknown' });
+  expect(providers.getProviderChain('airQuality').map(provider => provider.id)).toEqual(['waqi', 'open-meteo']);
+
+  providers.setProviderOrder('airQuality', ['openweathermap']);
+  expect(providers.getProviderChain('airQuality').map(provider => provider.id)).toEqual(['openweathermap']);
+  expect(() => providers.setProviderOrder('tides', ['open-meteo'])).toThrow('Unknown provider capability "tides"');
+});
@@ -0,0 +1,117 @@
+// ============================
+// Open-Meteo adapter
+// ============================
+// Free and keyless; the default for every capability. Its responses already
+// use the common schema's field names.
+const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
+const AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+const buildUrl = (base, params) => {
+  const url = new URL(base);
+  url.search = new URLSearchParams(params).toString();
+  return url.toString();
+};
+
+// [common parameter, Open-Meteo variable]; everything is µg/m³, CO is
+// reported in mg/m³ like the other providers
+const POLLUTANTS = [
+  ['pm25', 'pm2_5'],
+  ['pm10', 'pm10'],
+  ['no2', 'nitrogen_dioxide'],
+  ['o3', 'ozone'],
+  ['so2', 'sulphur_dioxide'],
+  ['co', 'carbon_monoxide']
+];
+const POLLUTANT_VARIABLES = POLLUTANTS.map(([, variable]) => variable).join(',');
+
+// A missing value stays null rather than reading as clean air
+const toResult = (parameter, value, date) => ({
+  parameter,
+  value: value == null || parameter !== 'co' ? value : value / 1000,
+  unit: parameter === 'co' ? 'mg/m³' : 'µg/m³',
+  date
+});
+
+const requireCurrent = (json) => {
+  if (json.current?.temperature_2m == null) throw new Error('Open-Meteo returned no current temperature');
+  return json.current;
+};
+
+const openMeteo = {
+  id: 'open-meteo',
+  name: 'Open-Meteo',
+  capabilities: ['weather', 'current', 'airQuality', 'airQualityHistory'],
+  // Free tier: 600 calls per minute
+  rateLimit: { requests: 600, windowMs: 60 * 1000 },
+
+  isConfigured: () => true,
+
+  requests(capability, { lat, lng, pastDays = 3, forecastDays = 3, from, to }) {
+    const location = { latitude: String(lat), longitude: String(lng), timezone: 'Asia/Riyadh' };
+    switch (capability) {
+      case 'weather':
+        return [buildUrl(WEATHER_URL, {
+          ...location,
+          current: 'temperature_2m,relative_humidity_2m,surface_pressure,wind_speed_10m,weathercode,apparent_temperature',
+          hourly: 'temperature_2m,relative_humidity_2m,surface_pressure,apparent_temperature',
+          daily: 'temperature_2m_max,temperature_2m_min,temperature_2m_mean,weathercode,apparent_temperature_max,apparent_temperature_min',
+          past_days: String(pastDays),
+          forecast_days: String(forecastDays)
+        })];
+      case 'current':
+        return [buildUrl(WEATHER_URL, { ...location, current: 'temperature_2m,apparent_temperature,relative_humidity_2m' })];
+      case 'airQuality':
+        return [buildUrl(AIR_QUALITY_URL, {
+          latitude: String(lat),
+          longitude: String(lng),
+          current: POLLUTANT_VARIABLES
+        })];
+      case 'airQualityHistory':
+        // Whole UTC days; normalize() trims to the window
+        return [buildUrl(AIR_QUALITY_URL, {
+          latitude: String(lat),
+          longitude: String(lng),
+          hourly: POLLUTANT_VARIABLES,
+          start_date: from.slice(0, 10),
+          end_date: to.slice(0, 10),
+          timezone: 'GMT'
+        })];
+      default:
+        throw new Error(`Open-Meteo does not provide ${capability}`);
+    }
+  },
+
+  normalize(capability, [json], params) {
+    if (capability === 'airQuality') {
+      const c = json.current;
+      if (!c) throw new Error('Open-Meteo returned no air quality data');
+      const date = { utc: new Date().toISOString() };
+      return { results: POLLUTANTS.map(([parameter, variable]) => toResult(parameter, c[variable] ?? null, date)) };
+    }
+    if (capability === 'airQualityHistory') {
+      const hourly = json.hourly;
+      if (!hourly?.time) throw new Error('Open-Meteo returned no hourly air quality');
+      const from = Date.parse(params.from);
+      const to = Date.parse(params.to);
+      const results = [];
+      hourly.time.forEach((time, i) => {
+        const utc = Date.parse(`${time}Z`);
+        if (utc < from || utc >= to) return;
+        const date = { utc: new Date(utc).toISOString() };
+        // Hours the model has no value for are left out, not zeroed
+        POLLUTANTS.forEach(([parameter, variable]) => {
+          const value = hourly[variable]?.[i];
+          if (value != null) results.push(toResult(parameter, value, date));
+        });
+      });
+      if (results.length === 0) throw new Error('Open-Meteo has no air quality for the requested window');
+      return { results };
+    }
+    const current = requireCurrent(json);
+    return capability === 'weather'
+      ? { current, hourly: json.hourly, daily: json.daily }
+      : { current };
+  }
+};
+
+export { openMeteo };
@@ -0,0 +1,73 @@
+import { openMeteo } from './openMeteo.js';
+
+const PSU = { lat: 24.73605, lng: 46.70095 };
+
+const byParameter = (results) => Object.fromEntries(results.map(({ parameter, value, unit }) => [parameter, { value, unit }]));
+
+test('converts current air quality to the common schema, CO in mg/m³', () => {
+  const { results } = openMeteo.normalize('airQuality', [{
+    current: { pm2_5: 12.4, pm10: 40, nitrogen_dioxide: 20.5, ozone: 90, sulphur_dioxide: null, carbon_monoxide: 310 }
+  }]);
+  expect(byParameter(results)).toEqual({
+    pm25: { value: 12.4, unit: 'µg/m³' },
+    pm10: { value: 40, unit: 'µg/m³' },
+    no2: { value: 20.5, unit: 'µg/m³' },
+    o3: { value: 90, unit: 'µg/m³' },
+    so2: { value: null, unit: 'µg/m³' },
+    co: { value: 0.31, unit: 'mg/m³' }
+  });
+  expect(() => openMeteo.normalize('airQuality', [{}])).toThrow('Open-Meteo returned no air quality data');
+});
+
+test('trims hourly history to the window and leaves out missing hours', () => {
+  const hourly = {
+    time: ['2025-06-01T08:00', '2025-06-01T09:00', '2025-06-01T10:00', '2025-06-01T11:00'],
+    pm2_5: [10, 11, null, 13],
+    carbon_monoxide: [200, null, 220, 230]
+  };
+  const { results } = openMeteo.normalize('airQualityHistory', [{ hourly }], {
+    from: '2025-06-01T09:00:00.000Z',
+    to: '2025-06-01T11:00:00.000Z'
+  });
+  expect(results).toEqual([
+    { parameter: 'pm25', value: 11, unit: 'µg/m³', date: { utc: '2025-06-01T09:00:00.000Z' } },
+    { parameter: 'co', value: 0.22, unit: 'mg/m³', date: { utc: '2025-06-01T10:00:00.000Z' } }
+  ]);
+
+  expect(() => openMeteo.normalize('airQualityHistory', [{ hourly }], {
+    from: '2025-06-02T00:00:00.000Z',
+    to: '2025-06-03T00:00:00.000Z'
+  })).toThrow('Open-Meteo has no air quality for the requested window');
+});
+
+test('keeps the window end exclusive and skips pollutants the model leaves out', () => {
+  const hourly = {
+    time: ['2025-06-01T23:00', '2025-06-02T00:00'],
+    pm2_5: [18, 19],
+    ozone: [95, 97]
+  };
+  const { results } = openMeteo.normalize('airQualityHistory', [{ hourly }], {
+    from: '2025-06-01T00:00:00.000Z',
+    to: '2025-06-02T00:00:00.000Z'
+  });
+  expect(results.map(({ parameter, value }) => [parameter, value])).toEqual([['pm25', 18], ['o3', 95]]);
+  expect(() => openMeteo.normalize('airQualityHistory', [{}], {})).toThrow('Open-Meteo returned no hourly air quality');
+});
+
+test('requests whole UTC days for history', () => {
+  const [url] = openMeteo.requests('airQualityHistory', { ...PSU, from: '2025-06-01T09:00:00.000Z', to: '2025-06-08T09:00:00.000Z' });
+  const params = new URL(url).searchParams;
+  expect(params.get('start_date')).toBe('2025-06-01');
+  expect(params.get('end_date')).toBe('2025-06-08');
+  expect(params.get('timezone')).toBe('GMT');
+  expect(params.get('hourly').split(',')).toContain('carbon_monoxide');
+  expect(() => openMeteo.requests('tides', PSU)).toThrow('Open-Meteo does not provide tides');
+});
+
+test('passes weather through, requiring a current temperature', () => {
+  const current = { time: '2025-06-01T12:00', temperature_2m: 41.2, apparent_temperature: 43, relative_humidity_2m: 12 };
+  const daily = { time: ['2025-06-01'], temperature_2m_max: [44], temperature_2m_min: [30], temperature_2m_mean: [37] };
+  expect(openMeteo.normalize('weather', [{ current, daily, hourly: {} }])).toEqual({ current, daily, hourly: {} });
+  expect(openMeteo.normalize('current', [{ current, daily }])).toEqual({ current });
+  expect(() => openMeteo.normalize('current', [{ current: {} }])).toThrow('Open-Meteo returned no current temperature');
+});
@@ -0,0 +1,120 @@
+// ============================
+// OpenWeatherMap adapter
+// ============================
+// Needs REACT_APP_OPENWEATHERMAP_API_KEY. The free plan has no past days:
+// `weather` carries today onwards, built from the 3-hourly 5-day forecast.
+const API_KEY = process.env.REACT_APP_OPENWEATHERMAP_API_KEY;
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+
+const buildUrl = (path, { lat, lng }, extra = {}) => `${BASE_URL}/${path}?${new URLSearchParams({
+  lat: String(lat),
+  lon: String(lng),
+  units: 'metric',
+  ...extra,
+  appid: API_KEY
+})}`;
+
+const toCurrent = (json) => {
+  if (json.main?.temp == null) throw new Error('OpenWeatherMap returned no current temperature');
+  return {
+    time: new Date(json.dt * 1000).toISOString(),
+    temperature_2m: json.main.temp,
+    apparent_temperature: json.main.feels_like ?? null,
+    relative_humidity_2m: json.main.humidity ?? null,
+    surface_pressure: json.main.pressure ?? null,
+    wind_speed_10m: json.wind?.speed != null ? Math.round(json.wind.speed * 3.6 * 10) / 10 : null // m/s -> km/h
+  };
+};
+
+// 3-hourly forecast -> daily max / min / mean by local (city) date
+const toDaily = (json) => {
+  const offset = (json.city?.timezone || 0) * 1000;
+  const days = new Map();
+  (json.list || []).forEach(({ dt, main }) => {
+    const date = new Date(dt * 1000 + offset).toISOString().slice(0, 10);
+    const day = days.get(date) || { max: -Infinity, min: Infinity, sum: 0, n: 0 };
+    day.max = Math.max(day.max, main.temp_max ?? main.temp);
+    day.min = Math.min(day.min, main.temp_min ?? main.temp);
+    day.sum += main.temp;
+    day.n += 1;
+    days.set(date, day);
+  });
+  const dates = [...days.keys()].sort();
+  return {
+    time: dates,
+    temperature_2m_max: dates.map(date => days.get(date).max),
+    temperature_2m_min: dates.map(date => days.get(date).min),
+    temperature_2m_mean: dates.map(date => Math.round(days.get(date).sum / days.get(date).n * 10) / 10)
+  };
+};
+
+// components are all µg/m³; CO is reported in mg/m³ like the other providers
+const POLLUTANTS = [
+  ['pm25', 'pm2_5'],
+  ['pm10', 'pm10'],
+  ['no2', 'no2'],
+  ['o3', 'o3'],
+  ['so2', 'so2'],
+  ['co', 'co']
+];
+
+// Components the entry lacks stay null rather than reading as clean air
+const toResults = ({ dt, components }) => {
+  const date = { utc: new Date(dt * 1000).toISOString() };
+  return POLLUTANTS.map(([parameter, field]) => {
+    const value = components[field] ?? null;
+    return {
+      parameter,
+      value: value == null || parameter !== 'co' ? value : value / 1000,
+      unit: parameter === 'co' ? 'mg/m³' : 'µg/m³',
+      date
+    };
+  });
+};
+
+const toSeconds = (iso) => String(Math.floor(Date.parse(iso) / 1000));
+
+const openWeatherMap = {
+  id: 'openweathermap',
+  name: 'OpenWeatherMap',
+  capabilities: ['weather', 'current', 'airQuality', 'airQualityHistory'],
+  // Free plan: 60 calls per minute
+  rateLimit: { requests: 60, windowMs: 60 * 1000 },
+
+  isConfigured: () => Boolean(API_KEY),
+
+  requests(capability, params) {
+    switch (capability) {
+      case 'weather':
+        return [buildUrl('weather', params), buildUrl('forecast', params)];
+      case 'current':
+        return [buildUrl('weather', params)];
+      case 'airQuality':
+        return [buildUrl('air_pollution', params)];
+      case 'airQualityHistory':
+        // Hourly; `end` is exclusive
+        return [buildUrl('air_pollution/history', params, { start: toSeconds(params.from), end: toSeconds(params.to) })];
+      default:
+        throw new Error(`OpenWeatherMap does not provide ${capability}`);
+    }
+  },
+
+  normalize(capability, [json, forecast]) {
+    if (capability === 'airQuality') {
+      const entry = json.list?.[0];
+      if (!entry?.components) throw new Error('OpenWeatherMap returned no air quality data');
+      return { results: toResults(entry) };
+    }
+    if (capability === 'airQualityHistory') {
+      const entries = (json.list || []).filter(entry => entry.components);
+      if (entries.length === 0) throw new Error('OpenWeatherMap has no air quality for the requested window');
+      return { results: entries.flatMap(toResults).filter(result => result.value != null) };
+    }
+    const current = toCurrent(json);
+    return capability === 'weather'
+      ? { current, daily: toDaily(forecast) }
+      : { current };
+  }
+};
+
+export { openWeatherMap };
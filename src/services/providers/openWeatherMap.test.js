@@ -0,0 +1,78 @@
+import { openWeatherMap } from './openWeatherMap.js';
+
+// 2025-06-01T12:00:00Z
+const NOON = 1748779200;
+const HOUR = 60 * 60;
+
+test('converts current weather to the common schema, wind in km/h', () => {
+  const { current } = openWeatherMap.normalize('current', [{
+    dt: NOON,
+    main: { temp: 41.3, feels_like: 40.1, humidity: 9, pressure: 1004 },
+    wind: { speed: 5 }
+  }]);
+  expect(current).toEqual({
+    time: '2025-06-01T12:00:00.000Z',
+    temperature_2m: 41.3,
+    apparent_temperature: 40.1,
+    relative_humidity_2m: 9,
+    surface_pressure: 1004,
+    wind_speed_10m: 18
+  });
+  expect(() => openWeatherMap.normalize('current', [{ main: {} }])).toThrow('OpenWeatherMap returned no current temperature');
+});
+
+test('builds daily max, min and mean from the 3-hourly forecast by local date', () => {
+  const forecast = {
+    city: { timezone: 3 * HOUR }, // Riyadh
+    list: [
+      // 2025-06-01 22:00 and 2025-06-02 01:00 local
+      { dt: NOON + 7 * HOUR, main: { temp: 36, temp_max: 37, temp_min: 35 } },
+      { dt: NOON + 10 * HOUR, main: { temp: 31 } },
+      { dt: NOON + 13 * HOUR, main: { temp: 29.5 } }
+    ]
+  };
+  const { daily } = openWeatherMap.normalize('weather', [{ dt: NOON, main: { temp: 41 } }, forecast]);
+  expect(daily).toEqual({
+    time: ['2025-06-01', '2025-06-02'],
+    temperature_2m_max: [37, 31],
+    temperature_2m_min: [35, 29.5],
+    temperature_2m_mean: [36, 30.3]
+  });
+});
+
+test('converts air quality components, CO in mg/m³', () => {
+  const { results } = openWeatherMap.normalize('airQuality', [{
+    list: [{ dt: NOON, components: { pm2_5: 14.2, pm10: 51, no2: 9.8, o3: 80, co: 290 } }]
+  }]);
+  expect(results.map(({ parameter, value, unit }) => [parameter, value, unit])).toEqual([
+    ['pm25', 14.2, 'µg/m³'],
+    ['pm10', 51, 'µg/m³'],
+    ['no2', 9.8, 'µg/m³'],
+    ['o3', 80, 'µg/m³'],
+    ['so2', null, 'µg/m³'],
+    ['co', 0.29, 'mg/m³']
+  ]);
+  expect(results[0].date).toEqual({ utc: '2025-06-01T12:00:00.000Z' });
+});
+
+test('keeps every hour of the history and asks for the window in seconds', () => {
+  const { results } = openWeatherMap.normalize('airQualityHistory', [{
+    list: [
+      { dt: NOON, components: { pm2_5: 10 } },
+      { dt: NOON + HOUR },
+      { dt: NOON + 2 * HOUR, components: { pm2_5: 12 } }
+    ]
+  }]);
+  // Hours and components without a value are left out
+  expect(results.map(r => [r.parameter, r.date.utc, r.value])).toEqual([
+    ['pm25', '2025-06-01T12:00:00.000Z', 10],
+    ['pm25', '2025-06-01T14:00:00.000Z', 12]
+  ]);
+  expect(() => openWeatherMap.normalize('airQualityHistory', [{ list: [] }])).toThrow('OpenWeatherMap has no air quality for the requested window');
+
+  const [url] = openWeatherMap.requests('airQualityHistory', {
+    lat: 24.7, lng: 46.7, from: '2025-06-01T12:00:00.000Z', to: '2025-06-08T12:00:00.000Z'
+  });
+  const params = new URL(url).searchParams;
+  expect([params.get('start'), params.get('end')]).toEqual([String(NOON), String(NOON + 7 * 24 * HOUR)]);
+});
@@ -0,0 +1,51 @@
+// ============================
+// WAQI (World Air Quality Index) adapter
+// ============================
+// Needs REACT_APP_WAQI_TOKEN. Reports the nearest station, and pollutant values
+// are US EPA sub-indices rather than concentrations, so they carry unit 'AQI'.
+const TOKEN = process.env.REACT_APP_WAQI_TOKEN;
+const BASE_URL = 'https://api.waqi.info/feed';
+
+const POLLUTANTS = ['pm25', 'pm10', 'no2', 'o3', 'so2', 'co'];
+
+// WAQI answers HTTP 200 with { status: 'error', data: '<reason>' } on failures
+const stationData = (json) => {
+  if (json.status !== 'ok' || !json.data?.iaqi) {
+    throw new Error(`WAQI: ${typeof json.data === 'string' ? json.data : 'no station data'}`);
+  }
+  return json.data;
+};
+
+const waqi = {
+  id: 'waqi',
+  name: 'WAQI',
+  capabilities: ['current', 'airQuality'],
+  // Documented quota: 1000 requests per second
+  rateLimit: { requests: 1000, windowMs: 1000 },
+
+  isConfigured: () => Boolean(TOKEN),
+
+  requests(capability, { lat, lng }) {
+    if (!this.capabilities.includes(capability)) throw new Error(`WAQI does not provide ${capability}`);
+    return [`${BASE_URL}/geo:${lat};${lng}/?token=${encodeURIComponent(TOKEN)}`];
+  },
+
+  normalize(capability, [json]) {
+    const data = stationData(json);
+    const utc = data.time?.iso ? new Date(data.time.iso).toISOString() : new Date().toISOString();
+
+    if (capability === 'current') {
+      if (data.iaqi.t?.v == null) throw new Error('WAQI station reports no temperature');
+      return {
+        current: { time: utc, temperature_2m: data.iaqi.t.v, apparent_temperature: null, relative_humidity_2m: data.iaqi.h?.v ?? null }
+      };
+    }
+    return {
+      results: POLLUTANTS
+        .filter(parameter => data.iaqi[parameter]?.v != null)
+        .map(parameter => ({ parameter, value: data.iaqi[parameter].v, unit: 'AQI', date: { utc } }))
+    };
+  }
+};
+
+export { waqi };
@@ -0,0 +1,24 @@
+import { waqi } from './waqi.js';
+
+const station = (iaqi) => ({ status: 'ok', data: { iaqi, time: { iso: '2025-06-01T15:00:00+03:00' } } });
+
+test('reports pollutants as the sub-indices they already are', () => {
+  const { results } = waqi.normalize('airQuality', [station({ pm25: { v: 87 }, o3: { v: 35 }, t: { v: 41 } })]);
+  expect(results).toEqual([
+    { parameter: 'pm25', value: 87, unit: 'AQI', date: { utc: '2025-06-01T12:00:00.000Z' } },
+    { parameter: 'o3', value: 35, unit: 'AQI', date: { utc: '2025-06-01T12:00:00.000Z' } }
+  ]);
+});
+
+test('reads the station temperature for current weather', () => {
+  expect(waqi.normalize('current', [station({ t: { v: 41 }, h: { v: 10 } })])).toEqual({
+    current: { time: '2025-06-01T12:00:00.000Z', temperature_2m: 41, apparent_temperature: null, relative_humidity_2m: 10 }
+  });
+  expect(() => waqi.normalize('current', [station({ pm25: { v: 87 } })])).toThrow('WAQI station reports no temperature');
+});
+
+test('turns error bodies sent with HTTP 200 into errors', () => {
+  expect(() => waqi.normalize('airQuality', [{ status: 'error', data: 'Invalid key' }])).toThrow('WAQI: Invalid key');
+  expect(() => waqi.normalize('airQuality', [{ status: 'ok', data: {} }])).toThrow('WAQI: no station data');
+  expect(() => waqi.requests('airQualityHistory', { lat: 24.7, lng: 46.7 })).toThrow('WAQI does not provide airQualityHistory');
+});